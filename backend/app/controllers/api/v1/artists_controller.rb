@@ -3,32 +3,36 @@
 module Api
   module V1
     class ArtistsController < ApplicationController
+      include GeniusErrorResponses
+
       def songs
         page = params[:page]&.to_i || 1
         per_page = (params[:per_page]&.to_i || GeniusService::PER_PAGE).clamp(1, GeniusService::PER_PAGE)
+        # Set once the user has picked from /candidates; pins every page to that artist
+        artist_id = params[:artist_id].presence&.to_i
 
-        result = genius_service.search_artist_songs(params[:name], page: page, per_page: per_page)
+        result = genius_service.search_artist_songs(
+          params[:name], page: page, per_page: per_page, artist_id: artist_id, **listing_params
+        )
 
         render json: result, status: :ok
-      rescue ArgumentError => e
-        render json: { error: e.message }, status: :unprocessable_content
-      rescue GeniusService::ArtistNotFoundError => e
-        render json: { error: e.message }, status: :not_found
-      rescue GeniusService::TimeoutError => e
-        render json: { error: e.message }, status: :gateway_timeout
-      rescue GeniusService::ApiError => e
-        render json: { error: e.message }, status: :bad_gateway
-      rescue StandardError => e
-        Rails.logger.error("Unexpected error: #{e.class} - #{e.message}")
-        Rails.logger.error(e.backtrace.join("\n"))
-
-        render json: {
-          error: 'An unexpected error occurred. Please try again later.'
-        }, status: :internal_server_error
+      end
+
+      def candidates
+        render json: genius_service.artist_candidates(params[:name]), status: :ok
       end
 
       private
 
+      # Sort order and release-year range; anything omitted keeps the service default
+      def listing_params
+        {
+          sort: params[:sort].presence,
+          year_from: params[:year_from].presence&.to_i,
+          year_to: params[:year_to].presence&.to_i
+        }.compact
+      end
+
       def genius_service
         @genius_service ||= GeniusService.new
       end
@@ -0,0 +1,19 @@
+# frozen_string_literal: true
+
+module Api
+  module V1
+    class SongsController < ApplicationController
+      include GeniusErrorResponses
+
+      def show
+        render json: song_detail_service.song_details(params[:id].to_i), status: :ok
+      end
+
+      private
+
+      def song_detail_service
+        @song_detail_service ||= SongDetailService.new
+      end
+    end
+  end
+end
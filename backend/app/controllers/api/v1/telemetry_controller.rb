@@ -0,0 +1,18 @@
+# frozen_string_literal: true
+
+module Api
+  module V1
+    class TelemetryController < ApplicationController
+      rescue_from TelemetryIngest::InvalidBatchError do |e|
+        render json: { error: e.message }, status: :unprocessable_content
+      end
+
+      # Beacons arrive as text/plain to skip the CORS preflight, so the body
+      # is parsed by TelemetryIngest rather than as params
+      def create
+        TelemetryIngest.new.ingest(request.raw_post)
+        head :no_content
+      end
+    end
+  end
+end
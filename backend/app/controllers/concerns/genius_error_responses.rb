@@ -0,0 +1,31 @@
+# frozen_string_literal: true
+
+# Maps GeniusService errors onto the API's JSON error contract:
+# 422 bad input, 404 not found, 504 timeout, 502 upstream failure, 500 otherwise.
+module GeniusErrorResponses
+  extend ActiveSupport::Concern
+
+  included do
+    # Handlers are matched bottom-up, so the catch-all goes first
+    rescue_from StandardError, with: :render_unexpected_error
+    rescue_from ArgumentError, with: ->(e) { render_error(e, :unprocessable_content) }
+    rescue_from GeniusService::ArtistNotFoundError, GeniusService::SongNotFoundError, with: ->(e) { render_error(e, :not_found) }
+    rescue_from GeniusService::TimeoutError, with: ->(e) { render_error(e, :gateway_timeout) }
+    rescue_from GeniusService::ApiError, with: ->(e) { render_error(e, :bad_gateway) }
+  end
+
+  private
+
+  def render_error(error, status)
+    render json: { error: error.message }, status: status
+  end
+
+  def render_unexpected_error(error)
+    Rails.logger.error("Unexpected error: #{error.class} - #{error.message}")
+    Rails.logger.error(error.backtrace.join("\n"))
+
+    render json: {
+      error: 'An unexpected error occurred. Please try again later.'
+    }, status: :internal_server_error
+  end
+end
@@ -0,0 +1,20 @@
+# frozen_string_literal: true
+
+# Rails.cache helpers shared by the Genius services. Cache failures degrade to
+# a miss (or a skipped write), never a failed request.
+module GeniusCache
+  private
+
+  def read_cache(key)
+    Rails.cache.read(key)&.deep_symbolize_keys
+  rescue StandardError => e
+    Rails.logger.warn("Cache read error: #{e.message}")
+    nil
+  end
+
+  def write_cache(key, data, ttl)
+    Rails.cache.write(key, data, expires_in: ttl)
+  rescue StandardError => e
+    Rails.logger.warn("Failed to cache: #{e.message}")
+  end
+end
@@ -0,0 +1,52 @@
+# frozen_string_literal: true
+
+# Thin Faraday wrapper for the Genius API. Every call goes through #get_json so
+# transport and parse failures map onto GeniusService's error classes.
+class GeniusClient
+  # A Genius 404. Still an ApiError, so callers that don't expect one get a 502.
+  class NotFoundError < GeniusService::ApiError; end
+
+  def initialize
+    @connection = Faraday.new(GeniusService::BASE_URL) do |f|
+      f.request :authorization, 'Bearer', ENV.fetch('GENIUS_API_KEY')
+      f.request :json
+      f.request :retry, max: 3, interval: 0.5, backoff_factor: 2,
+                        exceptions: [Faraday::TimeoutError, Faraday::ConnectionFailed]
+      f.response :raise_error
+      f.adapter Faraday.default_adapter
+
+      f.options.timeout = GeniusService::TIMEOUT
+      f.options.open_timeout = 5
+    end
+  end
+
+  def get_json(path, params = {})
+    response = @connection.get(path, params)
+    JSON.parse(response.body)
+  rescue JSON::ParserError => e
+    Rails.logger.error("Failed to parse Genius API response: #{e.message}")
+    raise GeniusService::ApiError, 'Invalid response from Genius API'
+  rescue Faraday::ClientError => e
+    handle_client_error(e)
+  rescue Faraday::TimeoutError
+    raise GeniusService::TimeoutError, "Request timed out after #{GeniusService::TIMEOUT} seconds"
+  rescue Faraday::ServerError => e
+    Rails.logger.error("Genius server error: #{e.message}")
+    raise GeniusService::ApiError, 'Genius API temporarily unavailable'
+  rescue Faraday::Error => e
+    Rails.logger.error("Genius API error: #{e.class} - #{e.message}")
+    raise GeniusService::ApiError, 'Unable to connect to Genius API'
+  end
+
+  private
+
+  def handle_client_error(error)
+    status = error.response[:status]
+    case status
+    when 401 then raise GeniusService::ApiError, 'Invalid API credentials'
+    when 404 then raise NotFoundError, "API request failed (#{status})"
+    when 429 then raise GeniusService::ApiError, 'Rate limit exceeded'
+    else raise GeniusService::ApiError, "API request failed (#{status})"
+    end
+  end
+end
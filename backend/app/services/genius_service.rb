@@ -1,58 +1,43 @@
 # frozen_string_literal: true
 
 class GeniusService
+  include GeniusCache
+
   BASE_URL = ENV.fetch('GENIUS_API_BASE_URL', 'https://api.genius.com')
   TIMEOUT = 10
   CACHE_TTL = 1.hour.to_i
   NAME_MAPPING_CACHE_TTL = 24.hours.to_i # Artist name→ID mappings are stable
   PER_PAGE = 50 # Genius API maximum
   CACHE_VERSION = 'v1' # Increment when response format changes
+  SORTS = %w[popularity title release_date].freeze # Orders Genius supports for artist songs
+  DEFAULT_LISTING = { sort: 'popularity', year_from: nil, year_to: nil }.freeze
+  YEARS = 1900..2100
 
   class ArtistNotFoundError < StandardError; end
   class ApiError < StandardError; end
   class TimeoutError < StandardError; end
+  class SongNotFoundError < StandardError; end
 
   def initialize
-    @client = Faraday.new(BASE_URL) do |f|
-      f.request :authorization, 'Bearer', ENV.fetch('GENIUS_API_KEY')
-      f.request :json
-      f.request :retry, max: 3, interval: 0.5, backoff_factor: 2,
-                        exceptions: [Faraday::TimeoutError, Faraday::ConnectionFailed]
-      f.response :raise_error
-      f.adapter Faraday.default_adapter
-
-      f.options.timeout = TIMEOUT
-      f.options.open_timeout = 5
-    end
+    @client = GeniusClient.new
   end
 
-  def search_artist_songs(artist_name, page: 1, per_page: PER_PAGE)
-    validate_input!(artist_name, page, per_page)
+  # With an artist_id (picked from #artist_candidates) the name is only a display
+  # label: no search is made, so pagination can't drift to a different artist.
+  #
+  # `listing` takes sort: (one of SORTS) and an inclusive year_from:/year_to:
+  # release-year range. Genius sorts; the year range is applied to each page
+  # it returns, so a filtered page can hold fewer songs (or none) and still
+  # have a next one.
+  def search_artist_songs(artist_name, page: 1, per_page: PER_PAGE, artist_id: nil, **listing)
+    listing = DEFAULT_LISTING.merge(listing)
+    validate_input!(artist_name, page, per_page, listing)
+    raise ArgumentError, 'Artist ID must be positive' if artist_id && artist_id < 1
 
-    # Try to get artist ID from name→ID mapping cache for resilience
-    cached_mapping = get_cached_artist_id(artist_name)
+    return songs_for_artist({ 'id' => artist_id, 'name' => artist_name }, page, per_page, listing) if artist_id
 
-    if cached_mapping
-      # We have a cached name→ID mapping, check if we have cached songs
-      cached_songs = fetch_from_cache(cached_mapping[:artist_id], page, per_page)
-
-      if cached_songs
-        # We have cached songs! Try to refresh artist data, but fallback to cache on API failure
-        begin
-          artist = find_artist(artist_name)
-          # API is up, update mapping and return fresh artist data with cached songs
-          store_artist_id_mapping(artist_name, artist['id'], artist['name'])
-          return cached_songs.merge(artist: { name: artist['name'], id: artist['id'] })
-        rescue ApiError, TimeoutError => e
-          # API is down, serve stale cache with warning flags
-          Rails.logger.warn("API unavailable, serving stale cache: #{e.message}")
-          return cached_songs.merge(
-            artist: { name: cached_mapping[:artist_name], id: cached_mapping[:artist_id] },
-            meta: cached_songs[:meta].merge(stale: true, api_unavailable: true)
-          )
-        end
-      end
-    end
+    cached = songs_from_name_mapping(artist_name, page, per_page, listing)
+    return cached if cached
 
     # No cached mapping or no cached songs - do normal flow
     artist = find_artist(artist_name)
@@ -60,52 +45,115 @@ class GeniusService
     # Store name→ID mapping for future resilience
     store_artist_id_mapping(artist_name, artist['id'], artist['name'])
 
+    songs_for_artist(artist, page, per_page, listing)
+  end
+
+  # Distinct primary artists from the search hits, so the client can ask the
+  # user which one they meant. Ambiguous unless exactly one name matches.
+  def artist_candidates(artist_name)
+    raise ArgumentError, 'Artist name required' if artist_name.blank?
+    raise ArgumentError, 'Artist name too long (max 100 chars)' if artist_name.length > 100
+
+    key = "#{CACHE_VERSION}:genius:candidates:#{artist_name.strip.downcase}"
+    cached = read_cache(key)
+    return cached if cached
+
+    artists = search_hits(artist_name).filter_map { |hit| hit.dig('result', 'primary_artist') }.uniq { |artist| artist['id'] }
+    raise ArtistNotFoundError, "Artist '#{artist_name}' not found" if artists.empty?
+
+    candidates = artists.map { |artist| format_candidate(artist, artist_name) }
+    result = {
+      query: artist_name,
+      ambiguous: candidates.count { |candidate| candidate[:exact] } != 1 && candidates.length > 1,
+      candidates: candidates
+    }
+    write_cache(key, result, NAME_MAPPING_CACHE_TTL)
+
+    result
+  end
+
+  private
+
+  # Try to get artist ID from name→ID mapping cache for resilience
+  def songs_from_name_mapping(artist_name, page, per_page, listing)
+    cached_mapping = get_cached_artist_id(artist_name)
+    return nil unless cached_mapping
+
+    # We have a cached name→ID mapping, check if we have cached songs
+    cached_songs = fetch_from_cache(cached_mapping[:artist_id], page, per_page, listing)
+    return nil unless cached_songs
+
+    # We have cached songs! Try to refresh artist data, but fallback to cache on API failure
+    begin
+      artist = find_artist(artist_name)
+      # API is up, update mapping and return fresh artist data with cached songs
+      store_artist_id_mapping(artist_name, artist['id'], artist['name'])
+      cached_songs.merge(artist: { name: artist['name'], id: artist['id'] })
+    rescue ApiError, TimeoutError => e
+      # API is down, serve stale cache with warning flags
+      Rails.logger.warn("API unavailable, serving stale cache: #{e.message}")
+      cached_songs.merge(
+        artist: { name: cached_mapping[:artist_name], id: cached_mapping[:artist_id] },
+        meta: cached_songs[:meta].merge(stale: true, api_unavailable: true)
+      )
+    end
+  end
+
+  def songs_for_artist(artist, page, per_page, listing)
     # Check cache by artist ID (prevents collisions for artists with same name)
-    cached = fetch_from_cache(artist['id'], page, per_page)
+    cached = fetch_from_cache(artist['id'], page, per_page, listing)
     return cached.merge(artist: { name: artist['name'], id: artist['id'] }) if cached
 
     # Fetch from API
-    songs_data = fetch_songs_page(artist['id'], page, per_page)
+    songs_data = fetch_songs_page(artist['id'], page, per_page, listing)
 
     result = format_response(artist, songs_data, page, per_page)
-    store_in_cache(artist['id'], page, per_page, result)
+    store_in_cache(artist['id'], page, per_page, listing, result)
 
     result
+  rescue GeniusClient::NotFoundError
+    # Only reachable with an artist_id, e.g. from an old or edited shared link
+    raise ArtistNotFoundError, "Artist ID #{artist['id']} not found"
   end
 
-  private
-
-  def validate_input!(name, page, per_page)
+  def validate_input!(name, page, per_page, listing)
     raise ArgumentError, 'Artist name required' if name.blank?
     raise ArgumentError, 'Artist name too long (max 100 chars)' if name.length > 100
     raise ArgumentError, 'Page must be positive' if page < 1
     raise ArgumentError, "Per page must be 1-#{PER_PAGE}" unless (1..PER_PAGE).cover?(per_page)
+
+    validate_listing!(listing)
+  end
+
+  def validate_listing!(listing)
+    unknown = listing.keys - DEFAULT_LISTING.keys
+    raise ArgumentError, "Unknown option: #{unknown.join(', ')}" if unknown.any?
+    raise ArgumentError, "Sort must be one of: #{SORTS.join(', ')}" unless SORTS.include?(listing[:sort])
+
+    year_from, year_to = listing.values_at(:year_from, :year_to)
+    [year_from, year_to].compact.each do |year|
+      raise ArgumentError, "Year must be #{YEARS.min}-#{YEARS.max}" unless YEARS.cover?(year)
+    end
+    raise ArgumentError, 'Year from must not be after year to' if year_from && year_to && year_from > year_to
   end
 
-  def cache_key(artist_id, page, per_page)
-    # Cache by artist ID to prevent collisions (e.g., multiple artists with same name)
-    "#{CACHE_VERSION}:genius:artist:id:#{artist_id}:p#{page}:pp#{per_page}"
+  def cache_key(artist_id, page, per_page, listing)
+    # Cache by artist ID to prevent collisions (e.g., multiple artists with same name);
+    # each sort order and year range pages differently
+    years = "#{listing[:year_from]}-#{listing[:year_to]}"
+    "#{CACHE_VERSION}:genius:artist:id:#{artist_id}:p#{page}:pp#{per_page}:s#{listing[:sort]}:y#{years}"
   end
 
-  def fetch_from_cache(artist_id, page, per_page)
-    key = cache_key(artist_id, page, per_page)
-    cached_data = Rails.cache.read(key)
-    return nil unless cached_data
+  def fetch_from_cache(artist_id, page, per_page, listing)
+    result = read_cache(cache_key(artist_id, page, per_page, listing))
+    return nil unless result
 
-    result = cached_data.deep_symbolize_keys
     result[:meta][:cached] = true
     result
-  rescue StandardError => e
-    Rails.logger.warn("Cache read error: #{e.message}")
-    nil # Graceful degradation
   end
 
-  def store_in_cache(artist_id, page, per_page, data)
-    key = cache_key(artist_id, page, per_page)
-    Rails.cache.write(key, data, expires_in: CACHE_TTL)
-  rescue StandardError => e
-    Rails.logger.warn("Failed to cache: #{e.message}")
-    # Don't fail the request if caching fails
+  def store_in_cache(artist_id, page, per_page, listing, data)
+    write_cache(cache_key(artist_id, page, per_page, listing), data, CACHE_TTL)
   end
 
   # Name→ID mapping cache for API resilience
@@ -116,26 +164,20 @@ class GeniusService
   end
 
   def get_cached_artist_id(artist_name)
-    key = artist_name_mapping_key(artist_name)
-    Rails.cache.read(key)&.deep_symbolize_keys
-  rescue StandardError => e
-    Rails.logger.warn("Failed to read name mapping cache: #{e.message}")
-    nil
+    read_cache(artist_name_mapping_key(artist_name))
   end
 
   def store_artist_id_mapping(artist_name, artist_id, canonical_name)
-    key = artist_name_mapping_key(artist_name)
     mapping = { artist_id: artist_id, artist_name: canonical_name }
-    Rails.cache.write(key, mapping, expires_in: NAME_MAPPING_CACHE_TTL)
-  rescue StandardError => e
-    Rails.logger.warn("Failed to cache name mapping: #{e.message}")
-    # Don't fail the request if caching fails
+    write_cache(artist_name_mapping_key(artist_name), mapping, NAME_MAPPING_CACHE_TTL)
+  end
+
+  def search_hits(name)
+    @client.get_json('/search', q: name).dig('response', 'hits') || []
   end
 
   def find_artist(name)
-    response = @client.get('/search', q: name)
-    data = JSON.parse(response.body)
-    hits = data.dig('response', 'hits') || []
+    hits = search_hits(name)
 
     raise ArtistNotFoundError, "Artist '#{name}' not found" if hits.empty?
 
@@ -148,55 +190,30 @@ class GeniusService
     artist_hit ||= hits.first
 
     artist_hit.dig('result', 'primary_artist')
-  rescue JSON::ParserError => e
-    Rails.logger.error("Failed to parse Genius API response: #{e.message}")
-    raise ApiError, 'Invalid response from Genius API'
-  rescue Faraday::ClientError => e
-    handle_client_error(e)
-  rescue Faraday::TimeoutError
-    raise TimeoutError, "Request timed out after #{TIMEOUT} seconds"
-  rescue Faraday::ServerError => e
-    Rails.logger.error("Genius server error: #{e.message}")
-    raise ApiError, 'Genius API temporarily unavailable'
-  rescue Faraday::Error => e
-    Rails.logger.error("Genius API error: #{e.class} - #{e.message}")
-    raise ApiError, 'Unable to connect to Genius API'
-  end
-
-  def fetch_songs_page(artist_id, page, per_page)
-    response = @client.get("/artists/#{artist_id}/songs", {
-                             per_page: per_page,
-                             page: page,
-                             sort: 'popularity'
-                           })
-
-    data = JSON.parse(response.body)
+  end
+
+  def fetch_songs_page(artist_id, page, per_page, listing)
+    data = @client.get_json("/artists/#{artist_id}/songs", {
+                              per_page: per_page,
+                              page: page,
+                              sort: listing[:sort]
+                            })
     songs = data.dig('response', 'songs') || []
     next_page = data.dig('response', 'next_page')
 
-    { songs: songs, has_next: next_page.present? }
-  rescue JSON::ParserError => e
-    Rails.logger.error("Failed to parse Genius API response: #{e.message}")
-    raise ApiError, 'Invalid response from Genius API'
-  rescue Faraday::ClientError => e
-    handle_client_error(e)
-  rescue Faraday::TimeoutError
-    raise TimeoutError, "Request timed out after #{TIMEOUT} seconds"
-  rescue Faraday::ServerError => e
-    Rails.logger.error("Genius server error: #{e.message}")
-    raise ApiError, 'Genius API temporarily unavailable'
-  rescue Faraday::Error => e
-    Rails.logger.error("Genius API error: #{e.class} - #{e.message}")
-    raise ApiError, 'Unable to connect to Genius API'
-  end
-
-  def handle_client_error(error)
-    status = error.response[:status]
-    case status
-    when 401 then raise ApiError, 'Invalid API credentials'
-    when 429 then raise ApiError, 'Rate limit exceeded'
-    else raise ApiError, "API request failed (#{status})"
-    end
+    { songs: released_within(songs, listing[:year_from], listing[:year_to]), has_next: next_page.present? }
+  end
+
+  # Undated songs can't be placed in a range, so any bound drops them
+  def released_within(songs, year_from, year_to)
+    return songs unless year_from || year_to
+
+    years = (year_from || YEARS.min)..(year_to || YEARS.max)
+    songs.select { |song| years.cover?(release_year(song)) }
+  end
+
+  def release_year(song)
+    song.dig('release_date_components', 'year') || song['release_date_for_display'].to_s[/\d{4}/]&.to_i
   end
 
   def format_response(artist, songs_data, page, per_page)
@@ -220,6 +237,16 @@ class GeniusService
     }
   end
 
+  def format_candidate(artist, query)
+    {
+      id: artist['id'],
+      name: artist['name'],
+      image_url: artist['image_url'],
+      url: artist['url'],
+      exact: artist['name']&.downcase == query.strip.downcase
+    }
+  end
+
   def format_songs(songs)
     songs.map do |song|
       {
@@ -0,0 +1,79 @@
+# frozen_string_literal: true
+
+# Expanded metadata for a single song, for the frontend's detail drawer.
+# Cached per song ID with the same TTL and `meta` block as song pages.
+class SongDetailService
+  include GeniusCache
+
+  def initialize
+    @client = GeniusClient.new
+  end
+
+  def song_details(song_id)
+    raise ArgumentError, 'Song ID must be positive' unless song_id.positive?
+
+    key = "#{GeniusService::CACHE_VERSION}:genius:song:id:#{song_id}"
+    cached = read_cache(key)
+    return cached.deep_merge(meta: { cached: true }) if cached
+
+    song = @client.get_json("/songs/#{song_id}", text_format: 'plain').dig('response', 'song')
+    raise GeniusService::SongNotFoundError, "Song #{song_id} not found" unless song
+
+    result = {
+      song: format_song(song),
+      meta: { fetched_at: Time.current, cached: false, stale: false, api_unavailable: false }
+    }
+    write_cache(key, result, GeniusService::CACHE_TTL)
+
+    result
+  rescue GeniusClient::NotFoundError
+    raise GeniusService::SongNotFoundError, "Song #{song_id} not found"
+  end
+
+  private
+
+  def format_song(song)
+    {
+      id: song['id'],
+      title: song['title'],
+      full_title: song['full_title'],
+      url: song['url'],
+      release_date: song['release_date_for_display'],
+      artwork_url: song['song_art_image_url'] || song['header_image_url'],
+      pageviews: song.dig('stats', 'pageviews'),
+      album: format_album(song['album']),
+      primary_artist: format_artist(song['primary_artist']),
+      featured_artists: (song['featured_artists'] || []).map { |artist| format_artist(artist) },
+      producer_artists: (song['producer_artists'] || []).map { |artist| format_artist(artist) },
+      relationships: format_relationships(song['song_relationships'])
+    }
+  end
+
+  def format_album(album)
+    return nil unless album
+
+    { id: album['id'], name: album['name'], url: album['url'], cover_art_url: album['cover_art_url'] }
+  end
+
+  def format_artist(artist)
+    return nil unless artist
+
+    { id: artist['id'], name: artist['name'], url: artist['url'], image_url: artist['image_url'] }
+  end
+
+  # Genius lists every relationship type (samples, covered_by, remix_of, ...),
+  # mostly empty; only the ones with songs are worth sending
+  def format_relationships(relationships)
+    (relationships || []).filter_map do |relationship|
+      songs = relationship['songs'] || []
+      next if songs.empty?
+
+      {
+        type: relationship['relationship_type'],
+        songs: songs.map do |related|
+          { id: related['id'], title: related['title'], url: related['url'], artist: related.dig('primary_artist', 'name') }
+        end
+      }
+    end
+  end
+end
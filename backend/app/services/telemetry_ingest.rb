@@ -0,0 +1,65 @@
+# frozen_string_literal: true
+
+# Accepts a batch of client telemetry (see frontend/src/telemetry) and writes
+# each event to the log as one JSON line. Only known event types and fields
+# are kept, and only scalar values, so the endpoint can't be used to store
+# arbitrary data. Unknown types are skipped rather than rejected, so an older
+# backend keeps accepting batches from a newer frontend.
+class TelemetryIngest
+  MAX_BODY_BYTES = 64.kilobytes
+  MAX_EVENTS = 50
+  MAX_STRING_LENGTH = 50
+  EVENT_FIELDS = {
+    'web_vital' => %w[name value],
+    'search' => %w[latency_ms pages cached_pages live],
+    'load_more' => %w[latency_ms pages cached_pages depth],
+    'search_error' => %w[category status append]
+  }.freeze
+
+  class InvalidBatchError < StandardError; end
+
+  def initialize(logger: Rails.logger)
+    @logger = logger
+  end
+
+  # Returns how many events were logged
+  def ingest(body)
+    batch = parse(body)
+    events = batch['events']
+    raise InvalidBatchError, 'Events must be a non-empty list' unless events.is_a?(Array) && events.any?
+    raise InvalidBatchError, "At most #{MAX_EVENTS} events per batch" if events.length > MAX_EVENTS
+
+    session = scalar(batch['session'])
+    events.count do |event|
+      fields = event.is_a?(Hash) && EVENT_FIELDS[event['type']]
+      next false unless fields
+
+      @logger.info("[telemetry] #{sanitize(event, fields).merge('session' => session).to_json}")
+      true
+    end
+  end
+
+  private
+
+  def parse(body)
+    raise InvalidBatchError, 'Batch too large' if body.to_s.bytesize > MAX_BODY_BYTES
+
+    batch = JSON.parse(body.to_s)
+    raise InvalidBatchError, 'Batch must be a JSON object' unless batch.is_a?(Hash)
+
+    batch
+  rescue JSON::ParserError
+    raise InvalidBatchError, 'Batch must be valid JSON'
+  end
+
+  def sanitize(event, fields)
+    event.slice('type', 'at', *fields).transform_values { |value| scalar(value) }.compact
+  end
+
+  def scalar(value)
+    case value
+    when Numeric, true, false then value
+    when String then value.first(MAX_STRING_LENGTH)
+    end
+  end
+end
@@ -11,8 +11,14 @@ Rails.application.config.middleware.insert_before 0, Rack::Cors do
   allow do
     origins 'localhost:3000', '127.0.0.1:3000'
 
+    # Telemetry beacons are the only writes
+    resource '/api/v1/telemetry',
+             headers: :any,
+             methods: %i[post options]
+
     resource '*',
              headers: :any,
-             methods: %i[get options head]
+             methods: %i[get options head],
+             expose: %w[Retry-After]
   end
 end
@@ -3,9 +3,15 @@
 # config/initializers/rack_attack.rb
 module Rack
   class Attack
-    # Throttle all API requests by IP (60 requests per minute)
+    # Throttle all API requests by IP (60 requests per minute).
+    # Telemetry has its own budget so beacons never eat into searches.
     throttle('api requests per ip', limit: 60, period: 1.minute) do |request|
-      request.ip if request.path.start_with?('/api/')
+      request.ip if request.path.start_with?('/api/') && request.path != '/api/v1/telemetry'
+    end
+
+    # Telemetry batches (30 per minute)
+    throttle('telemetry batches per ip', limit: 30, period: 1.minute) do |request|
+      request.ip if request.path == '/api/v1/telemetry' && request.post?
     end
 
     # Stricter throttle for expensive search endpoint (10 requests per minute)
@@ -14,11 +20,16 @@ module Rack
     end
 
     # Customize throttled response
-    self.throttled_responder = lambda do |_request|
+    # Retry-After tells clients how long until the current throttle window resets
+    self.throttled_responder = lambda do |request|
+      match_data = request.env['rack.attack.match_data'] || {}
+      period = match_data[:period].to_i
+      retry_after = period.positive? ? period - (match_data[:epoch_time].to_i % period) : 60
+
       [
         429,
-        { 'Content-Type' => 'application/json' },
-        [{ error: 'Rate limit exceeded. Please try again later.' }.to_json]
+        { 'Content-Type' => 'application/json', 'Retry-After' => retry_after.to_s },
+        [{ error: 'Rate limit exceeded. Please try again later.', retry_after: retry_after }.to_json]
       ]
     end
   end
@@ -10,6 +10,9 @@ Rails.application.routes.draw do
   namespace :api do
     namespace :v1 do
       get 'artists/:name/songs', to: 'artists#songs'
+      get 'artists/:name/candidates', to: 'artists#candidates'
+      get 'songs/:id', to: 'songs#show'
+      post 'telemetry', to: 'telemetry#create'
     end
   end
 end
@@ -0,0 +1,90 @@
+# frozen_string_literal: true
+
+require 'json'
+require 'rack'
+require 'uri'
+require 'yaml'
+
+# A stand-in for api.genius.com that replays VCR cassettes, so the whole
+# stack can run offline (see frontend/e2e). Point the backend at it with
+# GENIUS_API_BASE_URL.
+#
+# Requests are matched like VCR does by default, on method and URI, except
+# that the host is ignored and query parameters are compared decoded and in
+# any order. The first matching interaction is replayed every time.
+#
+# PUT /__fake_genius/scenario with {"scenario": "down"} makes every Genius
+# request fail with a 503 until it is set back to "normal".
+class FakeGenius
+  SCENARIOS = %w[normal down].freeze
+  CONTROL_PATH = '/__fake_genius/scenario'
+
+  attr_reader :scenario
+
+  def initialize(*cassette_dirs)
+    @interactions = cassette_dirs.flat_map { |dir| load_interactions(dir) }
+    @scenario = 'normal'
+  end
+
+  def call(env)
+    request = Rack::Request.new(env)
+    return control(request) if request.path == CONTROL_PATH
+    return json(503, { meta: { status: 503, message: 'Service Unavailable' } }) if scenario == 'down'
+
+    interaction = @interactions.find { |candidate| matches?(candidate[:request], request) }
+    return replay(interaction[:response]) if interaction
+
+    warn("[fake_genius] No recorded interaction for #{request.request_method} #{request.fullpath}")
+    json(500, { meta: { status: 500, message: "No recorded interaction for #{request.request_method} #{request.path}" } })
+  end
+
+  private
+
+  def load_interactions(dir)
+    Dir.glob(File.join(dir, '**', '*.yml')).sort.flat_map do |path|
+      YAML.safe_load_file(path).fetch('http_interactions', []).map do |interaction|
+        uri = URI.parse(interaction.dig('request', 'uri'))
+        {
+          request: {
+            method: interaction.dig('request', 'method').upcase,
+            path: uri.path,
+            params: Rack::Utils.parse_query(uri.query)
+          },
+          response: interaction['response']
+        }
+      end
+    end
+  end
+
+  def matches?(recorded, request)
+    recorded[:method] == request.request_method &&
+      recorded[:path] == request.path &&
+      recorded[:params] == Rack::Utils.parse_query(request.query_string)
+  end
+
+  def replay(response)
+    body = response['body']
+    content = body['base64_string'] ? body['base64_string'].unpack1('m') : body['string'].to_s
+    content_type = response['headers']&.find { |name, _| name.casecmp?('content-type') }&.last
+    content_type = Array(content_type).first || 'application/json'
+
+    [response.dig('status', 'code'), { 'content-type' => content_type }, [content]]
+  end
+
+  def control(request)
+    if request.put?
+      body = JSON.parse(request.body.read)
+      requested = body['scenario'] if body.is_a?(Hash)
+      return json(422, { error: "Scenario must be one of: #{SCENARIOS.join(', ')}" }) unless SCENARIOS.include?(requested)
+
+      @scenario = requested
+    end
+    json(200, { scenario: scenario })
+  rescue JSON::ParserError
+    json(422, { error: 'Body must be valid JSON' })
+  end
+
+  def json(status, body)
+    [status, { 'content-type' => 'application/json' }, [body.to_json]]
+  end
+end
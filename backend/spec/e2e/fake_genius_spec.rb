@@ -0,0 +1,50 @@
+# frozen_string_literal: true
+
+require 'spec_helper'
+require_relative 'fake_genius'
+
+RSpec.describe FakeGenius do
+  let(:app) { described_class.new(File.expand_path('cassettes', __dir__)) }
+  let(:client) { Rack::MockRequest.new(app) }
+
+  def set_scenario(body)
+    client.put(FakeGenius::CONTROL_PATH, input: body)
+  end
+
+  it 'replays a recorded response whatever the parameter order' do
+    response = client.get('/artists/9001/songs?sort=popularity&per_page=50&page=2')
+
+    expect(response.status).to eq(200)
+    expect(response.content_type).to eq('application/json; charset=utf-8')
+    expect(JSON.parse(response.body).dig('response', 'next_page')).to be_nil
+  end
+
+  it 'decodes query parameters before matching' do
+    response = client.get('/search?q=The+Fixtures')
+
+    expect(JSON.parse(response.body).dig('response', 'hits').length).to eq(3)
+  end
+
+  it 'answers 500 for requests that were never recorded' do
+    response = nil
+    expect { response = client.get('/artists/9001/songs?page=3&per_page=50&sort=popularity') }
+      .to output(/No recorded interaction/).to_stderr
+
+    expect(response.status).to eq(500)
+  end
+
+  it 'fails every request while the scenario is down' do
+    expect(set_scenario({ scenario: 'down' }.to_json).status).to eq(200)
+    expect(client.get('/search?q=The%20Fixtures').status).to eq(503)
+
+    set_scenario({ scenario: 'normal' }.to_json)
+    expect(client.get('/search?q=The%20Fixtures').status).to eq(200)
+  end
+
+  it 'rejects unknown scenarios' do
+    response = set_scenario({ scenario: 'flaky' }.to_json)
+
+    expect(response.status).to eq(422)
+    expect(app.scenario).to eq('normal')
+  end
+end
@@ -94,6 +94,76 @@ RSpec.describe 'Artists API', type: :request do
       end
     end
 
+    context 'with a picked artist_id' do
+      it 'looks songs up by that id' do
+        expect_any_instance_of(GeniusService).to receive(:search_artist_songs)
+          .with('Nirvana', page: 2, per_page: 50, artist_id: 123)
+          .and_return({ artist: { name: 'Nirvana', id: 123 }, songs: [], pagination: {}, meta: {} })
+
+        get '/api/v1/artists/Nirvana/songs', params: { artist_id: 123, page: 2 }
+
+        expect(response).to have_http_status(:ok)
+      end
+
+      it 'returns 404 when Genius has no artist with that id' do
+        allow_any_instance_of(GeniusClient).to receive(:get_json)
+          .with('/artists/999999/songs', anything)
+          .and_raise(GeniusClient::NotFoundError, 'API request failed (404)')
+
+        get '/api/v1/artists/Nirvana/songs', params: { artist_id: 999_999 }
+
+        expect(response).to have_http_status(:not_found)
+        json = JSON.parse(response.body, symbolize_names: true)
+        expect(json[:error]).to eq('Artist ID 999999 not found')
+      end
+
+      it 'returns 422 for a non-numeric id' do
+        get '/api/v1/artists/Nirvana/songs', params: { artist_id: 'abc' }
+
+        expect(response).to have_http_status(:unprocessable_content)
+        json = JSON.parse(response.body, symbolize_names: true)
+        expect(json[:error]).to include('Artist ID')
+      end
+    end
+
+    context 'with a sort order and year range' do
+      it 'passes them to the service' do
+        expect_any_instance_of(GeniusService).to receive(:search_artist_songs)
+          .with('Nirvana', page: 1, per_page: 50, artist_id: nil, sort: 'title', year_from: 1990, year_to: 1994)
+          .and_return({ artist: { name: 'Nirvana', id: 123 }, songs: [], pagination: {}, meta: {} })
+
+        get '/api/v1/artists/Nirvana/songs', params: { sort: 'title', year_from: 1990, year_to: 1994 }
+
+        expect(response).to have_http_status(:ok)
+      end
+
+      it 'leaves blank parameters to the service defaults' do
+        expect_any_instance_of(GeniusService).to receive(:search_artist_songs)
+          .with('Nirvana', page: 1, per_page: 50, artist_id: nil)
+          .and_return({ artist: { name: 'Nirvana', id: 123 }, songs: [], pagination: {}, meta: {} })
+
+        get '/api/v1/artists/Nirvana/songs', params: { sort: '', year_from: '', year_to: '' }
+
+        expect(response).to have_http_status(:ok)
+      end
+
+      it 'returns 422 for an unknown sort order' do
+        get '/api/v1/artists/Nirvana/songs', params: { sort: 'pageviews' }
+
+        expect(response).to have_http_status(:unprocessable_content)
+        json = JSON.parse(response.body, symbolize_names: true)
+        expect(json[:error]).to include('Sort must be one of')
+      end
+
+      it 'returns 422 for a non-numeric year' do
+        get '/api/v1/artists/Nirvana/songs', params: { year_from: 'abc' }
+
+        expect(response).to have_http_status(:unprocessable_content)
+        json = JSON.parse(response.body, symbolize_names: true)
+        expect(json[:error]).to include('Year must be')
+      end
+    end
+
     context 'with invalid artist' do
       it 'returns 404', :vcr do
         get '/api/v1/artists/asdfghjklzxcvbnm/songs'
@@ -171,7 +241,49 @@ RSpec.describe 'Artists API', type: :request do
         expect(response).to have_http_status(:too_many_requests)
         json = JSON.parse(response.body, symbolize_names: true)
         expect(json[:error]).to include('Rate limit exceeded')
+
+        # Seconds until the one-minute throttle window resets
+        expect(response.headers['Retry-After'].to_i).to be_between(1, 60)
+        expect(json[:retry_after]).to eq(response.headers['Retry-After'].to_i)
       end
     end
   end
+
+  describe 'GET /api/v1/artists/:name/candidates' do
+    it 'returns candidate artists' do
+      allow_any_instance_of(GeniusService).to receive(:artist_candidates).with('Genesis').and_return({
+        query: 'Genesis',
+        ambiguous: true,
+        candidates: [
+          { id: 1, name: 'Genesis', image_url: nil, url: 'https://genius.com/artists/Genesis', exact: true },
+          { id: 2, name: 'Genesis', image_url: nil, url: 'https://genius.com/artists/Genesis-2', exact: true }
+        ]
+      })
+
+      get '/api/v1/artists/Genesis/candidates'
+
+      expect(response).to have_http_status(:ok)
+      json = JSON.parse(response.body, symbolize_names: true)
+      expect(json[:ambiguous]).to be true
+      expect(json[:candidates].pluck(:id)).to eq([1, 2])
+    end
+
+    it 'returns 404 when nothing matches' do
+      allow_any_instance_of(GeniusService).to receive(:artist_candidates)
+        .and_raise(GeniusService::ArtistNotFoundError, "Artist 'zzz' not found")
+
+      get '/api/v1/artists/zzz/candidates'
+
+      expect(response).to have_http_status(:not_found)
+    end
+
+    it 'returns 502 for API errors' do
+      allow_any_instance_of(GeniusService).to receive(:artist_candidates)
+        .and_raise(GeniusService::ApiError, 'API is down')
+
+      get '/api/v1/artists/Genesis/candidates'
+
+      expect(response).to have_http_status(:bad_gateway)
+    end
+  end
 end
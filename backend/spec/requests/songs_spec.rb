@@ -0,0 +1,58 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe 'Songs API', type: :request do
+  describe 'GET /api/v1/songs/:id' do
+    it 'returns song details' do
+      allow_any_instance_of(SongDetailService).to receive(:song_details).with(42).and_return({
+        song: { id: 42, title: 'Hotline Bling', relationships: [] },
+        meta: { fetched_at: Time.current, cached: false, stale: false, api_unavailable: false }
+      })
+
+      get '/api/v1/songs/42'
+
+      expect(response).to have_http_status(:ok)
+      json = JSON.parse(response.body, symbolize_names: true)
+      expect(json[:song][:title]).to eq('Hotline Bling')
+      expect(json[:meta]).to include(:fetched_at, :cached)
+    end
+
+    it 'returns 422 for a non-numeric id' do
+      get '/api/v1/songs/abc'
+
+      expect(response).to have_http_status(:unprocessable_content)
+      json = JSON.parse(response.body, symbolize_names: true)
+      expect(json[:error]).to include('positive')
+    end
+
+    it 'returns 404 for unknown songs' do
+      allow_any_instance_of(SongDetailService).to receive(:song_details)
+        .and_raise(GeniusService::SongNotFoundError, 'Song 42 not found')
+
+      get '/api/v1/songs/42'
+
+      expect(response).to have_http_status(:not_found)
+      json = JSON.parse(response.body, symbolize_names: true)
+      expect(json[:error]).to eq('Song 42 not found')
+    end
+
+    it 'returns 502 for API errors' do
+      allow_any_instance_of(SongDetailService).to receive(:song_details)
+        .and_raise(GeniusService::ApiError, 'API is down')
+
+      get '/api/v1/songs/42'
+
+      expect(response).to have_http_status(:bad_gateway)
+    end
+
+    it 'returns 504 for timeout errors' do
+      allow_any_instance_of(SongDetailService).to receive(:song_details)
+        .and_raise(GeniusService::TimeoutError, 'Request timed out')
+
+      get '/api/v1/songs/42'
+
+      expect(response).to have_http_status(:gateway_timeout)
+    end
+  end
+end
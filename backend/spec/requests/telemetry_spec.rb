@@ -0,0 +1,29 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe 'Telemetry API', type: :request do
+  describe 'POST /api/v1/telemetry' do
+    # Beacons are sent as text/plain, so the body is not form or JSON params
+    def post_beacon(body)
+      post '/api/v1/telemetry', params: body, headers: { 'Content-Type' => 'text/plain' }
+    end
+
+    it 'logs the batch and returns 204' do
+      allow(Rails.logger).to receive(:info)
+
+      post_beacon({ session: 'abc123', events: [{ type: 'load_more', at: 1, depth: 3 }] }.to_json)
+
+      expect(response).to have_http_status(:no_content)
+      expect(Rails.logger).to have_received(:info).with(a_string_including('[telemetry]', '"depth":3', '"session":"abc123"'))
+    end
+
+    it 'returns 422 for a malformed batch' do
+      post_beacon('{nope')
+
+      expect(response).to have_http_status(:unprocessable_content)
+      json = JSON.parse(response.body, symbolize_names: true)
+      expect(json[:error]).to include('valid JSON')
+    end
+  end
+end
@@ -153,6 +153,133 @@ RSpec.describe GeniusService do
       end
     end
 
+    context 'with a picked artist_id' do
+      let(:client) { instance_double(Faraday::Connection) }
+      let(:songs_body) do
+        { response: { songs: [{ id: 9, title: 'Smells Like Teen Spirit', url: 'https://genius.com/9' }], next_page: 2 } }.to_json
+      end
+
+      before do
+        Rails.cache.clear
+        allow(Faraday).to receive(:new).and_return(client)
+        allow(client).to receive(:get).and_return(instance_double(Faraday::Response, body: songs_body))
+      end
+
+      it 'fetches songs by id without searching' do
+        result = service.search_artist_songs('Nirvana', page: 2, artist_id: 123)
+
+        expect(client).to have_received(:get).with('/artists/123/songs', hash_including(page: 2))
+        expect(client).not_to have_received(:get).with('/search', anything)
+        expect(result[:artist]).to eq(name: 'Nirvana', id: 123)
+        expect(result[:pagination][:has_next]).to be true
+      end
+
+      it 'serves later requests for the same id from cache' do
+        service.search_artist_songs('Nirvana', artist_id: 123)
+        result = service.search_artist_songs('Nirvana', artist_id: 123)
+
+        expect(client).to have_received(:get).once
+        expect(result[:meta][:cached]).to be true
+      end
+
+      it 'rejects non-positive ids' do
+        expect do
+          service.search_artist_songs('Nirvana', artist_id: 0)
+        end.to raise_error(ArgumentError, /Artist ID/)
+      end
+    end
+
+    context 'with a sort order and year range' do
+      let(:client) { instance_double(Faraday::Connection) }
+      let(:songs_body) do
+        {
+          response: {
+            songs: [
+              { id: 1, title: 'Lithium', release_date_components: { year: 1991, month: 9, day: 24 } },
+              { id: 2, title: 'Heart-Shaped Box', release_date_components: nil, release_date_for_display: 'August 30, 1993' },
+              { id: 3, title: 'Sliver', release_date_components: nil, release_date_for_display: nil }
+            ],
+            next_page: 2
+          }
+        }.to_json
+      end
+
+      before do
+        Rails.cache.clear
+        allow(Faraday).to receive(:new).and_return(client)
+        allow(client).to receive(:get).and_return(instance_double(Faraday::Response, body: songs_body))
+      end
+
+      it 'asks Genius for popularity order by default' do
+        service.search_artist_songs('Nirvana', artist_id: 123)
+
+        expect(client).to have_received(:get).with('/artists/123/songs', hash_including(sort: 'popularity'))
+      end
+
+      it 'passes the sort order through' do
+        service.search_artist_songs('Nirvana', artist_id: 123, sort: 'release_date')
+
+        expect(client).to have_received(:get).with('/artists/123/songs', hash_including(sort: 'release_date'))
+      end
+
+      it 'keeps songs released within the range and drops undated ones' do
+        result = service.search_artist_songs('Nirvana', artist_id: 123, year_from: 1992)
+
+        expect(result[:songs].pluck(:title)).to eq(['Heart-Shaped Box'])
+        expect(result[:pagination][:has_next]).to be true
+      end
+
+      it 'treats both bounds as inclusive' do
+        result = service.search_artist_songs('Nirvana', artist_id: 123, year_from: 1991, year_to: 1991)
+
+        expect(result[:songs].pluck(:title)).to eq(['Lithium'])
+      end
+
+      it 'returns every song without a range' do
+        result = service.search_artist_songs('Nirvana', artist_id: 123)
+
+        expect(result[:songs].length).to eq(3)
+      end
+
+      it 'caches each sort order and year range separately' do
+        service.search_artist_songs('Nirvana', artist_id: 123)
+        service.search_artist_songs('Nirvana', artist_id: 123, sort: 'title')
+        service.search_artist_songs('Nirvana', artist_id: 123, sort: 'title', year_to: 1992)
+        result = service.search_artist_songs('Nirvana', artist_id: 123, sort: 'title')
+
+        expect(client).to have_received(:get).exactly(3).times
+        expect(result[:meta][:cached]).to be true
+      end
+
+      it 'rejects an unknown sort order' do
+        expect do
+          service.search_artist_songs('Nirvana', sort: 'pageviews')
+        end.to raise_error(ArgumentError, /Sort must be one of: popularity, title, release_date/)
+      end
+
+      it 'rejects years outside 1900-2100' do
+        expect do
+          service.search_artist_songs('Nirvana', year_from: 0)
+        end.to raise_error(ArgumentError, /Year must be 1900-2100/)
+
+        expect do
+          service.search_artist_songs('Nirvana', year_to: 2101)
+        end.to raise_error(ArgumentError, /Year must be 1900-2100/)
+      end
+
+      it 'rejects a range that ends before it starts' do
+        expect do
+          service.search_artist_songs('Nirvana', year_from: 2000, year_to: 1990)
+        end.to raise_error(ArgumentError, /must not be after/)
+      end
+
+      it 'rejects unknown options' do
+        expect do
+          service.search_artist_songs('Nirvana', order: 'title')
+        end.to raise_error(ArgumentError, /Unknown option: order/)
+      end
+    end
+
     context 'API resilience with name→ID mapping cache' do
       it 'serves stale cache when API is down but cache exists' do
         Rails.cache.clear
@@ -248,4 +375,84 @@ RSpec.describe GeniusService do
       end
     end
   end
+
+  describe '#artist_candidates' do
+    let(:client) { instance_double(Faraday::Connection) }
+
+    def hit(id, name)
+      { result: { primary_artist: { id: id, name: name, image_url: "https://images.genius.com/#{id}.png",
+                                    url: "https://genius.com/artists/#{id}" } } }
+    end
+
+    def stub_search(*hits)
+      body = { response: { hits: hits } }.to_json
+      allow(client).to receive(:get).with('/search', q: anything)
+                                    .and_return(instance_double(Faraday::Response, body: body))
+    end
+
+    before do
+      Rails.cache.clear
+      allow(Faraday).to receive(:new).and_return(client)
+    end
+
+    it 'returns distinct primary artists with image and id' do
+      stub_search(hit(1, 'Nirvana'), hit(1, 'Nirvana'), hit(2, 'Nirvana (UK)'))
+
+      result = service.artist_candidates('Nirvana')
+
+      expect(result[:candidates].pluck(:id)).to eq([1, 2])
+      expect(result[:candidates].first).to eq(
+        id: 1, name: 'Nirvana', image_url: 'https://images.genius.com/1.png',
+        url: 'https://genius.com/artists/1', exact: true
+      )
+    end
+
+    it 'is not ambiguous with a single exact match' do
+      stub_search(hit(1, 'Nirvana'), hit(2, 'Nirvana (UK)'))
+
+      expect(service.artist_candidates('nirvana')[:ambiguous]).to be false
+    end
+
+    it 'is ambiguous when several artists share the name' do
+      stub_search(hit(1, 'Genesis'), hit(2, 'Genesis'))
+
+      expect(service.artist_candidates('Genesis')[:ambiguous]).to be true
+    end
+
+    it 'is ambiguous without an exact match' do
+      stub_search(hit(1, 'Kendrick Lamar'), hit(2, 'Baby Keem'))
+
+      expect(service.artist_candidates('Kendrik')[:ambiguous]).to be true
+    end
+
+    it 'is not ambiguous with a single candidate' do
+      stub_search(hit(1, 'Kendrick Lamar'))
+
+      expect(service.artist_candidates('Kendrik')[:ambiguous]).to be false
+    end
+
+    it 'raises ArtistNotFoundError without hits' do
+      stub_search
+
+      expect do
+        service.artist_candidates('asdfghjklzxcvbnm')
+      end.to raise_error(GeniusService::ArtistNotFoundError, /not found/)
+    end
+
+    it 'raises ArgumentError for blank name' do
+      expect do
+        service.artist_candidates(' ')
+      end.to raise_error(ArgumentError, /required/)
+    end
+
+    it 'caches candidates by normalized name' do
+      stub_search(hit(1, 'Genesis'), hit(2, 'Genesis'))
+
+      service.artist_candidates('Genesis')
+      result = service.artist_candidates(' GENESIS ')
+
+      expect(client).to have_received(:get).once
+      expect(result[:candidates].length).to eq(2)
+    end
+  end
 end
@@ -0,0 +1,105 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe SongDetailService do
+  let(:service) { described_class.new }
+  let(:client) { instance_double(Faraday::Connection) }
+  let(:song) do
+    {
+      id: 378_195,
+      title: 'Hotline Bling',
+      full_title: 'Hotline Bling by Drake',
+      url: 'https://genius.com/Drake-hotline-bling-lyrics',
+      release_date_for_display: 'October 19, 2015',
+      song_art_image_url: 'https://images.genius.com/art.jpg',
+      stats: { pageviews: 5_000_000 },
+      album: { id: 1, name: 'Views', url: 'https://genius.com/albums/Drake/Views', cover_art_url: 'https://images.genius.com/views.jpg' },
+      primary_artist: { id: 130, name: 'Drake', url: 'https://genius.com/artists/Drake', image_url: 'https://images.genius.com/drake.jpg' },
+      featured_artists: [],
+      producer_artists: [{ id: 2, name: 'Nineteen85', url: 'https://genius.com/artists/Nineteen85', image_url: nil }],
+      song_relationships: [
+        { relationship_type: 'samples', songs: [
+          { id: 3, title: 'Why Can\'t We Live Together', url: 'https://genius.com/3', primary_artist: { name: 'Timmy Thomas' } }
+        ] },
+        { relationship_type: 'covered_by', songs: [] }
+      ]
+    }
+  end
+
+  def stub_song(body)
+    allow(client).to receive(:get).with('/songs/378195', text_format: 'plain')
+                                  .and_return(instance_double(Faraday::Response, body: body.to_json))
+  end
+
+  before do
+    Rails.cache.clear
+    allow(Faraday).to receive(:new).and_return(client)
+  end
+
+  describe '#song_details' do
+    it 'returns expanded song metadata' do
+      stub_song(response: { song: song })
+
+      result = service.song_details(378_195)
+
+      expect(result[:song]).to include(
+        id: 378_195,
+        title: 'Hotline Bling',
+        release_date: 'October 19, 2015',
+        artwork_url: 'https://images.genius.com/art.jpg',
+        pageviews: 5_000_000,
+        featured_artists: []
+      )
+      expect(result[:song][:album]).to include(name: 'Views')
+      expect(result[:song][:producer_artists].pluck(:name)).to eq(['Nineteen85'])
+      expect(result[:meta]).to include(cached: false, stale: false, api_unavailable: false)
+    end
+
+    it 'keeps only relationships that have songs' do
+      stub_song(response: { song: song })
+
+      relationships = service.song_details(378_195)[:song][:relationships]
+
+      expect(relationships).to eq([
+                                    { type: 'samples', songs: [
+                                      { id: 3, title: 'Why Can\'t We Live Together', url: 'https://genius.com/3', artist: 'Timmy Thomas' }
+                                    ] }
+                                  ])
+    end
+
+    it 'serves repeat requests from cache' do
+      stub_song(response: { song: song })
+
+      service.song_details(378_195)
+      result = service.song_details(378_195)
+
+      expect(client).to have_received(:get).once
+      expect(result[:meta][:cached]).to be true
+    end
+
+    it 'raises SongNotFoundError for a Genius 404' do
+      error = Faraday::ResourceNotFound.new('Not found')
+      error.instance_variable_set(:@response, { status: 404 })
+      allow(client).to receive(:get).and_raise(error)
+
+      expect do
+        service.song_details(378_195)
+      end.to raise_error(GeniusService::SongNotFoundError, /not found/)
+    end
+
+    it 'raises TimeoutError on request timeout' do
+      allow(client).to receive(:get).and_raise(Faraday::TimeoutError.new('timeout'))
+
+      expect do
+        service.song_details(378_195)
+      end.to raise_error(GeniusService::TimeoutError, /timed out/)
+    end
+
+    it 'raises ArgumentError for invalid ids' do
+      expect do
+        service.song_details(0)
+      end.to raise_error(ArgumentError, /positive/)
+    end
+  end
+end
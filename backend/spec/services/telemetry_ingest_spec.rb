@@ -0,0 +1,76 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe TelemetryIngest do
+  let(:lines) { [] }
+  let(:logger) { instance_double(ActiveSupport::Logger) }
+  let(:ingest) { described_class.new(logger: logger) }
+
+  before { allow(logger).to receive(:info) { |line| lines << line } }
+
+  def batch(*events, session: 'abc123')
+    { session: session, events: events }.to_json
+  end
+
+  def logged_events
+    lines.map { |line| JSON.parse(line.delete_prefix('[telemetry] ')) }
+  end
+
+  it 'logs each known event with the session' do
+    count = ingest.ingest(batch(
+                            { type: 'search', at: 1, latency_ms: 120, pages: 1, cached_pages: 0, live: false },
+                            { type: 'search_error', at: 2, category: 'rate_limit', status: 429, append: false }
+                          ))
+
+    expect(count).to eq(2)
+    expect(logged_events).to eq([
+                                  { 'type' => 'search', 'at' => 1, 'latency_ms' => 120, 'pages' => 1,
+                                    'cached_pages' => 0, 'live' => false, 'session' => 'abc123' },
+                                  { 'type' => 'search_error', 'at' => 2, 'category' => 'rate_limit', 'status' => 429,
+                                    'append' => false, 'session' => 'abc123' }
+                                ])
+  end
+
+  it 'drops unknown fields, nested values and unknown event types' do
+    count = ingest.ingest(batch(
+                            { type: 'web_vital', at: 1, name: 'LCP', value: 1200, query: { artist: 'Drake' }, artist: 'Drake' },
+                            { type: 'mystery', at: 2 },
+                            'not an event'
+                          ))
+
+    expect(count).to eq(1)
+    expect(logged_events).to eq([{ 'type' => 'web_vital', 'at' => 1, 'name' => 'LCP', 'value' => 1200, 'session' => 'abc123' }])
+  end
+
+  it 'truncates long strings' do
+    ingest.ingest(batch({ type: 'web_vital', at: 1, name: 'x' * 500, value: 1 }))
+
+    expect(logged_events.first['name'].length).to eq(described_class::MAX_STRING_LENGTH)
+  end
+
+  it 'rejects invalid JSON' do
+    expect { ingest.ingest('{nope') }.to raise_error(described_class::InvalidBatchError, /valid JSON/)
+  end
+
+  it 'rejects a body that is not an object' do
+    expect { ingest.ingest('[]') }.to raise_error(described_class::InvalidBatchError, /JSON object/)
+  end
+
+  it 'rejects a batch without events' do
+    expect { ingest.ingest(batch) }.to raise_error(described_class::InvalidBatchError, /non-empty/)
+    expect { ingest.ingest({ events: 'search' }.to_json) }.to raise_error(described_class::InvalidBatchError, /non-empty/)
+  end
+
+  it 'rejects batches with too many events' do
+    events = Array.new(described_class::MAX_EVENTS + 1) { { type: 'search', at: 1 } }
+
+    expect { ingest.ingest(batch(*events)) }.to raise_error(described_class::InvalidBatchError, /At most/)
+  end
+
+  it 'rejects oversized bodies before parsing' do
+    body = batch({ type: 'web_vital', at: 1, name: 'x' * described_class::MAX_BODY_BYTES })
+
+    expect { ingest.ingest(body) }.to raise_error(described_class::InvalidBatchError, /too large/)
+  end
+end
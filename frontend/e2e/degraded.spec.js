@@ -0,0 +1,39 @@
+import { test, expect, searchFor } from './fixtures';
+import { API_URL } from './urls';
+
+test.describe('degraded service', () => {
+  test('counts down when the backend throttles searches', async ({ page, request }) => {
+    // Spend this client's song-search budget (10 a minute) straight against the API
+    for (let i = 0; i < 10; i += 1) {
+      const response = await request.get(`${API_URL}/api/v1/artists/The%20Fixtures/songs`);
+      expect(response.status()).toBe(200);
+    }
+
+    await page.goto('/');
+    const throttled = page.waitForResponse((response) => response.url().includes('/songs'));
+    await searchFor(page, 'The Fixtures');
+
+    const response = await throttled;
+    expect(response.status()).toBe(429);
+    expect(Number(response.headers()['retry-after'])).toBeGreaterThan(0);
+    await expect(page.getByText("You're searching a little too fast.")).toBeVisible();
+    await expect(page.getByRole('button', { name: /^Wait \d+s$/ })).toBeDisabled();
+  });
+
+  test('serves the saved copy while Genius is down', async ({ page, genius }) => {
+    await page.goto('/');
+    await searchFor(page, 'The Fixtures');
+    await expect(page.getByText('Replay Me')).toBeVisible();
+
+    await genius.setScenario('down');
+    await page.reload();
+
+    await expect(page.getByText('These results may be out of date.')).toBeVisible();
+    await expect(page.getByText('Replay Me')).toBeVisible();
+
+    await genius.setScenario('normal');
+    await page.getByRole('button', { name: 'Retry live' }).click();
+
+    await expect(page.getByText('These results may be out of date.')).toBeHidden();
+  });
+});
@@ -0,0 +1,45 @@
+import { randomInt } from 'node:crypto';
+import { test as base, expect } from '@playwright/test';
+import { FAKE_GENIUS_URL } from './urls';
+
+const isLocal = (url) => ['localhost', '127.0.0.1'].includes(new URL(url).hostname);
+
+// Rack::Attack throttles by client IP, and every request here comes from
+// 127.0.0.1, which would make one spec's searches count against the next.
+// Rack takes the client from X-Forwarded-For when the peer is local, so each
+// test gets an address of its own.
+const randomClientIp = () => `10.${randomInt(256)}.${randomInt(256)}.${randomInt(1, 255)}`;
+
+export const test = base.extend({
+  extraHTTPHeaders: async ({ extraHTTPHeaders }, use) => {
+    await use({ ...extraHTTPHeaders, 'X-Forwarded-For': randomClientIp() });
+  },
+
+  // Anything that isn't part of the local stack is refused, so a spec can't
+  // pass by quietly reaching the internet
+  context: async ({ context }, use) => {
+    await context.route((url) => !isLocal(url.href), (route) => route.abort('blockedbyclient'));
+    await use(context);
+  },
+
+  // Switches the fake Genius API between 'normal' and 'down', and back to
+  // 'normal' after the test
+  genius: async ({ playwright }, use) => {
+    const control = await playwright.request.newContext({ baseURL: FAKE_GENIUS_URL });
+    const setScenario = async (scenario) => {
+      const response = await control.put('/__fake_genius/scenario', { data: { scenario } });
+      expect(response.ok()).toBe(true);
+    };
+
+    await use({ setScenario });
+    await setScenario('normal');
+    await control.dispose();
+  }
+});
+
+export { expect };
+
+export const searchFor = async (page, artist) => {
+  await page.getByRole('combobox', { name: 'Artist name' }).fill(artist);
+  await page.getByRole('button', { name: 'Search', exact: true }).click();
+};
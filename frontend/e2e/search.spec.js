@@ -0,0 +1,48 @@
+import { test, expect, searchFor } from './fixtures';
+
+// Song pages requested from the backend, in order
+const trackSongPages = (page) => {
+  const pages = [];
+  page.on('request', (request) => {
+    const url = new URL(request.url());
+    if (url.pathname.endsWith('/songs')) pages.push(Number(url.searchParams.get('page')));
+  });
+  return pages;
+};
+
+test.describe('search', () => {
+  test('lists the songs for an artist and makes the search shareable', async ({ page }) => {
+    await page.goto('/');
+    await searchFor(page, 'The Fixtures');
+
+    await expect(page.getByText('Replay Me')).toBeVisible();
+    await expect(page.getByText('Recorded Live')).toBeVisible();
+    await expect(page).toHaveURL(/artist=The(\+|%20)Fixtures/);
+  });
+
+  test('pages through to the end of the list', async ({ page }) => {
+    const songPages = trackSongPages(page);
+    await page.goto('/');
+    await searchFor(page, 'The Fixtures');
+
+    // The first page is short, so infinite scroll asks for the next one at once
+    await expect(page.getByText('Last Track')).toBeVisible();
+    await expect(page.getByText("That's all the songs! 🎉")).toBeVisible();
+    await expect(page).toHaveURL(/pages=2/);
+    expect(songPages).toEqual([1, 2]);
+  });
+
+  test('restores every page from a shared link', async ({ page }) => {
+    await page.goto('/?artist=The+Fixtures&pages=2');
+
+    await expect(page.getByText('Replay Me')).toBeVisible();
+    await expect(page.getByText('Offline Anthem')).toBeVisible();
+  });
+
+  test('reports an artist Genius has never heard of', async ({ page }) => {
+    await page.goto('/');
+    await searchFor(page, 'Nobody Here');
+
+    await expect(page.getByRole('alert')).toContainText("Artist 'Nobody Here' not found");
+  });
+});
@@ -0,0 +1,4 @@
+// Where playwright.config.js starts each part of the stack
+export const APP_URL = 'http://localhost:3000';
+export const API_URL = 'http://127.0.0.1:3001';
+export const FAKE_GENIUS_URL = 'http://127.0.0.1:4010';
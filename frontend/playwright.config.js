@@ -0,0 +1,58 @@
+// End-to-end specs (e2e/) run the real stack: the React dev server, Rails in
+// its test environment (in-memory cache, no Redis) and a fake Genius API that
+// replays backend/spec/e2e/cassettes. Nothing leaves the machine, so it runs
+// offline once the browser is installed (`npx playwright install chromium`).
+import { defineConfig, devices } from '@playwright/test';
+import { API_URL, APP_URL, FAKE_GENIUS_URL } from './e2e/urls';
+
+export default defineConfig({
+  testDir: './e2e',
+  // The specs share one backend and switch the fake Genius between scenarios
+  workers: 1,
+  forbidOnly: Boolean(process.env.CI),
+  retries: process.env.CI ? 1 : 0,
+  reporter: process.env.CI ? [['list'], ['html', { open: 'never' }]] : 'list',
+  use: {
+    baseURL: APP_URL,
+    // Cached app shells and API responses would hide what the backend returns
+    serviceWorkers: 'block',
+    trace: 'retain-on-failure'
+  },
+  projects: [
+    { name: 'chromium', use: { ...devices['Desktop Chrome'] } }
+  ],
+  webServer: [
+    {
+      command: 'bundle exec puma -C - -b tcp://127.0.0.1:4010 spec/e2e/fake_genius.ru',
+      cwd: '../backend',
+      url: `${FAKE_GENIUS_URL}/__fake_genius/scenario`,
+      reuseExistingServer: !process.env.CI
+    },
+    {
+      command: 'bundle exec rails server -b 127.0.0.1 -p 3001',
+      cwd: '../backend',
+      url: `${API_URL}/up`,
+      env: {
+        RAILS_ENV: 'test',
+        GENIUS_API_BASE_URL: FAKE_GENIUS_URL,
+        GENIUS_API_KEY: 'e2e'
+      },
+      reuseExistingServer: !process.env.CI,
+      timeout: 120 * 1000
+    },
+    {
+      command: 'npm start',
+      url: APP_URL,
+      env: {
+        BROWSER: 'none',
+        PORT: '3000',
+        REACT_APP_API_URL: API_URL,
+        REACT_APP_TELEMETRY_URL: '',
+        // The specs are about the real backend; keep the dev mock API off
+        REACT_APP_MOCK_API: ''
+      },
+      reuseExistingServer: !process.env.CI,
+      timeout: 120 * 1000
+    }
+  ]
+});
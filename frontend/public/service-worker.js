@@ -0,0 +1,157 @@
+/* eslint-disable no-restricted-globals */
+
+// Hand-written service worker (no Workbox dependency), registered from
+// src/serviceWorkerRegistration.js in production builds.
+//
+// - App shell: navigations are network-first with the cached index.html as the
+//   offline fallback; hashed /static/ assets are cache-first.
+// - Song searches (/api/v1/artists/:name/songs): network-first while online,
+//   so "Retry live" really asks the server, with the last good copy of each
+//   page kept for offline use (stale fallback pages aren't kept, and only the
+//   most recent MAX_API_ENTRIES are). On a slow connection a saved copy
+//   answers after NETWORK_TIMEOUT_MS while the request carries on in the
+//   background to refresh it. Responses served from the cache carry
+//   `X-Served-From: sw-cache`. A miss while offline gets a 503 with
+//   `X-Served-From: sw-offline`; a miss while online lets the network error
+//   through, so the app can tell a stopped server from a lost connection.
+
+const VERSION = 'v2';
+const SHELL_CACHE = `shell-${VERSION}`;
+const API_CACHE = `api-${VERSION}`;
+const SHELL_URLS = ['/', '/index.html', '/manifest.json', '/favicon.ico', '/logo192.png'];
+const SONGS_PATH = /^\/api\/v1\/artists\/[^/]+\/songs$/;
+const MAX_API_ENTRIES = 100;
+const NETWORK_TIMEOUT_MS = 3000;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_URLS))
+  );
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys().then(keys => Promise.all(
+      keys
+        .filter(key => key !== SHELL_CACHE && key !== API_CACHE)
+        .map(key => caches.delete(key))
+    )).then(() => self.clients.claim())
+  );
+});
+
+const withHeaders = async (response, extraHeaders) => {
+  const headers = new Headers(response.headers);
+  Object.entries(extraHeaders).forEach(([name, value]) => headers.set(name, value));
+
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+};
+
+const offlineResponse = () => new Response(
+  JSON.stringify({ error: "You're offline and this search isn't saved on this device yet." }),
+  {
+    status: 503,
+    headers: { 'Content-Type': 'application/json', 'X-Served-From': 'sw-offline' }
+  }
+);
+
+const isOffline = () => self.navigator.onLine === false;
+
+// Keeps a successful page for offline use unless it is itself the backend's
+// stale fallback, then drops the oldest entries beyond MAX_API_ENTRIES
+// (cache.put moves a replaced entry to the end of keys())
+const storeForOffline = async (cache, request, response) => {
+  if (!response.ok) return;
+
+  const data = await response.clone().json().catch(() => null);
+  if (!data || data.meta?.stale) return;
+
+  await cache.put(request, await withHeaders(response, { 'X-SW-Cached-At': new Date().toISOString() }));
+
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_API_ENTRIES)).map(key => cache.delete(key)));
+};
+
+const timeout = (ms) => new Promise(resolve => setTimeout(() => resolve(null), ms));
+
+const networkFirstSongs = async (event) => {
+  const cache = await caches.open(API_CACHE);
+  const cached = await cache.match(event.request);
+  const fromCache = () => withHeaders(cached, { 'X-Served-From': 'sw-cache' });
+
+  if (isOffline()) return cached ? fromCache() : offlineResponse();
+
+  const network = fetch(event.request);
+  // Saves the answer even when the cached copy was served first
+  event.waitUntil(
+    network
+      .then(response => storeForOffline(cache, event.request, response.clone()))
+      .catch(() => {})
+  );
+
+  if (!cached) {
+    try {
+      return await network;
+    } catch (err) {
+      if (isOffline()) return offlineResponse();
+      throw err;
+    }
+  }
+
+  try {
+    const response = await Promise.race([network, timeout(NETWORK_TIMEOUT_MS)]);
+    if (response) return response;
+  } catch {
+    // No answer: fall back to the saved copy
+  }
+  return fromCache();
+};
+
+const networkFirstNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put('/index.html', response.clone());
+    }
+    return response;
+  } catch (err) {
+    return (await caches.match('/index.html')) || Response.error();
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (SONGS_PATH.test(url.pathname)) {
+    event.respondWith(networkFirstSongs(event));
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstNavigation(request));
+  } else if (url.pathname.startsWith('/static/')) {
+    event.respondWith(cacheFirst(request));
+  }
+});
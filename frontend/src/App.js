@@ -1,153 +1,715 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useMemo } from 'react';
 import ArtistSearch from './components/ArtistSearch';
 import SongList from './components/SongList';
+import SongToolbar from './components/SongToolbar';
+import ExportMenu from './components/ExportMenu';
+import ReleaseTimeline from './components/ReleaseTimeline';
+import StaleDataBanner from './components/StaleDataBanner';
+import CacheStatus from './components/CacheStatus';
+import RateLimitNotice from './components/RateLimitNotice';
+import OfflineIndicator from './components/OfflineIndicator';
+import ArtistPicker from './components/ArtistPicker';
+import SongDetailDrawer from './components/SongDetailDrawer';
+import CompareView from './components/CompareView';
+import ShortcutHelp from './components/ShortcutHelp';
+import LiveAnnouncer from './components/LiveAnnouncer';
+import LibraryPanel from './components/LibraryPanel';
+import LocaleSwitcher from './components/LocaleSwitcher';
+import ThemeToggle from './components/ThemeToggle';
+import TelemetryToggle from './components/TelemetryToggle';
+import useSearchHistory from './hooks/useSearchHistory';
+import useCountdown from './hooks/useCountdown';
+import useOnlineStatus from './hooks/useOnlineStatus';
+import useArtistColumns from './hooks/useArtistColumns';
+import useLibrary from './hooks/useLibrary';
+import useKeyboardShortcuts from './hooks/useKeyboardShortcuts';
+import useAnnouncer from './hooks/useAnnouncer';
+import useDebouncedCallback from './hooks/useDebouncedCallback';
+import useSongSearch from './hooks/useSongSearch';
+import useI18n from './hooks/useI18n';
+import useTelemetry from './hooks/useTelemetry';
+import { fetchArtistCandidates, liveSearchCache, songSearchLimiter } from './api/client';
+import { OfflineError, RateLimitError, isAbortError } from './api/errors';
+import { pushSearchState, pushSongState, readSearchState, replaceSearchState } from './utils/searchUrl';
+import { DEFAULT_FILTERS, DEFAULT_LISTING, applySongFilters, hasActiveFilters, hasYearRange } from './utils/songFilters';
+import {
+  loadMoreAnnouncement,
+  rateLimitAnnouncement,
+  resultsAnnouncement,
+  searchingAnnouncement
+} from './utils/announcements';
+import { isLiveQuery, liveSearchDelay } from './utils/liveSearch';
+import { errorMessage } from './utils/errorMessages';
+import { errorCategory } from './telemetry/telemetry';
 import logo from './logo.png';
 import './App.css';
 
-const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+// Identifies which results are on screen, independent of depth or open song
+const searchKey = (artistName, artistId, listing) =>
+  [artistName, artistId || '', listing.sort, listing.yearFrom ?? '', listing.yearTo ?? ''].join('|');
 
 function App() {
-  const [songs, setSongs] = useState([]);
-  const [pagination, setPagination] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [loadingMore, setLoadingMore] = useState(false);
-  const [error, setError] = useState(null);
-  const [currentArtist, setCurrentArtist] = useState('');
-  const abortControllerRef = useRef(null);
-
-  const fetchSongs = async (artistName, page = 1, append = false) => {
-    // Cancel previous request if starting a new search (not appending)
-    if (!append && abortControllerRef.current) {
-      abortControllerRef.current.abort();
-    }
+  const { t } = useI18n();
+  const { track } = useTelemetry();
+  // Songs, pagination, loading and error state for the single-artist search
+  const songSearch = useSongSearch();
+  const {
+    songs,
+    pagination,
+    pageMeta,
+    loading,
+    loadingMore,
+    error,
+    artist,
+    artistName: currentArtist,
+    artistId: currentArtistId,
+    listing: currentListing,
+    reset: resetSongSearch,
+    clearError: clearSongSearchError
+  } = songSearch;
+  // Applied on every render, so pages appended by Load More are filtered too
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  // Sort order and year range for the next search; the server applies them,
+  // so the loaded pages keep theirs (currentListing) until a search succeeds
+  const [listing, setListing] = useState(DEFAULT_LISTING);
+  const [showTimeline, setShowTimeline] = useState(false);
+  // { query, candidates, depth } while waiting for the user to pick an artist
+  const [artistChoices, setArtistChoices] = useState(null);
+  // Set from a 429 (or the local limiter); searching is paused until then
+  const [rateLimitedUntil, setRateLimitedUntil] = useState(null);
+  // Last request made while throttled, as fetchSongs arguments
+  const [queuedRequest, setQueuedRequest] = useState(null);
+  const [autoRetry, setAutoRetry] = useState(true);
+  const cooldownSeconds = useCountdown(rateLimitedUntil);
+  const rateLimited = cooldownSeconds > 0;
+  const online = useOnlineStatus();
+  // Request that failed because we're offline, replayed on reconnect
+  const [offlineRequest, setOfflineRequest] = useState(null);
+  // searchKey of the loaded results, so back/forward can tell a drawer change from a new search
+  const loadedSearchRef = useRef(null);
+  // Song shown in the detail drawer (?song=ID)
+  const [openSongId, setOpenSongId] = useState(null);
+  // 'single' search, or 'compare' several artists side by side
+  const [mode, setMode] = useState('single');
+  const [showLibrary, setShowLibrary] = useState(false);
+  // Keyboard-selected row in the visible (filtered) list
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  // Search-as-you-type: searches once typing pauses instead of on submit
+  const [liveSearch, setLiveSearch] = useState(false);
+  const searchInputRef = useRef(null);
+  // Where focus goes once results render: the heading after a search, the
+  // first new song after Load More
+  const resultsHeadingRef = useRef(null);
+  const [focusHeading, setFocusHeading] = useState(false);
+  const [songFocus, setSongFocus] = useState(null);
+  // Set when a loaded page added no visible rows. Like an active filter or
+  // year range it pauses infinite scroll, since the sentinel would stay in
+  // view and keep requesting; Load More still continues from there.
+  const [lastPageEmpty, setLastPageEmpty] = useState(false);
+  const { message: announcement, announce } = useAnnouncer();
+  // Comparison columns live here so switching modes keeps them
+  const compare = useArtistColumns();
+  const library = useLibrary();
+  const { history: recentSearches, record: recordSearch, clear: clearRecentSearches } = useSearchHistory();
 
-    // Create new abort controller for this request
-    const abortController = new AbortController();
-    if (!append) {
-      abortControllerRef.current = abortController;
-    }
+  // Pauses searching for `seconds`, telling screen readers once
+  const startCooldown = (seconds) => {
+    setRateLimitedUntil(Date.now() + seconds * 1000);
+    announce(rateLimitAnnouncement(t, seconds));
+  };
 
+  // Runs a song request through useSongSearch and reacts to the outcome; a
+  // superseded or cancelled request resolves null and changes nothing here.
+  // `depth` > 1 walks several pages (restoring a shared ?pages=N link), and a
+  // picked `artistId` pins every page to that artist. Every page of one
+  // search must be requested with the same `listing`. `live` searches come
+  // from typing: they answer from liveSearchCache when they can and leave
+  // focus in the search box.
+  const fetchSongs = async (artistName, page = 1, append = false, depth = 1, artistId = null, {
+    listing: requested = DEFAULT_LISTING,
+    live = false
+  } = {}) => {
     if (page === 1) {
-      setLoading(true);
-      setSongs([]);
+      setFilters(DEFAULT_FILTERS);
     } else {
-      setLoadingMore(true);
+      announce(t('announce.loadingMore'));
     }
+    setOfflineRequest(null);
+    setArtistChoices(null);
 
-    setError(null);
+    const startedAt = performance.now();
+    const result = await songSearch.fetchPages(artistName, {
+      page,
+      append,
+      depth,
+      artistId,
+      listing: requested,
+      cache: live ? liveSearchCache : null,
+      // A deep walk waits out the limit itself; this only shows the countdown
+      onWait: ({ waitSeconds }) => startCooldown(waitSeconds)
+    });
+    if (!result) return;
+    const latencyMs = Math.round(performance.now() - startedAt);
 
-    try {
-      const response = await fetch(
-        `${API_BASE}/api/v1/artists/${encodeURIComponent(artistName)}/songs?page=${page}&per_page=50`,
-        { signal: abortController.signal }
-      );
+    if (result.error) {
+      track('search_error', { category: errorCategory(result.error), status: result.error.status ?? null, append });
+      // Pages that loaded before the failure stay; a retry appends the rest
+      const request = result.resumeFrom
+        ? { artistName, page: result.resumeFrom, append: true, depth: page + depth - result.resumeFrom, artistId, listing: requested }
+        : { artistName, page, append, depth, artistId, listing: requested };
+      if (result.error instanceof RateLimitError) {
+        startCooldown(result.error.retryAfter ?? 60);
+        setQueuedRequest(request);
+      }
+      if (result.error instanceof OfflineError) {
+        setOfflineRequest(request);
+      }
+      if (result.resumeFrom) {
+        if (!append) {
+          loadedSearchRef.current = searchKey(artistName, artistId, requested);
+        }
+        replaceSearchState({ artist: artistName, pages: result.resumeFrom - 1, artistId, listing: requested });
+      }
+      return;
+    }
 
-      const data = await response.json();
+    const { artist: loadedArtist, songs: loaded, pagination: loadedPagination, pageMeta: loadedMeta } = result;
+    const hasNext = loadedPagination.has_next;
+    // Timings and counts only; the artist searched for is never sent
+    track(append ? 'load_more' : 'search', {
+      latency_ms: latencyMs,
+      pages: loadedMeta.length,
+      cached_pages: loadedMeta.filter(meta => meta.cached).length,
+      ...(append ? { depth: loadedPagination.page } : { live })
+    });
+    if (append) {
+      announce(loadMoreAnnouncement(t, {
+        artistName: loadedArtist.name,
+        added: loaded.length,
+        count: songs.length + loaded.length,
+        hasNext
+      }));
 
-      if (!response.ok) {
-        throw new Error(data.error || 'Something went wrong');
+      // The first new song may land anywhere once filters and sorting apply
+      const newIds = new Set(loaded.map(song => song.id));
+      const index = applySongFilters([...songs, ...loaded], filters).findIndex(song => newIds.has(song.id));
+      setSongFocus(index === -1 ? null : { index });
+      setLastPageEmpty(index === -1);
+    } else {
+      setLastPageEmpty(false);
+      loadedSearchRef.current = searchKey(artistName, artistId, requested);
+      // Remember what the backend resolved, not what was typed
+      recordSearch(loadedArtist.name);
+      announce(resultsAnnouncement(t, { artistName: loadedArtist.name, count: loaded.length, hasNext }));
+      if (!live) {
+        setFocusHeading(true);
       }
+    }
 
-      if (append) {
-        setSongs(prev => [...prev, ...data.songs]);
-      } else {
-        setSongs(data.songs);
-        setCurrentArtist(artistName);
-      }
+    replaceSearchState({ artist: artistName, pages: loadedPagination.page, artistId, listing: requested });
+  };
 
-      setPagination(data.pagination);
+  // Asks the backend which artists the name could mean before loading songs.
+  // An ambiguous match opens the picker; otherwise songs load by name as usual.
+  const searchArtist = async (artistName, depth = 1, { listing: requested = DEFAULT_LISTING, live = false } = {}) => {
+    const { generation, signal } = songSearch.startSearch();
+    setArtistChoices(null);
+    announce(searchingAnnouncement(t, artistName));
+
+    let result = null;
+    try {
+      result = await fetchArtistCandidates(artistName, {
+        signal,
+        cache: live ? liveSearchCache : null
+      });
     } catch (err) {
-      // Don't show error if request was cancelled
-      if (err.name === 'AbortError') {
-        console.log('Request cancelled');
+      if (isAbortError(err)) return;
+      // Fall back to a plain name search, which reports its own errors
+    }
+
+    // Superseded while we waited; the newer search takes it from here
+    if (!songSearch.isCurrent(generation)) return;
+
+    if (result?.ambiguous) {
+      songSearch.reset();
+      setArtistChoices({ query: artistName, candidates: result.candidates, depth });
+      return;
+    }
+
+    fetchSongs(artistName, 1, false, depth, null, { listing: requested, live });
+  };
+
+  // Effects below call fetchSongs and searchArtist through refs, since they
+  // are new functions every render
+  const fetchSongsRef = useRef(fetchSongs);
+  fetchSongsRef.current = fetchSongs;
+  const searchArtistRef = useRef(searchArtist);
+  searchArtistRef.current = searchArtist;
+
+  // Restore the search in the URL on load, and follow back/forward navigation
+  useEffect(() => {
+    const syncFromUrl = () => {
+      const { artist, pages, artistId, songId, listing: urlListing } = readSearchState();
+      setOpenSongId(songId);
+      setListing(urlListing);
+
+      // Only the open song changed; keep the results already on screen
+      if (artist && loadedSearchRef.current === searchKey(artist, artistId, urlListing)) {
+        return;
+      }
+      if (artist && artistId) {
+        fetchSongsRef.current(artist, 1, false, pages, artistId, { listing: urlListing });
         return;
       }
-      setError(err.message);
-      if (!append) {
-        setSongs([]);
-        setPagination(null);
+      if (artist) {
+        searchArtistRef.current(artist, pages, { listing: urlListing });
+        return;
       }
-    } finally {
-      setLoading(false);
-      setLoadingMore(false);
+
+      // Navigated back to the blank page: drop results and any in-flight request
+      resetSongSearch();
+      setArtistChoices(null);
+      loadedSearchRef.current = null;
+    };
+
+    syncFromUrl();
+    window.addEventListener('popstate', syncFromUrl);
+
+    // useSongSearch aborts whatever is in flight on unmount
+    return () => window.removeEventListener('popstate', syncFromUrl);
+  }, [resetSongSearch]);
+
+  // When the throttle window reopens, clear the notice and run whatever was queued
+  useEffect(() => {
+    if (!rateLimitedUntil || cooldownSeconds > 0) return;
+
+    setRateLimitedUntil(null);
+    setQueuedRequest(null);
+    if (error instanceof RateLimitError) {
+      clearSongSearchError();
     }
-  };
 
-  // Cleanup on unmount
+    if (!queuedRequest || !autoRetry) return;
+
+    const { artistName, page, append, depth, artistId, listing: queuedListing } = queuedRequest;
+    if (!append) {
+      setOpenSongId(null);
+      pushSearchState({ artist: artistName, artistId, listing: queuedListing });
+      if (artistId) {
+        fetchSongsRef.current(artistName, page, append, depth, artistId, { listing: queuedListing });
+      } else {
+        searchArtistRef.current(artistName, depth, { listing: queuedListing });
+      }
+    } else if (artistName === currentArtist) {
+      // A queued Load More only makes sense for the artist still on screen
+      fetchSongsRef.current(artistName, page, append, depth, artistId, { listing: queuedListing });
+    }
+  }, [cooldownSeconds, rateLimitedUntil, error, clearSongSearchError, queuedRequest, autoRetry, currentArtist]);
+
+  // Back online: retry whatever failed for lack of a connection
   useEffect(() => {
-    return () => {
-      if (abortControllerRef.current) {
-        abortControllerRef.current.abort();
+    if (!online || !offlineRequest) return;
+
+    const { artistName, page, append, depth, artistId, listing: offlineListing } = offlineRequest;
+    if (!append || artistName === currentArtist) {
+      fetchSongsRef.current(artistName, page, append, depth, artistId, { listing: offlineListing });
+    }
+    setOfflineRequest(null);
+  }, [online, offlineRequest, currentArtist]);
+
+  // Walks the remaining pages exactly like Load More, appending as it goes.
+  // Used by the "entire discography" export; resolves with every song.
+  const loadRemainingPages = ({ signal, onProgress }) =>
+    songSearch.loadRemaining({
+      signal,
+      onProgress: (progress) => {
+        replaceSearchState({
+          artist: currentArtist,
+          pages: progress.page,
+          artistId: currentArtistId,
+          listing: currentListing
+        });
+        onProgress(progress);
       }
-    };
-  }, []);
+    });
+
+  // Re-request every loaded page; the backend tries Genius before its cache
+  const handleRetryLive = () => {
+    fetchSongs(currentArtist, 1, false, pagination?.page || 1, currentArtistId, { listing: currentListing });
+  };
+
+  const showingSaved = pageMeta.some(meta => meta.offline_cache);
+
+  const visibleSongs = useMemo(() => applySongFilters(songs, filters), [songs, filters]);
+
+  const [scheduleLiveSearch, cancelLiveSearch] = useDebouncedCallback((artistName) => {
+    setOpenSongId(null);
+    searchArtist(artistName, 1, { listing, live: true });
+  }, () => liveSearchDelay(songSearchLimiter));
+
+  const handleQueryChange = (value) => {
+    if (!liveSearch) return;
+
+    cancelLiveSearch();
+    // A new keystroke makes the search in flight stale
+    if (loading) {
+      songSearch.cancel();
+    }
+    if (isLiveQuery(value) && !rateLimited) {
+      scheduleLiveSearch(value.trim());
+    }
+  };
 
   const handleSearch = (artistName) => {
-    fetchSongs(artistName, 1, false);
+    cancelLiveSearch();
+    if (rateLimited) {
+      // Picked from recent searches mid-cooldown: remember it for later
+      setQueuedRequest({ artistName, page: 1, append: false, depth: 1, listing });
+      return;
+    }
+    setOpenSongId(null);
+    pushSearchState({ artist: artistName, listing });
+    searchArtist(artistName, 1, { listing });
+  };
+
+  const handleSelectSong = (song) => {
+    pushSongState(song.id);
+    setOpenSongId(song.id);
+  };
+
+  const handleCloseSong = () => {
+    pushSongState(null);
+    setOpenSongId(null);
+  };
+
+  const handlePickArtist = (candidate) => {
+    fetchSongs(candidate.name, 1, false, artistChoices?.depth || 1, candidate.id, { listing });
+  };
+
+  const handleCancelPick = () => {
+    setArtistChoices(null);
+    replaceSearchState({ artist: '' });
+  };
+
+  // A timeline bar narrows the loaded songs to that year
+  const handleSelectYear = (year) => {
+    setFilters(prev => ({ ...prev, year }));
+  };
+
+  // The server sorts and filters by year, so a change reloads from page 1
+  const handleListingChange = (next) => {
+    setListing(next);
+    if (!currentArtist) return;
+
+    if (rateLimited) {
+      setQueuedRequest({
+        artistName: currentArtist,
+        page: 1,
+        append: false,
+        depth: 1,
+        artistId: currentArtistId,
+        listing: next
+      });
+      return;
+    }
+    fetchSongs(currentArtist, 1, false, 1, currentArtistId, { listing: next });
   };
 
   const handleLoadMore = () => {
-    if (pagination?.has_next) {
-      fetchSongs(currentArtist, pagination.page + 1, true);
+    // Infinite scroll and the button can both fire; only one page request at a time
+    if (pagination?.has_next && !loadingMore && !rateLimited) {
+      fetchSongs(currentArtist, pagination.page + 1, true, 1, currentArtistId, { listing: currentListing });
     }
   };
 
+  useEffect(() => {
+    if (!focusHeading) return;
+    resultsHeadingRef.current?.focus();
+    setFocusHeading(false);
+  }, [focusHeading]);
+
+  // Filtering, reordering or a new artist reshuffles the rows under the selection
+  useEffect(() => {
+    setSelectedIndex(null);
+  }, [filters, currentListing, currentArtist]);
+
+  const selectSong = (index) => {
+    setSelectedIndex(index);
+    const song = visibleSongs[index];
+    announce(t('announce.selected', { title: song.title, position: index + 1, total: visibleSongs.length }));
+  };
+
+  useKeyboardShortcuts({
+    focusSearch: () => {
+      searchInputRef.current?.focus();
+    },
+    next: () => {
+      if (visibleSongs.length === 0) return false;
+      selectSong(selectedIndex === null ? 0 : Math.min(selectedIndex + 1, visibleSongs.length - 1));
+    },
+    previous: () => {
+      if (visibleSongs.length === 0) return false;
+      selectSong(selectedIndex === null ? 0 : Math.max(selectedIndex - 1, 0));
+    },
+    open: () => {
+      const song = selectedIndex !== null ? visibleSongs[selectedIndex] : null;
+      if (!song) return false;
+      window.open(song.url, '_blank', 'noopener,noreferrer');
+      announce(t('announce.opening', { title: song.title }));
+    },
+    loadMore: () => {
+      if (!pagination?.has_next) {
+        announce(t(songs.length > 0 ? 'announce.allLoaded' : 'announce.searchFirst'));
+      } else if (rateLimited) {
+        announce(t('announce.rateLimited', { seconds: cooldownSeconds }));
+      } else if (!loadingMore) {
+        handleLoadMore();
+      }
+    },
+    help: () => {
+      setShowShortcuts(true);
+    }
+  }, mode === 'single' && !openSongId && !showShortcuts);
+
   return (
     <div className="App">
       <header className="app-header">
-        <img src={logo} alt="Logo" className="app-logo" />
-        <h1>Artist Song Search</h1>
-        <p>Search for any artist to discover their songs</p>
+        <img src={logo} alt={t('app.logoAlt')} className="app-logo" />
+        <h1>{t('app.title')}</h1>
+        <p>{t('app.tagline')}</p>
+        <div className="header-preferences">
+          <LocaleSwitcher />
+          <ThemeToggle />
+          <TelemetryToggle />
+        </div>
+        <OfflineIndicator online={online} showingSaved={showingSaved} />
       </header>
       
-      <main className="app-main">
-        <ArtistSearch onSearch={handleSearch} disabled={loading} />
-        
-        {loading && (
-          <div className="loading">
-            <div className="spinner"></div>
-            <p>Searching for songs...</p>
+      <main className={mode === 'compare' ? 'app-main app-main-wide' : 'app-main'}>
+        <div className="app-controls">
+          <div className="mode-toggle" role="group" aria-label={t('app.view')}>
+            <button type="button" aria-pressed={mode === 'single'} onClick={() => setMode('single')}>
+              {t('app.singleMode')}
+            </button>
+            <button type="button" aria-pressed={mode === 'compare'} onClick={() => setMode('compare')}>
+              {t('app.compareMode')}
+            </button>
           </div>
+          <button
+            type="button"
+            className="library-toggle"
+            aria-expanded={showLibrary}
+            aria-controls="library-panel"
+            onClick={() => setShowLibrary(prev => !prev)}
+          >
+            {t('app.myLists')}
+          </button>
+        </div>
+
+        {showLibrary && (
+          <LibraryPanel
+            library={library.library}
+            onRemove={library.removeFromList}
+            onMove={library.moveInList}
+            onAddToList={library.addToList}
+            onCreateList={library.createList}
+            onRenameList={library.renameList}
+            onDeleteList={library.deleteList}
+            onImport={library.importLibrary}
+          />
         )}
+
+        {mode === 'compare' ? (
+          <CompareView
+            columns={compare.columns}
+            onAdd={compare.addArtist}
+            onPickArtist={compare.pickArtist}
+            onRemove={compare.removeColumn}
+            onLoadMore={compare.loadMore}
+            onRetry={compare.retry}
+            onSelectSong={handleSelectSong}
+            favoriteIds={library.favoriteIds}
+            onToggleFavorite={library.toggleFavorite}
+            history={recentSearches}
+            onClearHistory={clearRecentSearches}
+          />
+        ) : (
+          <>
+          <ArtistSearch
+            inputRef={searchInputRef}
+            onSearch={handleSearch}
+            onQueryChange={handleQueryChange}
+            // Live searches run while the user is still typing
+            disabled={loading && !liveSearch}
+            cooldownSeconds={cooldownSeconds}
+            history={recentSearches}
+            onClearHistory={clearRecentSearches}
+          />
+          <label className="live-search-toggle">
+            <input
+              type="checkbox"
+              checked={liveSearch}
+              onChange={(e) => {
+                setLiveSearch(e.target.checked);
+                cancelLiveSearch();
+              }}
+            />
+            {t('search.live')}
+          </label>
         
-        {error && (
-          <div className="error">
-            <p>{error}</p>
-          </div>
-        )}
+          {loading && (
+            <div className="loading">
+              <div className="spinner"></div>
+              <p>{t('results.searching')}</p>
+            </div>
+          )}
         
-        {songs.length > 0 && (
-          <>
-            <div className="results-header">
-              <h2>{currentArtist}</h2>
+          {rateLimited && (
+            <RateLimitNotice
+              secondsLeft={cooldownSeconds}
+              queuedArtist={queuedRequest?.artistName}
+              autoRetry={autoRetry}
+              onAutoRetryChange={setAutoRetry}
+            />
+          )}
+
+          {error instanceof OfflineError && (
+            <div className="offline-message" role="status">
+              <p>{t('results.offline', { message: errorMessage(t, error) })}</p>
+            </div>
+          )}
+
+          {error && !(error instanceof RateLimitError) && !(error instanceof OfflineError) && (
+            // An inserted alert is read out immediately, interrupting the polite region
+            <div className="error" role="alert">
+              <p>{errorMessage(t, error)}</p>
             </div>
+          )}
+        
+          {artistChoices && (
+            <ArtistPicker
+              query={artistChoices.query}
+              candidates={artistChoices.candidates}
+              onPick={handlePickArtist}
+              onCancel={handleCancelPick}
+            />
+          )}
+
+          {/* A year range can leave a page empty; the toolbar stays so it can be changed */}
+          {(songs.length > 0 || (pagination && hasYearRange(currentListing))) && (
+            <>
+              <StaleDataBanner pageMeta={pageMeta} onRetry={handleRetryLive} />
+
+              <div className="results-header">
+                <div className="results-title">
+                  <h2 ref={resultsHeadingRef} tabIndex={-1}>{currentArtist}</h2>
+                  <CacheStatus pageMeta={pageMeta} />
+                </div>
+                <div className="results-actions">
+                  <button
+                    type="button"
+                    className="timeline-toggle"
+                    aria-pressed={showTimeline}
+                    onClick={() => setShowTimeline(prev => !prev)}
+                  >
+                    {t('results.timeline')}
+                  </button>
+                  <ExportMenu
+                    songs={songs}
+                    artist={artist}
+                    hasMore={Boolean(pagination?.has_next)}
+                    loadingMore={loadingMore}
+                    onLoadRemaining={loadRemainingPages}
+                  />
+                </div>
+              </div>
+
+              {showTimeline && (
+                <ReleaseTimeline
+                  songs={songs}
+                  selectedYear={filters.year}
+                  onSelectYear={handleSelectYear}
+                  onSelectSong={handleSelectSong}
+                  hasMore={Boolean(pagination?.has_next) && !rateLimited}
+                  loadingMore={loadingMore}
+                  onLoadRemaining={loadRemainingPages}
+                />
+              )}
             
-            <SongList songs={songs} />
+              <SongToolbar
+                filters={filters}
+                onChange={setFilters}
+                listing={listing}
+                onListingChange={handleListingChange}
+                shownCount={visibleSongs.length}
+                totalCount={songs.length}
+              />
+
+              {visibleSongs.length === 0 && (
+                <p className="no-matches">{t('results.noMatches')}</p>
+              )}
+
+              <SongList
+                songs={visibleSongs}
+                hasMore={Boolean(pagination?.has_next) && !rateLimited}
+                loadingMore={loadingMore}
+                autoLoad={!lastPageEmpty && !hasActiveFilters(filters) && !hasYearRange(currentListing)}
+                onLoadMore={handleLoadMore}
+                onSelectSong={handleSelectSong}
+                favoriteIds={library.favoriteIds}
+                onToggleFavorite={(song) => library.toggleFavorite(song, artist)}
+                selectedIndex={selectedIndex}
+                focusRequest={songFocus}
+              />
             
-            {pagination?.has_next && (
-              <button 
-                onClick={handleLoadMore} 
-                disabled={loadingMore}
-                className="load-more-btn"
-              >
-                {loadingMore ? 'Loading...' : 'Load More Songs'}
-              </button>
-            )}
+              {/* Kept alongside infinite scroll for keyboard and screen-reader users */}
+              {pagination?.has_next && (
+                <button 
+                  onClick={handleLoadMore} 
+                  disabled={loadingMore || rateLimited}
+                  className="load-more-btn"
+                >
+                  {rateLimited
+                    ? t('results.loadMoreIn', { seconds: cooldownSeconds })
+                    : t(loadingMore ? 'results.loadingMore' : 'results.loadMore')}
+                </button>
+              )}
             
-            {!pagination?.has_next && songs.length > 0 && (
-              <p className="end-message">
-                That's all the songs! 🎉
-              </p>
-            )}
-          </>
-        )}
+              {!pagination?.has_next && songs.length > 0 && (
+                <p className="end-message">
+                  {t('results.end')}
+                </p>
+              )}
+            </>
+          )}
         
-        {!loading && !error && songs.length === 0 && !currentArtist && (
-          <div className="empty-state">
-            <p>Enter an artist name above to get started</p>
-          </div>
+          {!loading && !error && !artistChoices && songs.length === 0 && !currentArtist && (
+            <div className="empty-state">
+              <p>{t('results.empty')}</p>
+            </div>
+          )}
+          </>
         )}
       </main>
+
+      {mode === 'single' && (
+        <button type="button" className="shortcut-hint" onClick={() => setShowShortcuts(true)}>
+          {t('app.shortcuts')} <kbd>?</kbd>
+        </button>
+      )}
+
+      <LiveAnnouncer message={announcement} />
+
+      {showShortcuts && <ShortcutHelp onClose={() => setShowShortcuts(false)} />}
+
+      {openSongId && (
+        <SongDetailDrawer
+          songId={openSongId}
+          song={[...songs, ...compare.columns.flatMap(column => column.songs)].find(song => song.id === openSongId)}
+          onClose={handleCloseSong}
+        />
+      )}
     </div>
   );
 }
@@ -1,12 +1,47 @@
-import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent, act, within } from '@testing-library/react';
+import { axe, toHaveNoViolations } from 'jest-axe';
 import App from './App';
+import I18nProvider from './i18n/I18nProvider';
+import { TelemetryContext } from './telemetry/TelemetryProvider';
+import * as client from './api/client';
+import { server } from './mocks/server';
+import { delay, http, HttpResponse } from './mocks/mockApi';
+import { CANDIDATES_PATH, SONG_PATH, SONGS_PATH } from './mocks/handlers';
 
-// Mock fetch globally
-global.fetch = jest.fn();
+expect.extend(toHaveNoViolations);
+
+// The next /songs requests get these answers, in order. Each is a response
+// or a resolver, e.g. one returning a promise the test settles itself.
+const replySongs = (...answers) => {
+  server.use(...answers.map((answer) =>
+    http.get(SONGS_PATH, typeof answer === 'function' ? answer : () => answer, { once: true })
+  ));
+};
+
+const requestsTo = (suffix) => server.requests.filter(({ url }) => new URL(url).pathname.endsWith(suffix));
+const songRequests = () => requestsTo('/songs');
 
 describe('App', () => {
+  // Candidates come from the default handlers: one exact match, so searches
+  // go straight to the songs request
+  beforeAll(() => {
+    server.listen({ onUnhandledRequest: 'error' });
+  });
+
   beforeEach(() => {
-    fetch.mockClear();
+    window.history.replaceState(null, '', '/');
+    window.localStorage.clear();
+    client.songSearchLimiter.reset();
+    client.liveSearchCache.clear();
+  });
+
+  afterEach(() => {
+    server.resetHandlers();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    server.close();
   });
 
   test('renders app header and search form', () => {
@@ -24,18 +59,15 @@ describe('App', () => {
   });
 
   test('displays songs when search succeeds', async () => {
-    fetch.mockResolvedValueOnce({
-      ok: true,
-      json: async () => ({
-        artist: { name: 'Drake', id: 1 },
-        songs: [
-          { id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' },
-          { id: 2, title: 'God\'s Plan', url: 'https://genius.com/2', release_date: 'January 19, 2018' }
-        ],
-        pagination: { page: 1, per_page: 50, has_next: false },
-        meta: { fetched_at: new Date(), cached: false }
-      })
-    });
+    replySongs(HttpResponse.json({
+      artist: { name: 'Drake', id: 1 },
+      songs: [
+        { id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' },
+        { id: 2, title: 'God\'s Plan', url: 'https://genius.com/2', release_date: 'January 19, 2018' }
+      ],
+      pagination: { page: 1, per_page: 50, has_next: false },
+      meta: { fetched_at: new Date(), cached: false }
+    }));
 
     render(<App />);
 
@@ -59,12 +91,7 @@ describe('App', () => {
   });
 
   test('displays error message when search fails', async () => {
-    fetch.mockResolvedValueOnce({
-      ok: false,
-      json: async () => ({
-        error: 'Artist not found'
-      })
-    });
+    replySongs(HttpResponse.json({ error: 'Artist not found' }, { status: 404 }));
 
     render(<App />);
 
@@ -75,7 +102,7 @@ describe('App', () => {
     fireEvent.click(button);
 
     await waitFor(() => {
-      expect(screen.getByText(/artist not found/i)).toBeInTheDocument();
+      expect(screen.getByText('Genius has no artist by that name.')).toBeInTheDocument();
     });
 
     // Should not display songs
@@ -84,17 +111,14 @@ describe('App', () => {
 
   test('loads more songs when Load More button is clicked', async () => {
     // First page response
-    fetch.mockResolvedValueOnce({
-      ok: true,
-      json: async () => ({
-        artist: { name: 'Drake', id: 1 },
-        songs: [
-          { id: 1, title: 'Song 1', url: 'https://genius.com/1', release_date: null }
-        ],
-        pagination: { page: 1, per_page: 50, has_next: true },
-        meta: { fetched_at: new Date(), cached: false }
-      })
-    });
+    replySongs(HttpResponse.json({
+      artist: { name: 'Drake', id: 1 },
+      songs: [
+        { id: 1, title: 'Song 1', url: 'https://genius.com/1', release_date: null }
+      ],
+      pagination: { page: 1, per_page: 50, has_next: true },
+      meta: { fetched_at: new Date(), cached: false }
+    }));
 
     render(<App />);
 
@@ -107,17 +131,14 @@ describe('App', () => {
     });
 
     // Mock second page response
-    fetch.mockResolvedValueOnce({
-      ok: true,
-      json: async () => ({
-        artist: { name: 'Drake', id: 1 },
-        songs: [
-          { id: 2, title: 'Song 2', url: 'https://genius.com/2', release_date: null }
-        ],
-        pagination: { page: 2, per_page: 50, has_next: false },
-        meta: { fetched_at: new Date(), cached: false }
-      })
-    });
+    replySongs(HttpResponse.json({
+      artist: { name: 'Drake', id: 1 },
+      songs: [
+        { id: 2, title: 'Song 2', url: 'https://genius.com/2', release_date: null }
+      ],
+      pagination: { page: 2, per_page: 50, has_next: false },
+      meta: { fetched_at: new Date(), cached: false }
+    }));
 
     const loadMoreButton = screen.getByRole('button', { name: /load more songs/i });
     fireEvent.click(loadMoreButton);
@@ -137,17 +158,14 @@ describe('App', () => {
 
   test('clears previous results when new search is performed', async () => {
     // First search
-    fetch.mockResolvedValueOnce({
-      ok: true,
-      json: async () => ({
-        artist: { name: 'Drake', id: 1 },
-        songs: [
-          { id: 1, title: 'Drake Song', url: 'https://genius.com/1', release_date: null }
-        ],
-        pagination: { page: 1, per_page: 50, has_next: false },
-        meta: { fetched_at: new Date(), cached: false }
-      })
-    });
+    replySongs(HttpResponse.json({
+      artist: { name: 'Drake', id: 1 },
+      songs: [
+        { id: 1, title: 'Drake Song', url: 'https://genius.com/1', release_date: null }
+      ],
+      pagination: { page: 1, per_page: 50, has_next: false },
+      meta: { fetched_at: new Date(), cached: false }
+    }));
 
     render(<App />);
 
@@ -160,17 +178,14 @@ describe('App', () => {
     });
 
     // Second search
-    fetch.mockResolvedValueOnce({
-      ok: true,
-      json: async () => ({
-        artist: { name: 'Kendrick Lamar', id: 2 },
-        songs: [
-          { id: 2, title: 'Kendrick Song', url: 'https://genius.com/2', release_date: null }
-        ],
-        pagination: { page: 1, per_page: 50, has_next: false },
-        meta: { fetched_at: new Date(), cached: false }
-      })
-    });
+    replySongs(HttpResponse.json({
+      artist: { name: 'Kendrick Lamar', id: 2 },
+      songs: [
+        { id: 2, title: 'Kendrick Song', url: 'https://genius.com/2', release_date: null }
+      ],
+      pagination: { page: 1, per_page: 50, has_next: false },
+      meta: { fetched_at: new Date(), cached: false }
+    }));
 
     fireEvent.change(input, { target: { value: 'Kendrick Lamar' } });
     fireEvent.click(screen.getByRole('button', { name: 'Search' }));
@@ -185,17 +200,15 @@ describe('App', () => {
   });
 
   test('disables search during loading', async () => {
-    fetch.mockImplementationOnce(() =>
-      new Promise(resolve => setTimeout(() => resolve({
-        ok: true,
-        json: async () => ({
-          artist: { name: 'Drake', id: 1 },
-          songs: [{ id: 1, title: 'Song', url: 'https://genius.com/1', release_date: null }],
-          pagination: { page: 1, per_page: 50, has_next: false },
-          meta: { fetched_at: new Date(), cached: false }
-        })
-      }), 100))
-    );
+    replySongs(async () => {
+      await delay(100);
+      return HttpResponse.json({
+        artist: { name: 'Drake', id: 1 },
+        songs: [{ id: 1, title: 'Song', url: 'https://genius.com/1', release_date: null }],
+        pagination: { page: 1, per_page: 50, has_next: false },
+        meta: { fetched_at: new Date(), cached: false }
+      });
+    });
 
     render(<App />);
 
@@ -219,20 +232,12 @@ describe('App', () => {
 
   test('passes AbortSignal to fetch requests', async () => {
     // Verify that AbortController signal is properly passed to fetch
-    let capturedSignal;
-
-    fetch.mockImplementationOnce((url, options) => {
-      capturedSignal = options.signal;
-      return Promise.resolve({
-        ok: true,
-        json: async () => ({
-          artist: { name: 'Drake', id: 1 },
-          songs: [{ id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: null }],
-          pagination: { page: 1, per_page: 50, has_next: false },
-          meta: { fetched_at: new Date(), cached: false }
-        })
-      });
-    });
+    replySongs(HttpResponse.json({
+      artist: { name: 'Drake', id: 1 },
+      songs: [{ id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: null }],
+      pagination: { page: 1, per_page: 50, has_next: false },
+      meta: { fetched_at: new Date(), cached: false }
+    }));
 
     render(<App />);
 
@@ -247,12 +252,13 @@ describe('App', () => {
     });
 
     // Verify signal was passed to fetch
+    const capturedSignal = songRequests()[0].signal;
     expect(capturedSignal).toBeInstanceOf(AbortSignal);
     expect(capturedSignal).toBeDefined();
   });
 
   test('handles network errors gracefully', async () => {
-    fetch.mockRejectedValueOnce(new Error('Network error'));
+    replySongs(HttpResponse.error());
 
     render(<App />);
 
@@ -263,7 +269,1645 @@ describe('App', () => {
     fireEvent.click(button);
 
     await waitFor(() => {
-      expect(screen.getByText(/network error/i)).toBeInTheDocument();
+      expect(screen.getByText("Couldn't reach the server. Check your connection and try again.")).toBeInTheDocument();
+    });
+  });
+
+  describe('URL state', () => {
+    const pageResponse = (artist, title, page, hasNext) => HttpResponse.json({
+      artist: { name: artist, id: 1 },
+      songs: [{ id: `${artist}-${page}`, title, url: `https://genius.com/${page}`, release_date: null }],
+      pagination: { page, per_page: 50, has_next: hasNext },
+      meta: { fetched_at: new Date(), cached: false }
+    });
+
+    test('reflects the search and loaded page depth in the URL', async () => {
+      replySongs(pageResponse('Radiohead', 'Creep', 1, true));
+
+      render(<App />);
+
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Radiohead' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Creep')).toBeInTheDocument();
+      });
+      expect(window.location.search).toBe('?artist=Radiohead');
+
+      replySongs(pageResponse('Radiohead', 'Karma Police', 2, true));
+      fireEvent.click(screen.getByRole('button', { name: /load more songs/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Karma Police')).toBeInTheDocument();
+      });
+      expect(window.location.search).toBe('?artist=Radiohead&pages=2');
+    });
+
+    test('restores a shared link by reloading every page it recorded', async () => {
+      window.history.replaceState(null, '', '/?artist=Radiohead&pages=3');
+      replySongs(pageResponse('Radiohead', 'Creep', 1, true), pageResponse('Radiohead', 'Karma Police', 2, true), pageResponse('Radiohead', 'No Surprises', 3, true));
+
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText('No Surprises')).toBeInTheDocument();
+      });
+      expect(screen.getByText('Creep')).toBeInTheDocument();
+      expect(screen.getByText('Karma Police')).toBeInTheDocument();
+      expect(songRequests()).toHaveLength(3);
+      expect(songRequests()[2].url).toContain('page=3');
+    });
+
+    test('stops restoring early when the artist runs out of pages', async () => {
+      window.history.replaceState(null, '', '/?artist=Radiohead&pages=5');
+      replySongs(pageResponse('Radiohead', 'Creep', 1, true), pageResponse('Radiohead', 'Karma Police', 2, false));
+
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/that's all the songs/i)).toBeInTheDocument();
+      });
+      expect(songRequests()).toHaveLength(2);
+      expect(window.location.search).toBe('?artist=Radiohead&pages=2');
+    });
+
+    test('back navigation returns to the previous search', async () => {
+      replySongs(pageResponse('Drake', 'Drake Song', 1, false));
+
+      render(<App />);
+
+      const input = screen.getByPlaceholderText(/enter artist name/i);
+      fireEvent.change(input, { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      await waitFor(() => {
+        expect(screen.getByText('Drake Song')).toBeInTheDocument();
+      });
+
+      replySongs(pageResponse('Adele', 'Adele Song', 1, false));
+      fireEvent.change(input, { target: { value: 'Adele' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      await waitFor(() => {
+        expect(screen.getByText('Adele Song')).toBeInTheDocument();
+      });
+
+      // Simulate the browser's back button
+      replySongs(pageResponse('Drake', 'Drake Song', 1, false));
+      act(() => {
+        window.history.replaceState(null, '', '/?artist=Drake');
+        window.dispatchEvent(new PopStateEvent('popstate'));
+      });
+
+      await waitFor(() => {
+        expect(screen.getByText('Drake Song')).toBeInTheDocument();
+      });
+      expect(screen.queryByText('Adele Song')).not.toBeInTheDocument();
+    });
+
+    test('a newer history entry cancels the pending restore', async () => {
+      replySongs(() => new Promise(() => {}));
+      window.history.replaceState(null, '', '/?artist=Drake');
+
+      render(<App />);
+      await waitFor(() => {
+        expect(songRequests()).toHaveLength(1);
+      });
+
+      replySongs(pageResponse('Adele', 'Adele Song', 1, false));
+      act(() => {
+        window.history.replaceState(null, '', '/?artist=Adele');
+        window.dispatchEvent(new PopStateEvent('popstate'));
+      });
+
+      await waitFor(() => {
+        expect(screen.getByText('Adele Song')).toBeInTheDocument();
+      });
+      expect(songRequests()[0].signal.aborted).toBe(true);
+    });
+
+    test('navigating back to the blank page clears results', async () => {
+      window.history.replaceState(null, '', '/?artist=Drake');
+      replySongs(pageResponse('Drake', 'Drake Song', 1, false));
+
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Drake Song')).toBeInTheDocument();
+      });
+
+      act(() => {
+        window.history.replaceState(null, '', '/');
+        window.dispatchEvent(new PopStateEvent('popstate'));
+      });
+
+      expect(screen.queryByText('Drake Song')).not.toBeInTheDocument();
+      expect(screen.getByText(/enter an artist name above to get started/i)).toBeInTheDocument();
+    });
+  });
+
+  describe('infinite scroll', () => {
+    const originalObserver = window.IntersectionObserver;
+    let triggerSentinel;
+    let observing;
+
+    beforeEach(() => {
+      triggerSentinel = null;
+      observing = false;
+      window.IntersectionObserver = class {
+        constructor(callback) {
+          this.callback = callback;
+        }
+
+        observe() {
+          observing = true;
+          triggerSentinel = () => act(() => this.callback([{ isIntersecting: true }]));
+        }
+
+        disconnect() {
+          observing = false;
+        }
+      };
+    });
+
+    afterEach(() => {
+      window.IntersectionObserver = originalObserver;
+    });
+
+    test('loads the next page when the list bottom scrolls into view', async () => {
+      replySongs(HttpResponse.json({
+        artist: { name: 'Drake', id: 1 },
+        songs: [{ id: 1, title: 'Song 1', url: 'https://genius.com/1', release_date: null }],
+        pagination: { page: 1, per_page: 50, has_next: true },
+        meta: { fetched_at: new Date(), cached: false }
+      }));
+
+      render(<App />);
+
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Song 1')).toBeInTheDocument();
+      });
+
+      let resolvePage2;
+      replySongs(() => new Promise(resolve => { resolvePage2 = resolve; }));
+
+      triggerSentinel();
+      // A second intersection while page 2 is in flight must not start another request
+      triggerSentinel();
+
+      expect(songRequests()).toHaveLength(2);
+      expect(songRequests()[1].url).toContain('page=2');
+      expect(screen.getByRole('button', { name: /loading/i })).toBeDisabled();
+
+      await act(async () => {
+        resolvePage2(HttpResponse.json({
+          artist: { name: 'Drake', id: 1 },
+          songs: [{ id: 2, title: 'Song 2', url: 'https://genius.com/2', release_date: null }],
+          pagination: { page: 2, per_page: 50, has_next: false },
+          meta: { fetched_at: new Date(), cached: false }
+        }));
+      });
+
+      expect(screen.getByText('Song 2')).toBeInTheDocument();
+      expect(screen.getByText(/that's all the songs/i)).toBeInTheDocument();
+      expect(songRequests()).toHaveLength(2);
+    });
+
+    const drakePage = (page, songs) => HttpResponse.json({
+      artist: { name: 'Drake', id: 1 },
+      songs: songs.map(id => ({ id, title: `Song ${id}`, url: `https://genius.com/${id}`, release_date: null })),
+      pagination: { page, per_page: 50, has_next: true },
+      meta: { fetched_at: new Date(), cached: false }
+    });
+
+    const searchDrake = async () => {
+      render(<App />);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      await waitFor(() => {
+        expect(screen.getByText('Song 1')).toBeInTheDocument();
+      });
+    };
+
+    test('pauses after a page adds no visible rows until Load More adds some', async () => {
+      replySongs(drakePage(1, [1]));
+      await searchDrake();
+
+      replySongs(drakePage(2, []));
+      triggerSentinel();
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: 'Load More Songs' })).toBeEnabled();
+      });
+      expect(observing).toBe(false);
+
+      replySongs(drakePage(3, [3]));
+      fireEvent.click(screen.getByRole('button', { name: 'Load More Songs' }));
+      await waitFor(() => {
+        expect(screen.getByText('Song 3')).toBeInTheDocument();
+      });
+      expect(observing).toBe(true);
+      expect(songRequests()).toHaveLength(3);
+    });
+
+    test('pauses while a title filter is active', async () => {
+      replySongs(drakePage(1, [1]));
+      await searchDrake();
+      expect(observing).toBe(true);
+
+      fireEvent.change(screen.getByLabelText(/filter by title/i), { target: { value: 'zzz' } });
+      expect(observing).toBe(false);
+
+      fireEvent.change(screen.getByLabelText(/filter by title/i), { target: { value: '' } });
+      expect(observing).toBe(true);
+    });
+  });
+
+  describe('filtering and sorting', () => {
+    const songsResponse = (songs, page, hasNext) => HttpResponse.json({
+      artist: { name: 'Drake', id: 1 },
+      songs,
+      pagination: { page, per_page: 50, has_next: hasNext },
+      meta: { fetched_at: new Date(), cached: false }
+    });
+
+    const searchDrake = async () => {
+      render(<App />);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      await waitFor(() => {
+        expect(screen.getByText('Hotline Bling')).toBeInTheDocument();
+      });
+    };
+
+    test('filters loaded songs and re-applies the filter to appended pages', async () => {
+      replySongs(songsResponse([
+        { id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' },
+        { id: 2, title: 'Passionfruit', url: 'https://genius.com/2', release_date: 'March 18, 2017' }
+      ], 1, true));
+
+      await searchDrake();
+
+      fireEvent.change(screen.getByLabelText(/filter by title/i), { target: { value: 'hotline' } });
+      expect(screen.queryByText('Passionfruit')).not.toBeInTheDocument();
+      expect(screen.getByText('Showing 1 of 2 loaded songs')).toBeInTheDocument();
+
+      replySongs(songsResponse([
+        { id: 3, title: 'Hotline Bling (Remix)', url: 'https://genius.com/3', release_date: null },
+        { id: 4, title: 'One Dance', url: 'https://genius.com/4', release_date: 'April 5, 2016' }
+      ], 2, false));
+      fireEvent.click(screen.getByRole('button', { name: /load more songs/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Hotline Bling (Remix)')).toBeInTheDocument();
+      });
+      expect(screen.queryByText('One Dance')).not.toBeInTheDocument();
+      expect(screen.getByText('Showing 2 of 4 loaded songs')).toBeInTheDocument();
+    });
+
+    test('asks the server for a new sort order and starts again from page 1', async () => {
+      replySongs(songsResponse([
+          { id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' }
+        ], 1, true), songsResponse([
+          { id: 2, title: 'One Dance', url: 'https://genius.com/2', release_date: 'April 5, 2016' }
+        ], 2, true));
+
+      await searchDrake();
+      fireEvent.click(screen.getByRole('button', { name: /load more songs/i }));
+      await waitFor(() => {
+        expect(screen.getByText('One Dance')).toBeInTheDocument();
+      });
+
+      replySongs(songsResponse([
+        { id: 3, title: 'Best I Ever Had', url: 'https://genius.com/3', release_date: 'June 2009' }
+      ], 1, true));
+      fireEvent.change(screen.getByLabelText(/sort/i), { target: { value: 'release_date' } });
+
+      await waitFor(() => {
+        expect(screen.getByText('Best I Ever Had')).toBeInTheDocument();
+      });
+      expect(songRequests()[2].url).toContain('page=1&per_page=50&sort=release_date');
+      expect(screen.queryByText('Hotline Bling')).not.toBeInTheDocument();
+      expect(screen.getByLabelText(/sort/i)).toHaveValue('release_date');
+      expect(window.location.search).toBe('?artist=Drake&sort=release_date');
+
+      replySongs(songsResponse([
+        { id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' }
+      ], 2, false));
+      fireEvent.click(screen.getByRole('button', { name: /load more songs/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Hotline Bling')).toBeInTheDocument();
+      });
+      expect(songRequests()[3].url).toContain('page=2&per_page=50&sort=release_date');
+    });
+
+    test('asks the server for a year range once the year is complete and left', async () => {
+      replySongs(songsResponse([
+        { id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' }
+      ], 1, true));
+
+      await searchDrake();
+
+      // A year range can leave a whole page empty without being the last one
+      replySongs(songsResponse([], 1, true));
+      fireEvent.change(screen.getByLabelText(/from year/i), { target: { value: '202' } });
+      fireEvent.change(screen.getByLabelText(/from year/i), { target: { value: '2020' } });
+      fireEvent.blur(screen.getByLabelText(/from year/i));
+
+      await waitFor(() => {
+        expect(screen.queryByText('Hotline Bling')).not.toBeInTheDocument();
+      });
+      expect(songRequests()).toHaveLength(2);
+      expect(songRequests()[1].url).toContain('page=1&per_page=50&year_from=2020');
+      expect(screen.getByLabelText(/from year/i)).toHaveValue(2020);
+      expect(screen.getByRole('button', { name: /load more songs/i })).toBeInTheDocument();
+
+      replySongs(songsResponse([
+        { id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' }
+      ], 1, true));
+      fireEvent.click(screen.getByRole('button', { name: /clear filters/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Hotline Bling')).toBeInTheDocument();
+      });
+      expect(songRequests()[2].url).not.toContain('year_from');
+    });
+
+    test('restores the sort order and year range from the URL', async () => {
+      window.history.replaceState(null, '', '/?artist=Drake&sort=title&year_from=2010&year_to=2015');
+      replySongs(songsResponse([
+        { id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' }
+      ], 1, false));
+
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Hotline Bling')).toBeInTheDocument();
+      });
+      expect(songRequests()[0].url).toContain('sort=title&year_from=2010&year_to=2015');
+      expect(screen.getByLabelText(/sort/i)).toHaveValue('title');
+      expect(screen.getByLabelText(/to year/i)).toHaveValue(2015);
+    });
+
+    test('shows a message when no loaded songs match', async () => {
+      replySongs(songsResponse([
+        { id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' }
+      ], 1, false));
+
+      await searchDrake();
+
+      fireEvent.change(screen.getByLabelText(/filter by title/i), { target: { value: 'zzz' } });
+
+      expect(screen.getByText(/no loaded songs match/i)).toBeInTheDocument();
+    });
+
+    test('resets filters for a new search', async () => {
+      replySongs(songsResponse([
+        { id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: null }
+      ], 1, false));
+
+      await searchDrake();
+      fireEvent.change(screen.getByLabelText(/filter by title/i), { target: { value: 'zzz' } });
+
+      replySongs(songsResponse([
+        { id: 2, title: 'Humble', url: 'https://genius.com/2', release_date: null }
+      ], 1, false));
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Kendrick' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Humble')).toBeInTheDocument();
+      });
+      expect(screen.getByLabelText(/filter by title/i)).toHaveValue('');
+    });
+  });
+
+  describe('export', () => {
+    const originalClipboard = navigator.clipboard;
+
+    afterEach(() => {
+      Object.defineProperty(navigator, 'clipboard', { value: originalClipboard, configurable: true });
+    });
+
+    test('exports the entire discography by walking the remaining pages', async () => {
+      const writeText = jest.fn().mockResolvedValue();
+      Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+
+      const page = (n, hasNext) => HttpResponse.json({
+        artist: { name: 'Drake', id: 130 },
+        songs: [{ id: n, title: `Song ${n}`, url: `https://genius.com/${n}`, release_date: null }],
+        pagination: { page: n, per_page: 50, has_next: hasNext },
+        meta: { fetched_at: new Date(), cached: false }
+      });
+      replySongs(page(1, true), page(2, true), page(3, false));
+
+      render(<App />);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      await waitFor(() => {
+        expect(screen.getByText('Song 1')).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByRole('button', { name: 'Export' }));
+      fireEvent.click(screen.getByRole('checkbox', { name: /entire discography/i }));
+      fireEvent.click(screen.getByRole('button', { name: /copy to clipboard/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Exported 3 songs')).toBeInTheDocument();
+      });
+
+      expect(songRequests()[2].url).toContain('page=3');
+      expect(screen.getByText('Song 3')).toBeInTheDocument();
+      expect(screen.getByText(/that's all the songs/i)).toBeInTheDocument();
+
+      const csv = writeText.mock.calls[0][0].split('\r\n');
+      expect(csv[0]).toBe('id,title,url,release_date,artist_name,artist_id');
+      expect(csv[3]).toBe('3,Song 3,https://genius.com/3,,Drake,130');
+    });
+  });
+
+  describe('release timeline', () => {
+    const page = (songs, n, hasNext) => HttpResponse.json({
+      artist: { name: 'Drake', id: 130 },
+      songs,
+      pagination: { page: n, per_page: 50, has_next: hasNext },
+      meta: { fetched_at: new Date(), cached: false }
+    });
+
+    const openTimeline = async () => {
+      render(<App />);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      await waitFor(() => {
+        expect(screen.getByText('Hotline Bling')).toBeInTheDocument();
+      });
+      fireEvent.click(screen.getByRole('button', { name: 'Timeline' }));
+    };
+
+    test('filters the list to a clicked year and clears it again', async () => {
+      replySongs(page([
+        { id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' },
+        { id: 2, title: 'Passionfruit', url: 'https://genius.com/2', release_date: 'March 18, 2017' }
+      ], 1, false));
+
+      await openTimeline();
+      expect(screen.getByRole('button', { name: 'Timeline' })).toHaveAttribute('aria-pressed', 'true');
+
+      fireEvent.click(screen.getByRole('button', { name: '2017: 1 song' }));
+
+      expect(screen.queryByText('Hotline Bling')).not.toBeInTheDocument();
+      expect(screen.getByText('Showing 1 of 2 loaded songs')).toBeInTheDocument();
+      // Picking a bar filters what is loaded; it doesn't ask the server again
+      expect(songRequests()).toHaveLength(1);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Show all years' }));
+      expect(screen.getByText('Hotline Bling')).toBeInTheDocument();
+    });
+
+    test('fetches the remaining pages into the chart', async () => {
+      replySongs(page([
+          { id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' }
+        ], 1, true), page([
+          { id: 2, title: 'Best I Ever Had', url: 'https://genius.com/2', release_date: 'June 2009' }
+        ], 2, false));
+
+      await openTimeline();
+      expect(screen.getByText('Based on the 1 song loaded so far')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: /load remaining pages/i }));
+
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: '2009: 1 song' })).toBeInTheDocument();
+      });
+      expect(screen.getByText('Covers all 2 songs')).toBeInTheDocument();
+      expect(screen.getByText('Best I Ever Had')).toBeInTheDocument();
+    });
+  });
+
+  describe('accessibility', () => {
+    const page = (songs, n, hasNext) => HttpResponse.json({
+      artist: { name: 'Drake', id: 130 },
+      songs,
+      pagination: { page: n, per_page: 50, has_next: hasNext },
+      meta: { fetched_at: new Date(), cached: false }
+    });
+
+    const firstPage = [
+      { id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' },
+      { id: 2, title: 'Passionfruit', url: 'https://genius.com/2', release_date: null }
+    ];
+
+    const searchDrake = async () => {
+      replySongs(page(firstPage, 1, true));
+      const view = render(<App />);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      expect(screen.getByText('Loading songs for Drake...')).toBeInTheDocument();
+      await waitFor(() => {
+        expect(screen.getByText('Hotline Bling')).toBeInTheDocument();
+      });
+      return view;
+    };
+
+    test('announces the result count and focuses the results heading', async () => {
+      await searchDrake();
+
+      expect(screen.getByText('Loaded 2 of many songs for Drake')).toBeInTheDocument();
+      expect(screen.getByRole('heading', { level: 2, name: 'Drake' })).toHaveFocus();
+    });
+
+    test('moves focus to the first new song after Load More and announces the end of the list', async () => {
+      await searchDrake();
+      replySongs(page([
+        { id: 3, title: 'One Dance', url: 'https://genius.com/3', release_date: 'April 5, 2016' }
+      ], 2, false));
+
+      fireEvent.click(screen.getByRole('button', { name: /load more songs/i }));
+      expect(screen.getByText('Loading more songs...')).toBeInTheDocument();
+
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: 'One Dance' })).toHaveFocus();
+      });
+      expect(screen.getByText("Added 1 song. Loaded all 3 songs for Drake. That's the end of the list."))
+        .toBeInTheDocument();
+    });
+
+    test('reports errors as alerts', async () => {
+      replySongs(HttpResponse.json({ error: "Artist 'Nobody' not found" }, { status: 404 }));
+      render(<App />);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Nobody' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+      await waitFor(() => {
+        expect(screen.getByRole('alert')).toHaveTextContent('Genius has no artist by that name.');
+      });
+    });
+
+    describe('axe checks', () => {
+      test('the start screen', async () => {
+        const { container } = render(<App />);
+
+        expect(await axe(container)).toHaveNoViolations();
+      });
+
+      test('results with the timeline and lists open', async () => {
+        const { container } = await searchDrake();
+        fireEvent.click(screen.getByRole('button', { name: 'Timeline' }));
+        fireEvent.click(screen.getByRole('button', { name: 'My lists' }));
+
+        expect(await axe(container)).toHaveNoViolations();
+      });
+
+      test('an error', async () => {
+        replySongs(HttpResponse.json({ error: 'Genius API temporarily unavailable' }, { status: 502 }));
+        const { container } = render(<App />);
+        fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+        await waitFor(() => {
+          expect(screen.getByRole('alert')).toBeInTheDocument();
+        });
+
+        expect(await axe(container)).toHaveNoViolations();
+      });
+
+      test('the shortcut help overlay', async () => {
+        const { container } = render(<App />);
+        fireEvent.click(screen.getByRole('button', { name: /keyboard shortcuts/i }));
+
+        expect(await axe(container)).toHaveNoViolations();
+      });
+
+      test('compare mode', async () => {
+        const { container } = render(<App />);
+        fireEvent.click(screen.getByRole('button', { name: 'Compare artists' }));
+
+        expect(await axe(container)).toHaveNoViolations();
+      });
+    });
+  });
+
+  describe('keyboard shortcuts', () => {
+    const page = (songs, n, hasNext) => HttpResponse.json({
+      artist: { name: 'Drake', id: 130 },
+      songs,
+      pagination: { page: n, per_page: 50, has_next: hasNext },
+      meta: { fetched_at: new Date(), cached: false }
+    });
+
+    const firstPage = [
+      { id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' },
+      { id: 2, title: 'Passionfruit', url: 'https://genius.com/2', release_date: 'March 18, 2017' },
+      { id: 3, title: 'One Dance', url: 'https://genius.com/3', release_date: null }
+    ];
+
+    const searchDrake = async (hasNext = false) => {
+      replySongs(page(firstPage, 1, hasNext));
+      render(<App />);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      await waitFor(() => {
+        expect(screen.getByText('Hotline Bling')).toBeInTheDocument();
+      });
+      // Shortcuts are for when focus isn't in a field
+      screen.getByPlaceholderText(/enter artist name/i).blur();
+    };
+
+    const press = (key) => fireEvent.keyDown(document.body, { key });
+    const selectedTitle = () => {
+      const item = screen.getAllByRole('listitem').find(row => row.getAttribute('aria-current') === 'true');
+      return item && within(item).getByRole('heading').textContent;
+    };
+
+    test('"/" focuses the artist search', async () => {
+      await searchDrake();
+
+      press('/');
+
+      expect(screen.getByPlaceholderText(/enter artist name/i)).toHaveFocus();
+    });
+
+    test('j/k and the arrow keys move an announced selection', async () => {
+      await searchDrake();
+
+      press('j');
+      expect(selectedTitle()).toBe('Hotline Bling');
+      expect(screen.getByText('Hotline Bling, song 1 of 3')).toBeInTheDocument();
+
+      press('ArrowDown');
+      press('j');
+      press('j');
+      expect(selectedTitle()).toBe('One Dance');
+
+      press('k');
+      expect(selectedTitle()).toBe('Passionfruit');
+      press('ArrowUp');
+      press('ArrowUp');
+      expect(selectedTitle()).toBe('Hotline Bling');
+    });
+
+    test('shortcuts are ignored while typing', async () => {
+      await searchDrake();
+      const filter = screen.getByLabelText(/filter by title/i);
+      filter.focus();
+
+      fireEvent.keyDown(filter, { key: 'j' });
+      fireEvent.keyDown(filter, { key: '/' });
+
+      expect(selectedTitle()).toBeUndefined();
+      expect(filter).toHaveFocus();
+    });
+
+    test('Enter opens the selected song on Genius', async () => {
+      const open = jest.spyOn(window, 'open').mockImplementation(() => null);
+      await searchDrake();
+
+      press('Enter');
+      expect(open).not.toHaveBeenCalled();
+
+      press('j');
+      press('j');
+      press('Enter');
+
+      expect(open).toHaveBeenCalledWith('https://genius.com/2', '_blank', 'noopener,noreferrer');
+      expect(screen.getByText('Opening Passionfruit on Genius')).toBeInTheDocument();
+    });
+
+    test('"m" loads the next page', async () => {
+      await searchDrake(true);
+      replySongs(page([
+        { id: 4, title: 'Nonstop', url: 'https://genius.com/4', release_date: 'June 29, 2018' }
+      ], 2, false));
+
+      press('m');
+
+      await waitFor(() => {
+        expect(screen.getByText('Nonstop')).toBeInTheDocument();
+      });
+      expect(songRequests()[1].url).toContain('page=2');
+
+      press('m');
+      expect(screen.getByText('All songs are already loaded')).toBeInTheDocument();
+      expect(songRequests()).toHaveLength(2);
+    });
+
+    test('"?" opens the shortcut help and Escape closes it', async () => {
+      await searchDrake();
+
+      press('?');
+      expect(screen.getByRole('dialog', { name: 'Keyboard shortcuts' })).toBeInTheDocument();
+
+      // Results shortcuts pause while the overlay is open
+      press('j');
+      expect(selectedTitle()).toBeUndefined();
+
+      fireEvent.keyDown(screen.getByRole('button', { name: 'Close keyboard shortcuts' }), { key: 'Escape' });
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('favorites and lists', () => {
+    test('starred songs land in Favorites and survive a reload', async () => {
+      replySongs(HttpResponse.json({
+        artist: { name: 'Drake', id: 130 },
+        songs: [{ id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' }],
+        pagination: { page: 1, per_page: 50, has_next: false },
+        meta: { fetched_at: new Date(), cached: false }
+      }));
+
+      const { unmount } = render(<App />);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      await waitFor(() => {
+        expect(screen.getByText('Hotline Bling')).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByRole('button', { name: 'Favorite Hotline Bling' }));
+      expect(screen.getByRole('button', { name: 'Favorite Hotline Bling' })).toHaveAttribute('aria-pressed', 'true');
+      unmount();
+
+      // Fresh page without the search in the URL
+      window.history.replaceState(null, '', '/');
+      render(<App />);
+      fireEvent.click(screen.getByRole('button', { name: 'My lists' }));
+
+      const favorites = screen.getByRole('region', { name: /favorites/i });
+      expect(favorites).toHaveTextContent('Hotline Bling');
+      expect(favorites).toHaveTextContent('Drake');
+    });
+  });
+
+  describe('localization', () => {
+    afterEach(() => {
+      document.documentElement.lang = '';
+      document.documentElement.dir = '';
+    });
+
+    test('translates results and dates after switching locale', async () => {
+      replySongs(HttpResponse.json({
+        artist: { name: 'Drake', id: 130 },
+        songs: [{ id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' }],
+        pagination: { page: 1, per_page: 50, has_next: false },
+        meta: { fetched_at: new Date(), cached: false }
+      }));
+
+      render(<I18nProvider initialLocale="en"><App /></I18nProvider>);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      await waitFor(() => {
+        expect(screen.getByText('October 19, 2015')).toBeInTheDocument();
+      });
+
+      fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'es' } });
+
+      expect(screen.getByText('19 de octubre de 2015')).toBeInTheDocument();
+      expect(screen.getByRole('link', { name: 'Ver letra →' })).toHaveAttribute('href', 'https://genius.com/1');
+      expect(screen.getByRole('button', { name: 'Buscar' })).toBeInTheDocument();
+      expect(document.documentElement).toHaveAttribute('lang', 'es');
+    });
+
+    test('translates the toolbar and its sort options', async () => {
+      replySongs(HttpResponse.json({
+        artist: { name: 'Drake', id: 130 },
+        songs: [{ id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' }],
+        pagination: { page: 1, per_page: 50, has_next: false },
+        meta: { fetched_at: new Date(), cached: false }
+      }));
+
+      render(<I18nProvider initialLocale="en"><App /></I18nProvider>);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      await screen.findByText('Hotline Bling');
+
+      fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'es' } });
+
+      expect(screen.getByRole('search', { name: 'Filtrar canciones' })).toBeInTheDocument();
+      expect(screen.getByRole('searchbox', { name: 'Filtrar por título' })).toBeInTheDocument();
+      expect(screen.getByRole('option', { name: 'Popularidad' })).toBeInTheDocument();
+      expect(screen.getByText('1 canción cargada')).toBeInTheDocument();
+    });
+
+    test('mirrors the layout for right-to-left locales', () => {
+      render(<I18nProvider initialLocale="en"><App /></I18nProvider>);
+
+      fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'ar' } });
+
+      expect(document.documentElement).toHaveAttribute('dir', 'rtl');
+      expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent('البحث عن أغاني الفنانين');
+      expect(screen.getByRole('button', { name: 'بحث' })).toBeInTheDocument();
+    });
+  });
+
+  describe('recent searches', () => {
+    test('records the canonical artist name returned by the backend', async () => {
+      replySongs(HttpResponse.json({
+        artist: { name: 'Beyoncé', id: 498 },
+        songs: [{ id: 1, title: 'Halo', url: 'https://genius.com/1', release_date: null }],
+        pagination: { page: 1, per_page: 50, has_next: false },
+        meta: { fetched_at: new Date(), cached: false }
+      }));
+
+      render(<App />);
+
+      const input = screen.getByPlaceholderText(/enter artist name/i);
+      fireEvent.change(input, { target: { value: 'beyonce' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Halo')).toBeInTheDocument();
+      });
+
+      expect(JSON.parse(window.localStorage.getItem('artistSongSearch.recentSearches'))).toEqual(['Beyoncé']);
+
+      fireEvent.change(input, { target: { value: '' } });
+      expect(screen.getByRole('option', { name: 'Beyoncé' })).toBeInTheDocument();
+    });
+
+    test('does not record failed searches', async () => {
+      replySongs(HttpResponse.json({ error: "Artist 'zzz' not found" }, { status: 404 }));
+
+      render(<App />);
+
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'zzz' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Genius has no artist by that name.')).toBeInTheDocument();
+      });
+      expect(window.localStorage.getItem('artistSongSearch.recentSearches')).toBeNull();
+    });
+  });
+
+  describe('cache metadata', () => {
+    const response = (page, hasNext, meta) => HttpResponse.json({
+      artist: { name: 'Drake', id: 1 },
+      songs: [{ id: page, title: `Song ${page}`, url: `https://genius.com/${page}`, release_date: null }],
+      pagination: { page, per_page: 50, has_next: hasNext },
+      meta: { fetched_at: '2024-10-31T12:00:00Z', cached: false, stale: false, api_unavailable: false, ...meta }
+    });
+
+    const search = async () => {
+      render(<App />);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      await waitFor(() => {
+        expect(screen.getByText('Song 1')).toBeInTheDocument();
+      });
+    };
+
+    test('shows whether each page was live or cached', async () => {
+      replySongs(response(1, true, {}));
+      await search();
+
+      replySongs(response(2, false, { cached: true }));
+      fireEvent.click(screen.getByRole('button', { name: /load more songs/i }));
+      await waitFor(() => {
+        expect(screen.getByText('Song 2')).toBeInTheDocument();
+      });
+
+      const chips = screen.getAllByRole('listitem').filter(item => item.classList.contains('cache-chip'));
+      expect(chips.map(chip => chip.textContent)).toEqual(['Page 1: p1 live', 'Page 2: p2 cached']);
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    });
+
+    test('warns about stale results and retries live', async () => {
+      replySongs(response(1, false, { cached: true, stale: true, api_unavailable: true }));
+      await search();
+
+      expect(screen.getByRole('alert')).toHaveTextContent(/may be out of date/i);
+
+      replySongs(response(1, false, {}));
+      fireEvent.click(screen.getByRole('button', { name: /retry live/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Song 1')).toBeInTheDocument();
+      });
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+      expect(songRequests()).toHaveLength(2);
+    });
+  });
+
+  describe('search as you type', () => {
+    const songsFor = (name, id) => HttpResponse.json({
+      artist: { name, id },
+      songs: [{ id, title: `${name} hit`, url: `https://genius.com/${id}`, release_date: null }],
+      pagination: { page: 1, per_page: 50, has_next: false },
+      meta: { fetched_at: new Date(), cached: false }
+    });
+
+    // A songs answer that comes only when the test says so, like a slow network
+    const deferredSongs = () => {
+      let resolve;
+      replySongs(() => new Promise((res) => {
+        resolve = res;
+      }));
+      return (response) => resolve(response);
+    };
+
+    const type = (value) => {
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value } });
+    };
+
+    const pause = (ms) => {
+      act(() => {
+        jest.advanceTimersByTime(ms);
+      });
+    };
+
+    const renderLive = () => {
+      render(<App />);
+      fireEvent.click(screen.getByRole('checkbox', { name: 'Search as you type' }));
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('is off by default', () => {
+      render(<App />);
+      type('Drake');
+      pause(5000);
+
+      expect(songRequests()).toHaveLength(0);
+    });
+
+    test('searches once typing pauses, without moving focus', async () => {
+      replySongs(songsFor('Drake', 1));
+      renderLive();
+
+      type('Dr');
+      pause(300);
+      type('Dra');
+      pause(300);
+      type('Drake');
+      pause(499);
+      expect(songRequests()).toHaveLength(0);
+
+      pause(1);
+      await waitFor(() => {
+        expect(screen.getByText('Drake hit')).toBeInTheDocument();
+      });
+      expect(songRequests()).toHaveLength(1);
+      expect(songRequests()[0].url).toContain('/artists/Drake/songs');
+      expect(screen.getByPlaceholderText(/enter artist name/i)).toBeEnabled();
+      expect(screen.getByRole('heading', { name: 'Drake' })).not.toHaveFocus();
+    });
+
+    test('ignores one-letter queries', () => {
+      renderLive();
+      type('D');
+      pause(1000);
+
+      expect(songRequests()).toHaveLength(0);
+    });
+
+    test('a new keystroke aborts the request in flight', async () => {
+      deferredSongs();
+      renderLive();
+
+      type('Adele');
+      pause(500);
+      await waitFor(() => {
+        expect(songRequests()).toHaveLength(1);
+      });
+      const { signal } = songRequests()[0];
+      expect(signal.aborted).toBe(false);
+
+      type('Adel');
+      expect(signal.aborted).toBe(true);
+      expect(screen.queryByText(/searching for songs/i)).not.toBeInTheDocument();
+    });
+
+    test('never lets a slow older response overwrite newer results', async () => {
+      const resolveAdele = deferredSongs();
+      renderLive();
+
+      type('Adele');
+      pause(500);
+      await waitFor(() => {
+        expect(songRequests()).toHaveLength(1);
+      });
+
+      replySongs(songsFor('Drake', 2));
+      type('Drake');
+      pause(500);
+      await waitFor(() => {
+        expect(screen.getByText('Drake hit')).toBeInTheDocument();
+      });
+
+      // The server answers the aborted request anyway, after the newer one
+      await act(async () => {
+        resolveAdele(songsFor('Adele', 1));
+      });
+
+      expect(screen.getByText('Drake hit')).toBeInTheDocument();
+      expect(screen.queryByText('Adele hit')).not.toBeInTheDocument();
+      expect(screen.getByRole('heading', { name: 'Drake' })).toBeInTheDocument();
+    });
+
+    test('answers a repeated query from the cache without another request', async () => {
+      replySongs(songsFor('Drake', 1), songsFor('Draken', 2));
+      renderLive();
+
+      type('Drake');
+      pause(500);
+      await waitFor(() => {
+        expect(screen.getByText('Drake hit')).toBeInTheDocument();
+      });
+
+      type('Draken');
+      pause(500);
+      await waitFor(() => {
+        expect(screen.getByText('Draken hit')).toBeInTheDocument();
+      });
+
+      type('Drake');
+      pause(500);
+      await waitFor(() => {
+        expect(screen.getByText('Drake hit')).toBeInTheDocument();
+      });
+      expect(songRequests()).toHaveLength(2);
+      expect(client.songSearchLimiter.available()).toBe(8);
+    });
+
+    test('waits rather than spend the tokens kept for explicit searches', async () => {
+      // Seven of ten spent leaves only the reserve
+      for (let i = 0; i < 7; i += 1) {
+        client.songSearchLimiter.tryRemove();
+      }
+      replySongs(songsFor('Drake', 1));
+      renderLive();
+
+      type('Drake');
+      pause(30000);
+      expect(songRequests()).toHaveLength(0);
+
+      pause(30000);
+      await waitFor(() => {
+        expect(screen.getByText('Drake hit')).toBeInTheDocument();
+      });
+    });
+
+    test('submitting cancels the pending live search', async () => {
+      replySongs(songsFor('Drake', 1));
+      renderLive();
+
+      type('Drake');
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      await waitFor(() => {
+        expect(screen.getByText('Drake hit')).toBeInTheDocument();
+      });
+
+      pause(1000);
+      expect(songRequests()).toHaveLength(1);
+    });
+  });
+
+  describe('rate limiting', () => {
+    const rateLimited = (retryAfter) => HttpResponse.json(
+      { error: 'Rate limit exceeded. Please try again later.' },
+      { status: 429, headers: { 'Retry-After': retryAfter } }
+    );
+
+    const songsPage = (page, hasNext) => HttpResponse.json({
+      artist: { name: 'Drake', id: 1 },
+      songs: [{ id: page, title: `Song ${page}`, url: `https://genius.com/${page}`, release_date: null }],
+      pagination: { page, per_page: 50, has_next: hasNext },
+      meta: { fetched_at: new Date(), cached: false }
+    });
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('counts down after a 429 and runs the queued search when the window reopens', async () => {
+      replySongs(rateLimited(3));
+
+      render(<App />);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+      await waitFor(() => {
+        expect(screen.getByText("You're searching a little too fast.")).toBeInTheDocument();
+      });
+      expect(screen.getByText('3s')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Wait 3s' })).toBeDisabled();
+      expect(screen.getByRole('checkbox', { name: /run "drake" automatically/i })).toBeChecked();
+      // The raw error is replaced by the countdown
+      expect(screen.queryByText(/rate limit exceeded/i)).not.toBeInTheDocument();
+      // Announced once; the ticking countdown stays out of the live region
+      expect(screen.getByRole('status')).toHaveTextContent("You're searching a little too fast. You can search again in 3s.");
+      expect(within(screen.getByRole('status')).queryByText('3s')).not.toBeInTheDocument();
+
+      act(() => {
+        jest.advanceTimersByTime(1000);
+      });
+      expect(screen.getByText('2s')).toBeInTheDocument();
+
+      replySongs(songsPage(1, false));
+      act(() => {
+        jest.advanceTimersByTime(2000);
+      });
+
+      await waitFor(() => {
+        expect(screen.getByText('Song 1')).toBeInTheDocument();
+      });
+      expect(screen.queryByText("You're searching a little too fast.")).not.toBeInTheDocument();
+      expect(songRequests()).toHaveLength(2);
+    });
+
+    test('does not rerun the search when auto-retry is switched off', async () => {
+      replySongs(rateLimited(2));
+
+      render(<App />);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+      await waitFor(() => {
+        expect(screen.getByText("You're searching a little too fast.")).toBeInTheDocument();
+      });
+      fireEvent.click(screen.getByRole('checkbox', { name: /automatically/i }));
+
+      act(() => {
+        jest.advanceTimersByTime(2000);
+      });
+
+      expect(screen.queryByText("You're searching a little too fast.")).not.toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Search' })).not.toBeDisabled();
+      expect(songRequests()).toHaveLength(1);
+    });
+
+    test('disables Load More while throttled', async () => {
+      replySongs(songsPage(1, true));
+
+      render(<App />);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      await waitFor(() => {
+        expect(screen.getByText('Song 1')).toBeInTheDocument();
+      });
+
+      replySongs(rateLimited(5));
+      fireEvent.click(screen.getByRole('button', { name: /load more songs/i }));
+
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: 'Load more in 5s' })).toBeDisabled();
+      });
+      // Songs already loaded stay on screen
+      expect(screen.getByText('Song 1')).toBeInTheDocument();
+
+      replySongs(songsPage(2, false));
+      act(() => {
+        jest.advanceTimersByTime(5000);
+      });
+
+      await waitFor(() => {
+        expect(screen.getByText('Song 2')).toBeInTheDocument();
+      });
+    });
+
+    test('the local limiter stops the 11th request before it reaches the server', async () => {
+      for (let i = 0; i < 10; i += 1) {
+        client.songSearchLimiter.tryRemove();
+      }
+
+      render(<App />);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+      await waitFor(() => {
+        expect(screen.getByText("You're searching a little too fast.")).toBeInTheDocument();
+      });
+      expect(songRequests()).toHaveLength(0);
+    });
+  });
+
+  describe('offline', () => {
+    const songsPage = (headers = {}) => HttpResponse.json({
+      artist: { name: 'Drake', id: 1 },
+      songs: [{ id: 1, title: 'Song 1', url: 'https://genius.com/1', release_date: null }],
+      pagination: { page: 1, per_page: 50, has_next: false },
+      meta: { fetched_at: '2024-10-31T12:00:00Z', cached: false }
+    }, { headers });
+
+    const search = () => {
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+    };
+
+    let onLineSpy;
+
+    const goOffline = () => {
+      onLineSpy = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+      act(() => {
+        window.dispatchEvent(new Event('offline'));
+      });
+    };
+
+    const goOnline = () => {
+      onLineSpy.mockRestore();
+      act(() => {
+        window.dispatchEvent(new Event('online'));
+      });
+    };
+
+    test('shows saved results from the offline cache with an indicator', async () => {
+      render(<App />);
+      goOffline();
+
+      replySongs(songsPage({ 'X-Served-From': 'sw-cache' }));
+      search();
+
+      await waitFor(() => {
+        expect(screen.getByText('Song 1')).toBeInTheDocument();
+      });
+      expect(screen.getByText(/showing results saved on this device/i)).toBeInTheDocument();
+      expect(screen.queryByText(/try again when you reconnect/i)).not.toBeInTheDocument();
+    });
+
+    test('explains an unsaved search and retries it on reconnect', async () => {
+      render(<App />);
+      goOffline();
+
+      replySongs(HttpResponse.error());
+      search();
+
+      await waitFor(() => {
+        expect(screen.getByText(/you're offline and this search isn't saved/i)).toBeInTheDocument();
+      });
+      expect(screen.queryByText('Failed to fetch')).not.toBeInTheDocument();
+
+      replySongs(songsPage());
+      goOnline();
+
+      await waitFor(() => {
+        expect(screen.getByText('Song 1')).toBeInTheDocument();
+      });
+      expect(screen.queryByText(/^offline/i)).not.toBeInTheDocument();
+    });
+
+    test('retries at once when the connection came back before the offline answer', async () => {
+      render(<App />);
+
+      replySongs(
+        HttpResponse.json({ error: "You're offline" }, { status: 503, headers: { 'X-Served-From': 'sw-offline' } }),
+        songsPage()
+      );
+      search();
+
+      await waitFor(() => {
+        expect(screen.getByText('Song 1')).toBeInTheDocument();
+      });
+      expect(songRequests()).toHaveLength(2);
+    });
+
+    test('a network failure while online is still an error', async () => {
+      render(<App />);
+
+      replySongs(HttpResponse.error());
+      search();
+
+      await waitFor(() => {
+        expect(screen.getByText("Couldn't reach the server. Check your connection and try again.")).toBeInTheDocument();
+      });
+      expect(screen.queryByText(/try again when you reconnect/i)).not.toBeInTheDocument();
+    });
+  });
+
+  describe('artist disambiguation', () => {
+    const candidates = {
+      query: 'Genesis',
+      ambiguous: true,
+      candidates: [
+        { id: 7339, name: 'Genesis', image_url: null, url: 'https://genius.com/artists/Genesis', exact: true },
+        { id: 99, name: 'Genesis', image_url: null, url: 'https://genius.com/artists/Genesis-2', exact: true }
+      ]
+    };
+
+    const songsPage = (page, hasNext) => HttpResponse.json({
+      artist: { name: 'Genesis', id: 99 },
+      songs: [{ id: page, title: `Song ${page}`, url: `https://genius.com/${page}`, release_date: null }],
+      pagination: { page, per_page: 50, has_next: hasNext },
+      meta: { fetched_at: '2024-10-31T12:00:00Z', cached: false }
+    });
+
+    const replyCandidates = (answer) => {
+      server.use(http.get(CANDIDATES_PATH, () => answer, { once: true }));
+    };
+
+    const search = () => {
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Genesis' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+    };
+
+    test('asks which artist was meant before loading songs', async () => {
+      replyCandidates(HttpResponse.json(candidates));
+      render(<App />);
+      search();
+
+      expect(await screen.findByRole('heading', { name: 'Which "Genesis" did you mean?' })).toBeInTheDocument();
+      expect(songRequests()).toHaveLength(0);
+      expect(screen.queryByText(/enter an artist name above/i)).not.toBeInTheDocument();
+    });
+
+    test('loads the picked artist by id and keeps it for pagination', async () => {
+      replyCandidates(HttpResponse.json(candidates));
+      render(<App />);
+      search();
+
+      replySongs(songsPage(1, true));
+      fireEvent.click((await screen.findAllByRole('button', { name: 'Genesis Exact match' }))[1]);
+
+      await waitFor(() => {
+        expect(screen.getByText('Song 1')).toBeInTheDocument();
+      });
+      expect(songRequests()[0].url).toContain('/artists/Genesis/songs?page=1&per_page=50&artist_id=99');
+      expect(window.location.search).toBe('?artist=Genesis&artist_id=99');
+      expect(screen.queryByRole('heading', { name: /did you mean/i })).not.toBeInTheDocument();
+
+      replySongs(songsPage(2, false));
+      fireEvent.click(screen.getByRole('button', { name: /load more songs/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Song 2')).toBeInTheDocument();
+      });
+      expect(songRequests()[1].url).toContain('page=2&per_page=50&artist_id=99');
+      expect(requestsTo('/candidates')).toHaveLength(1);
+    });
+
+    test('restores a picked artist from the URL without asking again', async () => {
+      window.history.replaceState(null, '', '/?artist=Genesis&artist_id=99');
+      replySongs(songsPage(1, false));
+
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Song 1')).toBeInTheDocument();
+      });
+      expect(requestsTo('/candidates')).toHaveLength(0);
+      expect(songRequests()[0].url).toContain('artist_id=99');
+    });
+
+    test('cancelling the picker returns to the empty state', async () => {
+      replyCandidates(HttpResponse.json(candidates));
+      render(<App />);
+      search();
+
+      fireEvent.click(await screen.findByRole('button', { name: 'Cancel' }));
+
+      expect(screen.getByText(/enter an artist name above/i)).toBeInTheDocument();
+      expect(window.location.search).toBe('');
+    });
+
+    test('falls back to a name search when candidates fail to load', async () => {
+      replyCandidates(HttpResponse.error());
+      replySongs(songsPage(1, false));
+      render(<App />);
+      search();
+
+      await waitFor(() => {
+        expect(screen.getByText('Song 1')).toBeInTheDocument();
+      });
+      expect(songRequests()[0].url).not.toContain('artist_id');
+    });
+  });
+
+  describe('song details', () => {
+    const songsPage = HttpResponse.json({
+      artist: { name: 'Drake', id: 1 },
+      songs: [
+        { id: 378195, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' },
+        { id: 2, title: "God's Plan", url: 'https://genius.com/2', release_date: null }
+      ],
+      pagination: { page: 1, per_page: 50, has_next: false },
+      meta: { fetched_at: '2024-10-31T12:00:00Z', cached: false }
+    });
+
+    const details = {
+      song: {
+        id: 378195,
+        title: 'Hotline Bling',
+        url: 'https://genius.com/1',
+        album: { id: 1, name: 'Views', url: 'https://genius.com/albums/Drake/Views' },
+        primary_artist: { id: 1, name: 'Drake' },
+        featured_artists: [],
+        producer_artists: [],
+        relationships: []
+      },
+      meta: { fetched_at: '2024-10-31T12:00:00Z', cached: false }
+    };
+
+    beforeEach(() => {
+      server.use(http.get(SONG_PATH, () => HttpResponse.json(details)));
+    });
+
+    test('clicking a song opens the drawer and updates the URL', async () => {
+      replySongs(songsPage);
+      render(<App />);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+      fireEvent.click(await screen.findByRole('button', { name: 'Hotline Bling' }));
+
+      expect(screen.getByRole('dialog', { name: 'Hotline Bling' })).toBeInTheDocument();
+      expect(await screen.findByText('Views')).toBeInTheDocument();
+      expect(window.location.search).toBe('?artist=Drake&song=378195');
+
+      fireEvent.keyDown(screen.getByRole('dialog'), { key: 'Escape' });
+
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+      expect(window.location.search).toBe('?artist=Drake');
+    });
+
+    test('opens a deep-linked song on load', async () => {
+      window.history.replaceState(null, '', '/?artist=Drake&song=378195');
+      replySongs(songsPage);
+
+      render(<App />);
+
+      expect(await screen.findByRole('dialog')).toBeInTheDocument();
+      expect(await screen.findByText('Views')).toBeInTheDocument();
+      expect(requestsTo('/songs/378195')).toHaveLength(1);
+    });
+
+    test('back closes the drawer without reloading the songs', async () => {
+      window.history.replaceState(null, '', '/?artist=Drake');
+      replySongs(songsPage);
+      render(<App />);
+
+      fireEvent.click(await screen.findByRole('button', { name: 'Hotline Bling' }));
+      expect(screen.getByRole('dialog')).toBeInTheDocument();
+
+      act(() => {
+        window.history.replaceState(null, '', '/?artist=Drake');
+        window.dispatchEvent(new PopStateEvent('popstate'));
+      });
+
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+      expect(screen.getByText('Hotline Bling')).toBeInTheDocument();
+      expect(songRequests()).toHaveLength(1);
+    });
+
+    test('a new search closes the drawer', async () => {
+      replySongs(songsPage);
+      render(<App />);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      fireEvent.click(await screen.findByRole('button', { name: 'Hotline Bling' }));
+
+      replySongs(songsPage);
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Adele' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+      expect(window.location.search).toBe('?artist=Adele');
+      await waitFor(() => {
+        expect(songRequests()).toHaveLength(2);
+      });
+    });
+  });
+
+  describe('compare mode', () => {
+    const songsFor = (name, id, titles) => HttpResponse.json({
+      artist: { name, id },
+      songs: titles.map(([title, release_date], index) => ({ id: id * 100 + index, title, url: `https://genius.com/${id}/${index}`, release_date })),
+      pagination: { page: 1, per_page: 50, has_next: id === 1 },
+      meta: { fetched_at: '2024-10-31T12:00:00Z', cached: false }
+    });
+
+    const add = (name) => {
+      fireEvent.change(screen.getByRole('combobox', { name: 'Artist name' }), { target: { value: name } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+    };
+
+    test('searches several artists into columns with a summary', async () => {
+      render(<App />);
+      fireEvent.click(screen.getByRole('button', { name: 'Compare artists' }));
+
+      replySongs(songsFor('Drake', 1, [['Hello', '2015']]));
+      add('Drake');
+      expect(await screen.findByRole('region', { name: 'Drake' })).toBeInTheDocument();
+
+      replySongs(songsFor('Adele', 2, [['Hello', 'October 23, 2015']]));
+      add('Adele');
+
+      const summary = await screen.findByRole('region', { name: 'Summary' });
+      expect(summary).toHaveTextContent('Shared titles (1)');
+
+      // Later pages are pinned to the artist the first page resolved to
+      replySongs(HttpResponse.json({
+        artist: { name: 'Drake', id: 1 },
+        songs: [{ id: 150, title: 'Jumpman', url: 'https://genius.com/150', release_date: '2015' }],
+        pagination: { page: 2, per_page: 50, has_next: false },
+        meta: {}
+      }));
+      fireEvent.click(screen.getByRole('button', { name: 'Load more Drake' }));
+
+      expect(await screen.findByText('Jumpman')).toBeInTheDocument();
+      expect(songRequests()[2].url).toContain('/artists/Drake/songs?page=2&per_page=50&artist_id=1');
+    });
+
+    test('asks which artist a column means when the name is ambiguous', async () => {
+      server.use(http.get(CANDIDATES_PATH, () => HttpResponse.json({
+        query: 'Genesis',
+        ambiguous: true,
+        candidates: [
+          { id: 7339, name: 'Genesis', image_url: null, url: 'https://genius.com/artists/Genesis', exact: true },
+          { id: 99, name: 'Genesis Owusu', image_url: null, url: 'https://genius.com/artists/Genesis-owusu', exact: false }
+        ]
+      }), { once: true }));
+      render(<App />);
+      fireEvent.click(screen.getByRole('button', { name: 'Compare artists' }));
+
+      add('Genesis');
+      const column = await screen.findByRole('region', { name: 'Genesis' });
+      expect(await within(column).findByText('Which "Genesis" did you mean?')).toBeInTheDocument();
+      expect(songRequests()).toHaveLength(0);
+
+      replySongs(songsFor('Genesis Owusu', 99, [['Gold Chains', '2021']]));
+      fireEvent.click(within(column).getByRole('button', { name: 'Genesis Owusu' }));
+
+      expect(await screen.findByText('Gold Chains')).toBeInTheDocument();
+      expect(songRequests()[0].url).toContain('artist_id=99');
+      expect(screen.queryByText('Which "Genesis" did you mean?')).not.toBeInTheDocument();
+    });
+
+    test('keeps the single-artist results when switching modes', async () => {
+      replySongs(songsFor('Drake', 1, [['Hotline Bling', '2015']]));
+      render(<App />);
+      add('Drake');
+      expect(await screen.findByText('Hotline Bling')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Compare artists' }));
+      expect(screen.queryByText('Hotline Bling')).not.toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Compare artists' })).toHaveAttribute('aria-pressed', 'true');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Single artist' }));
+      expect(screen.getByText('Hotline Bling')).toBeInTheDocument();
+    });
+  });
+
+  describe('telemetry', () => {
+    const songsPage = (n, hasNext, cached = false) => HttpResponse.json({
+      artist: { name: 'Drake', id: 130 },
+      songs: [{ id: n, title: `Song ${n}`, url: `https://genius.com/${n}`, release_date: null }],
+      pagination: { page: n, per_page: 50, has_next: hasNext },
+      meta: { fetched_at: new Date(), cached }
+    });
+
+    const renderWithTelemetry = (track) => {
+      render(
+        <TelemetryContext.Provider value={{ track, sharing: true, doNotTrack: false, setSharing: jest.fn() }}>
+          <App />
+        </TelemetryContext.Provider>
+      );
+    };
+
+    const search = (name) => {
+      fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: name } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+    };
+
+    test('reports search latency, cache hits and Load More depth without the artist', async () => {
+      replySongs(songsPage(1, true, true), songsPage(2, false));
+      const track = jest.fn();
+      renderWithTelemetry(track);
+
+      search('Drake');
+      await waitFor(() => {
+        expect(screen.getByText('Song 1')).toBeInTheDocument();
+      });
+      fireEvent.click(screen.getByRole('button', { name: /load more songs/i }));
+      await waitFor(() => {
+        expect(screen.getByText('Song 2')).toBeInTheDocument();
+      });
+
+      expect(track.mock.calls).toEqual([
+        ['search', { latency_ms: expect.any(Number), pages: 1, cached_pages: 1, live: false }],
+        ['load_more', { latency_ms: expect.any(Number), pages: 1, cached_pages: 0, depth: 2 }]
+      ]);
+      expect(JSON.stringify(track.mock.calls)).not.toMatch(/drake/i);
+    });
+
+    test('reports the category of a failed search', async () => {
+      replySongs(HttpResponse.json({ error: "Artist 'Nobody' not found" }, { status: 404 }));
+      const track = jest.fn();
+      renderWithTelemetry(track);
+
+      search('Nobody');
+      await waitFor(() => {
+        expect(screen.getByRole('alert')).toBeInTheDocument();
+      });
+
+      expect(track).toHaveBeenCalledWith('search_error', { category: 'not_found', status: 404, append: false });
     });
   });
 });
@@ -0,0 +1,145 @@
+import { ApiError, errorFromResponse, isAbortError, NetworkError, OfflineError, RateLimitError } from './errors';
+import { createResponseCache } from '../utils/responseCache';
+import { DEFAULT_LISTING } from '../utils/songFilters';
+import { createTokenBucket } from '../utils/tokenBucket';
+
+export const PER_PAGE = 50;
+
+// Every /songs request (Load More pages included) counts against the server's
+// 10/min song-search throttle, so they all draw from the same bucket
+export const songSearchLimiter = createTokenBucket({ capacity: 10, refillMs: 60 * 1000 });
+
+// Responses for search-as-you-type, so backspacing to or retyping a query
+// answers instantly instead of spending another song-search token
+export const liveSearchCache = createResponseCache({ ttlMs: 60 * 1000, maxEntries: 20 });
+
+export const getApiBaseUrl = () => process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+// `listing` is { sort, yearFrom, yearTo } (see utils/songFilters); defaults
+// are left out of the query string
+export const artistSongsUrl = (artistName, { page = 1, perPage = PER_PAGE, artistId = null, listing = DEFAULT_LISTING } = {}) => {
+  const params = new URLSearchParams({ page, per_page: perPage });
+  if (artistId) {
+    params.set('artist_id', artistId);
+  }
+  if (listing.sort !== DEFAULT_LISTING.sort) {
+    params.set('sort', listing.sort);
+  }
+  if (listing.yearFrom !== null) {
+    params.set('year_from', listing.yearFrom);
+  }
+  if (listing.yearTo !== null) {
+    params.set('year_to', listing.yearTo);
+  }
+  return `${getApiBaseUrl()}/api/v1/artists/${encodeURIComponent(artistName)}/songs?${params}`;
+};
+
+export const artistCandidatesUrl = (artistName) =>
+  `${getApiBaseUrl()}/api/v1/artists/${encodeURIComponent(artistName)}/candidates`;
+
+export const songDetailsUrl = (songId) =>
+  `${getApiBaseUrl()}/api/v1/songs/${encodeURIComponent(songId)}`;
+
+const readJson = async (response) => {
+  try {
+    return await response.json();
+  } catch {
+    // Proxies and load balancers can answer with HTML error pages
+    return null;
+  }
+};
+
+// Set by public/service-worker.js on responses it answered itself
+const SERVED_FROM_HEADER = 'X-Served-From';
+
+const isBrowserOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// Flag pages replayed from the service worker's cache, so the UI can say
+// "saved on this device" rather than implying a fresh server response
+const markServedFrom = (response, data) => {
+  if (response.headers?.get?.(SERVED_FROM_HEADER) !== 'sw-cache') return data;
+
+  return {
+    ...data,
+    meta: {
+      ...data.meta,
+      offline_cache: true,
+      offline_cached_at: response.headers.get('X-SW-Cached-At')
+    }
+  };
+};
+
+const request = async (url, { signal, resource = null } = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { signal });
+  } catch (err) {
+    // Let callers tell a cancelled request apart from a failed one
+    if (isAbortError(err)) throw err;
+    if (isBrowserOffline()) throw new OfflineError();
+    throw new NetworkError(err.message || 'Unable to reach the server');
+  }
+
+  const data = await readJson(response);
+
+  if (response.headers?.get?.(SERVED_FROM_HEADER) === 'sw-offline') {
+    throw new OfflineError(data?.error);
+  }
+
+  if (!response.ok) {
+    throw errorFromResponse(response, data, { resource });
+  }
+
+  if (!data) {
+    throw new ApiError('Invalid response from server', { status: response.status ?? null });
+  }
+
+  return markServedFrom(response, data);
+};
+
+// Resolves to { artist, songs, pagination, meta } or rejects with an ApiError subclass.
+// When the local limiter is empty it rejects with a RateLimitError without
+// touching the network, exactly as if the server had answered 429.
+// Passing `artistId` (from fetchArtistCandidates) skips the name lookup, and
+// `listing` asks the server for a sort order and release-year range.
+// With a `cache` (see createResponseCache), a fresh cached page is returned
+// without spending a token, and successful pages are stored in it.
+export const fetchArtistSongs = async (artistName, {
+  page = 1,
+  perPage = PER_PAGE,
+  artistId = null,
+  listing = DEFAULT_LISTING,
+  signal,
+  cache = null
+} = {}) => {
+  const url = artistSongsUrl(artistName, { page, perPage, artistId, listing });
+  const cached = cache?.get(url);
+  if (cached) return cached;
+
+  if (!songSearchLimiter.tryRemove()) {
+    throw new RateLimitError('Rate limit exceeded. Please try again later.', {
+      retryAfter: Math.ceil(songSearchLimiter.msUntilAvailable() / 1000)
+    });
+  }
+
+  const data = await request(url, { signal, resource: 'artist' });
+  cache?.set(url, data);
+  return data;
+};
+
+// Resolves to { query, ambiguous, candidates: [{ id, name, image_url, url, exact }] }.
+// Only the general API throttle applies here, so it skips the song limiter.
+// Takes the same optional `cache` as fetchArtistSongs.
+export const fetchArtistCandidates = async (artistName, { signal, cache = null } = {}) => {
+  const url = artistCandidatesUrl(artistName);
+  const cached = cache?.get(url);
+  if (cached) return cached;
+
+  const data = await request(url, { signal, resource: 'artist' });
+  cache?.set(url, data);
+  return data;
+};
+
+// Resolves to { song, meta }; same error classes and `meta` block as song pages
+export const fetchSongDetails = (songId, { signal } = {}) =>
+  request(songDetailsUrl(songId), { signal, resource: 'song' });
@@ -0,0 +1,295 @@
+import {
+  artistCandidatesUrl,
+  artistSongsUrl,
+  fetchArtistCandidates,
+  fetchArtistSongs,
+  fetchSongDetails,
+  getApiBaseUrl,
+  liveSearchCache,
+  songDetailsUrl,
+  songSearchLimiter
+} from './client';
+import {
+  ApiError,
+  ArtistNotFoundError,
+  GatewayTimeoutError,
+  InvalidInputError,
+  NetworkError,
+  NotFoundError,
+  OfflineError,
+  RateLimitError,
+  SongNotFoundError,
+  UpstreamError,
+  isAbortError
+} from './errors';
+
+global.fetch = jest.fn();
+
+const jsonResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => headers[name] ?? null },
+  json: async () => body
+});
+
+describe('api client', () => {
+  const originalApiUrl = process.env.REACT_APP_API_URL;
+
+  beforeEach(() => {
+    fetch.mockReset();
+    songSearchLimiter.reset();
+    liveSearchCache.clear();
+  });
+
+  afterEach(() => {
+    process.env.REACT_APP_API_URL = originalApiUrl;
+  });
+
+  describe('getApiBaseUrl', () => {
+    test('uses REACT_APP_API_URL when set', () => {
+      process.env.REACT_APP_API_URL = 'https://api.example.com';
+      expect(getApiBaseUrl()).toBe('https://api.example.com');
+    });
+
+    test('falls back to the local backend', () => {
+      delete process.env.REACT_APP_API_URL;
+      expect(getApiBaseUrl()).toBe('http://localhost:3001');
+    });
+  });
+
+  describe('artistSongsUrl', () => {
+    test('encodes the artist name and pagination params', () => {
+      delete process.env.REACT_APP_API_URL;
+      expect(artistSongsUrl('AC/DC & Friends', { page: 2 })).toBe(
+        'http://localhost:3001/api/v1/artists/AC%2FDC%20%26%20Friends/songs?page=2&per_page=50'
+      );
+    });
+
+    test('adds a picked artist id', () => {
+      delete process.env.REACT_APP_API_URL;
+      expect(artistSongsUrl('Genesis', { artistId: 7339 })).toBe(
+        'http://localhost:3001/api/v1/artists/Genesis/songs?page=1&per_page=50&artist_id=7339'
+      );
+    });
+
+    test('adds a sort order and year range other than the defaults', () => {
+      delete process.env.REACT_APP_API_URL;
+      expect(artistSongsUrl('Drake', { listing: { sort: 'release_date', yearFrom: 2010, yearTo: null } })).toBe(
+        'http://localhost:3001/api/v1/artists/Drake/songs?page=1&per_page=50&sort=release_date&year_from=2010'
+      );
+      expect(artistSongsUrl('Drake', { listing: { sort: 'popularity', yearFrom: null, yearTo: 2015 } })).toBe(
+        'http://localhost:3001/api/v1/artists/Drake/songs?page=1&per_page=50&year_to=2015'
+      );
+    });
+  });
+
+  describe('fetchSongDetails', () => {
+    test('requests the song endpoint outside the song search limiter', async () => {
+      delete process.env.REACT_APP_API_URL;
+      const body = { song: { id: 42, title: 'Hotline Bling' }, meta: { cached: false } };
+      fetch.mockResolvedValueOnce(jsonResponse(200, body));
+
+      await expect(fetchSongDetails(42)).resolves.toEqual(body);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/api/v1/songs/42', { signal: undefined });
+      expect(songDetailsUrl(42)).toBe('http://localhost:3001/api/v1/songs/42');
+      expect(songSearchLimiter.available()).toBe(10);
+    });
+
+    test('a 404 is a missing song, not a missing artist', async () => {
+      fetch.mockResolvedValueOnce(jsonResponse(404, { error: 'Song 42 not found' }));
+
+      const error = await fetchSongDetails(42).catch(err => err);
+
+      expect(error).toBeInstanceOf(SongNotFoundError);
+      expect(error).toBeInstanceOf(NotFoundError);
+      expect(error).not.toBeInstanceOf(ArtistNotFoundError);
+    });
+  });
+
+  describe('fetchArtistCandidates', () => {
+    test('requests the candidates endpoint', async () => {
+      delete process.env.REACT_APP_API_URL;
+      const body = { query: 'Genesis', ambiguous: true, candidates: [{ id: 1, name: 'Genesis' }] };
+      fetch.mockResolvedValueOnce(jsonResponse(200, body));
+
+      await expect(fetchArtistCandidates('Genesis')).resolves.toEqual(body);
+      expect(fetch).toHaveBeenCalledWith(artistCandidatesUrl('Genesis'), { signal: undefined });
+      expect(artistCandidatesUrl('AC/DC')).toBe('http://localhost:3001/api/v1/artists/AC%2FDC/candidates');
+    });
+
+    test('answers repeat requests from a cache', async () => {
+      fetch.mockResolvedValueOnce(jsonResponse(200, { ambiguous: false, candidates: [] }));
+
+      await fetchArtistCandidates('Genesis', { cache: liveSearchCache });
+      await fetchArtistCandidates('Genesis', { cache: liveSearchCache });
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not draw from the song search limiter', async () => {
+      fetch.mockResolvedValue(jsonResponse(200, { candidates: [] }));
+
+      await fetchArtistCandidates('Genesis');
+
+      expect(songSearchLimiter.available()).toBe(10);
+    });
+  });
+
+  describe('fetchArtistSongs', () => {
+    test('resolves with the response body on success', async () => {
+      const body = { artist: { name: 'Drake', id: 1 }, songs: [], pagination: { page: 1 }, meta: {} };
+      fetch.mockResolvedValueOnce(jsonResponse(200, body));
+
+      await expect(fetchArtistSongs('Drake')).resolves.toEqual(body);
+    });
+
+    test('passes the abort signal through to fetch', async () => {
+      fetch.mockResolvedValueOnce(jsonResponse(200, { songs: [] }));
+      const controller = new AbortController();
+
+      await fetchArtistSongs('Drake', { signal: controller.signal });
+
+      expect(fetch).toHaveBeenCalledWith(expect.any(String), { signal: controller.signal });
+    });
+
+    test.each([
+      [404, ArtistNotFoundError, "Artist 'X' not found"],
+      [422, InvalidInputError, 'Artist name required'],
+      [429, RateLimitError, 'Rate limit exceeded. Please try again later.'],
+      [502, UpstreamError, 'Genius API temporarily unavailable'],
+      [504, GatewayTimeoutError, 'Request timed out after 10 seconds'],
+      [500, ApiError, 'An unexpected error occurred. Please try again later.']
+    ])('maps %i responses to %p', async (status, ErrorClass, message) => {
+      fetch.mockResolvedValueOnce(jsonResponse(status, { error: message }));
+
+      const error = await fetchArtistSongs('X').catch(err => err);
+
+      expect(error).toBeInstanceOf(ErrorClass);
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error.status).toBe(status);
+      expect(error.message).toBe(message);
+    });
+
+    test('reads Retry-After seconds on 429 responses', async () => {
+      fetch.mockResolvedValueOnce(jsonResponse(429, { error: 'Rate limit exceeded' }, { 'Retry-After': '42' }));
+
+      const error = await fetchArtistSongs('Drake').catch(err => err);
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.retryAfter).toBe(42);
+    });
+
+    test('uses a generic message when the error body is not JSON', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 502,
+        headers: { get: () => null },
+        json: async () => { throw new SyntaxError('Unexpected token <'); }
+      });
+
+      const error = await fetchArtistSongs('Drake').catch(err => err);
+
+      expect(error).toBeInstanceOf(UpstreamError);
+      expect(error.message).toBe('Something went wrong');
+    });
+
+    test('wraps fetch failures in NetworkError', async () => {
+      fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      const error = await fetchArtistSongs('Drake').catch(err => err);
+
+      expect(error).toBeInstanceOf(NetworkError);
+      expect(error.message).toBe('Failed to fetch');
+    });
+
+    test('flags pages replayed from the service worker cache', async () => {
+      const body = { artist: { name: 'Drake', id: 1 }, songs: [], pagination: { page: 1 }, meta: { cached: true } };
+      fetch.mockResolvedValueOnce(jsonResponse(200, body, {
+        'X-Served-From': 'sw-cache',
+        'X-SW-Cached-At': '2024-10-31T12:00:00.000Z'
+      }));
+
+      const data = await fetchArtistSongs('Drake');
+
+      expect(data.meta).toEqual({
+        cached: true,
+        offline_cache: true,
+        offline_cached_at: '2024-10-31T12:00:00.000Z'
+      });
+    });
+
+    test('maps the service worker offline response to OfflineError', async () => {
+      fetch.mockResolvedValueOnce(jsonResponse(503, { error: 'Not saved offline' }, { 'X-Served-From': 'sw-offline' }));
+
+      const error = await fetchArtistSongs('Drake').catch(err => err);
+
+      expect(error).toBeInstanceOf(OfflineError);
+      expect(error).toBeInstanceOf(NetworkError);
+      expect(error.message).toBe('Not saved offline');
+    });
+
+    describe('while the browser is offline', () => {
+      beforeEach(() => {
+        jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      test('reports fetch failures as OfflineError', async () => {
+        fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+        const error = await fetchArtistSongs('Drake').catch(err => err);
+
+        expect(error).toBeInstanceOf(OfflineError);
+      });
+    });
+
+    test('stops at the local rate limit without calling the server', async () => {
+      fetch.mockResolvedValue(jsonResponse(200, { songs: [] }));
+
+      for (let i = 0; i < 10; i += 1) {
+        await fetchArtistSongs('Drake', { page: i + 1 });
+      }
+      const error = await fetchArtistSongs('Drake', { page: 11 }).catch(err => err);
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.retryAfter).toBeGreaterThan(0);
+      expect(error.retryAfter).toBeLessThanOrEqual(60);
+      expect(fetch).toHaveBeenCalledTimes(10);
+    });
+
+    test('answers repeat requests from a cache without spending a token', async () => {
+      const body = { artist: { name: 'Drake', id: 1 }, songs: [], pagination: { page: 1 }, meta: {} };
+      fetch.mockResolvedValueOnce(jsonResponse(200, body));
+
+      await fetchArtistSongs('Drake', { cache: liveSearchCache });
+      await expect(fetchArtistSongs('Drake', { cache: liveSearchCache })).resolves.toEqual(body);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(songSearchLimiter.available()).toBe(9);
+    });
+
+    test('does not cache failed requests', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse(502, { error: 'Genius API temporarily unavailable' }))
+        .mockResolvedValueOnce(jsonResponse(200, { songs: [] }));
+
+      await fetchArtistSongs('Drake', { cache: liveSearchCache }).catch(() => {});
+      await fetchArtistSongs('Drake', { cache: liveSearchCache });
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('rethrows aborts untouched', async () => {
+      const abort = new DOMException('The operation was aborted.', 'AbortError');
+      fetch.mockRejectedValueOnce(abort);
+
+      const error = await fetchArtistSongs('Drake').catch(err => err);
+
+      expect(error).toBe(abort);
+      expect(isAbortError(error)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+// Error classes mirroring the backend's error contract (see ArtistsController#songs).
+// Components can branch on `instanceof` instead of string-matching messages.
+
+export class ApiError extends Error {
+  constructor(message, { status = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+// 422 - blank or overly long artist name, bad page params
+export class InvalidInputError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'InvalidInputError';
+  }
+}
+
+// 404 - the requested resource doesn't exist; the subclasses say which
+export class NotFoundError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+// 404 from the artist endpoints - Genius returned no matching artist
+export class ArtistNotFoundError extends NotFoundError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ArtistNotFoundError';
+  }
+}
+
+// 404 from GET /api/v1/songs/:id
+export class SongNotFoundError extends NotFoundError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'SongNotFoundError';
+  }
+}
+
+// 429 - Rack::Attack throttle
+export class RateLimitError extends ApiError {
+  constructor(message, { retryAfter = null, ...options } = {}) {
+    super(message, options);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter; // seconds, when the server tells us
+  }
+}
+
+// 502 - Genius is down or returned garbage
+export class UpstreamError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'UpstreamError';
+  }
+}
+
+// 504 - Genius took too long to answer
+export class GatewayTimeoutError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'GatewayTimeoutError';
+  }
+}
+
+// fetch itself rejected: backend unreachable, DNS, CORS, etc.
+export class NetworkError extends ApiError {
+  constructor(message) {
+    super(message);
+    this.name = 'NetworkError';
+  }
+}
+
+// The browser is offline and the service worker had no saved copy to serve
+export class OfflineError extends NetworkError {
+  constructor(message = "You're offline and this search isn't saved on this device yet.") {
+    super(message);
+    this.name = 'OfflineError';
+  }
+}
+
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+
+  // Retry-After may also be an HTTP date
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
+
+const NOT_FOUND_ERRORS = { artist: ArtistNotFoundError, song: SongNotFoundError };
+
+// `resource` ('artist' or 'song') picks the class for a 404
+export const errorFromResponse = (response, body, { resource = null } = {}) => {
+  const { status } = response;
+  const message = body?.error || 'Something went wrong';
+
+  switch (status) {
+    case 404: {
+      const NotFound = NOT_FOUND_ERRORS[resource] || NotFoundError;
+      return new NotFound(message, { status });
+    }
+    case 422:
+      return new InvalidInputError(message, { status });
+    case 429:
+      return new RateLimitError(message, {
+        status,
+        retryAfter: parseRetryAfter(response.headers?.get?.('Retry-After'))
+      });
+    case 502:
+      return new UpstreamError(message, { status });
+    case 504:
+      return new GatewayTimeoutError(message, { status });
+    default:
+      return new ApiError(message, { status: status ?? null });
+  }
+};
+
+export const isAbortError = (err) => err?.name === 'AbortError';
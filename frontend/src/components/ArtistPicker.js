@@ -0,0 +1,49 @@
+import { useEffect, useId, useRef } from 'react';
+import useI18n from '../hooks/useI18n';
+import './ArtistPicker.css';
+
+// Shown instead of results when a search matches several artists. `inline`
+// is the compact form inside a compare column: an h3 under the column's
+// heading, and focus stays put since the rest of the page doesn't change.
+// Cancel only shows with an `onCancel`.
+function ArtistPicker({ query, candidates, onPick, onCancel, inline = false }) {
+  const { t } = useI18n();
+  const headingRef = useRef(null);
+  const headingId = useId();
+  const Heading = inline ? 'h3' : 'h2';
+
+  // Move focus here so keyboard and screen-reader users notice the question
+  useEffect(() => {
+    if (!inline) headingRef.current?.focus();
+  }, [query, inline]);
+
+  return (
+    <section className={inline ? 'artist-picker artist-picker-inline' : 'artist-picker'} aria-labelledby={headingId}>
+      <Heading id={headingId} ref={headingRef} tabIndex={-1}>
+        {t('picker.question', { query })}
+      </Heading>
+      <ul className="artist-candidates">
+        {candidates.map(candidate => (
+          <li key={candidate.id}>
+            <button type="button" className="artist-candidate" onClick={() => onPick(candidate)}>
+              {candidate.image_url ? (
+                <img src={candidate.image_url} alt="" className="artist-candidate-image" />
+              ) : (
+                <span className="artist-candidate-image" aria-hidden="true" />
+              )}
+              <span className="artist-candidate-name">{candidate.name}</span>
+              {candidate.exact && <span className="artist-candidate-badge">{t('picker.exact')}</span>}
+            </button>
+          </li>
+        ))}
+      </ul>
+      {onCancel && (
+        <button type="button" className="artist-picker-cancel" onClick={onCancel}>
+          {t('common.cancel')}
+        </button>
+      )}
+    </section>
+  );
+}
+
+export default ArtistPicker;
@@ -0,0 +1,46 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ArtistPicker from './ArtistPicker';
+
+const candidates = [
+  { id: 1, name: 'Genesis', image_url: 'https://images.genius.com/1.png', url: 'https://genius.com/artists/1', exact: true },
+  { id: 2, name: 'Genesis (UK)', image_url: null, url: 'https://genius.com/artists/2', exact: false }
+];
+
+describe('ArtistPicker', () => {
+  test('asks which artist was meant and focuses the question', () => {
+    render(<ArtistPicker query="Genesis" candidates={candidates} onPick={jest.fn()} onCancel={jest.fn()} />);
+
+    const heading = screen.getByRole('heading', { name: 'Which "Genesis" did you mean?' });
+    expect(heading).toHaveFocus();
+    expect(screen.getByRole('region', { name: /which "genesis"/i })).toBeInTheDocument();
+    expect(screen.getAllByRole('button', { name: /genesis/i })).toHaveLength(2);
+    expect(screen.getByText('Exact match')).toBeInTheDocument();
+  });
+
+  test('reports the picked candidate', () => {
+    const onPick = jest.fn();
+    render(<ArtistPicker query="Genesis" candidates={candidates} onPick={onPick} onCancel={jest.fn()} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Genesis (UK)' }));
+
+    expect(onPick).toHaveBeenCalledWith(candidates[1]);
+  });
+
+  test('can be cancelled', () => {
+    const onCancel = jest.fn();
+    render(<ArtistPicker query="Genesis" candidates={candidates} onPick={jest.fn()} onCancel={onCancel} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+    expect(onCancel).toHaveBeenCalled();
+  });
+
+  test('inline, it sits under a column heading and leaves focus alone', () => {
+    render(<ArtistPicker query="Genesis" candidates={candidates} onPick={jest.fn()} inline />);
+
+    const heading = screen.getByRole('heading', { level: 3, name: 'Which "Genesis" did you mean?' });
+    expect(heading).not.toHaveFocus();
+    expect(screen.getAllByRole('button', { name: /genesis/i })).toHaveLength(2);
+    expect(screen.queryByRole('button', { name: 'Cancel' })).not.toBeInTheDocument();
+  });
+});
@@ -1,52 +1,164 @@
 import { useState } from 'react';
+import useI18n from '../hooks/useI18n';
+import { matchHistory } from '../utils/searchHistory';
 import './ArtistSearch.css';
 
-function ArtistSearch({ onSearch, disabled }) {
+const LISTBOX_ID = 'artist-search-suggestions';
+const optionId = (index) => `${LISTBOX_ID}-${index}`;
+
+function ArtistSearch({
+  onSearch,
+  onQueryChange,
+  disabled,
+  cooldownSeconds = 0,
+  history = [],
+  onClearHistory,
+  inputRef
+}) {
+  const { t } = useI18n();
   const [input, setInput] = useState('');
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const suggestions = matchHistory(history, input);
+  const expanded = open && !disabled && suggestions.length > 0;
+
+  const closeSuggestions = () => {
+    setOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const selectSuggestion = (name) => {
+    setInput(name);
+    closeSuggestions();
+    onSearch(name);
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (input.trim()) {
+      closeSuggestions();
       onSearch(input.trim());
     }
   };
 
   const handleClear = () => {
     setInput('');
+    onQueryChange?.('');
+  };
+
+  const handleChange = (e) => {
+    setInput(e.target.value);
+    setOpen(true);
+    setActiveIndex(-1);
+    onQueryChange?.(e.target.value);
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (!expanded) {
+          setOpen(true);
+          setActiveIndex(0);
+        } else {
+          setActiveIndex(prev => (prev + 1) % suggestions.length);
+        }
+        break;
+      case 'ArrowUp':
+        if (!expanded) break;
+        e.preventDefault();
+        setActiveIndex(prev => (prev <= 0 ? suggestions.length - 1 : prev - 1));
+        break;
+      case 'Enter':
+        // Without an active option, Enter falls through to a normal submit
+        if (expanded && activeIndex >= 0) {
+          e.preventDefault();
+          selectSuggestion(suggestions[activeIndex]);
+        }
+        break;
+      case 'Escape':
+        if (expanded) {
+          e.preventDefault();
+          closeSuggestions();
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handleClearHistory = () => {
+    closeSuggestions();
+    onClearHistory?.();
   };
 
   return (
     <form onSubmit={handleSubmit} className="search-form">
       <div className="search-input-wrapper">
         <input
+          ref={inputRef}
           type="text"
           value={input}
-          onChange={(e) => setInput(e.target.value)}
-          placeholder="Enter artist name (e.g., Pink Floyd)..."
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setOpen(true)}
+          onBlur={closeSuggestions}
+          placeholder={t('search.placeholder')}
           className="search-input"
           disabled={disabled}
           autoFocus
+          role="combobox"
+          aria-label={t('search.label')}
+          aria-autocomplete="list"
+          aria-expanded={expanded}
+          aria-controls={LISTBOX_ID}
+          aria-activedescendant={expanded && activeIndex >= 0 ? optionId(activeIndex) : undefined}
         />
         {input && !disabled && (
           <button
             type="button"
             onClick={handleClear}
             className="clear-button"
-            aria-label="Clear search"
+            aria-label={t('search.clear')}
           >
             ✕
           </button>
         )}
+        {expanded && (
+          // mousedown is cancelled so the input keeps focus while picking
+          <div className="search-suggestions" onMouseDown={(e) => e.preventDefault()}>
+            <ul id={LISTBOX_ID} role="listbox" aria-label={t('search.recent')}>
+              {suggestions.map((name, index) => (
+                <li
+                  key={name}
+                  id={optionId(index)}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  className={index === activeIndex ? 'suggestion active' : 'suggestion'}
+                  onClick={() => selectSuggestion(name)}
+                >
+                  {name}
+                </li>
+              ))}
+            </ul>
+            {onClearHistory && (
+              <button type="button" className="clear-history" onClick={handleClearHistory}>
+                {t('search.clearHistory')}
+              </button>
+            )}
+          </div>
+        )}
       </div>
-      <button 
-        type="submit" 
-        disabled={disabled || !input.trim()} 
+      <button
+        type="submit"
+        disabled={disabled || cooldownSeconds > 0 || !input.trim()}
         className="search-button"
       >
-        Search
+        {cooldownSeconds > 0 ? t('search.wait', { seconds: cooldownSeconds }) : t('search.submit')}
       </button>
     </form>
   );
 }
 
-export default ArtistSearch;
\ No newline at end of file
+export default ArtistSearch;
@@ -99,4 +99,100 @@ describe('ArtistSearch', () => {
     fireEvent.change(input, { target: { value: 'Drake' } });
     expect(input.value).toBe('Drake');
   });
+
+  test('disables searching during a rate-limit cooldown', () => {
+    render(<ArtistSearch onSearch={jest.fn()} disabled={false} cooldownSeconds={12} />);
+
+    fireEvent.change(screen.getByPlaceholderText(/enter artist name/i), { target: { value: 'Drake' } });
+
+    expect(screen.getByRole('button', { name: 'Wait 12s' })).toBeDisabled();
+    expect(screen.getByPlaceholderText(/enter artist name/i)).not.toBeDisabled();
+  });
+
+  describe('recent searches', () => {
+    const history = ['Drake', 'Daft Punk', 'Adele'];
+
+    const renderWithHistory = (props = {}) => {
+      const onSearch = jest.fn();
+      const onClearHistory = jest.fn();
+      render(
+        <ArtistSearch
+          onSearch={onSearch}
+          disabled={false}
+          history={history}
+          onClearHistory={onClearHistory}
+          {...props}
+        />
+      );
+      return { onSearch, onClearHistory, input: screen.getByRole('combobox') };
+    };
+
+    test('shows recent searches when the input is focused', () => {
+      const { input } = renderWithHistory();
+
+      // autoFocus opens the list straight away
+      expect(input).toHaveAttribute('aria-expanded', 'true');
+      expect(screen.getAllByRole('option').map(o => o.textContent)).toEqual(history);
+    });
+
+    test('narrows suggestions as the user types', () => {
+      const { input } = renderWithHistory();
+
+      fireEvent.change(input, { target: { value: 'da' } });
+
+      expect(screen.getAllByRole('option').map(o => o.textContent)).toEqual(['Daft Punk']);
+    });
+
+    test('navigates with arrow keys and selects with Enter', () => {
+      const { input, onSearch } = renderWithHistory();
+
+      fireEvent.keyDown(input, { key: 'ArrowDown' });
+      fireEvent.keyDown(input, { key: 'ArrowDown' });
+      expect(screen.getByRole('option', { name: 'Daft Punk' })).toHaveAttribute('aria-selected', 'true');
+      expect(input).toHaveAttribute('aria-activedescendant', screen.getByRole('option', { name: 'Daft Punk' }).id);
+
+      fireEvent.keyDown(input, { key: 'ArrowUp' });
+      fireEvent.keyDown(input, { key: 'ArrowUp' });
+      expect(screen.getByRole('option', { name: 'Adele' })).toHaveAttribute('aria-selected', 'true');
+
+      fireEvent.keyDown(input, { key: 'Enter' });
+
+      expect(onSearch).toHaveBeenCalledWith('Adele');
+      expect(input).toHaveValue('Adele');
+      expect(input).toHaveAttribute('aria-expanded', 'false');
+    });
+
+    test('Escape dismisses the suggestions', () => {
+      const { input, onSearch } = renderWithHistory();
+
+      fireEvent.keyDown(input, { key: 'Escape' });
+
+      expect(input).toHaveAttribute('aria-expanded', 'false');
+      expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+      expect(onSearch).not.toHaveBeenCalled();
+    });
+
+    test('clicking a suggestion searches for it', () => {
+      const { onSearch } = renderWithHistory();
+
+      fireEvent.click(screen.getByRole('option', { name: 'Drake' }));
+
+      expect(onSearch).toHaveBeenCalledWith('Drake');
+    });
+
+    test('clears history', () => {
+      const { onClearHistory } = renderWithHistory();
+
+      fireEvent.click(screen.getByRole('button', { name: /clear history/i }));
+
+      expect(onClearHistory).toHaveBeenCalled();
+    });
+
+    test('hides suggestions while disabled', () => {
+      const { input } = renderWithHistory({ disabled: true });
+
+      expect(input).toHaveAttribute('aria-expanded', 'false');
+      expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+    });
+  });
 });
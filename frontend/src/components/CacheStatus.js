@@ -0,0 +1,38 @@
+import useI18n from '../hooks/useI18n';
+import { describePageSource } from '../utils/cacheMeta';
+import './CacheStatus.css';
+
+// Small per-page "live / cached / stale" markers; mostly for support diagnostics
+function CacheStatus({ pageMeta }) {
+  const { t, formatFetchedAt } = useI18n();
+
+  if (pageMeta.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="cache-status" aria-label={t('cache.label')}>
+      {pageMeta.map(meta => {
+        const source = describePageSource(meta);
+        const sourceLabel = t(`cache.source.${source}`);
+        const title = meta.fetched_at
+          ? t('cache.titleFetched', { page: meta.page, source: sourceLabel, fetched: formatFetchedAt(meta.fetched_at) })
+          : t('cache.title', { page: meta.page, source: sourceLabel });
+
+        return (
+          <li
+            key={meta.page}
+            className={`cache-chip cache-chip-${source}`}
+            title={title}
+          >
+            <span className="visually-hidden">{t('cache.page', { page: meta.page })} </span>
+            <span aria-hidden="true">{t('cache.pageShort', { page: meta.page })} </span>
+            {sourceLabel}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default CacheStatus;
@@ -0,0 +1,83 @@
+import useI18n from '../hooks/useI18n';
+import { errorMessage } from '../utils/errorMessages';
+import ArtistPicker from './ArtistPicker';
+import SongList from './SongList';
+
+function CompareColumn({
+  column,
+  onPickArtist,
+  onLoadMore,
+  onRetry,
+  onRemove,
+  onSelectSong,
+  favoriteIds,
+  onToggleFavorite
+}) {
+  const { t } = useI18n();
+  const { query, artist, songs, pagination, loading, loadingMore, error, candidates } = column;
+  const name = artist?.name || query;
+
+  return (
+    <section className="compare-column" aria-labelledby={`compare-column-${column.key}`} aria-busy={loading || loadingMore}>
+      <div className="compare-column-header">
+        <h2 id={`compare-column-${column.key}`}>{name}</h2>
+        <button
+          type="button"
+          className="compare-remove"
+          onClick={onRemove}
+          aria-label={t('compare.remove', { name })}
+        >
+          ✕
+        </button>
+      </div>
+
+      {songs.length > 0 && (
+        <p className="compare-count">
+          {t(pagination?.has_next ? 'compare.loadedSoFar' : 'compare.loaded', { count: songs.length })}
+        </p>
+      )}
+
+      {loading && (
+        <div className="compare-loading" role="status">
+          <div className="spinner"></div>
+          <p>{t('compare.loading')}</p>
+        </div>
+      )}
+
+      {candidates && (
+        // Removing the column is how to back out, so no cancel here
+        <ArtistPicker query={query} candidates={candidates} onPick={onPickArtist} inline />
+      )}
+
+      {error && (
+        <div className="compare-error" role="alert">
+          <p>{errorMessage(t, error)}</p>
+          <button type="button" onClick={onRetry}>{t('common.tryAgain')}</button>
+        </div>
+      )}
+
+      {songs.length > 0 && (
+        // No onLoadMore: infinite scroll would page every column at once
+        <SongList
+          songs={songs}
+          onSelectSong={onSelectSong}
+          favoriteIds={favoriteIds}
+          onToggleFavorite={onToggleFavorite && ((song) => onToggleFavorite(song, artist))}
+        />
+      )}
+
+      {pagination?.has_next && !error && (
+        <button
+          type="button"
+          onClick={onLoadMore}
+          disabled={loadingMore}
+          className="load-more-btn"
+        >
+          {loadingMore ? t('results.loadingMore') : t('compare.loadMore', { name })}
+        </button>
+      )}
+    </section>
+  );
+}
+
+export default CompareColumn;
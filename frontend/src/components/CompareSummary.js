@@ -0,0 +1,97 @@
+import { useMemo, useState } from 'react';
+import useI18n from '../hooks/useI18n';
+import { GROUP_OPTIONS, countByPeriod, overlappingTitles } from '../utils/compareSongs';
+
+// Per-period song counts side by side, plus titles more than one artist has
+function CompareSummary({ columns }) {
+  const { t } = useI18n();
+  const [groupBy, setGroupBy] = useState('year');
+  const { rows, undated } = useMemo(() => countByPeriod(columns, groupBy), [columns, groupBy]);
+  const overlaps = useMemo(() => overlappingTitles(columns), [columns]);
+  const names = columns.map(column => column.artist.name);
+  const partial = columns.some(column => column.pagination?.has_next);
+  // Periods are labels, not numbers to format with grouping
+  const periodLabel = (period) =>
+    (groupBy === 'decade' ? t('compare.decade', { decade: String(period) }) : String(period));
+
+  const renderCounts = (counts) => {
+    const max = Math.max(...counts);
+    return counts.map((count, index) => (
+      <td key={index} className={count > 0 && count === max ? 'compare-max' : undefined}>
+        {count}
+      </td>
+    ));
+  };
+
+  return (
+    <section className="compare-summary" aria-labelledby="compare-summary-title">
+      <div className="compare-summary-header">
+        <h2 id="compare-summary-title">{t('compare.summary')}</h2>
+        <label className="compare-group">
+          <span>{t('compare.groupBy')}</span>
+          <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)}>
+            {GROUP_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {partial && (
+        <p className="compare-note">{t('compare.partial')}</p>
+      )}
+
+      <div className="compare-table-wrapper">
+        <table className="compare-table">
+          <caption className="visually-hidden">
+            {t(`compare.caption.${groupBy}`, { names: names.join(', ') })}
+          </caption>
+          <thead>
+            <tr>
+              <th scope="col">{t(`compare.group.${groupBy}`)}</th>
+              {columns.map(column => <th key={column.key} scope="col">{column.artist.name}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ period, counts }) => (
+              <tr key={period}>
+                <th scope="row">{periodLabel(period)}</th>
+                {renderCounts(counts)}
+              </tr>
+            ))}
+            {undated.some(Boolean) && (
+              <tr>
+                <th scope="row">{t('compare.undated')}</th>
+                {undated.map((count, index) => <td key={index}>{count}</td>)}
+              </tr>
+            )}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th scope="row">{t('compare.total')}</th>
+              {renderCounts(columns.map(column => column.songs.length))}
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      <h3 className="compare-overlaps-title">
+        {t('compare.shared', { count: overlaps.length })}
+      </h3>
+      {overlaps.length === 0 ? (
+        <p className="compare-note">{t('compare.noShared')}</p>
+      ) : (
+        <ul className="compare-overlaps">
+          {overlaps.map(({ title, artists }) => (
+            <li key={title}>
+              <span className="compare-overlap-title">{title}</span>
+              <span className="compare-overlap-artists">{artists.join(', ')}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default CompareSummary;
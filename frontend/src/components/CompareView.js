@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import useI18n from '../hooks/useI18n';
+import ArtistSearch from './ArtistSearch';
+import CompareColumn from './CompareColumn';
+import CompareSummary from './CompareSummary';
+import { MAX_COLUMNS } from '../hooks/useArtistColumns';
+import './CompareView.css';
+
+function CompareView({
+  columns,
+  onAdd,
+  onPickArtist,
+  onRemove,
+  onLoadMore,
+  onRetry,
+  onSelectSong,
+  favoriteIds,
+  onToggleFavorite,
+  history,
+  onClearHistory
+}) {
+  const { t } = useI18n();
+  const [notice, setNotice] = useState('');
+  const full = columns.length >= MAX_COLUMNS;
+  // The summary needs to know who each column is, so wait for first pages
+  const loaded = columns.filter(column => column.artist);
+
+  const handleAdd = (name) => {
+    setNotice(onAdd(name) ? '' : t('compare.duplicate', { name }));
+  };
+
+  return (
+    <div className="compare-view">
+      <ArtistSearch
+        onSearch={handleAdd}
+        disabled={full}
+        history={history}
+        onClearHistory={onClearHistory}
+      />
+      <p className="compare-hint" role="status">
+        {notice || t(full ? 'compare.full' : 'compare.hint', { max: MAX_COLUMNS })}
+      </p>
+
+      {columns.length > 0 && (
+        <div className="compare-columns">
+          {columns.map(column => (
+            <CompareColumn
+              key={column.key}
+              column={column}
+              onPickArtist={(candidate) => onPickArtist(column.key, candidate)}
+              onLoadMore={() => onLoadMore(column.key)}
+              onRetry={() => onRetry(column.key)}
+              onRemove={() => onRemove(column.key)}
+              onSelectSong={onSelectSong}
+              favoriteIds={favoriteIds}
+              onToggleFavorite={onToggleFavorite}
+            />
+          ))}
+        </div>
+      )}
+
+      {loaded.length > 1 && <CompareSummary columns={loaded} />}
+    </div>
+  );
+}
+
+export default CompareView;
@@ -0,0 +1,123 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import CompareView from './CompareView';
+import { ArtistNotFoundError } from '../api/errors';
+
+const column = (key, name, songs, overrides = {}) => ({
+  key,
+  query: name,
+  artist: { name, id: key },
+  songs: songs.map(([title, release_date], index) => ({ id: key * 100 + index, title, url: `https://genius.com/${key}/${index}`, release_date })),
+  pagination: { page: 1, per_page: 50, has_next: false },
+  loading: false,
+  loadingMore: false,
+  error: null,
+  ...overrides
+});
+
+const drake = column(1, 'Drake', [['Hotline Bling', 'October 19, 2015'], ['Jumpman', '2015'], ['Marvins Room', '2011']]);
+const adele = column(2, 'Adele', [['Hello', 'October 23, 2015'], ['Hotline Bling', '2016']], {
+  pagination: { page: 1, per_page: 50, has_next: true }
+});
+
+const renderView = (columns, handlers = {}) => render(
+  <CompareView
+    columns={columns}
+    onAdd={jest.fn(() => true)}
+    onRemove={jest.fn()}
+    onLoadMore={jest.fn()}
+    onRetry={jest.fn()}
+    onSelectSong={jest.fn()}
+    history={[]}
+    {...handlers}
+  />
+);
+
+describe('CompareView', () => {
+  test('renders a column per artist with its own songs', () => {
+    renderView([drake, adele]);
+
+    const drakeColumn = screen.getByRole('region', { name: 'Drake' });
+    const adeleColumn = screen.getByRole('region', { name: 'Adele' });
+    expect(within(drakeColumn).getByText('Jumpman')).toBeInTheDocument();
+    expect(within(adeleColumn).queryByText('Jumpman')).not.toBeInTheDocument();
+    expect(within(adeleColumn).getByText('2 songs loaded so far')).toBeInTheDocument();
+  });
+
+  test('pages, retries and removes columns independently', () => {
+    const onLoadMore = jest.fn();
+    const onRetry = jest.fn();
+    const onRemove = jest.fn();
+    const failed = column(3, 'Nobody', [], { artist: null, pagination: null, error: new ArtistNotFoundError("Artist 'Nobody' not found", { status: 404 }) });
+    renderView([drake, adele, failed], { onLoadMore, onRetry, onRemove });
+
+    expect(within(screen.getByRole('region', { name: 'Drake' })).queryByRole('button', { name: /load more/i })).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Load more Adele' }));
+    expect(onLoadMore).toHaveBeenCalledWith(2);
+
+    const failedColumn = screen.getByRole('region', { name: 'Nobody' });
+    expect(within(failedColumn).getByRole('alert')).toHaveTextContent('Genius has no artist by that name.');
+    fireEvent.click(within(failedColumn).getByRole('button', { name: 'Try again' }));
+    expect(onRetry).toHaveBeenCalledWith(3);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove Drake' }));
+    expect(onRemove).toHaveBeenCalledWith(1);
+  });
+
+  test('shows a loading state per column', () => {
+    renderView([drake, column(2, 'Adele', [], { artist: null, pagination: null, loading: true })]);
+
+    expect(within(screen.getByRole('region', { name: 'Adele' })).getByText('Loading songs...')).toBeInTheDocument();
+    // The summary waits until at least two artists have loaded
+    expect(screen.queryByRole('region', { name: 'Summary' })).not.toBeInTheDocument();
+  });
+
+  test('summarizes counts per year and shared titles', () => {
+    renderView([drake, adele]);
+
+    const summary = screen.getByRole('region', { name: 'Summary' });
+    const table = within(summary).getByRole('table');
+    const row2015 = within(table).getByRole('row', { name: /^2015/ });
+    expect(within(row2015).getAllByRole('cell').map(cell => cell.textContent)).toEqual(['2', '1']);
+    expect(within(summary).getByText(/loaded songs only/i)).toBeInTheDocument();
+    expect(within(summary).getByText('Shared titles (1)')).toBeInTheDocument();
+    expect(within(summary).getByText('Drake, Adele')).toBeInTheDocument();
+
+    fireEvent.change(within(summary).getByLabelText('Group by'), { target: { value: 'decade' } });
+    const row2010s = within(table).getByRole('row', { name: /^2010s/ });
+    expect(within(row2010s).getAllByRole('cell').map(cell => cell.textContent)).toEqual(['3', '2']);
+  });
+
+  test('offers a choice inside a column whose name is ambiguous', () => {
+    const onPickArtist = jest.fn();
+    const genesis = { id: 99, name: 'Genesis Owusu', image_url: null, exact: false };
+    const ambiguous = column(3, 'Genesis', [], {
+      artist: null,
+      pagination: null,
+      candidates: [{ id: 7339, name: 'Genesis', image_url: null, exact: true }, genesis]
+    });
+    renderView([drake, ambiguous], { onPickArtist });
+
+    const ambiguousColumn = screen.getByRole('region', { name: 'Genesis' });
+    expect(within(ambiguousColumn).getByRole('heading', { level: 3, name: 'Which "Genesis" did you mean?' })).not.toHaveFocus();
+    expect(within(ambiguousColumn).getByText('Exact match')).toBeInTheDocument();
+
+    fireEvent.click(within(ambiguousColumn).getByRole('button', { name: 'Genesis Owusu' }));
+    expect(onPickArtist).toHaveBeenCalledWith(3, genesis);
+  });
+
+  test('explains why an artist was not added', () => {
+    renderView([drake], { onAdd: jest.fn(() => false) });
+
+    fireEvent.change(screen.getByRole('combobox', { name: 'Artist name' }), { target: { value: 'drake' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+    expect(screen.getByText('"drake" is already being compared.')).toBeInTheDocument();
+  });
+
+  test('disables the search once every column is used', () => {
+    renderView([drake, adele, column(3, 'Sade', []), column(4, 'Prince', [])]);
+
+    expect(screen.getByRole('combobox', { name: 'Artist name' })).toBeDisabled();
+    expect(screen.getByText(/maximum of 4 artists/i)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,154 @@
+import { useEffect, useRef, useState } from 'react';
+import { isAbortError } from '../api/errors';
+import useI18n from '../hooks/useI18n';
+import { progressMessage } from '../utils/announcements';
+import { errorMessage } from '../utils/errorMessages';
+import {
+  EXPORT_FORMATS,
+  copyToClipboard,
+  downloadFile,
+  exportFilename,
+  toExportRows
+} from '../utils/exportSongs';
+import './ExportMenu.css';
+
+function ExportMenu({ songs, artist, hasMore, loadingMore = false, onLoadRemaining }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState('csv');
+  const [entireDiscography, setEntireDiscography] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [status, setStatus] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  // Cancel a discography walk if the menu goes away mid-export
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  const collectSongs = async () => {
+    if (!entireDiscography || !hasMore) {
+      return songs;
+    }
+
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    setProgress({ page: null, count: songs.length });
+
+    try {
+      return await onLoadRemaining({
+        signal: abortController.signal,
+        onProgress: setProgress
+      });
+    } finally {
+      abortControllerRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const runExport = async (deliver) => {
+    setStatus(null);
+
+    try {
+      const allSongs = await collectSongs();
+      const { serialize, extension, mimeType } = EXPORT_FORMATS[format];
+      const content = serialize(toExportRows(allSongs, artist));
+
+      await deliver({ content, filename: exportFilename(artist?.name, extension), mimeType });
+      setStatus({ type: 'success', text: t('export.done', { count: allSongs.length }) });
+    } catch (err) {
+      if (isAbortError(err)) {
+        setStatus({ type: 'info', text: t('export.cancelled') });
+        return;
+      }
+      setStatus({ type: 'error', text: t('export.failed', { message: errorMessage(t, err) }) });
+    }
+  };
+
+  const handleDownload = () =>
+    runExport(({ content, filename, mimeType }) => downloadFile(content, filename, mimeType));
+
+  const handleCopy = () =>
+    runExport(({ content }) => copyToClipboard(content));
+
+  const handleCancel = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  };
+
+  const exporting = progress !== null;
+  // Another walk or a Load More is appending pages; the discography waits for it
+  const busy = exporting || (entireDiscography && hasMore && loadingMore);
+
+  return (
+    <div className="export-menu">
+      <button
+        type="button"
+        className="export-toggle"
+        aria-expanded={open}
+        aria-controls="export-panel"
+        onClick={() => setOpen(prev => !prev)}
+      >
+        {t('export.toggle')}
+      </button>
+
+      {open && (
+        <div id="export-panel" className="export-panel">
+          <label className="export-field">
+            <span>{t('export.format')}</span>
+            <select value={format} onChange={(e) => setFormat(e.target.value)} disabled={exporting}>
+              {Object.entries(EXPORT_FORMATS).map(([value, { labelKey }]) => (
+                <option key={value} value={value}>{t(labelKey)}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="export-field export-scope">
+            <input
+              type="checkbox"
+              checked={entireDiscography && hasMore}
+              onChange={(e) => setEntireDiscography(e.target.checked)}
+              disabled={!hasMore || exporting}
+            />
+            <span>
+              {hasMore ? t('export.entire') : t('export.allLoaded', { count: songs.length })}
+            </span>
+          </label>
+
+          <div className="export-actions">
+            <button type="button" onClick={handleDownload} disabled={busy}>
+              {t('export.download')}
+            </button>
+            <button type="button" onClick={handleCopy} disabled={busy}>
+              {t('export.copy')}
+            </button>
+          </div>
+
+          {exporting && (
+            <div className="export-progress" role="status">
+              <span>
+                {progressMessage(t, progress)}
+              </span>
+              <button type="button" onClick={handleCancel}>
+                {t('common.cancel')}
+              </button>
+            </div>
+          )}
+
+          {status && !exporting && (
+            <p className={`export-status export-status-${status.type}`} role="status">
+              {status.text}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
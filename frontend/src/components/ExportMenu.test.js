@@ -0,0 +1,135 @@
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import ExportMenu from './ExportMenu';
+import { LocalizedError } from '../utils/errorMessages';
+
+const artist = { name: 'Drake', id: 1 };
+const songs = [
+  { id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' }
+];
+
+describe('ExportMenu', () => {
+  const originalClipboard = navigator.clipboard;
+  let writeText;
+
+  beforeEach(() => {
+    writeText = jest.fn().mockResolvedValue();
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+  });
+
+  afterEach(() => {
+    Object.defineProperty(navigator, 'clipboard', { value: originalClipboard, configurable: true });
+  });
+
+  const openMenu = () => fireEvent.click(screen.getByRole('button', { name: 'Export' }));
+
+  test('is collapsed until opened', () => {
+    render(<ExportMenu songs={songs} artist={artist} hasMore={false} onLoadRemaining={jest.fn()} />);
+
+    expect(screen.getByRole('button', { name: 'Export' })).toHaveAttribute('aria-expanded', 'false');
+    expect(screen.queryByRole('button', { name: /download/i })).not.toBeInTheDocument();
+
+    openMenu();
+    expect(screen.getByRole('button', { name: 'Export' })).toHaveAttribute('aria-expanded', 'true');
+  });
+
+  test('copies loaded songs in the chosen format', async () => {
+    render(<ExportMenu songs={songs} artist={artist} hasMore={false} onLoadRemaining={jest.fn()} />);
+    openMenu();
+
+    fireEvent.change(screen.getByLabelText(/format/i), { target: { value: 'markdown' } });
+    fireEvent.click(screen.getByRole('button', { name: /copy to clipboard/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Exported 1 song')).toBeInTheDocument();
+    });
+    expect(writeText.mock.calls[0][0]).toContain('| 1 | Hotline Bling |');
+  });
+
+  test('disables the discography option when everything is loaded', () => {
+    render(<ExportMenu songs={songs} artist={artist} hasMore={false} onLoadRemaining={jest.fn()} />);
+    openMenu();
+
+    expect(screen.getByRole('checkbox')).toBeDisabled();
+    expect(screen.getByText('The only song is loaded')).toBeInTheDocument();
+  });
+
+  test('walks remaining pages with progress before exporting', async () => {
+    let reportProgress;
+    let finish;
+    const onLoadRemaining = jest.fn(({ onProgress }) => {
+      reportProgress = onProgress;
+      return new Promise(resolve => { finish = resolve; });
+    });
+
+    render(<ExportMenu songs={songs} artist={artist} hasMore onLoadRemaining={onLoadRemaining} />);
+    openMenu();
+
+    fireEvent.click(screen.getByRole('checkbox', { name: /entire discography/i }));
+    fireEvent.click(screen.getByRole('button', { name: /copy to clipboard/i }));
+
+    expect(screen.getByText(/loading remaining pages/i)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /copy to clipboard/i })).toBeDisabled();
+
+    act(() => {
+      reportProgress({ page: 2, count: 51 });
+    });
+    expect(screen.getByText('Loaded page 2 (51 songs)...')).toBeInTheDocument();
+
+    act(() => {
+      reportProgress({ page: 2, count: 51, waitSeconds: 42 });
+    });
+    expect(screen.getByText('Rate limited; continuing in 42s (51 songs so far)...')).toBeInTheDocument();
+
+    await act(async () => {
+      finish([...songs, { id: 2, title: 'One Dance', url: 'https://genius.com/2', release_date: null }]);
+    });
+
+    expect(screen.getByText('Exported 2 songs')).toBeInTheDocument();
+    expect(writeText.mock.calls[0][0]).toContain('One Dance');
+  });
+
+  test('cancels a discography walk', async () => {
+    let signal;
+    const onLoadRemaining = jest.fn((options) => {
+      signal = options.signal;
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      });
+    });
+
+    render(<ExportMenu songs={songs} artist={artist} hasMore onLoadRemaining={onLoadRemaining} />);
+    openMenu();
+
+    fireEvent.click(screen.getByRole('checkbox', { name: /entire discography/i }));
+    fireEvent.click(screen.getByRole('button', { name: /download/i }));
+    fireEvent.click(screen.getByRole('button', { name: /cancel/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Export cancelled')).toBeInTheDocument();
+    });
+    expect(signal.aborted).toBe(true);
+    expect(writeText).not.toHaveBeenCalled();
+  });
+
+  test('holds a discography export while other pages are loading', () => {
+    render(<ExportMenu songs={songs} artist={artist} hasMore loadingMore onLoadRemaining={jest.fn()} />);
+    openMenu();
+
+    expect(screen.getByRole('button', { name: /download/i })).toBeEnabled();
+    fireEvent.click(screen.getByRole('checkbox', { name: /entire discography/i }));
+    expect(screen.getByRole('button', { name: /download/i })).toBeDisabled();
+    expect(screen.getByRole('button', { name: /copy/i })).toBeDisabled();
+  });
+
+  test('reports failures', async () => {
+    writeText.mockRejectedValueOnce(new LocalizedError('Clipboard is not available', 'error.noClipboard'));
+    render(<ExportMenu songs={songs} artist={artist} hasMore={false} onLoadRemaining={jest.fn()} />);
+    openMenu();
+
+    fireEvent.click(screen.getByRole('button', { name: /copy to clipboard/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Export failed: Clipboard is not available')).toBeInTheDocument();
+    });
+  });
+});
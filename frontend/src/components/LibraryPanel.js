@@ -0,0 +1,224 @@
+import { useState } from 'react';
+import useI18n from '../hooks/useI18n';
+import { errorMessage } from '../utils/errorMessages';
+import { downloadFile } from '../utils/exportSongs';
+import { FAVORITES_ID, LIBRARY_FILENAME, readFileText, serializeLibrary } from '../utils/library';
+import './LibraryPanel.css';
+
+function LibraryList({ list, lists, onRemove, onMove, onAddToList, onRename, onDelete }) {
+  const { t } = useI18n();
+  const [renaming, setRenaming] = useState(false);
+  const [name, setName] = useState(list.name);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+
+  const otherLists = lists.filter(other => other.id !== list.id);
+  const isFavorites = list.id === FAVORITES_ID;
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (name.trim()) {
+      onRename(list.id, name);
+      setRenaming(false);
+    }
+  };
+
+  const startRename = () => {
+    setName(list.name);
+    setRenaming(true);
+  };
+
+  return (
+    <section className="library-list" aria-labelledby={`library-list-${list.id}`}>
+      <div className="library-list-header">
+        {renaming ? (
+          <form className="library-rename" onSubmit={handleRename}>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              aria-label={t('library.newName', { name: list.name })}
+              autoFocus
+            />
+            <button type="submit" disabled={!name.trim()}>{t('library.save')}</button>
+            <button type="button" onClick={() => setRenaming(false)}>{t('common.cancel')}</button>
+          </form>
+        ) : (
+          <h3 id={`library-list-${list.id}`}>
+            {list.name} <span className="library-count">({t('library.count', { count: list.songs.length })})</span>
+          </h3>
+        )}
+
+        {!isFavorites && !renaming && !confirmingDelete && (
+          <div className="library-list-actions">
+            <button type="button" onClick={startRename} aria-label={t('library.renameList', { name: list.name })}>
+              {t('library.rename')}
+            </button>
+            <button
+              type="button"
+              onClick={() => setConfirmingDelete(true)}
+              aria-label={t('library.deleteList', { name: list.name })}
+            >
+              {t('library.delete')}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {confirmingDelete && (
+        <div className="library-confirm" role="alert">
+          <p>{t('library.confirmDelete', { name: list.name, count: list.songs.length })}</p>
+          <button type="button" onClick={() => onDelete(list.id)}>{t('library.confirm')}</button>
+          <button type="button" onClick={() => setConfirmingDelete(false)}>{t('library.keep')}</button>
+        </div>
+      )}
+
+      {list.songs.length === 0 ? (
+        <p className="library-empty">
+          {t(isFavorites ? 'library.emptyFavorites' : 'library.empty')}
+        </p>
+      ) : (
+        <ol className="library-songs">
+          {list.songs.map((song, index) => (
+            <li key={song.id} className="library-song">
+              <div className="library-song-info">
+                {song.url ? (
+                  <a href={song.url} target="_blank" rel="noopener noreferrer">{song.title}</a>
+                ) : song.title}
+                {song.artist_name && <span className="library-artist">{song.artist_name}</span>}
+              </div>
+              <div className="library-song-actions">
+                <button
+                  type="button"
+                  onClick={() => onMove(list.id, index, index - 1)}
+                  disabled={index === 0}
+                  aria-label={t('library.moveUp', { title: song.title })}
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onMove(list.id, index, index + 1)}
+                  disabled={index === list.songs.length - 1}
+                  aria-label={t('library.moveDown', { title: song.title })}
+                >
+                  ↓
+                </button>
+                {otherLists.length > 0 && (
+                  <select
+                    value=""
+                    onChange={(e) => onAddToList(e.target.value, song)}
+                    aria-label={t('library.addToOther', { title: song.title })}
+                  >
+                    <option value="">{t('library.addTo')}</option>
+                    {otherLists.map(other => (
+                      <option key={other.id} value={other.id}>{other.name}</option>
+                    ))}
+                  </select>
+                )}
+                <button
+                  type="button"
+                  onClick={() => onRemove(list.id, song.id)}
+                  aria-label={t('library.remove', { title: song.title, name: list.name })}
+                >
+                  ✕
+                </button>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </section>
+  );
+}
+
+function LibraryPanel({
+  library,
+  onRemove,
+  onMove,
+  onAddToList,
+  onCreateList,
+  onRenameList,
+  onDeleteList,
+  onImport
+}) {
+  const { t } = useI18n();
+  const [newListName, setNewListName] = useState('');
+  const [status, setStatus] = useState(null);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (newListName.trim()) {
+      onCreateList(newListName);
+      setNewListName('');
+    }
+  };
+
+  const handleExport = () => {
+    downloadFile(serializeLibrary(library), LIBRARY_FILENAME, 'application/json');
+    setStatus({ type: 'success', text: t('library.exported', { count: library.lists.length }) });
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    // Reset so picking the same file again still fires a change
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const added = onImport(await readFileText(file));
+      setStatus({
+        type: 'success',
+        text: t('library.imported', { lists: added.lists, count: added.songs })
+      });
+    } catch (err) {
+      setStatus({ type: 'error', text: t('library.importFailed', { message: errorMessage(t, err) }) });
+    }
+  };
+
+  return (
+    <section id="library-panel" className="library-panel" aria-labelledby="library-heading">
+      <div className="library-header">
+        <h2 id="library-heading">{t('app.myLists')}</h2>
+        <div className="library-transfer">
+          <button type="button" onClick={handleExport}>{t('library.export')}</button>
+          <label className="library-import">
+            {t('library.import')}
+            <input type="file" accept="application/json,.json" onChange={handleImport} />
+          </label>
+        </div>
+      </div>
+
+      {status && (
+        <p className={`library-status library-status-${status.type}`} role="status">
+          {status.text}
+        </p>
+      )}
+
+      {library.lists.map(list => (
+        <LibraryList
+          key={list.id}
+          list={list}
+          lists={library.lists}
+          onRemove={onRemove}
+          onMove={onMove}
+          onAddToList={onAddToList}
+          onRename={onRenameList}
+          onDelete={onDeleteList}
+        />
+      ))}
+
+      <form className="library-new-list" onSubmit={handleCreate}>
+        <input
+          type="text"
+          value={newListName}
+          onChange={(e) => setNewListName(e.target.value)}
+          placeholder={t('library.newList')}
+          aria-label={t('library.newList')}
+        />
+        <button type="submit" disabled={!newListName.trim()}>{t('library.create')}</button>
+      </form>
+    </section>
+  );
+}
+
+export default LibraryPanel;
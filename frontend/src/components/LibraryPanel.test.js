@@ -0,0 +1,156 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import LibraryPanel from './LibraryPanel';
+import * as exportSongs from '../utils/exportSongs';
+import { LocalizedError } from '../utils/errorMessages';
+import { EXPORT_FORMAT } from '../utils/library';
+
+const hotline = {
+  id: 1,
+  title: 'Hotline Bling',
+  url: 'https://genius.com/1',
+  release_date: 'October 19, 2015',
+  artist_name: 'Drake',
+  artist_id: 130
+};
+const humble = {
+  id: 3,
+  title: 'HUMBLE.',
+  url: 'https://genius.com/3',
+  release_date: 'March 30, 2017',
+  artist_name: 'Kendrick Lamar',
+  artist_id: 1421
+};
+
+const library = {
+  version: 1,
+  lists: [
+    { id: 'favorites', name: 'Favorites', songs: [hotline, humble] },
+    { id: 'mix', name: 'Road trip', songs: [] }
+  ]
+};
+
+const renderPanel = (props = {}) => {
+  const handlers = {
+    onRemove: jest.fn(),
+    onMove: jest.fn(),
+    onAddToList: jest.fn(),
+    onCreateList: jest.fn(),
+    onRenameList: jest.fn(),
+    onDeleteList: jest.fn(),
+    onImport: jest.fn(),
+    ...props
+  };
+  render(<LibraryPanel library={library} {...handlers} />);
+  return handlers;
+};
+
+describe('LibraryPanel', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lists songs from different artists under each list', () => {
+    renderPanel();
+
+    const favorites = screen.getByRole('region', { name: /favorites/i });
+    expect(favorites).toHaveTextContent('Hotline Bling');
+    expect(favorites).toHaveTextContent('Kendrick Lamar');
+    expect(screen.getByRole('link', { name: 'Hotline Bling' })).toHaveAttribute('href', 'https://genius.com/1');
+    expect(screen.getByText('No songs yet.')).toBeInTheDocument();
+  });
+
+  test('reorders, removes and copies songs between lists', () => {
+    const { onMove, onRemove, onAddToList } = renderPanel();
+
+    expect(screen.getByRole('button', { name: 'Move Hotline Bling up' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Move HUMBLE. down' })).toBeDisabled();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Move Hotline Bling down' }));
+    expect(onMove).toHaveBeenCalledWith('favorites', 0, 1);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Move HUMBLE. up' }));
+    expect(onMove).toHaveBeenCalledWith('favorites', 1, 0);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove HUMBLE. from Favorites' }));
+    expect(onRemove).toHaveBeenCalledWith('favorites', 3);
+
+    fireEvent.change(screen.getByLabelText('Add Hotline Bling to another list'), { target: { value: 'mix' } });
+    expect(onAddToList).toHaveBeenCalledWith('mix', hotline);
+  });
+
+  test('creates a named list', () => {
+    const { onCreateList } = renderPanel();
+
+    expect(screen.getByRole('button', { name: 'Create list' })).toBeDisabled();
+    fireEvent.change(screen.getByLabelText('New list name'), { target: { value: 'Gym' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Create list' }));
+
+    expect(onCreateList).toHaveBeenCalledWith('Gym');
+    expect(screen.getByLabelText('New list name')).toHaveValue('');
+  });
+
+  test('renames a list', () => {
+    const { onRenameList } = renderPanel();
+
+    expect(screen.queryByRole('button', { name: 'Rename Favorites' })).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Rename Road trip' }));
+    fireEvent.change(screen.getByLabelText('New name for Road trip'), { target: { value: 'Summer' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(onRenameList).toHaveBeenCalledWith('mix', 'Summer');
+  });
+
+  test('asks before deleting a list', () => {
+    const { onDeleteList } = renderPanel();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Delete Road trip' }));
+    expect(screen.getByRole('alert')).toHaveTextContent('Delete "Road trip" and its 0 songs?');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Keep it' }));
+    expect(onDeleteList).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Delete Road trip' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Delete list' }));
+    expect(onDeleteList).toHaveBeenCalledWith('mix');
+  });
+
+  test('exports every list as JSON', () => {
+    const downloadFile = jest.spyOn(exportSongs, 'downloadFile').mockImplementation(() => {});
+    renderPanel();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Export lists' }));
+
+    const [content, filename, mimeType] = downloadFile.mock.calls[0];
+    expect(JSON.parse(content)).toEqual({ format: EXPORT_FORMAT, ...library });
+    expect(filename).toBe('song-lists.json');
+    expect(mimeType).toBe('application/json');
+    expect(screen.getByRole('status')).toHaveTextContent('Exported 2 lists');
+  });
+
+  test('imports a JSON file and reports what was added', async () => {
+    const onImport = jest.fn().mockReturnValue({ lists: 1, songs: 3 });
+    renderPanel({ onImport });
+
+    const file = new File(['{"format": "artist-song-search-library"}'], 'lists.json', { type: 'application/json' });
+    fireEvent.change(screen.getByLabelText('Import lists'), { target: { files: [file] } });
+
+    await waitFor(() => {
+      expect(screen.getByRole('status')).toHaveTextContent('Imported 1 new lists and 3 songs');
+    });
+    expect(onImport).toHaveBeenCalledWith('{"format": "artist-song-search-library"}');
+  });
+
+  test('reports import failures', async () => {
+    const onImport = jest.fn(() => {
+      throw new LocalizedError("That file isn't valid JSON", 'error.notJson');
+    });
+    renderPanel({ onImport });
+
+    const file = new File(['nope'], 'lists.json', { type: 'application/json' });
+    fireEvent.change(screen.getByLabelText('Import lists'), { target: { files: [file] } });
+
+    await waitFor(() => {
+      expect(screen.getByRole('status')).toHaveTextContent("Import failed: That file isn't valid JSON");
+    });
+  });
+});
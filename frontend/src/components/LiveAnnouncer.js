@@ -0,0 +1,11 @@
+// Always-mounted polite live region: screen readers only announce changes
+// to regions that were already in the page. Errors use their own alerts.
+function LiveAnnouncer({ message }) {
+  return (
+    <div className="visually-hidden" role="status" aria-live="polite" aria-atomic="true">
+      {message && <span key={message.id}>{message.text}</span>}
+    </div>
+  );
+}
+
+export default LiveAnnouncer;
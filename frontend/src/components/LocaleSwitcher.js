@@ -0,0 +1,20 @@
+import useI18n from '../hooks/useI18n';
+import { LOCALES } from '../i18n/translate';
+
+function LocaleSwitcher() {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <label className="header-select">
+      <span>{t('app.language')}</span>
+      <select value={locale} onChange={(e) => setLocale(e.target.value)}>
+        {Object.entries(LOCALES).map(([value, { label }]) => (
+          // lang so each name is read in its own language
+          <option key={value} value={value} lang={value}>{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default LocaleSwitcher;
@@ -0,0 +1,34 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import LocaleSwitcher from './LocaleSwitcher';
+import I18nProvider from '../i18n/I18nProvider';
+import { LOCALE_STORAGE_KEY } from '../i18n/translate';
+
+describe('LocaleSwitcher', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+    document.documentElement.lang = '';
+    document.documentElement.dir = '';
+  });
+
+  test('switches locale, sets the document direction and remembers the choice', () => {
+    render(<I18nProvider initialLocale="en"><LocaleSwitcher /></I18nProvider>);
+
+    expect(document.documentElement).toHaveAttribute('lang', 'en');
+    expect(document.documentElement).toHaveAttribute('dir', 'ltr');
+
+    fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'ar' } });
+
+    expect(screen.getByLabelText('اللغة')).toHaveValue('ar');
+    expect(document.documentElement).toHaveAttribute('lang', 'ar');
+    expect(document.documentElement).toHaveAttribute('dir', 'rtl');
+    expect(window.localStorage.getItem(LOCALE_STORAGE_KEY)).toBe('ar');
+  });
+
+  test('starts from the saved locale over the browser language', () => {
+    window.localStorage.setItem(LOCALE_STORAGE_KEY, 'es');
+    render(<I18nProvider><LocaleSwitcher /></I18nProvider>);
+
+    expect(screen.getByLabelText('Idioma')).toHaveValue('es');
+    expect(screen.getByRole('option', { name: 'العربية' })).toHaveAttribute('lang', 'ar');
+  });
+});
@@ -0,0 +1,45 @@
+import { useState } from 'react';
+import { applyMockSettings, loadMockSettings, saveMockSettings } from '../mocks/browser';
+import { SCENARIOS } from '../mocks/handlers';
+import './MockApiPanel.css';
+
+// Development-only switch for the mock API (see mocks/browser.js); rendered
+// by index.js outside the app, so it isn't translated. Responses the app
+// already cached still answer until they expire or the page is reloaded.
+function MockApiPanel() {
+  const [settings, setSettings] = useState(loadMockSettings);
+
+  const update = (changes) => {
+    const next = { ...settings, ...changes };
+    applyMockSettings(next);
+    saveMockSettings(next);
+    setSettings(next);
+  };
+
+  return (
+    <section className="mock-api-panel" aria-label="Mock API">
+      <label>
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        <span>Mock API</span>
+      </label>
+      <label>
+        <span>Scenario</span>
+        <select
+          value={settings.scenario}
+          disabled={!settings.enabled}
+          onChange={(e) => update({ scenario: e.target.value })}
+        >
+          {SCENARIOS.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+    </section>
+  );
+}
+
+export default MockApiPanel;
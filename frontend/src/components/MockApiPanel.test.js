@@ -0,0 +1,48 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import MockApiPanel from './MockApiPanel';
+import { applyMockSettings, MOCK_API_STORAGE_KEY, startMockApi, worker } from '../mocks/browser';
+
+describe('MockApiPanel', () => {
+  const originalSetting = process.env.REACT_APP_MOCK_API;
+
+  afterEach(() => {
+    applyMockSettings({ enabled: false, scenario: 'normal' });
+    window.localStorage.clear();
+    if (originalSetting === undefined) {
+      delete process.env.REACT_APP_MOCK_API;
+    } else {
+      process.env.REACT_APP_MOCK_API = originalSetting;
+    }
+  });
+
+  test('switches the mock API on with a scenario and remembers it', async () => {
+    render(<MockApiPanel />);
+
+    const toggle = screen.getByRole('checkbox', { name: 'Mock API' });
+    const scenario = screen.getByRole('combobox', { name: 'Scenario' });
+    expect(toggle).not.toBeChecked();
+    expect(scenario).toBeDisabled();
+
+    fireEvent.click(toggle);
+    fireEvent.change(scenario, { target: { value: 'not-found' } });
+
+    expect(worker.isListening()).toBe(true);
+    expect(window.fetch).toBe(worker.fetch);
+    const response = await window.fetch('/api/v1/artists/Drake/songs');
+    expect(response.status).toBe(404);
+    expect(JSON.parse(window.localStorage.getItem(MOCK_API_STORAGE_KEY))).toEqual({ enabled: true, scenario: 'not-found' });
+
+    fireEvent.click(toggle);
+    expect(worker.isListening()).toBe(false);
+  });
+
+  test('starts from REACT_APP_MOCK_API until the panel is used', () => {
+    process.env.REACT_APP_MOCK_API = 'rate-limited';
+    expect(startMockApi()).toEqual({ enabled: true, scenario: 'rate-limited' });
+    expect(worker.isListening()).toBe(true);
+
+    window.localStorage.setItem(MOCK_API_STORAGE_KEY, JSON.stringify({ enabled: false, scenario: 'slow' }));
+    expect(startMockApi()).toEqual({ enabled: false, scenario: 'slow' });
+    expect(worker.isListening()).toBe(false);
+  });
+});
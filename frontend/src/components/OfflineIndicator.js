@@ -0,0 +1,19 @@
+import useI18n from '../hooks/useI18n';
+import './OfflineIndicator.css';
+
+function OfflineIndicator({ online, showingSaved }) {
+  const { t } = useI18n();
+
+  if (online) {
+    return null;
+  }
+
+  return (
+    <p className="offline-indicator" role="status">
+      <span className="offline-dot" aria-hidden="true" />
+      {t(showingSaved ? 'offline.showingSaved' : 'offline.label')}
+    </p>
+  );
+}
+
+export default OfflineIndicator;
@@ -0,0 +1,32 @@
+import useI18n from '../hooks/useI18n';
+import './RateLimitNotice.css';
+
+function RateLimitNotice({ secondsLeft, queuedArtist, autoRetry, onAutoRetryChange }) {
+  const { t } = useI18n();
+  // The countdown sits inside the sentence, wherever the locale puts it
+  const [beforeCountdown, afterCountdown] = t('rateLimit.countdown').split('{countdown}');
+
+  return (
+    // Not a live region: App announces the pause once (see rateLimitAnnouncement)
+    <div className="rate-limit-notice">
+      <p>
+        <strong>{t('rateLimit.title')}</strong>{' '}
+        {beforeCountdown}
+        <span className="countdown">{t('rateLimit.seconds', { seconds: secondsLeft })}</span>
+        {afterCountdown}
+      </p>
+      {queuedArtist && (
+        <label className="rate-limit-queue">
+          <input
+            type="checkbox"
+            checked={autoRetry}
+            onChange={(e) => onAutoRetryChange(e.target.checked)}
+          />
+          <span>{t('rateLimit.autoRetry', { artist: queuedArtist })}</span>
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default RateLimitNotice;
@@ -0,0 +1,200 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { isAbortError } from '../api/errors';
+import useI18n from '../hooks/useI18n';
+import { progressMessage } from '../utils/announcements';
+import { errorMessage } from '../utils/errorMessages';
+import { buildTimeline, labelStep } from '../utils/releaseTimeline';
+import './ReleaseTimeline.css';
+
+const CHART_HEIGHT = 140;
+const LABEL_HEIGHT = 20;
+const BAR_SLOT = 24;
+const BAR_GAP = 4;
+
+function ReleaseTimeline({
+  songs,
+  selectedYear,
+  onSelectYear,
+  onSelectSong,
+  hasMore,
+  loadingMore = false,
+  onLoadRemaining
+}) {
+  const { t } = useI18n();
+  const [progress, setProgress] = useState(null);
+  const [status, setStatus] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  const { years, undated, maxCount } = useMemo(() => buildTimeline(songs), [songs]);
+
+  // Stop walking pages if the timeline is hidden mid-load
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  const handleLoadRemaining = async () => {
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    setStatus(null);
+    setProgress({ page: null, count: songs.length });
+
+    try {
+      await onLoadRemaining({ signal: abortController.signal, onProgress: setProgress });
+    } catch (err) {
+      setStatus(isAbortError(err)
+        ? { type: 'info', text: t('timeline.stopped') }
+        : { type: 'error', text: t('timeline.failed', { message: errorMessage(t, err) }) });
+    } finally {
+      abortControllerRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const handleCancel = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  };
+
+  const toggleYear = (year) => {
+    onSelectYear(year === selectedYear ? null : year);
+  };
+
+  const handleBarKeyDown = (year) => (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      toggleYear(year);
+    }
+  };
+
+  const width = Math.max(years.length, 1) * BAR_SLOT;
+  const step = labelStep(years.length);
+  const loading = progress !== null;
+
+  return (
+    <section className="release-timeline" aria-labelledby="release-timeline-heading">
+      <div className="timeline-header">
+        <h3 id="release-timeline-heading">{t('timeline.heading')}</h3>
+        <p className="timeline-coverage">
+          {t(hasMore ? 'timeline.soFar' : 'timeline.all', { count: songs.length })}
+        </p>
+      </div>
+
+      {years.length === 0 ? (
+        <p className="timeline-empty">{t('timeline.none')}</p>
+      ) : (
+        <div className="timeline-chart">
+          <svg
+            viewBox={`0 0 ${width} ${CHART_HEIGHT + LABEL_HEIGHT}`}
+            width={width}
+            height={CHART_HEIGHT + LABEL_HEIGHT}
+            role="group"
+            aria-label={t('timeline.chart')}
+          >
+            {years.map(({ year, count }, index) => {
+              const barHeight = count ? Math.max((count / maxCount) * CHART_HEIGHT, 2) : 0;
+              const x = index * BAR_SLOT;
+              const showLabel = year % step === 0 || index === 0 || index === years.length - 1;
+              const selected = year === selectedYear;
+              // Years are labels, not numbers to format with grouping
+              const label = t('timeline.bar', { year: String(year), count });
+
+              return (
+                <g key={year}>
+                  {count > 0 && (
+                    <g
+                      role="button"
+                      tabIndex={0}
+                      aria-label={label}
+                      aria-pressed={selected}
+                      className={selected ? 'timeline-bar selected' : 'timeline-bar'}
+                      onClick={() => toggleYear(year)}
+                      onKeyDown={handleBarKeyDown(year)}
+                    >
+                      {/* Full-height hit area so short bars are still easy to click */}
+                      <rect x={x} y={0} width={BAR_SLOT} height={CHART_HEIGHT} className="timeline-hit" />
+                      <rect
+                        x={x + BAR_GAP / 2}
+                        y={CHART_HEIGHT - barHeight}
+                        width={BAR_SLOT - BAR_GAP}
+                        height={barHeight}
+                        rx={2}
+                      />
+                      <title>{label}</title>
+                    </g>
+                  )}
+                  {showLabel && (
+                    <text
+                      x={x + BAR_SLOT / 2}
+                      y={CHART_HEIGHT + LABEL_HEIGHT - 5}
+                      textAnchor="middle"
+                      className="timeline-label"
+                      aria-hidden="true"
+                    >
+                      {year}
+                    </text>
+                  )}
+                </g>
+              );
+            })}
+          </svg>
+        </div>
+      )}
+
+      {selectedYear !== null && selectedYear !== undefined && (
+        <p className="timeline-selection">
+          {t('timeline.showing', { year: String(selectedYear) })}{' '}
+          <button type="button" className="timeline-link" onClick={() => onSelectYear(null)}>
+            {t('timeline.showAll')}
+          </button>
+        </p>
+      )}
+
+      {undated.length > 0 && (
+        <details className="timeline-undated">
+          <summary>{t('timeline.undated', { count: undated.length })}</summary>
+          <ul>
+            {undated.map(song => (
+              <li key={song.id}>
+                {onSelectSong ? (
+                  <button type="button" className="timeline-link" onClick={() => onSelectSong(song)}>
+                    {song.title}
+                  </button>
+                ) : song.title}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {hasMore && !loading && (
+        <button type="button" className="timeline-load-all" onClick={handleLoadRemaining} disabled={loadingMore}>
+          {t('timeline.loadAll')}
+        </button>
+      )}
+
+      {loading && (
+        <div className="timeline-progress" role="status">
+          <span>
+            {progressMessage(t, progress)}
+          </span>
+          <button type="button" onClick={handleCancel}>
+            {t('common.cancel')}
+          </button>
+        </div>
+      )}
+
+      {status && !loading && (
+        <p className={`timeline-status timeline-status-${status.type}`} role="status">
+          {status.text}
+        </p>
+      )}
+    </section>
+  );
+}
+
+export default ReleaseTimeline;
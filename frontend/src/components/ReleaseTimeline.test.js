@@ -0,0 +1,150 @@
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import ReleaseTimeline from './ReleaseTimeline';
+import { UpstreamError } from '../api/errors';
+
+const songs = [
+  { id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' },
+  { id: 2, title: 'Back to Back', url: 'https://genius.com/2', release_date: '2015' },
+  { id: 3, title: 'Headlines', url: 'https://genius.com/3', release_date: 'July 2011' },
+  { id: 4, title: 'One Dance', url: 'https://genius.com/4', release_date: null }
+];
+
+const renderTimeline = (props = {}) =>
+  render(
+    <ReleaseTimeline
+      songs={songs}
+      selectedYear={null}
+      onSelectYear={jest.fn()}
+      hasMore={false}
+      onLoadRemaining={jest.fn()}
+      {...props}
+    />
+  );
+
+describe('ReleaseTimeline', () => {
+  test('draws a bar for each year with releases', () => {
+    renderTimeline();
+
+    expect(screen.getByRole('button', { name: '2015: 2 songs' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: '2011: 1 song' })).toBeInTheDocument();
+    // Empty years keep their slot on the axis but are not interactive
+    expect(screen.queryByRole('button', { name: /^2013/ })).not.toBeInTheDocument();
+    expect(screen.getByText('Covers all 4 songs')).toBeInTheDocument();
+  });
+
+  test('lists undated songs separately', () => {
+    const onSelectSong = jest.fn();
+    renderTimeline({ onSelectSong });
+
+    expect(screen.getByText('Undated (1)')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'One Dance' }));
+
+    expect(onSelectSong).toHaveBeenCalledWith(songs[3]);
+  });
+
+  test('selects a year by click or keyboard and toggles it off again', () => {
+    const onSelectYear = jest.fn();
+    const { rerender } = renderTimeline({ onSelectYear });
+
+    fireEvent.click(screen.getByRole('button', { name: '2015: 2 songs' }));
+    expect(onSelectYear).toHaveBeenLastCalledWith(2015);
+
+    fireEvent.keyDown(screen.getByRole('button', { name: '2011: 1 song' }), { key: 'Enter' });
+    expect(onSelectYear).toHaveBeenLastCalledWith(2011);
+
+    rerender(
+      <ReleaseTimeline songs={songs} selectedYear={2015} onSelectYear={onSelectYear} hasMore={false} onLoadRemaining={jest.fn()} />
+    );
+    expect(screen.getByRole('button', { name: '2015: 2 songs' })).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByText(/showing songs from 2015/i)).toBeInTheDocument();
+
+    fireEvent.keyDown(screen.getByRole('button', { name: '2015: 2 songs' }), { key: ' ' });
+    expect(onSelectYear).toHaveBeenLastCalledWith(null);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show all years' }));
+    expect(onSelectYear).toHaveBeenLastCalledWith(null);
+  });
+
+  test('updates as more songs are appended', () => {
+    const { rerender } = renderTimeline({ hasMore: true });
+    expect(screen.getByText('Based on the 4 songs loaded so far')).toBeInTheDocument();
+
+    rerender(
+      <ReleaseTimeline
+        songs={[...songs, { id: 5, title: 'Nonstop', url: 'https://genius.com/5', release_date: 'June 29, 2018' }]}
+        selectedYear={null}
+        onSelectYear={jest.fn()}
+        hasMore={false}
+        onLoadRemaining={jest.fn()}
+      />
+    );
+
+    expect(screen.getByRole('button', { name: '2018: 1 song' })).toBeInTheDocument();
+    expect(screen.getByText('Covers all 5 songs')).toBeInTheDocument();
+  });
+
+  test('explains when nothing has a release date', () => {
+    renderTimeline({ songs: [songs[3]] });
+
+    expect(screen.getByText('None of the loaded songs have a release date.')).toBeInTheDocument();
+  });
+
+  test('loads the remaining pages with progress', async () => {
+    let reportProgress;
+    let finish;
+    const onLoadRemaining = jest.fn(({ onProgress }) => {
+      reportProgress = onProgress;
+      return new Promise(resolve => { finish = resolve; });
+    });
+    renderTimeline({ hasMore: true, onLoadRemaining });
+
+    fireEvent.click(screen.getByRole('button', { name: /load remaining pages/i }));
+    expect(screen.getByText('Loading remaining pages (4 songs so far)...')).toBeInTheDocument();
+
+    act(() => {
+      reportProgress({ page: 2, count: 54 });
+    });
+    expect(screen.getByText('Loaded page 2 (54 songs)...')).toBeInTheDocument();
+
+    await act(async () => {
+      finish(songs);
+    });
+    expect(screen.queryByRole('button', { name: 'Cancel' })).not.toBeInTheDocument();
+  });
+
+  test('cancels loading the remaining pages', async () => {
+    let signal;
+    const onLoadRemaining = jest.fn((options) => {
+      signal = options.signal;
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      });
+    });
+    renderTimeline({ hasMore: true, onLoadRemaining });
+
+    fireEvent.click(screen.getByRole('button', { name: /load remaining pages/i }));
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Stopped loading pages')).toBeInTheDocument();
+    });
+    expect(signal.aborted).toBe(true);
+  });
+
+  test('waits while other pages are loading', () => {
+    renderTimeline({ hasMore: true, loadingMore: true });
+
+    expect(screen.getByRole('button', { name: /load remaining pages/i })).toBeDisabled();
+  });
+
+  test('reports failures while loading pages', async () => {
+    const onLoadRemaining = jest.fn().mockRejectedValue(new UpstreamError('Genius API temporarily unavailable', { status: 502 }));
+    renderTimeline({ hasMore: true, onLoadRemaining });
+
+    fireEvent.click(screen.getByRole('button', { name: /load remaining pages/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText("Couldn't load every page: Genius isn't answering right now. Please try again later.")).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import { useEffect, useRef } from 'react';
+import useI18n from '../hooks/useI18n';
+import { SHORTCUTS, keyLabel } from '../utils/shortcuts';
+import './ShortcutHelp.css';
+
+function ShortcutHelp({ onClose }) {
+  const { t } = useI18n();
+  const closeButtonRef = useRef(null);
+
+  useEffect(() => {
+    const opener = document.activeElement;
+    closeButtonRef.current?.focus();
+
+    return () => {
+      if (opener?.isConnected) {
+        opener.focus();
+      }
+    };
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape' || e.key === '?') {
+      e.preventDefault();
+      e.stopPropagation();
+      onClose();
+    } else if (e.key === 'Tab') {
+      // The close button is the only stop, so Tab stays on it
+      e.preventDefault();
+    }
+  };
+
+  return (
+    <>
+      <div className="shortcut-help-backdrop" onClick={onClose} />
+      <div
+        className="shortcut-help"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-help-title"
+        onKeyDown={handleKeyDown}
+      >
+        <div className="shortcut-help-header">
+          <h2 id="shortcut-help-title">{t('app.shortcuts')}</h2>
+          <button
+            ref={closeButtonRef}
+            type="button"
+            className="shortcut-help-close"
+            onClick={onClose}
+            aria-label={t('shortcuts.close')}
+          >
+            ✕
+          </button>
+        </div>
+
+        <dl className="shortcut-list">
+          {SHORTCUTS.map(({ keys, action, descriptionKey }) => (
+            <div key={action} className="shortcut-row">
+              <dt>
+                {keys.map((key, index) => (
+                  <span key={key}>
+                    {index > 0 && ` ${t('shortcuts.or')} `}
+                    <kbd>{keyLabel(key)}</kbd>
+                  </span>
+                ))}
+              </dt>
+              <dd>{t(descriptionKey)}</dd>
+            </div>
+          ))}
+        </dl>
+
+        <p className="shortcut-help-note">{t('shortcuts.note')}</p>
+      </div>
+    </>
+  );
+}
+
+export default ShortcutHelp;
@@ -0,0 +1,46 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ShortcutHelp from './ShortcutHelp';
+
+describe('ShortcutHelp', () => {
+  test('lists every shortcut in a labelled dialog', () => {
+    render(<ShortcutHelp onClose={jest.fn()} />);
+
+    expect(screen.getByRole('dialog', { name: 'Keyboard shortcuts' })).toBeInTheDocument();
+    expect(screen.getByText('Focus the artist search')).toBeInTheDocument();
+    expect(screen.getByText('↓')).toBeInTheDocument();
+    expect(screen.getByText("Open the selected song's Genius page")).toBeInTheDocument();
+  });
+
+  test('focuses the close button and closes on Escape or ?', () => {
+    const onClose = jest.fn();
+    render(<ShortcutHelp onClose={onClose} />);
+
+    const close = screen.getByRole('button', { name: 'Close keyboard shortcuts' });
+    expect(close).toHaveFocus();
+
+    fireEvent.keyDown(close, { key: 'Escape' });
+    fireEvent.keyDown(close, { key: '?' });
+    fireEvent.click(close);
+
+    expect(onClose).toHaveBeenCalledTimes(3);
+  });
+
+  test('returns focus to the opener when closed', () => {
+    function Page({ open }) {
+      return (
+        <>
+          <button type="button">Opener</button>
+          {open && <ShortcutHelp onClose={jest.fn()} />}
+        </>
+      );
+    }
+    const { rerender } = render(<Page open={false} />);
+    screen.getByRole('button', { name: 'Opener' }).focus();
+
+    rerender(<Page open />);
+    expect(screen.getByRole('button', { name: 'Close keyboard shortcuts' })).toHaveFocus();
+
+    rerender(<Page open={false} />);
+    expect(screen.getByRole('button', { name: 'Opener' })).toHaveFocus();
+  });
+});
@@ -0,0 +1,194 @@
+import { useEffect, useRef } from 'react';
+import useI18n from '../hooks/useI18n';
+import useSongDetails from '../hooks/useSongDetails';
+import { errorMessage } from '../utils/errorMessages';
+import './SongDetailDrawer.css';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Relationship types with a message of their own ("relationship.<type>")
+const RELATIONSHIP_TYPES = new Set([
+  'samples',
+  'sampled_in',
+  'interpolates',
+  'interpolated_by',
+  'cover_of',
+  'covered_by',
+  'remix_of',
+  'remixed_by',
+  'live_version_of',
+  'performed_live_as',
+  'translation_of',
+  'translations'
+]);
+
+// Types Genius adds later show up as-is until they get a message
+const relationshipLabel = (t, type) =>
+  RELATIONSHIP_TYPES.has(type)
+    ? t(`relationship.${type}`)
+    : type.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+
+const artistNames = (artists) => artists.map(artist => artist.name).join(', ');
+
+// `song` is the list row that was clicked (if it's loaded), shown while details load
+function SongDetailDrawer({ songId, song, onClose }) {
+  const { t, formatNumber, formatReleaseDate, formatFetchedAt } = useI18n();
+  const { details, error, loading, retry } = useSongDetails(songId);
+  const drawerRef = useRef(null);
+  const closeButtonRef = useRef(null);
+
+  // Focus the drawer on open and hand focus back to whatever opened it
+  useEffect(() => {
+    const opener = document.activeElement;
+    closeButtonRef.current?.focus();
+
+    return () => {
+      if (opener?.isConnected) {
+        opener.focus();
+      }
+    };
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    // Keep Tab cycling inside the drawer
+    const focusable = Array.from(drawerRef.current.querySelectorAll(FOCUSABLE));
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  const detail = details?.song;
+  const title = detail?.title || song?.title || t('drawer.fallbackTitle');
+
+  return (
+    <>
+      <div className="song-drawer-backdrop" onClick={onClose} />
+      <aside
+        ref={drawerRef}
+        className="song-drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="song-drawer-title"
+        onKeyDown={handleKeyDown}
+      >
+        <div className="song-drawer-header">
+          <h2 id="song-drawer-title">{title}</h2>
+          <button
+            ref={closeButtonRef}
+            type="button"
+            className="song-drawer-close"
+            onClick={onClose}
+            aria-label={t('drawer.close')}
+          >
+            ✕
+          </button>
+        </div>
+
+        {loading && <p className="song-drawer-status" role="status">{t('drawer.loading')}</p>}
+
+        {error && (
+          <div className="song-drawer-error" role="alert">
+            <p>{errorMessage(t, error)}</p>
+            <button type="button" onClick={retry}>{t('common.tryAgain')}</button>
+          </div>
+        )}
+
+        {detail && (
+          <div className="song-drawer-body">
+            {detail.artwork_url && (
+              <img src={detail.artwork_url} alt={t('drawer.artwork', { title: detail.title })} className="song-drawer-artwork" />
+            )}
+
+            <dl className="song-facts">
+              {detail.primary_artist && (
+                <>
+                  <dt>{t('drawer.artist')}</dt>
+                  <dd>{detail.primary_artist.name}</dd>
+                </>
+              )}
+              {detail.album && (
+                <>
+                  <dt>{t('drawer.album')}</dt>
+                  <dd>
+                    <a href={detail.album.url} target="_blank" rel="noopener noreferrer">{detail.album.name}</a>
+                  </dd>
+                </>
+              )}
+              {detail.release_date && (
+                <>
+                  <dt>{t('drawer.released')}</dt>
+                  <dd>{formatReleaseDate(detail.release_date)}</dd>
+                </>
+              )}
+              {detail.featured_artists.length > 0 && (
+                <>
+                  <dt>{t('drawer.featuring')}</dt>
+                  <dd>{artistNames(detail.featured_artists)}</dd>
+                </>
+              )}
+              {detail.producer_artists.length > 0 && (
+                <>
+                  <dt>{t('drawer.producedBy')}</dt>
+                  <dd>{artistNames(detail.producer_artists)}</dd>
+                </>
+              )}
+              {detail.pageviews != null && (
+                <>
+                  <dt>{t('drawer.pageviews')}</dt>
+                  <dd>{formatNumber(detail.pageviews)}</dd>
+                </>
+              )}
+            </dl>
+
+            {detail.relationships.length > 0 && (
+              <section className="song-relationships" aria-labelledby="song-relationships-title">
+                <h3 id="song-relationships-title">{t('drawer.related')}</h3>
+                {detail.relationships.map(relationship => (
+                  <div key={relationship.type} className="song-relationship">
+                    <h4>{relationshipLabel(t, relationship.type)}</h4>
+                    <ul>
+                      {relationship.songs.map(related => (
+                        <li key={related.id}>
+                          <a href={related.url} target="_blank" rel="noopener noreferrer">{related.title}</a>
+                          {related.artist && (
+                            <span className="related-artist"> {t('drawer.relatedBy', { artist: related.artist })}</span>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </section>
+            )}
+
+            <a href={detail.url} target="_blank" rel="noopener noreferrer" className="view-link">
+              {t('songs.viewLyrics')}
+            </a>
+
+            {details.meta?.cached && details.meta.fetched_at && (
+              <p className="song-drawer-meta">
+                {t('drawer.cached', { fetched: formatFetchedAt(details.meta.fetched_at) })}
+              </p>
+            )}
+          </div>
+        )}
+      </aside>
+    </>
+  );
+}
+
+export default SongDetailDrawer;
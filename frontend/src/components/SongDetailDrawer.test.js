@@ -0,0 +1,105 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import SongDetailDrawer from './SongDetailDrawer';
+import * as client from '../api/client';
+import { SongNotFoundError } from '../api/errors';
+
+const details = {
+  song: {
+    id: 378195,
+    title: 'Hotline Bling',
+    url: 'https://genius.com/Drake-hotline-bling-lyrics',
+    release_date: 'October 19, 2015',
+    artwork_url: 'https://images.genius.com/art.jpg',
+    pageviews: 5000000,
+    album: { id: 1, name: 'Views', url: 'https://genius.com/albums/Drake/Views' },
+    primary_artist: { id: 130, name: 'Drake' },
+    featured_artists: [],
+    producer_artists: [{ id: 2, name: 'Nineteen85' }],
+    relationships: [
+      { type: 'samples', songs: [{ id: 3, title: "Why Can't We Live Together", url: 'https://genius.com/3', artist: 'Timmy Thomas' }] },
+      { type: 'remixed_by', songs: [{ id: 4, title: 'Hotline Bling (Remix)', url: 'https://genius.com/4', artist: 'Erykah Badu' }] }
+    ]
+  },
+  meta: { fetched_at: '2024-10-31T12:00:00Z', cached: false }
+};
+
+describe('SongDetailDrawer', () => {
+  beforeEach(() => {
+    jest.spyOn(client, 'fetchSongDetails').mockResolvedValue(details);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('shows the list title while details load', async () => {
+    render(<SongDetailDrawer songId={378195} song={{ title: 'Hotline Bling' }} onClose={jest.fn()} />);
+
+    expect(screen.getByRole('dialog', { name: 'Hotline Bling' })).toBeInTheDocument();
+    expect(screen.getByRole('status')).toHaveTextContent(/loading song details/i);
+    expect(await screen.findByText('Views')).toBeInTheDocument();
+  });
+
+  test('renders album, credits, artwork, pageviews and relationships', async () => {
+    render(<SongDetailDrawer songId={378195} onClose={jest.fn()} />);
+
+    expect(await screen.findByRole('link', { name: 'Views' })).toHaveAttribute('href', details.song.album.url);
+    expect(screen.getByText('Nineteen85')).toBeInTheDocument();
+    expect(screen.getByRole('img', { name: 'Artwork for Hotline Bling' })).toBeInTheDocument();
+    expect(screen.getByText((5000000).toLocaleString())).toBeInTheDocument();
+    expect(screen.queryByText('Featuring')).not.toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Samples' })).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Remixed by' })).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Hotline Bling (Remix)' })).toBeInTheDocument();
+    expect(client.fetchSongDetails).toHaveBeenCalledWith(378195, { signal: expect.any(AbortSignal) });
+  });
+
+  test('moves focus in, traps Tab and closes on Escape', async () => {
+    const onClose = jest.fn();
+    render(<SongDetailDrawer songId={378195} onClose={onClose} />);
+    await screen.findByText('Views');
+
+    const close = screen.getByRole('button', { name: 'Close song details' });
+    expect(close).toHaveFocus();
+
+    fireEvent.keyDown(close, { key: 'Tab', shiftKey: true });
+    expect(screen.getByRole('link', { name: /view lyrics/i })).toHaveFocus();
+
+    fireEvent.keyDown(screen.getByRole('link', { name: /view lyrics/i }), { key: 'Tab' });
+    expect(close).toHaveFocus();
+
+    fireEvent.keyDown(close, { key: 'Escape' });
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+
+  test('returns focus to the opener when closed', () => {
+    const Page = ({ open }) => (
+      <>
+        <button type="button">Opener</button>
+        {open && <SongDetailDrawer songId={378195} onClose={jest.fn()} />}
+      </>
+    );
+    const { rerender } = render(<Page open={false} />);
+    screen.getByRole('button', { name: 'Opener' }).focus();
+
+    rerender(<Page open />);
+    expect(screen.getByRole('button', { name: 'Close song details' })).toHaveFocus();
+
+    rerender(<Page open={false} />);
+    expect(screen.getByRole('button', { name: 'Opener' })).toHaveFocus();
+  });
+
+  test('shows errors with a retry', async () => {
+    client.fetchSongDetails.mockRejectedValueOnce(new SongNotFoundError('Song 1 not found', { status: 404 }));
+    render(<SongDetailDrawer songId={1} onClose={jest.fn()} />);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent("That song couldn't be found on Genius.");
+
+    fireEvent.click(screen.getByRole('button', { name: 'Try again' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Views')).toBeInTheDocument();
+    });
+    expect(client.fetchSongDetails).toHaveBeenCalledTimes(2);
+  });
+});
@@ -1,28 +1,127 @@
+import { useEffect, useState } from 'react';
+import useI18n from '../hooks/useI18n';
+import useInfiniteScroll from '../hooks/useInfiniteScroll';
+import useWindowedList from '../hooks/useWindowedList';
 import './SongList.css';
 
-function SongList({ songs }) {
+function SongList({
+  songs,
+  hasMore = false,
+  loadingMore = false,
+  autoLoad = true,
+  onLoadMore,
+  onSelectSong,
+  favoriteIds,
+  onToggleFavorite,
+  selectedIndex = null,
+  focusRequest = null
+}) {
+  const { t, formatReleaseDate } = useI18n();
+  // Row holding keyboard focus; kept mounted even when scrolled out of the window
+  const [focusedIndex, setFocusedIndex] = useState(null);
+
+  const { containerRef, start, end, paddingTop, paddingBottom } = useWindowedList(songs.length, {
+    pinnedIndex: focusedIndex ?? focusRequest?.index ?? selectedIndex
+  });
+
+  // `focusRequest` is a fresh { index } object each time focus should move
+  useEffect(() => {
+    if (!focusRequest) return;
+    const row = containerRef.current?.querySelector(`[data-index="${focusRequest.index}"]`);
+    (row?.querySelector('.song-title-button') || row)?.focus();
+  }, [focusRequest, containerRef]);
+
+  // Keep the keyboard selection on screen as it moves
+  useEffect(() => {
+    if (selectedIndex === null) return;
+    const row = containerRef.current?.querySelector(`[data-index="${selectedIndex}"]`);
+    row?.scrollIntoView?.({ block: 'nearest' });
+  }, [selectedIndex, containerRef]);
+
+  // With `autoLoad` off only the caller's Load More button fetches pages
+  const sentinelRef = useInfiniteScroll(() => onLoadMore?.(), {
+    enabled: Boolean(onLoadMore) && hasMore && !loadingMore && autoLoad
+  });
+
+  const handleFocus = (e) => {
+    const row = e.target.closest('[data-index]');
+    if (row) {
+      setFocusedIndex(Number(row.dataset.index));
+    }
+  };
+
+  const handleBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setFocusedIndex(null);
+    }
+  };
+
+  // The whole row opens the song, except the lyrics link and the star
+  const handleRowClick = (e, song) => {
+    if (!onSelectSong || e.target.closest('a, .favorite-toggle')) return;
+    onSelectSong(song);
+  };
+
   return (
-    <div className="song-list">
-      {songs.map((song) => (
-        <div key={song.id} className="song-item">
-          <div className="song-info">
-            <h3>{song.title}</h3>
-            {song.release_date && (
-              <span className="release-date">{song.release_date}</span>
+    <>
+      <div
+        ref={containerRef}
+        className="song-list"
+        role="list"
+        style={{ paddingTop, paddingBottom }}
+        onFocus={handleFocus}
+        onBlur={handleBlur}
+      >
+        {songs.slice(start, end).map((song, offset) => (
+          <div
+            key={song.id}
+            className={start + offset === selectedIndex ? 'song-item selected' : 'song-item'}
+            role="listitem"
+            aria-current={start + offset === selectedIndex ? 'true' : undefined}
+            aria-posinset={start + offset + 1}
+            aria-setsize={songs.length}
+            data-index={start + offset}
+            tabIndex={-1}
+            onClick={(e) => handleRowClick(e, song)}
+          >
+            <div className="song-info">
+              <h3 title={song.title}>
+                {onSelectSong ? (
+                  // A real button so the drawer is reachable from the keyboard
+                  <button type="button" className="song-title-button">{song.title}</button>
+                ) : song.title}
+              </h3>
+              {song.release_date && (
+                <span className="release-date">{formatReleaseDate(song.release_date)}</span>
+              )}
+            </div>
+            {onToggleFavorite && (
+              <button
+                type="button"
+                className="favorite-toggle"
+                aria-pressed={Boolean(favoriteIds?.has(song.id))}
+                aria-label={t('songs.favorite', { title: song.title })}
+                onClick={() => onToggleFavorite(song)}
+              >
+                {favoriteIds?.has(song.id) ? '★' : '☆'}
+              </button>
             )}
+            <a
+              href={song.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="view-link"
+            >
+              {t('songs.viewLyrics')}
+            </a>
           </div>
-          <a
-            href={song.url}
-            target="_blank"
-            rel="noopener noreferrer"
-            className="view-link"
-          >
-            View Lyrics →
-          </a>
-        </div>
-      ))}
-    </div>
+        ))}
+      </div>
+      {onLoadMore && hasMore && (
+        <div ref={sentinelRef} className="song-list-sentinel" aria-hidden="true" />
+      )}
+    </>
   );
 }
 
-export default SongList;
\ No newline at end of file
+export default SongList;
@@ -1,4 +1,4 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, act, fireEvent } from '@testing-library/react';
 import SongList from './SongList';
 
 describe('SongList', () => {
@@ -46,6 +46,90 @@ describe('SongList', () => {
     expect(songItems).toHaveLength(3);
   });
 
+  describe('song selection', () => {
+    test('clicking a row selects its song', () => {
+      const onSelectSong = jest.fn();
+      render(<SongList songs={mockSongs} onSelectSong={onSelectSong} />);
+
+      fireEvent.click(screen.getByText('October 19, 2015'));
+
+      expect(onSelectSong).toHaveBeenCalledWith(mockSongs[0]);
+    });
+
+    test('titles are buttons for keyboard users', () => {
+      const onSelectSong = jest.fn();
+      render(<SongList songs={mockSongs} onSelectSong={onSelectSong} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'One Dance' }));
+
+      expect(onSelectSong).toHaveBeenCalledWith(mockSongs[2]);
+    });
+
+    test('the lyrics link does not select the song', () => {
+      const onSelectSong = jest.fn();
+      render(<SongList songs={mockSongs} onSelectSong={onSelectSong} />);
+
+      fireEvent.click(screen.getAllByRole('link', { name: /view lyrics/i })[0]);
+
+      expect(onSelectSong).not.toHaveBeenCalled();
+    });
+
+    test('titles stay plain text without a handler', () => {
+      render(<SongList songs={mockSongs} />);
+
+      expect(screen.queryByRole('button')).not.toBeInTheDocument();
+    });
+  });
+
+  test('marks the keyboard selection', () => {
+    render(<SongList songs={mockSongs} selectedIndex={1} />);
+
+    const items = screen.getAllByRole('listitem');
+    expect(items[1]).toHaveAttribute('aria-current', 'true');
+    expect(items[1]).toHaveClass('selected');
+    expect(items[0]).not.toHaveAttribute('aria-current');
+  });
+
+  test('moves focus to a requested row', () => {
+    const { rerender } = render(<SongList songs={mockSongs} onSelectSong={jest.fn()} />);
+
+    rerender(<SongList songs={mockSongs} onSelectSong={jest.fn()} focusRequest={{ index: 2 }} />);
+    expect(screen.getByRole('button', { name: 'One Dance' })).toHaveFocus();
+
+    rerender(<SongList songs={mockSongs} focusRequest={{ index: 1 }} />);
+    expect(screen.getAllByRole('listitem')[1]).toHaveFocus();
+  });
+
+  describe('favorites', () => {
+    test('stars reflect and toggle favorites without selecting the song', () => {
+      const onToggleFavorite = jest.fn();
+      const onSelectSong = jest.fn();
+      render(
+        <SongList
+          songs={mockSongs}
+          favoriteIds={new Set([2])}
+          onToggleFavorite={onToggleFavorite}
+          onSelectSong={onSelectSong}
+        />
+      );
+
+      expect(screen.getByRole('button', { name: 'Favorite God\'s Plan' })).toHaveAttribute('aria-pressed', 'true');
+      const star = screen.getByRole('button', { name: 'Favorite Hotline Bling' });
+      expect(star).toHaveAttribute('aria-pressed', 'false');
+
+      fireEvent.click(star);
+
+      expect(onToggleFavorite).toHaveBeenCalledWith(mockSongs[0]);
+      expect(onSelectSong).not.toHaveBeenCalled();
+    });
+
+    test('no stars without a handler', () => {
+      render(<SongList songs={mockSongs} />);
+
+      expect(screen.queryByRole('button', { name: /^favorite/i })).not.toBeInTheDocument();
+    });
+  });
+
   test('renders correct links for each song', () => {
     render(<SongList songs={mockSongs} />);
 
@@ -105,4 +189,173 @@ describe('SongList', () => {
     // Should only have the song title, no release date text
     expect(screen.queryByText(/\d{4}/)).not.toBeInTheDocument();
   });
+
+  describe('infinite scroll', () => {
+    let observers;
+    const originalObserver = window.IntersectionObserver;
+
+    class MockIntersectionObserver {
+      constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        this.observe = jest.fn();
+        this.disconnect = jest.fn();
+        observers.push(this);
+      }
+
+      trigger(isIntersecting = true) {
+        act(() => {
+          this.callback([{ isIntersecting }]);
+        });
+      }
+    }
+
+    const activeObserver = () => observers.filter(o => o.disconnect.mock.calls.length === 0).pop();
+
+    beforeEach(() => {
+      observers = [];
+      window.IntersectionObserver = MockIntersectionObserver;
+    });
+
+    afterEach(() => {
+      window.IntersectionObserver = originalObserver;
+    });
+
+    test('calls onLoadMore when the sentinel enters the viewport', () => {
+      const onLoadMore = jest.fn();
+      render(<SongList songs={mockSongs} hasMore onLoadMore={onLoadMore} />);
+
+      const observer = activeObserver();
+      expect(observer.observe).toHaveBeenCalledTimes(1);
+      expect(observer.options.rootMargin).toBe('200px');
+
+      observer.trigger(false);
+      expect(onLoadMore).not.toHaveBeenCalled();
+
+      observer.trigger(true);
+      expect(onLoadMore).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not observe when there are no more pages', () => {
+      render(<SongList songs={mockSongs} hasMore={false} onLoadMore={jest.fn()} />);
+
+      expect(activeObserver()).toBeUndefined();
+    });
+
+    test('stops observing while a page is loading and resumes afterwards', () => {
+      const onLoadMore = jest.fn();
+      const { rerender } = render(<SongList songs={mockSongs} hasMore onLoadMore={onLoadMore} />);
+      const first = activeObserver();
+
+      rerender(<SongList songs={mockSongs} hasMore loadingMore onLoadMore={onLoadMore} />);
+      expect(first.disconnect).toHaveBeenCalled();
+      expect(activeObserver()).toBeUndefined();
+
+      rerender(<SongList songs={mockSongs} hasMore loadingMore={false} onLoadMore={onLoadMore} />);
+      activeObserver().trigger();
+      expect(onLoadMore).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not observe with autoLoad off', () => {
+      render(<SongList songs={mockSongs} hasMore autoLoad={false} onLoadMore={jest.fn()} />);
+
+      expect(activeObserver()).toBeUndefined();
+    });
+
+    test('does not observe when onLoadMore is not provided', () => {
+      render(<SongList songs={mockSongs} hasMore />);
+
+      expect(activeObserver()).toBeUndefined();
+    });
+  });
+
+  describe('windowed rendering', () => {
+    const manySongs = Array.from({ length: 500 }, (_, i) => ({
+      id: i + 1,
+      title: `Song ${i + 1}`,
+      url: `https://genius.com/song-${i + 1}`,
+      release_date: null
+    }));
+
+    const scrollListTo = (top) => {
+      const list = screen.getByRole('list');
+      list.getBoundingClientRect = () => ({ top, bottom: top + 36000, left: 0, right: 0, width: 0, height: 36000 });
+      fireEvent.scroll(window);
+    };
+
+    beforeEach(() => {
+      jest.spyOn(window, 'requestAnimationFrame').mockImplementation((callback) => {
+        callback();
+        return 1;
+      });
+    });
+
+    afterEach(() => {
+      window.requestAnimationFrame.mockRestore();
+    });
+
+    test('renders only the rows near the viewport', () => {
+      render(<SongList songs={manySongs} />);
+
+      const items = screen.getAllByRole('listitem');
+      expect(items.length).toBeGreaterThan(0);
+      expect(items.length).toBeLessThan(50);
+      expect(items[0]).toHaveAttribute('aria-posinset', '1');
+      expect(items[0]).toHaveAttribute('aria-setsize', '500');
+      expect(screen.queryByText('Song 500')).not.toBeInTheDocument();
+    });
+
+    test('pads the list to the full scroll height', () => {
+      render(<SongList songs={manySongs} />);
+
+      const list = screen.getByRole('list');
+      const rendered = screen.getAllByRole('listitem').length;
+
+      expect(list.style.paddingTop).toBe('0px');
+      expect(list.style.paddingBottom).toBe(`${(500 - rendered) * 72}px`);
+    });
+
+    test('moves the window as the page scrolls', () => {
+      render(<SongList songs={manySongs} />);
+
+      // 100 rows of 72px above the viewport
+      scrollListTo(-7200);
+
+      expect(screen.getByText('Song 101')).toBeInTheDocument();
+      expect(screen.queryByText('Song 1')).not.toBeInTheDocument();
+
+      const first = screen.getAllByRole('listitem')[0];
+      const start = Number(first.getAttribute('aria-posinset')) - 1;
+      expect(screen.getByRole('list').style.paddingTop).toBe(`${start * 72}px`);
+    });
+
+    test('keeps the focused row mounted when it scrolls out of view', () => {
+      render(<SongList songs={manySongs} />);
+
+      const link = screen.getAllByRole('link', { name: /view lyrics/i })[0];
+      act(() => {
+        link.focus();
+      });
+
+      scrollListTo(-7200);
+
+      expect(screen.getByText('Song 1')).toBeInTheDocument();
+      expect(screen.getByText('Song 101')).toBeInTheDocument();
+      expect(link).toHaveFocus();
+    });
+
+    test('preserves focus when more pages are appended', () => {
+      const { rerender } = render(<SongList songs={manySongs.slice(0, 50)} />);
+
+      const link = screen.getAllByRole('link', { name: /view lyrics/i })[2];
+      act(() => {
+        link.focus();
+      });
+
+      rerender(<SongList songs={manySongs.slice(0, 100)} />);
+
+      expect(link).toHaveFocus();
+      expect(screen.getAllByRole('listitem')[0]).toHaveAttribute('aria-setsize', '100');
+    });
+  });
 });
@@ -0,0 +1,153 @@
+import { useEffect, useState } from 'react';
+import useDebouncedCallback from '../hooks/useDebouncedCallback';
+import useI18n from '../hooks/useI18n';
+import {
+  DEFAULT_FILTERS,
+  MAX_YEAR,
+  MIN_YEAR,
+  SORT_OPTIONS,
+  hasActiveFilters,
+  hasYearRange,
+  parseYear,
+  sameListing
+} from '../utils/songFilters';
+import './SongToolbar.css';
+
+const yearText = (year) => (year === null ? '' : String(year));
+
+// A year box is ready to send once it is empty or holds a whole year
+const isReady = (value) => value.trim() === '' || parseYear(value) !== null;
+
+const isBackwards = (from, to) => from !== null && to !== null && from > to;
+
+// Typing or clicking a spinner settles for this long before the range is sent
+const YEAR_COMMIT_DELAY_MS = 800;
+
+// The title filter applies to loaded songs as you type. Sort order and year
+// range go to `onListingChange`, which reloads from page 1 and spends a
+// search, so years are only sent once both boxes hold a usable range and
+// the user has paused, left the box or pressed Enter.
+function SongToolbar({ filters, onChange, listing, onListingChange, shownCount, totalCount }) {
+  const { t } = useI18n();
+  const [yearFrom, setYearFrom] = useState(yearText(listing.yearFrom));
+  const [yearTo, setYearTo] = useState(yearText(listing.yearTo));
+
+  const commitYears = (nextFrom, nextTo) => {
+    const next = { ...listing, yearFrom: parseYear(nextFrom), yearTo: parseYear(nextTo) };
+    if (!isReady(nextFrom) || !isReady(nextTo) || isBackwards(next.yearFrom, next.yearTo)) return;
+    if (!sameListing(next, listing)) {
+      onListingChange(next);
+    }
+  };
+
+  const [scheduleCommit, cancelCommit] = useDebouncedCallback(commitYears, YEAR_COMMIT_DELAY_MS);
+
+  // Follow changes from outside, e.g. back/forward or "Clear filters"
+  useEffect(() => {
+    cancelCommit();
+    setYearFrom(yearText(listing.yearFrom));
+  }, [listing.yearFrom, cancelCommit]);
+
+  useEffect(() => {
+    cancelCommit();
+    setYearTo(yearText(listing.yearTo));
+  }, [listing.yearTo, cancelCommit]);
+
+  const backwards = isBackwards(parseYear(yearFrom), parseYear(yearTo));
+
+  const changeYears = (nextFrom, nextTo) => {
+    setYearFrom(nextFrom);
+    setYearTo(nextTo);
+    scheduleCommit(nextFrom, nextTo);
+  };
+
+  const commitNow = () => {
+    cancelCommit();
+    commitYears(yearFrom, yearTo);
+  };
+
+  const handleYearKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      commitNow();
+    }
+  };
+
+  const filtering = hasActiveFilters(filters);
+
+  const handleClear = () => {
+    cancelCommit();
+    if (filtering) {
+      onChange(DEFAULT_FILTERS);
+    }
+    if (hasYearRange(listing)) {
+      onListingChange({ ...listing, yearFrom: null, yearTo: null });
+    }
+  };
+
+  return (
+    <div className="song-toolbar" role="search" aria-label={t('toolbar.label')}>
+      <input
+        type="search"
+        value={filters.query}
+        onChange={(e) => onChange({ ...filters, query: e.target.value })}
+        placeholder={t('toolbar.filterPlaceholder')}
+        aria-label={t('toolbar.filter')}
+        className="toolbar-filter"
+      />
+
+      <label className="toolbar-field">
+        <span>{t('toolbar.sort')}</span>
+        <select value={listing.sort} onChange={(e) => onListingChange({ ...listing, sort: e.target.value })}>
+          {SORT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+          ))}
+        </select>
+      </label>
+
+      <fieldset className="toolbar-years">
+        <legend>{t('toolbar.released')}</legend>
+        <input
+          type="number"
+          inputMode="numeric"
+          value={yearFrom}
+          onChange={(e) => changeYears(e.target.value, yearTo)}
+          onBlur={commitNow}
+          onKeyDown={handleYearKeyDown}
+          placeholder={t('toolbar.from')}
+          aria-label={t('toolbar.fromYear')}
+          aria-invalid={!isReady(yearFrom) || backwards}
+          min={MIN_YEAR}
+          max={MAX_YEAR}
+        />
+        <span aria-hidden="true">–</span>
+        <input
+          type="number"
+          inputMode="numeric"
+          value={yearTo}
+          onChange={(e) => changeYears(yearFrom, e.target.value)}
+          onBlur={commitNow}
+          onKeyDown={handleYearKeyDown}
+          placeholder={t('toolbar.to')}
+          aria-label={t('toolbar.toYear')}
+          aria-invalid={!isReady(yearTo) || backwards}
+          min={MIN_YEAR}
+          max={MAX_YEAR}
+        />
+      </fieldset>
+
+      <p className="toolbar-count" aria-live="polite">
+        {filtering
+          ? t('toolbar.showing', { shown: shownCount, count: totalCount })
+          : t('toolbar.loaded', { count: totalCount })}
+      </p>
+
+      {(filtering || hasYearRange(listing)) && (
+        <button type="button" className="toolbar-reset" onClick={handleClear}>
+          {t('toolbar.clear')}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default SongToolbar;
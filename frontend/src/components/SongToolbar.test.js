@@ -0,0 +1,163 @@
+import { act, render, screen, fireEvent } from '@testing-library/react';
+import SongToolbar from './SongToolbar';
+import { DEFAULT_FILTERS, DEFAULT_LISTING } from '../utils/songFilters';
+
+describe('SongToolbar', () => {
+  const renderToolbar = (props = {}) => {
+    const handlers = { onChange: jest.fn(), onListingChange: jest.fn() };
+    render(
+      <SongToolbar
+        filters={DEFAULT_FILTERS}
+        listing={DEFAULT_LISTING}
+        shownCount={3}
+        totalCount={3}
+        {...handlers}
+        {...props}
+      />
+    );
+    return { ...handlers, ...props };
+  };
+
+  test('reports title filter changes', () => {
+    const { onChange } = renderToolbar();
+
+    fireEvent.change(screen.getByLabelText(/filter by title/i), { target: { value: 'plan' } });
+
+    expect(onChange).toHaveBeenCalledWith({ ...DEFAULT_FILTERS, query: 'plan' });
+  });
+
+  test('requests a new sort order', () => {
+    const { onChange, onListingChange } = renderToolbar();
+
+    fireEvent.change(screen.getByLabelText(/sort/i), { target: { value: 'release_date' } });
+
+    expect(onListingChange).toHaveBeenCalledWith({ ...DEFAULT_LISTING, sort: 'release_date' });
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  test('requests a year range only once each year is complete', () => {
+    jest.useFakeTimers();
+    try {
+      const { onListingChange } = renderToolbar();
+      const from = screen.getByLabelText(/from year/i);
+
+      fireEvent.change(from, { target: { value: '20' } });
+      fireEvent.change(from, { target: { value: '201' } });
+      act(() => jest.advanceTimersByTime(1000));
+      expect(onListingChange).not.toHaveBeenCalled();
+      expect(from).toHaveAttribute('aria-invalid', 'true');
+
+      fireEvent.change(from, { target: { value: '2010' } });
+      expect(from).toHaveAttribute('aria-invalid', 'false');
+      act(() => jest.advanceTimersByTime(1000));
+      expect(onListingChange).toHaveBeenCalledTimes(1);
+      expect(onListingChange).toHaveBeenLastCalledWith({ ...DEFAULT_LISTING, yearFrom: 2010 });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('waits for spinner clicks to settle before reloading', () => {
+    jest.useFakeTimers();
+    try {
+      const listing = { ...DEFAULT_LISTING, yearFrom: 2010 };
+      const { onListingChange } = renderToolbar({ listing });
+      const from = screen.getByLabelText(/from year/i);
+
+      fireEvent.change(from, { target: { value: '2011' } });
+      act(() => jest.advanceTimersByTime(300));
+      fireEvent.change(from, { target: { value: '2012' } });
+      act(() => jest.advanceTimersByTime(300));
+      fireEvent.change(from, { target: { value: '2013' } });
+      expect(onListingChange).not.toHaveBeenCalled();
+
+      act(() => jest.advanceTimersByTime(1000));
+      expect(onListingChange).toHaveBeenCalledTimes(1);
+      expect(onListingChange).toHaveBeenCalledWith({ ...listing, yearFrom: 2013 });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('sends the range at once on Enter or when leaving the box', () => {
+    jest.useFakeTimers();
+    try {
+      const { onListingChange } = renderToolbar();
+      const from = screen.getByLabelText(/from year/i);
+      const to = screen.getByLabelText(/to year/i);
+
+      fireEvent.change(from, { target: { value: '2010' } });
+      fireEvent.keyDown(from, { key: 'Enter' });
+      expect(onListingChange).toHaveBeenCalledWith({ ...DEFAULT_LISTING, yearFrom: 2010 });
+
+      fireEvent.change(to, { target: { value: '2015' } });
+      fireEvent.blur(to);
+      expect(onListingChange).toHaveBeenLastCalledWith({ ...DEFAULT_LISTING, yearFrom: 2010, yearTo: 2015 });
+
+      // Nothing left pending to fire a second time
+      act(() => jest.advanceTimersByTime(1000));
+      expect(onListingChange).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('holds a backwards range until it is fixed', () => {
+    const listing = { ...DEFAULT_LISTING, yearFrom: 2010 };
+    const { onListingChange } = renderToolbar({ listing });
+    const to = screen.getByLabelText(/to year/i);
+
+    fireEvent.change(to, { target: { value: '2005' } });
+    fireEvent.blur(to);
+    expect(onListingChange).not.toHaveBeenCalled();
+    expect(to).toHaveAttribute('aria-invalid', 'true');
+
+    fireEvent.change(to, { target: { value: '2015' } });
+    fireEvent.blur(to);
+    expect(onListingChange).toHaveBeenCalledWith({ ...listing, yearTo: 2015 });
+  });
+
+  test('clearing a year box drops that bound', () => {
+    const listing = { ...DEFAULT_LISTING, yearFrom: 2010, yearTo: 2015 };
+    const { onListingChange } = renderToolbar({ listing });
+    const from = screen.getByLabelText(/from year/i);
+
+    expect(from).toHaveValue(2010);
+    fireEvent.change(from, { target: { value: '' } });
+    fireEvent.blur(from);
+
+    expect(onListingChange).toHaveBeenCalledWith({ ...listing, yearFrom: null });
+  });
+
+  test('shows the loaded count without filters', () => {
+    renderToolbar({ shownCount: 50, totalCount: 50 });
+
+    expect(screen.getByText('50 songs loaded')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /clear filters/i })).not.toBeInTheDocument();
+  });
+
+  test('shows matches and clears filters and the year range but keeps the sort order', () => {
+    const listing = { sort: 'title', yearFrom: 2010, yearTo: null };
+    const { onChange, onListingChange } = renderToolbar({
+      filters: { query: 'plan', year: null },
+      listing,
+      shownCount: 2,
+      totalCount: 50
+    });
+
+    expect(screen.getByText('Showing 2 of 50 loaded songs')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /clear filters/i }));
+    expect(onChange).toHaveBeenCalledWith(DEFAULT_FILTERS);
+    expect(onListingChange).toHaveBeenCalledWith({ ...DEFAULT_LISTING, sort: 'title' });
+  });
+
+  test('offers to clear a year range on its own', () => {
+    const { onChange, onListingChange } = renderToolbar({ listing: { ...DEFAULT_LISTING, yearTo: 1999 } });
+
+    fireEvent.click(screen.getByRole('button', { name: /clear filters/i }));
+
+    expect(onChange).not.toHaveBeenCalled();
+    expect(onListingChange).toHaveBeenCalledWith(DEFAULT_LISTING);
+  });
+});
@@ -0,0 +1,31 @@
+import useI18n from '../hooks/useI18n';
+import './StaleDataBanner.css';
+
+// Shown when the backend served cached pages because Genius was unreachable
+function StaleDataBanner({ pageMeta, onRetry }) {
+  const { t, formatFetchedAt } = useI18n();
+  const stalePages = pageMeta.filter(meta => meta.stale || meta.api_unavailable);
+  if (stalePages.length === 0) {
+    return null;
+  }
+
+  // Report the oldest copy, since that's how out of date the list can be
+  const oldest = stalePages
+    .map(meta => meta.fetched_at)
+    .filter(Boolean)
+    .sort((a, b) => new Date(a) - new Date(b))[0];
+
+  return (
+    <div className="stale-banner" role="alert">
+      <p>
+        <strong>{t('stale.title')}</strong>{' '}
+        {oldest ? t('stale.bodyFetched', { fetched: formatFetchedAt(oldest) }) : t('stale.body')}
+      </p>
+      <button type="button" onClick={onRetry}>
+        {t('stale.retry')}
+      </button>
+    </div>
+  );
+}
+
+export default StaleDataBanner;
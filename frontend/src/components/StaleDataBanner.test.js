@@ -0,0 +1,36 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import StaleDataBanner from './StaleDataBanner';
+
+describe('StaleDataBanner', () => {
+  test('renders nothing when every page is fresh', () => {
+    render(
+      <StaleDataBanner
+        pageMeta={[{ page: 1, cached: true, stale: false, api_unavailable: false }]}
+        onRetry={jest.fn()}
+      />
+    );
+
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  test('warns with the oldest fetch time and offers a live retry', () => {
+    const onRetry = jest.fn();
+    const older = '2024-01-01T08:00:00Z';
+    render(
+      <StaleDataBanner
+        pageMeta={[
+          { page: 1, cached: true, stale: true, api_unavailable: true, fetched_at: '2024-01-01T09:00:00Z' },
+          { page: 2, cached: true, stale: true, api_unavailable: true, fetched_at: older }
+        ]}
+        onRetry={onRetry}
+      />
+    );
+
+    expect(screen.getByRole('alert')).toHaveTextContent(/may be out of date/i);
+    const oldest = new Intl.DateTimeFormat('en', { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(older));
+    expect(screen.getByRole('alert')).toHaveTextContent(`fetched on ${oldest}`);
+
+    fireEvent.click(screen.getByRole('button', { name: /retry live/i }));
+    expect(onRetry).toHaveBeenCalled();
+  });
+});
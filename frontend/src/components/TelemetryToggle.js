@@ -0,0 +1,22 @@
+import useI18n from '../hooks/useI18n';
+import useTelemetry from '../hooks/useTelemetry';
+
+// Do Not Track wins over the checkbox, so it is shown off and locked
+function TelemetryToggle() {
+  const { sharing, doNotTrack, setSharing } = useTelemetry();
+  const { t } = useI18n();
+
+  return (
+    <label className="header-select">
+      <input
+        type="checkbox"
+        checked={sharing}
+        disabled={doNotTrack}
+        onChange={(e) => setSharing(e.target.checked)}
+      />
+      <span>{t(doNotTrack ? 'telemetry.doNotTrack' : 'telemetry.share')}</span>
+    </label>
+  );
+}
+
+export default TelemetryToggle;
@@ -0,0 +1,28 @@
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+import { SYSTEM_THEME } from '../theme/themes';
+
+const OPTIONS = [
+  [SYSTEM_THEME, 'theme.system'],
+  ['light', 'theme.light'],
+  ['dark', 'theme.dark'],
+  ['high-contrast', 'theme.highContrast']
+];
+
+function ThemeToggle() {
+  const { preference, setPreference } = useTheme();
+  const { t } = useI18n();
+
+  return (
+    <label className="header-select">
+      <span>{t('theme.label')}</span>
+      <select value={preference} onChange={(e) => setPreference(e.target.value)}>
+        {OPTIONS.map(([value, key]) => (
+          <option key={value} value={value}>{t(key)}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default ThemeToggle;
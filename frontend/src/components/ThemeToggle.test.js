@@ -0,0 +1,35 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ThemeToggle from './ThemeToggle';
+import ThemeProvider from '../theme/ThemeProvider';
+import { THEME_STORAGE_KEY } from '../theme/themes';
+
+describe('ThemeToggle', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+    delete document.documentElement.dataset.theme;
+  });
+
+  test('switches theme and remembers the choice', () => {
+    render(<ThemeProvider><ThemeToggle /></ThemeProvider>);
+
+    const select = screen.getByLabelText('Theme');
+    expect(select).toHaveValue('system');
+    expect(document.documentElement).toHaveAttribute('data-theme', 'light');
+
+    fireEvent.change(select, { target: { value: 'high-contrast' } });
+
+    expect(document.documentElement).toHaveAttribute('data-theme', 'high-contrast');
+    expect(window.localStorage.getItem(THEME_STORAGE_KEY)).toBe('high-contrast');
+  });
+
+  test('going back to System forgets the saved choice', () => {
+    window.localStorage.setItem(THEME_STORAGE_KEY, 'dark');
+    render(<ThemeProvider><ThemeToggle /></ThemeProvider>);
+
+    expect(screen.getByLabelText('Theme')).toHaveValue('dark');
+    fireEvent.change(screen.getByLabelText('Theme'), { target: { value: 'system' } });
+
+    expect(window.localStorage.getItem(THEME_STORAGE_KEY)).toBeNull();
+    expect(document.documentElement).toHaveAttribute('data-theme', 'light');
+  });
+});
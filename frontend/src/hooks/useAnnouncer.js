@@ -0,0 +1,15 @@
+import { useCallback, useState } from 'react';
+
+// Messages for LiveAnnouncer. Each one gets a fresh id so repeating the same
+// text (e.g. pressing "m" twice at the end of the list) is read out again.
+function useAnnouncer() {
+  const [message, setMessage] = useState(null);
+
+  const announce = useCallback((text) => {
+    setMessage(prev => ({ text, id: (prev?.id ?? 0) + 1 }));
+  }, []);
+
+  return { message, announce };
+}
+
+export default useAnnouncer;
@@ -0,0 +1,148 @@
+import { useEffect, useRef, useState } from 'react';
+import { fetchArtistCandidates, fetchArtistSongs } from '../api/client';
+import { isAbortError } from '../api/errors';
+import { normalizeText } from '../utils/songFilters';
+
+export const MAX_COLUMNS = 4;
+
+// One column per artist in the comparison view, each with the same
+// songs/pagination/loading/error state the single-artist view keeps, so
+// columns page and fail independently of each other. Like the single-artist
+// search, a new column first asks which artists the name could mean; an
+// ambiguous one holds its `candidates` until one is picked.
+function useArtistColumns() {
+  const [columns, setColumns] = useState([]);
+  // Column key -> AbortController for its in-flight request
+  const controllersRef = useRef(new Map());
+  const nextKeyRef = useRef(1);
+
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => {
+      controllers.forEach(controller => controller.abort());
+    };
+  }, []);
+
+  const updateColumn = (key, changes) => {
+    setColumns(prev => prev.map(column => (
+      column.key === key
+        ? { ...column, ...(typeof changes === 'function' ? changes(column) : changes) }
+        : column
+    )));
+  };
+
+  // Once the artist is known, later pages go by ID so they can't drift
+  const loadPage = async (key, { name, artistId = null, page }) => {
+    controllersRef.current.get(key)?.abort();
+    const controller = new AbortController();
+    controllersRef.current.set(key, controller);
+
+    updateColumn(key, page === 1 ? { loading: true, error: null } : { loadingMore: true, error: null });
+
+    try {
+      const data = await fetchArtistSongs(name, { page, artistId, signal: controller.signal });
+      updateColumn(key, column => ({
+        artist: data.artist,
+        songs: page === 1 ? data.songs : [...column.songs, ...data.songs],
+        pagination: data.pagination
+      }));
+    } catch (error) {
+      if (isAbortError(error)) return;
+      updateColumn(key, { error });
+    } finally {
+      // An aborted request was superseded (or its column removed)
+      if (!controller.signal.aborted) {
+        controllersRef.current.delete(key);
+        updateColumn(key, { loading: false, loadingMore: false });
+      }
+    }
+  };
+
+  const resolveArtist = async (key, query) => {
+    controllersRef.current.get(key)?.abort();
+    const controller = new AbortController();
+    controllersRef.current.set(key, controller);
+    updateColumn(key, { loading: true, error: null, candidates: null });
+
+    let result = null;
+    try {
+      result = await fetchArtistCandidates(query, { signal: controller.signal });
+    } catch (error) {
+      if (isAbortError(error)) return;
+      // Fall back to a name search, which reports its own errors
+    }
+    if (controller.signal.aborted) return;
+
+    if (result?.ambiguous) {
+      controllersRef.current.delete(key);
+      updateColumn(key, { loading: false, candidates: result.candidates });
+      return;
+    }
+    loadPage(key, { name: query, page: 1 });
+  };
+
+  const pickArtist = (key, candidate) => {
+    updateColumn(key, { candidates: null, picked: candidate });
+    loadPage(key, { name: candidate.name, artistId: candidate.id, page: 1 });
+  };
+
+  // Returns false when the artist is already a column or there's no room left
+  const addArtist = (query) => {
+    const normalized = normalizeText(query);
+    const duplicate = columns.some(column =>
+      normalizeText(column.query) === normalized || normalizeText(column.artist?.name) === normalized
+    );
+    if (duplicate || columns.length >= MAX_COLUMNS) {
+      return false;
+    }
+
+    const key = nextKeyRef.current;
+    nextKeyRef.current += 1;
+
+    setColumns(prev => [...prev, {
+      key,
+      query,
+      artist: null,
+      songs: [],
+      pagination: null,
+      loading: true,
+      loadingMore: false,
+      error: null,
+      candidates: null,
+      picked: null
+    }]);
+    resolveArtist(key, query);
+    return true;
+  };
+
+  const loadMore = (key) => {
+    const column = columns.find(c => c.key === key);
+    if (!column?.pagination?.has_next || column.loading || column.loadingMore) return;
+
+    loadPage(key, { name: column.artist.name, artistId: column.artist.id, page: column.pagination.page + 1 });
+  };
+
+  // Re-runs whatever failed: the first page, or the next one
+  const retry = (key) => {
+    const column = columns.find(c => c.key === key);
+    if (!column) return;
+
+    if (column.pagination) {
+      loadMore(key);
+    } else if (column.picked) {
+      pickArtist(key, column.picked);
+    } else {
+      resolveArtist(key, column.query);
+    }
+  };
+
+  const removeColumn = (key) => {
+    controllersRef.current.get(key)?.abort();
+    controllersRef.current.delete(key);
+    setColumns(prev => prev.filter(column => column.key !== key));
+  };
+
+  return { columns, addArtist, pickArtist, loadMore, retry, removeColumn };
+}
+
+export default useArtistColumns;
@@ -0,0 +1,21 @@
+import { useEffect, useState } from 'react';
+
+// Whole seconds left until the `until` timestamp (ms), ticking once a second
+function useCountdown(until) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!until) return undefined;
+
+    setNow(Date.now());
+    const interval = setInterval(() => {
+      setNow(Date.now());
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [until]);
+
+  return until ? Math.max(0, Math.ceil((until - now) / 1000)) : 0;
+}
+
+export default useCountdown;
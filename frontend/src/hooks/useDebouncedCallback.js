@@ -0,0 +1,33 @@
+import { useCallback, useEffect, useRef } from 'react';
+
+// Returns [debounced, cancel]. Each debounced(...args) call restarts the
+// wait, and `callback` runs with the last call's arguments once calls stop
+// for `delay` ms. `delay` may be a function, read when each wait starts.
+// Anything still pending is dropped on unmount.
+function useDebouncedCallback(callback, delay) {
+  const callbackRef = useRef(callback);
+  callbackRef.current = callback;
+  const delayRef = useRef(delay);
+  delayRef.current = delay;
+  const timerRef = useRef(null);
+
+  const cancel = useCallback(() => {
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+  }, []);
+
+  const debounced = useCallback((...args) => {
+    cancel();
+    const wait = typeof delayRef.current === 'function' ? delayRef.current() : delayRef.current;
+    timerRef.current = setTimeout(() => {
+      timerRef.current = null;
+      callbackRef.current(...args);
+    }, wait);
+  }, [cancel]);
+
+  useEffect(() => cancel, [cancel]);
+
+  return [debounced, cancel];
+}
+
+export default useDebouncedCallback;
@@ -0,0 +1,9 @@
+import { useContext } from 'react';
+import { I18nContext } from '../i18n/I18nProvider';
+
+// { locale, dir, setLocale, t, formatNumber, formatReleaseDate, formatFetchedAt }
+function useI18n() {
+  return useContext(I18nContext);
+}
+
+export default useI18n;
@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react';
+
+// Calls `onIntersect` whenever the returned sentinel ref scrolls within
+// `rootMargin` of the viewport. Observation only runs while `enabled`, so
+// callers pause it during in-flight requests; re-enabling re-observes, which
+// fires again straight away if the sentinel is still visible.
+function useInfiniteScroll(onIntersect, { enabled = true, rootMargin = '200px' } = {}) {
+  const sentinelRef = useRef(null);
+  const callbackRef = useRef(onIntersect);
+
+  useEffect(() => {
+    callbackRef.current = onIntersect;
+  });
+
+  useEffect(() => {
+    const node = sentinelRef.current;
+    // Older browsers just keep the Load More button
+    if (!enabled || !node || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        callbackRef.current();
+      }
+    }, { rootMargin });
+
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [enabled, rootMargin]);
+
+  return sentinelRef;
+}
+
+export default useInfiniteScroll;
@@ -0,0 +1,27 @@
+import { useEffect, useRef } from 'react';
+import { shortcutFor } from '../utils/shortcuts';
+
+// Calls handlers[action] for global shortcuts (see utils/shortcuts). A
+// handler returning false didn't apply, so the key keeps its default
+// behaviour (e.g. arrow keys still scroll when there's nothing to select).
+function useKeyboardShortcuts(handlers, enabled = true) {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const handleKeyDown = (event) => {
+      const action = shortcutFor(event);
+      const handler = action && handlersRef.current[action];
+      if (handler && handler(event) !== false) {
+        event.preventDefault();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+}
+
+export default useKeyboardShortcuts;
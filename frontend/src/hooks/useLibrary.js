@@ -0,0 +1,49 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  addToList,
+  createList,
+  deleteList,
+  favoriteIds,
+  loadLibrary,
+  mergeLibraries,
+  moveInList,
+  newListId,
+  parseLibraryImport,
+  removeFromList,
+  renameList,
+  saveLibrary,
+  toggleFavorite
+} from '../utils/library';
+
+function useLibrary() {
+  const [library, setLibrary] = useState(loadLibrary);
+
+  useEffect(() => {
+    saveLibrary(library);
+  }, [library]);
+
+  const favorites = useMemo(() => favoriteIds(library), [library]);
+
+  const actions = useMemo(() => ({
+    toggleFavorite: (song, artist) => setLibrary(prev => toggleFavorite(prev, song, artist)),
+    createList: (name) => setLibrary(prev => createList(prev, name, newListId())),
+    renameList: (listId, name) => setLibrary(prev => renameList(prev, listId, name)),
+    deleteList: (listId) => setLibrary(prev => deleteList(prev, listId)),
+    addToList: (listId, entry) => setLibrary(prev => addToList(prev, listId, entry)),
+    removeFromList: (listId, songId) => setLibrary(prev => removeFromList(prev, listId, songId)),
+    moveInList: (listId, fromIndex, toIndex) =>
+      setLibrary(prev => moveInList(prev, listId, fromIndex, toIndex))
+  }), []);
+
+  // Parses before touching state so a bad file leaves the lists alone;
+  // returns { lists, songs } counts of what was new
+  const importLibrary = useCallback((text) => {
+    const { library: merged, added } = mergeLibraries(library, parseLibraryImport(text));
+    setLibrary(merged);
+    return added;
+  }, [library]);
+
+  return { library, favoriteIds: favorites, ...actions, importLibrary };
+}
+
+export default useLibrary;
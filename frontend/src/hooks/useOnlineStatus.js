@@ -0,0 +1,24 @@
+import { useEffect, useState } from 'react';
+
+const readOnline = () => (typeof navigator === 'undefined' ? true : navigator.onLine !== false);
+
+// Tracks navigator.onLine. "Online" only means a network interface is up, so
+// requests can still fail; "offline" is reliable.
+function useOnlineStatus() {
+  const [online, setOnline] = useState(readOnline);
+
+  useEffect(() => {
+    const update = () => setOnline(readOnline());
+
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+}
+
+export default useOnlineStatus;
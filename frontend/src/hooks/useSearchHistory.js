@@ -0,0 +1,22 @@
+import { useCallback, useEffect, useState } from 'react';
+import { addToHistory, loadHistory, saveHistory } from '../utils/searchHistory';
+
+function useSearchHistory() {
+  const [history, setHistory] = useState(loadHistory);
+
+  useEffect(() => {
+    saveHistory(history);
+  }, [history]);
+
+  const record = useCallback((name) => {
+    setHistory(prev => addToHistory(prev, name));
+  }, []);
+
+  const clear = useCallback(() => {
+    setHistory([]);
+  }, []);
+
+  return { history, record, clear };
+}
+
+export default useSearchHistory;
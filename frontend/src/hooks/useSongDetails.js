@@ -0,0 +1,34 @@
+import { useCallback, useEffect, useState } from 'react';
+import { fetchSongDetails } from '../api/client';
+import { isAbortError } from '../api/errors';
+
+// Loads /songs/:id for the detail drawer; a new id cancels the previous request
+function useSongDetails(songId) {
+  const [state, setState] = useState({ details: null, error: null, loading: false });
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!songId) {
+      setState({ details: null, error: null, loading: false });
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setState({ details: null, error: null, loading: true });
+
+    fetchSongDetails(songId, { signal: controller.signal })
+      .then(details => setState({ details, error: null, loading: false }))
+      .catch(error => {
+        if (isAbortError(error)) return;
+        setState({ details: null, error, loading: false });
+      });
+
+    return () => controller.abort();
+  }, [songId, attempt]);
+
+  const retry = useCallback(() => setAttempt(prev => prev + 1), []);
+
+  return { ...state, retry };
+}
+
+export default useSongDetails;
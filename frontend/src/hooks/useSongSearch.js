@@ -0,0 +1,308 @@
+import { useCallback, useEffect, useMemo, useReducer, useRef } from 'react';
+import { fetchArtistSongs, songSearchLimiter } from '../api/client';
+import { isAbortError, RateLimitError } from '../api/errors';
+import { DEFAULT_LISTING } from '../utils/songFilters';
+import { initialSongSearchState, songSearchReducer } from '../utils/songSearchReducer';
+
+const pageMetaFrom = (data) => ({ page: data.pagination.page, ...data.meta });
+
+const abortError = (message) => new DOMException(message, 'AbortError');
+
+// Resolves after `ms`, or rejects with an AbortError as soon as `signal` fires
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const stop = () => {
+    clearTimeout(timer);
+    reject(abortError('Stopped while waiting for the rate limit'));
+  };
+  const timer = setTimeout(() => {
+    signal.removeEventListener('abort', stop);
+    resolve();
+  }, ms);
+  if (signal.aborted) {
+    stop();
+  } else {
+    signal.addEventListener('abort', stop);
+  }
+});
+
+// Settles with `walk`, or rejects with an AbortError once this caller's
+// `signal` fires; the walk itself stops when its last caller leaves
+const joinWalk = (walk, { signal, onProgress }) => new Promise((resolve, reject) => {
+  walk.callers += 1;
+  if (onProgress) walk.listeners.add(onProgress);
+
+  const leave = () => {
+    walk.listeners.delete(onProgress);
+    walk.callers -= 1;
+    if (walk.callers === 0) walk.controller.abort();
+    reject(abortError('Stopped loading the remaining pages'));
+  };
+  if (signal?.aborted) {
+    leave();
+    return;
+  }
+  signal?.addEventListener('abort', leave);
+  walk.promise.then(resolve, reject).finally(() => {
+    signal?.removeEventListener('abort', leave);
+    walk.listeners.delete(onProgress);
+  });
+});
+
+// The local limiter or the server's Retry-After, whichever is later
+const rateLimitWaitMs = (error) =>
+  Math.max(songSearchLimiter.msUntilAvailable(), (error.retryAfter ?? 60) * 1000);
+
+// The single-artist search lifecycle: songs, pagination and per-page status
+// in a reducer (see utils/songSearchReducer), plus the AbortController and
+// generation that every request - first page, Load More or export walk -
+// is tied to. Starting a search aborts everything from the previous one.
+//
+// fetchPages resolves with { artist, songs, pagination, pageMeta, append } for the
+// pages it loaded, { error } when they failed, or null when the request was
+// cancelled or superseded, so callers only react to results still on screen.
+//
+// Only one append runs at a time - a Load More or a loadRemaining walk - so
+// no page is requested twice: a Load More during a walk is dropped (null), a
+// second walk joins the first, and a walk waits for a Load More to land.
+function useSongSearch() {
+  const [state, dispatch] = useReducer(songSearchReducer, initialSongSearchState);
+  const generationRef = useRef(0);
+  // Controller for the current generation; appends share its signal
+  const controllerRef = useRef(null);
+  // The append in flight: { promise, walk }, where `walk` is set for loadRemaining
+  const appendRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const nextGeneration = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = new AbortController();
+    appendRef.current = null;
+    generationRef.current += 1;
+    return generationRef.current;
+  }, []);
+
+  // Starts a new generation without requesting songs yet, e.g. while the
+  // artist lookup runs. Returns what later requests need to stay in it.
+  const startSearch = useCallback(() => {
+    const generation = nextGeneration();
+    dispatch({ type: 'searchStarted', generation });
+    return { generation, signal: controllerRef.current.signal };
+  }, [nextGeneration]);
+
+  const isCurrent = useCallback((generation) => generation === generationRef.current, []);
+
+  // `depth` > 1 keeps walking pages in one go (restoring a shared ?pages=N link).
+  // A non-append request starts a new search; an append joins the current one
+  // and should pass the same `listing` (sort order and year range).
+  //
+  // Past the first page, a rate limit doesn't end the walk: the pages so far
+  // go on screen, `onWait` gets { page, waitSeconds }, and the walk carries
+  // on once the limit allows. A failure past the first page keeps what loaded
+  // too, and the result's `resumeFrom` is the page to retry from.
+  const requestPages = useCallback(async (artistName, {
+    page = 1,
+    append = false,
+    depth = 1,
+    artistId = null,
+    listing = DEFAULT_LISTING,
+    cache = null,
+    onWait
+  } = {}) => {
+    const generation = append ? generationRef.current : startSearch().generation;
+    const { signal } = controllerRef.current;
+
+    let requested = page;
+    let data = null;
+    const pages = [];
+    // How many of `pages` are on screen already
+    let shown = 0;
+    const showLoaded = () => {
+      if (shown === pages.length) return;
+      const fresh = pages.slice(shown);
+      dispatch({
+        type: 'resultsLoaded',
+        generation,
+        append: append || shown > 0,
+        artistName,
+        artistId,
+        listing,
+        artist: data.artist,
+        songs: fresh.flatMap(loaded => loaded.songs),
+        pageMeta: fresh.map(pageMetaFrom),
+        pagination: data.pagination
+      });
+      shown = pages.length;
+    };
+
+    try {
+      while (!data || (data.pagination.has_next && data.pagination.page < page + depth - 1)) {
+        requested = data ? data.pagination.page + 1 : page;
+        dispatch({ type: 'pageRequested', generation, page: requested, append: append || shown > 0 });
+        try {
+          data = await fetchArtistSongs(artistName, { page: requested, artistId, listing, signal, cache });
+        } catch (error) {
+          if (!(error instanceof RateLimitError) || pages.length === 0) throw error;
+          showLoaded();
+          // Still walking: the page waited for counts as in flight
+          dispatch({ type: 'pageRequested', generation, page: requested, append: true });
+          const waitMs = rateLimitWaitMs(error);
+          onWait?.({ page: data.pagination.page, waitSeconds: Math.ceil(waitMs / 1000) });
+          await sleep(waitMs, signal);
+          continue;
+        }
+        if (!isCurrent(generation)) return null;
+        dispatch({ type: 'pageLoaded', generation, page: requested });
+        pages.push(data);
+      }
+
+      showLoaded();
+      return {
+        artist: data.artist,
+        songs: pages.flatMap(loaded => loaded.songs),
+        pagination: data.pagination,
+        pageMeta: pages.map(pageMetaFrom),
+        append
+      };
+    } catch (error) {
+      if (isAbortError(error) || !isCurrent(generation)) return null;
+      showLoaded();
+      dispatch({ type: 'pageFailed', generation, page: requested, append: append || shown > 0, error });
+      return shown > 0 ? { error, resumeFrom: requested } : { error };
+    }
+  }, [startSearch, isCurrent]);
+
+  // Marks `running` as the append in flight until its promise settles
+  const trackAppend = useCallback((running) => {
+    appendRef.current = running;
+    const settle = () => {
+      if (appendRef.current === running) appendRef.current = null;
+    };
+    running.promise.then(settle, settle);
+    return running.promise;
+  }, []);
+
+  const fetchPages = useCallback((artistName, options = {}) => {
+    if (!options.append) return requestPages(artistName, options);
+    if (appendRef.current) return Promise.resolve(null);
+    return trackAppend({ promise: requestPages(artistName, options), walk: null });
+  }, [requestPages, trackAppend]);
+
+  // Walks every remaining page, appending as it goes; used by the
+  // "entire discography" export and the timeline. A rate limit doesn't end
+  // the walk: it reports { page, count, waitSeconds } and carries on once the
+  // limit allows. Rejects with an AbortError when `signal` fires or a new
+  // search starts, and with the request error otherwise - the caller reports
+  // those, so they don't become search errors. A caller joining a walk in
+  // flight shares its progress and songs; the walk stops once every caller
+  // has stopped it.
+  const loadRemaining = useCallback(({ signal, onProgress }) => {
+    const running = appendRef.current;
+    if (running?.walk) return joinWalk(running.walk, { signal, onProgress });
+
+    const generation = generationRef.current;
+    const searchSignal = controllerRef.current?.signal;
+    const walk = { controller: new AbortController(), listeners: new Set(), callers: 0 };
+    const { controller } = walk;
+    const report = (progress) => walk.listeners.forEach(listener => listener(progress));
+    const abort = () => controller.abort();
+
+    const walkPages = async () => {
+      let { songs, pagination } = state;
+      // A Load More still in flight lands first; the walk carries on after it
+      if (running) {
+        const landed = await running.promise;
+        if (landed && !landed.error) {
+          songs = [...songs, ...landed.songs];
+          pagination = landed.pagination;
+        }
+      }
+
+      let requested = null;
+      try {
+        while (pagination?.has_next) {
+          if (controller.signal.aborted) throw abortError('Stopped loading the remaining pages');
+          requested = pagination.page + 1;
+          dispatch({ type: 'pageRequested', generation, page: requested, append: true });
+          let data;
+          try {
+            data = await fetchArtistSongs(state.artistName, {
+              page: requested,
+              artistId: state.artistId,
+              listing: state.listing,
+              signal: controller.signal
+            });
+          } catch (error) {
+            if (!(error instanceof RateLimitError)) throw error;
+            const waitMs = rateLimitWaitMs(error);
+            report({ page: pagination.page, count: songs.length, waitSeconds: Math.ceil(waitMs / 1000) });
+            await sleep(waitMs, controller.signal);
+            continue;
+          }
+          if (!isCurrent(generation)) {
+            throw abortError('Search changed during export');
+          }
+
+          songs = [...songs, ...data.songs];
+          pagination = data.pagination;
+          dispatch({ type: 'pageLoaded', generation, page: requested });
+          dispatch({
+            type: 'resultsLoaded',
+            generation,
+            append: true,
+            artistName: state.artistName,
+            artistId: state.artistId,
+            listing: state.listing,
+            artist: data.artist,
+            songs: data.songs,
+            pageMeta: [pageMetaFrom(data)],
+            pagination
+          });
+          requested = null;
+          report({ page: pagination.page, count: songs.length });
+        }
+        return songs;
+      } finally {
+        if (requested !== null) {
+          dispatch({ type: 'pageCancelled', generation, page: requested });
+        }
+        searchSignal?.removeEventListener('abort', abort);
+      }
+    };
+
+    // A new search stops the walk for every caller
+    searchSignal?.addEventListener('abort', abort);
+    walk.promise = walkPages();
+    trackAppend({ promise: walk.promise, walk });
+    return joinWalk(walk, { signal, onProgress });
+  }, [state, isCurrent, trackAppend]);
+
+  // Aborts whatever is in flight and ignores anything that still answers
+  const cancel = useCallback(() => {
+    dispatch({ type: 'cancelled', generation: nextGeneration() });
+  }, [nextGeneration]);
+
+  // Back to a blank search, e.g. navigating to the start page
+  const reset = useCallback(() => {
+    dispatch({ type: 'reset', generation: nextGeneration() });
+  }, [nextGeneration]);
+
+  const clearError = useCallback(() => {
+    dispatch({ type: 'errorCleared', generation: generationRef.current });
+  }, []);
+
+  return useMemo(() => ({
+    ...state,
+    loading: state.status === 'loading',
+    loadingMore: state.status === 'loadingMore',
+    startSearch,
+    isCurrent,
+    fetchPages,
+    loadRemaining,
+    cancel,
+    reset,
+    clearError
+  }), [state, startSearch, isCurrent, fetchPages, loadRemaining, cancel, reset, clearError]);
+}
+
+export default useSongSearch;
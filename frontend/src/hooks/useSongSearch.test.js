@@ -0,0 +1,664 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useSongSearch from './useSongSearch';
+import * as client from '../api/client';
+import { ArtistNotFoundError, NetworkError, RateLimitError } from '../api/errors';
+
+const songsPage = (name, number, hasNext, songIds = [number]) => ({
+  artist: { name, id: 1 },
+  songs: songIds.map(id => ({ id, title: `${name} ${id}` })),
+  pagination: { page: number, per_page: 50, has_next: hasNext },
+  meta: { cached: false, fetched_at: '2024-01-01T00:00:00Z' }
+});
+
+// Resolves only when the test says so and, like a real network request that
+// already answered, ignores aborts
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+// Rejects with an AbortError as soon as its signal fires, like fetch
+const abortable = (signal) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+});
+
+describe('useSongSearch', () => {
+  let fetchArtistSongs;
+
+  beforeEach(() => {
+    fetchArtistSongs = jest.spyOn(client, 'fetchArtistSongs');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const renderSearch = () => renderHook(() => useSongSearch());
+
+  test('starts idle', () => {
+    const { result } = renderSearch();
+
+    expect(result.current).toMatchObject({
+      status: 'idle',
+      loading: false,
+      loadingMore: false,
+      songs: [],
+      pagination: null,
+      error: null
+    });
+  });
+
+  test('loads the first page', async () => {
+    const request = deferred();
+    fetchArtistSongs.mockReturnValueOnce(request.promise);
+    const { result } = renderSearch();
+
+    let outcome;
+    act(() => {
+      outcome = result.current.fetchPages('Drake', { artistId: 130 });
+    });
+    expect(result.current).toMatchObject({ status: 'loading', loading: true, pageStatus: { 1: 'loading' } });
+
+    await act(async () => {
+      request.resolve(songsPage('Drake', 1, true));
+    });
+
+    expect(result.current).toMatchObject({
+      status: 'success',
+      loading: false,
+      artistName: 'Drake',
+      artistId: 130,
+      artist: { name: 'Drake', id: 1 },
+      songs: [{ id: 1, title: 'Drake 1' }],
+      pagination: { page: 1, has_next: true },
+      pageMeta: [{ page: 1, cached: false, fetched_at: '2024-01-01T00:00:00Z' }],
+      pageStatus: { 1: 'loaded' }
+    });
+    await expect(outcome).resolves.toMatchObject({ append: false, songs: [{ id: 1, title: 'Drake 1' }] });
+    expect(fetchArtistSongs).toHaveBeenCalledWith('Drake', expect.objectContaining({ page: 1, artistId: 130 }));
+  });
+
+  test('walks several pages for a restored depth and stops at the last one', async () => {
+    fetchArtistSongs
+      .mockResolvedValueOnce(songsPage('Drake', 1, true))
+      .mockResolvedValueOnce(songsPage('Drake', 2, false));
+    const { result } = renderSearch();
+
+    await act(async () => {
+      await result.current.fetchPages('Drake', { depth: 5 });
+    });
+
+    expect(fetchArtistSongs).toHaveBeenCalledTimes(2);
+    expect(result.current.songs.map(song => song.id)).toEqual([1, 2]);
+    expect(result.current.pageMeta.map(meta => meta.page)).toEqual([1, 2]);
+    expect(result.current.pageStatus).toEqual({ 1: 'loaded', 2: 'loaded' });
+  });
+
+  test('passes a response cache through to the client', async () => {
+    fetchArtistSongs.mockResolvedValueOnce(songsPage('Drake', 1, false));
+    const cache = { get: jest.fn(), set: jest.fn() };
+    const { result } = renderSearch();
+
+    await act(async () => {
+      await result.current.fetchPages('Drake', { cache });
+    });
+
+    expect(fetchArtistSongs).toHaveBeenCalledWith('Drake', expect.objectContaining({ cache }));
+  });
+
+  test('requests every page with the search listing, export walk included', async () => {
+    const listing = { sort: 'release_date', yearFrom: 2010, yearTo: null };
+    fetchArtistSongs
+      .mockResolvedValueOnce(songsPage('Drake', 1, true))
+      .mockResolvedValueOnce(songsPage('Drake', 2, true))
+      .mockResolvedValueOnce(songsPage('Drake', 3, false));
+    const { result } = renderSearch();
+
+    await act(async () => {
+      await result.current.fetchPages('Drake', { listing });
+    });
+    expect(result.current.listing).toEqual(listing);
+
+    await act(async () => {
+      await result.current.fetchPages('Drake', { page: 2, append: true, listing });
+    });
+    await act(async () => {
+      await result.current.loadRemaining({ onProgress: jest.fn() });
+    });
+
+    expect(fetchArtistSongs.mock.calls.map(([, options]) => [options.page, options.listing])).toEqual([
+      [1, listing],
+      [2, listing],
+      [3, listing]
+    ]);
+  });
+
+  test('Load More appends to the current search', async () => {
+    fetchArtistSongs.mockResolvedValueOnce(songsPage('Drake', 1, true));
+    const { result } = renderSearch();
+    await act(async () => {
+      await result.current.fetchPages('Drake');
+    });
+
+    const request = deferred();
+    fetchArtistSongs.mockReturnValueOnce(request.promise);
+    act(() => {
+      result.current.fetchPages('Drake', { page: 2, append: true });
+    });
+    expect(result.current).toMatchObject({ status: 'loadingMore', loadingMore: true, pageStatus: { 1: 'loaded', 2: 'loading' } });
+
+    await act(async () => {
+      request.resolve(songsPage('Drake', 2, false));
+    });
+
+    expect(result.current.status).toBe('success');
+    expect(result.current.songs.map(song => song.id)).toEqual([1, 2]);
+    expect(result.current.pagination.has_next).toBe(false);
+  });
+
+  test('a failed first page reports the error', async () => {
+    const error = new ArtistNotFoundError("Artist 'Nobody' not found");
+    fetchArtistSongs.mockRejectedValueOnce(error);
+    const { result } = renderSearch();
+
+    let outcome;
+    await act(async () => {
+      outcome = await result.current.fetchPages('Nobody');
+    });
+
+    expect(outcome).toEqual({ error });
+    expect(result.current).toMatchObject({ status: 'error', error, songs: [], pageStatus: { 1: 'error' } });
+  });
+
+  test('a failed Load More keeps the loaded songs and marks the page', async () => {
+    fetchArtistSongs
+      .mockResolvedValueOnce(songsPage('Drake', 1, true))
+      .mockRejectedValueOnce(new NetworkError('Unable to reach the server'));
+    const { result } = renderSearch();
+
+    await act(async () => {
+      await result.current.fetchPages('Drake');
+    });
+    await act(async () => {
+      await result.current.fetchPages('Drake', { page: 2, append: true });
+    });
+
+    expect(result.current).toMatchObject({ status: 'error', pageStatus: { 1: 'loaded', 2: 'error' } });
+    expect(result.current.songs).toHaveLength(1);
+    expect(result.current.error).toBeInstanceOf(NetworkError);
+  });
+
+  test('a failed page in a multi-page walk is the one marked', async () => {
+    fetchArtistSongs
+      .mockResolvedValueOnce(songsPage('Drake', 1, true))
+      .mockRejectedValueOnce(new NetworkError('Unable to reach the server'));
+    const { result } = renderSearch();
+
+    let outcome;
+    await act(async () => {
+      outcome = await result.current.fetchPages('Drake', { depth: 3 });
+    });
+
+    expect(result.current.pageStatus).toEqual({ 1: 'loaded', 2: 'error' });
+    expect(result.current.songs.map(song => song.id)).toEqual([1]);
+    expect(result.current.pagination).toMatchObject({ page: 1, has_next: true });
+    expect(outcome).toMatchObject({ resumeFrom: 2 });
+  });
+
+  test('a restored depth past ten pages waits out the rate limit', async () => {
+    jest.useFakeTimers();
+    client.songSearchLimiter.reset();
+    // Twelve pages through the real limiter, which allows ten a minute
+    fetchArtistSongs.mockImplementation(async (name, { page }) => {
+      if (!client.songSearchLimiter.tryRemove()) {
+        throw new RateLimitError('Rate limit exceeded. Please try again later.', {
+          retryAfter: Math.ceil(client.songSearchLimiter.msUntilAvailable() / 1000)
+        });
+      }
+      return songsPage('Drake', page, page < 15);
+    });
+    const onWait = jest.fn();
+    const { result } = renderSearch();
+
+    let walk;
+    await act(async () => {
+      walk = result.current.fetchPages('Drake', { depth: 12, onWait });
+    });
+    expect(onWait).toHaveBeenCalledWith({ page: 10, waitSeconds: 60 });
+    // The pages so far stay on screen while it waits
+    expect(result.current).toMatchObject({ status: 'loadingMore', error: null, pagination: { page: 10 } });
+    expect(result.current.songs).toHaveLength(10);
+
+    let outcome;
+    await act(async () => {
+      jest.advanceTimersByTime(60 * 1000);
+      outcome = await walk;
+    });
+
+    expect(outcome).toMatchObject({ append: false, pagination: { page: 12, has_next: true } });
+    expect(outcome.songs).toHaveLength(12);
+    expect(result.current.songs.map(song => song.id)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+    expect(result.current).toMatchObject({ status: 'success', pagination: { page: 12 } });
+    client.songSearchLimiter.reset();
+  });
+
+  test('a new search aborts an in-flight Load More', async () => {
+    fetchArtistSongs.mockResolvedValueOnce(songsPage('Drake', 1, true));
+    const { result } = renderSearch();
+    await act(async () => {
+      await result.current.fetchPages('Drake');
+    });
+
+    let appendSignal;
+    fetchArtistSongs.mockImplementationOnce((name, { signal }) => {
+      appendSignal = signal;
+      return abortable(signal);
+    });
+    let appendOutcome;
+    act(() => {
+      appendOutcome = result.current.fetchPages('Drake', { page: 2, append: true });
+    });
+
+    fetchArtistSongs.mockResolvedValueOnce(songsPage('Adele', 1, false));
+    await act(async () => {
+      await result.current.fetchPages('Adele');
+    });
+
+    expect(appendSignal.aborted).toBe(true);
+    await expect(appendOutcome).resolves.toBeNull();
+    expect(result.current.artistName).toBe('Adele');
+    expect(result.current.songs.map(song => song.title)).toEqual(['Adele 1']);
+  });
+
+  test("a late Load More response never lands on another artist's list", async () => {
+    fetchArtistSongs.mockResolvedValueOnce(songsPage('Drake', 1, true));
+    const { result } = renderSearch();
+    await act(async () => {
+      await result.current.fetchPages('Drake');
+    });
+
+    const lateAppend = deferred();
+    fetchArtistSongs.mockReturnValueOnce(lateAppend.promise);
+    let appendOutcome;
+    act(() => {
+      appendOutcome = result.current.fetchPages('Drake', { page: 2, append: true });
+    });
+
+    fetchArtistSongs.mockResolvedValueOnce(songsPage('Adele', 1, true));
+    await act(async () => {
+      await result.current.fetchPages('Adele');
+    });
+    await act(async () => {
+      lateAppend.resolve(songsPage('Drake', 2, false, [2]));
+    });
+
+    await expect(appendOutcome).resolves.toBeNull();
+    expect(result.current.songs.map(song => song.title)).toEqual(['Adele 1']);
+    expect(result.current.pagination.has_next).toBe(true);
+    expect(result.current.status).toBe('success');
+  });
+
+  test('a slower older search never overwrites a newer one', async () => {
+    const slow = deferred();
+    fetchArtistSongs.mockReturnValueOnce(slow.promise).mockResolvedValueOnce(songsPage('Adele', 1, false));
+    const { result } = renderSearch();
+
+    let first;
+    act(() => {
+      first = result.current.fetchPages('Drake');
+    });
+    await act(async () => {
+      await result.current.fetchPages('Adele');
+    });
+    await act(async () => {
+      slow.resolve(songsPage('Drake', 1, false));
+    });
+
+    await expect(first).resolves.toBeNull();
+    expect(result.current.artistName).toBe('Adele');
+  });
+
+  test('a stale failure is ignored too', async () => {
+    const slow = deferred();
+    fetchArtistSongs.mockReturnValueOnce(slow.promise).mockResolvedValueOnce(songsPage('Adele', 1, false));
+    const { result } = renderSearch();
+
+    let first;
+    act(() => {
+      first = result.current.fetchPages('Drake');
+    });
+    await act(async () => {
+      await result.current.fetchPages('Adele');
+    });
+    await act(async () => {
+      slow.reject(new NetworkError('Unable to reach the server'));
+    });
+
+    await expect(first).resolves.toBeNull();
+    expect(result.current).toMatchObject({ status: 'success', error: null });
+  });
+
+  test('startSearch opens a generation that the next one supersedes', () => {
+    const { result } = renderSearch();
+
+    let first;
+    act(() => {
+      first = result.current.startSearch();
+    });
+    expect(result.current.status).toBe('loading');
+    expect(result.current.isCurrent(first.generation)).toBe(true);
+
+    act(() => {
+      result.current.startSearch();
+    });
+    expect(first.signal.aborted).toBe(true);
+    expect(result.current.isCurrent(first.generation)).toBe(false);
+  });
+
+  test('cancel aborts the request and keeps what already loaded', async () => {
+    fetchArtistSongs.mockResolvedValueOnce(songsPage('Drake', 1, true));
+    const { result } = renderSearch();
+    await act(async () => {
+      await result.current.fetchPages('Drake');
+    });
+
+    let signal;
+    fetchArtistSongs.mockImplementationOnce((name, options) => {
+      signal = options.signal;
+      return abortable(signal);
+    });
+    let outcome;
+    act(() => {
+      outcome = result.current.fetchPages('Drake', { page: 2, append: true });
+    });
+    act(() => {
+      result.current.cancel();
+    });
+
+    expect(signal.aborted).toBe(true);
+    await expect(outcome).resolves.toBeNull();
+    expect(result.current).toMatchObject({ status: 'success', pageStatus: { 1: 'loaded' } });
+    expect(result.current.songs).toHaveLength(1);
+  });
+
+  test('reset drops the results and anything in flight', async () => {
+    fetchArtistSongs.mockResolvedValueOnce(songsPage('Drake', 1, true));
+    const { result } = renderSearch();
+    await act(async () => {
+      await result.current.fetchPages('Drake');
+    });
+
+    const late = deferred();
+    fetchArtistSongs.mockReturnValueOnce(late.promise);
+    act(() => {
+      result.current.fetchPages('Drake', { page: 2, append: true });
+    });
+    act(() => {
+      result.current.reset();
+    });
+    await act(async () => {
+      late.resolve(songsPage('Drake', 2, false));
+    });
+
+    expect(result.current).toMatchObject({ status: 'idle', songs: [], artistName: '', pagination: null });
+  });
+
+  test('clearError keeps the songs and settles the status', async () => {
+    fetchArtistSongs
+      .mockResolvedValueOnce(songsPage('Drake', 1, true))
+      .mockRejectedValueOnce(new NetworkError('Unable to reach the server'));
+    const { result } = renderSearch();
+    await act(async () => {
+      await result.current.fetchPages('Drake');
+    });
+    await act(async () => {
+      await result.current.fetchPages('Drake', { page: 2, append: true });
+    });
+
+    act(() => {
+      result.current.clearError();
+    });
+
+    expect(result.current).toMatchObject({ status: 'success', error: null });
+  });
+
+  describe('loadRemaining', () => {
+    const loadFirstPage = async (result) => {
+      fetchArtistSongs.mockResolvedValueOnce(songsPage('Drake', 1, true));
+      await act(async () => {
+        await result.current.fetchPages('Drake', { artistId: 130 });
+      });
+    };
+
+    test('walks every remaining page and reports progress', async () => {
+      const { result } = renderSearch();
+      await loadFirstPage(result);
+      fetchArtistSongs
+        .mockResolvedValueOnce(songsPage('Drake', 2, true))
+        .mockResolvedValueOnce(songsPage('Drake', 3, false));
+      const onProgress = jest.fn();
+
+      let allSongs;
+      await act(async () => {
+        allSongs = await result.current.loadRemaining({ signal: new AbortController().signal, onProgress });
+      });
+
+      expect(allSongs.map(song => song.id)).toEqual([1, 2, 3]);
+      expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+        { page: 2, count: 2 },
+        { page: 3, count: 3 }
+      ]);
+      expect(fetchArtistSongs).toHaveBeenLastCalledWith('Drake', expect.objectContaining({ page: 3, artistId: 130 }));
+      expect(result.current).toMatchObject({
+        status: 'success',
+        pageStatus: { 1: 'loaded', 2: 'loaded', 3: 'loaded' },
+        pagination: { page: 3, has_next: false }
+      });
+    });
+
+    test('a second walk joins the one in flight', async () => {
+      const { result } = renderSearch();
+      await loadFirstPage(result);
+      const page2 = deferred();
+      fetchArtistSongs
+        .mockReturnValueOnce(page2.promise)
+        .mockResolvedValueOnce(songsPage('Drake', 3, false));
+      const timelineProgress = jest.fn();
+      const exportProgress = jest.fn();
+      const exportWalk = new AbortController();
+
+      let first;
+      let second;
+      act(() => {
+        first = result.current.loadRemaining({ signal: new AbortController().signal, onProgress: timelineProgress });
+      });
+      act(() => {
+        second = result.current.loadRemaining({ signal: exportWalk.signal, onProgress: exportProgress });
+      });
+      // Leaving doesn't stop the walk for the caller still waiting
+      await act(async () => {
+        exportWalk.abort();
+        await expect(second).rejects.toMatchObject({ name: 'AbortError' });
+      });
+      await act(async () => {
+        page2.resolve(songsPage('Drake', 2, true));
+        await first;
+      });
+
+      await expect(first).resolves.toHaveLength(3);
+      expect(fetchArtistSongs).toHaveBeenCalledTimes(3);
+      expect(result.current.songs.map(song => song.id)).toEqual([1, 2, 3]);
+      expect(timelineProgress).toHaveBeenLastCalledWith({ page: 3, count: 3 });
+      expect(exportProgress).not.toHaveBeenCalled();
+    });
+
+    test('a Load More during a walk is dropped, and a walk waits for a Load More', async () => {
+      const { result } = renderSearch();
+      await loadFirstPage(result);
+      const page2 = deferred();
+      fetchArtistSongs
+        .mockReturnValueOnce(page2.promise)
+        .mockResolvedValueOnce(songsPage('Drake', 3, false));
+
+      let loadMore;
+      let walk;
+      act(() => {
+        loadMore = result.current.fetchPages('Drake', { page: 2, append: true, artistId: 130 });
+      });
+      act(() => {
+        walk = result.current.loadRemaining({ signal: new AbortController().signal });
+      });
+      let dropped;
+      await act(async () => {
+        dropped = await result.current.fetchPages('Drake', { page: 2, append: true, artistId: 130 });
+      });
+      expect(dropped).toBeNull();
+
+      await act(async () => {
+        page2.resolve(songsPage('Drake', 2, true));
+        await loadMore;
+        await walk;
+      });
+
+      await expect(walk).resolves.toHaveLength(3);
+      expect(fetchArtistSongs.mock.calls.map(([, { page }]) => page)).toEqual([1, 2, 3]);
+      expect(result.current.songs.map(song => song.id)).toEqual([1, 2, 3]);
+    });
+
+    test('stops when the caller aborts', async () => {
+      const { result } = renderSearch();
+      await loadFirstPage(result);
+      fetchArtistSongs.mockImplementationOnce((name, { signal }) => abortable(signal));
+      const controller = new AbortController();
+
+      let walk;
+      act(() => {
+        walk = result.current.loadRemaining({ signal: controller.signal, onProgress: jest.fn() });
+      });
+      expect(result.current.status).toBe('loadingMore');
+
+      await act(async () => {
+        controller.abort();
+        await expect(walk).rejects.toMatchObject({ name: 'AbortError' });
+      });
+
+      expect(result.current).toMatchObject({ status: 'success', pageStatus: { 1: 'loaded' } });
+    });
+
+    test('stops when a new search starts', async () => {
+      const { result } = renderSearch();
+      await loadFirstPage(result);
+      const page2 = deferred();
+      fetchArtistSongs.mockReturnValueOnce(page2.promise);
+
+      let walk;
+      act(() => {
+        walk = result.current.loadRemaining({ signal: new AbortController().signal, onProgress: jest.fn() });
+      });
+      fetchArtistSongs.mockResolvedValueOnce(songsPage('Adele', 1, false));
+      await act(async () => {
+        await result.current.fetchPages('Adele');
+      });
+      await act(async () => {
+        page2.resolve(songsPage('Drake', 2, false));
+        await expect(walk).rejects.toThrow('Search changed during export');
+      });
+
+      expect(result.current.songs.map(song => song.title)).toEqual(['Adele 1']);
+    });
+
+    test('waits out the rate limit and carries on past ten pages', async () => {
+      jest.useFakeTimers();
+      client.songSearchLimiter.reset();
+      const { result } = renderSearch();
+      await loadFirstPage(result);
+      // Twelve more pages through the real limiter, which allows ten a minute
+      fetchArtistSongs.mockImplementation(async (name, { page }) => {
+        if (!client.songSearchLimiter.tryRemove()) {
+          throw new RateLimitError('Rate limit exceeded. Please try again later.', {
+            retryAfter: Math.ceil(client.songSearchLimiter.msUntilAvailable() / 1000)
+          });
+        }
+        return songsPage('Drake', page, page < 13);
+      });
+      const onProgress = jest.fn();
+
+      let walk;
+      await act(async () => {
+        walk = result.current.loadRemaining({ signal: new AbortController().signal, onProgress });
+      });
+      expect(onProgress).toHaveBeenLastCalledWith({ page: 11, count: 11, waitSeconds: 60 });
+      expect(result.current.status).toBe('loadingMore');
+
+      let allSongs;
+      await act(async () => {
+        jest.advanceTimersByTime(60 * 1000);
+        allSongs = await walk;
+      });
+
+      expect(allSongs).toHaveLength(13);
+      expect(onProgress).toHaveBeenLastCalledWith({ page: 13, count: 13 });
+      expect(result.current).toMatchObject({ status: 'success', error: null, pagination: { page: 13, has_next: false } });
+      client.songSearchLimiter.reset();
+    });
+
+    test('can be stopped while waiting out the rate limit', async () => {
+      jest.useFakeTimers();
+      const { result } = renderSearch();
+      await loadFirstPage(result);
+      fetchArtistSongs.mockRejectedValueOnce(new RateLimitError('Rate limit exceeded. Please try again later.', { retryAfter: 30 }));
+      const controller = new AbortController();
+      const onProgress = jest.fn();
+
+      let walk;
+      await act(async () => {
+        walk = result.current.loadRemaining({ signal: controller.signal, onProgress });
+      });
+      expect(onProgress).toHaveBeenCalledWith({ page: 1, count: 1, waitSeconds: 30 });
+
+      await act(async () => {
+        controller.abort();
+        await expect(walk).rejects.toMatchObject({ name: 'AbortError' });
+      });
+
+      expect(fetchArtistSongs).toHaveBeenCalledTimes(2);
+      expect(result.current).toMatchObject({ status: 'success', pageStatus: { 1: 'loaded' } });
+    });
+
+    test('a failed page rejects without becoming a search error', async () => {
+      const { result } = renderSearch();
+      await loadFirstPage(result);
+      fetchArtistSongs.mockRejectedValueOnce(new NetworkError('Unable to reach the server'));
+
+      await act(async () => {
+        await expect(result.current.loadRemaining({ onProgress: jest.fn() })).rejects.toBeInstanceOf(NetworkError);
+      });
+
+      expect(result.current).toMatchObject({ status: 'success', error: null, pageStatus: { 1: 'loaded' } });
+    });
+  });
+
+  test('aborts whatever is in flight on unmount', async () => {
+    let signal;
+    fetchArtistSongs.mockImplementationOnce((name, options) => {
+      signal = options.signal;
+      return abortable(signal);
+    });
+    const { result, unmount } = renderSearch();
+
+    act(() => {
+      result.current.fetchPages('Drake');
+    });
+    unmount();
+
+    await waitFor(() => {
+      expect(signal.aborted).toBe(true);
+    });
+  });
+});
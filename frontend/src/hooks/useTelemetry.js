@@ -0,0 +1,9 @@
+import { useContext } from 'react';
+import { TelemetryContext } from '../telemetry/TelemetryProvider';
+
+// { track, sharing, doNotTrack, setSharing }
+function useTelemetry() {
+  return useContext(TelemetryContext);
+}
+
+export default useTelemetry;
@@ -0,0 +1,9 @@
+import { useContext } from 'react';
+import { ThemeContext } from '../theme/ThemeProvider';
+
+// { preference, theme, setPreference }
+function useTheme() {
+  return useContext(ThemeContext);
+}
+
+export default useTheme;
@@ -0,0 +1,93 @@
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+
+const DEFAULT_ROW_HEIGHT = 72;
+
+// Window-scroll virtualization for uniform-height rows. Returns the slice of
+// rows to render ([start, end)) plus the padding that stands in for the rows
+// that are skipped, so the list keeps its full scroll height.
+//
+// Row height starts as an estimate and is corrected from the rendered DOM
+// (distance between two consecutive rows, so the gap is included).
+// `pinnedIndex` is always kept in the DOM - used to keep a focused row
+// mounted when it scrolls out of view.
+function useWindowedList(count, { estimatedRowHeight = DEFAULT_ROW_HEIGHT, overscan = 8, pinnedIndex = null } = {}) {
+  const containerRef = useRef(null);
+  const rowHeightRef = useRef(estimatedRowHeight);
+  const [rowHeight, setRowHeight] = useState(estimatedRowHeight);
+  const [viewport, setViewport] = useState(() => ({
+    first: 0,
+    visible: Math.ceil(window.innerHeight / estimatedRowHeight) + 1
+  }));
+
+  // Only row-granular changes update state, so scrolling within a row is free
+  const measure = useCallback(() => {
+    const node = containerRef.current;
+    if (!node) return;
+
+    const height = rowHeightRef.current;
+    const { top } = node.getBoundingClientRect();
+    const first = Math.max(0, Math.floor(-top / height));
+    const visible = Math.ceil(window.innerHeight / height) + 1;
+
+    setViewport(prev => (
+      prev.first === first && prev.visible === visible ? prev : { first, visible }
+    ));
+  }, []);
+
+  useEffect(() => {
+    let frame = null;
+    const schedule = () => {
+      if (frame !== null) return;
+      frame = window.requestAnimationFrame(() => {
+        frame = null;
+        measure();
+      });
+    };
+
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+
+    return () => {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) {
+        window.cancelAnimationFrame(frame);
+      }
+    };
+  }, [measure]);
+
+  // Re-measure when pages are appended or the list is replaced
+  useEffect(() => {
+    measure();
+  }, [count, measure]);
+
+  useLayoutEffect(() => {
+    const rows = containerRef.current?.querySelectorAll('[data-index]');
+    if (!rows || rows.length < 2) return;
+
+    const measured = rows[1].offsetTop - rows[0].offsetTop;
+    if (measured > 0 && measured !== rowHeightRef.current) {
+      rowHeightRef.current = measured;
+      setRowHeight(measured);
+      measure();
+    }
+  }, [count, viewport.first, measure]);
+
+  let start = Math.max(0, viewport.first - overscan);
+  let end = Math.min(count, viewport.first + viewport.visible + overscan);
+
+  if (pinnedIndex !== null && pinnedIndex < count) {
+    start = Math.min(start, pinnedIndex);
+    end = Math.max(end, pinnedIndex + 1);
+  }
+
+  return {
+    containerRef,
+    start,
+    end,
+    paddingTop: start * rowHeight,
+    paddingBottom: Math.max(0, count - end) * rowHeight
+  };
+}
+
+export default useWindowedList;
@@ -0,0 +1,24 @@
+import { createContext, useEffect, useMemo, useState } from 'react';
+import { DEFAULT_LOCALE, createI18n, detectLocale, loadLocale, saveLocale } from './translate';
+
+// Components rendered without a provider (most unit tests) get English
+export const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+
+function I18nProvider({ children, initialLocale }) {
+  const [locale, setLocale] = useState(() => initialLocale || loadLocale() || detectLocale());
+
+  const i18n = useMemo(() => createI18n(locale, (next) => {
+    saveLocale(next);
+    setLocale(next);
+  }), [locale]);
+
+  // lang picks fonts and hyphenation; dir mirrors the layout for RTL locales
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = i18n.dir;
+  }, [locale, i18n.dir]);
+
+  return <I18nContext.Provider value={i18n}>{children}</I18nContext.Provider>;
+}
+
+export default I18nProvider;
@@ -0,0 +1,372 @@
+// Arabic covers right-to-left layout; arrows point the other way.
+const ar = {
+  'app.title': 'البحث عن أغاني الفنانين',
+  'app.tagline': 'ابحث عن أي فنان لاكتشاف أغانيه',
+  'app.logoAlt': 'الشعار',
+  'app.view': 'العرض',
+  'app.singleMode': 'فنان واحد',
+  'app.compareMode': 'مقارنة الفنانين',
+  'app.myLists': 'قوائمي',
+  'app.language': 'اللغة',
+  'app.shortcuts': 'اختصارات لوحة المفاتيح',
+
+  'theme.label': 'المظهر',
+  'theme.system': 'حسب النظام',
+  'theme.light': 'فاتح',
+  'theme.dark': 'داكن',
+  'theme.highContrast': 'تباين عالٍ',
+
+  'telemetry.share': 'مشاركة بيانات استخدام مجهولة',
+  'telemetry.doNotTrack': 'بيانات الاستخدام متوقفة (عدم التتبع)',
+
+  'search.placeholder': 'اكتب اسم الفنان (مثل Pink Floyd)...',
+  'search.label': 'اسم الفنان',
+  'search.clear': 'مسح البحث',
+  'search.recent': 'عمليات البحث الأخيرة',
+  'search.clearHistory': 'مسح السجل',
+  'search.submit': 'بحث',
+  'search.wait': 'انتظر {seconds} ث',
+  'search.live': 'البحث أثناء الكتابة',
+
+  'results.searching': 'جارٍ البحث عن الأغاني...',
+  'results.offline': '{message} سنحاول مجددًا عند عودة الاتصال.',
+  'results.timeline': 'الخط الزمني',
+  'results.noMatches': 'لا توجد أغانٍ محمّلة تطابق عوامل التصفية الحالية.',
+  'results.loadMore': 'تحميل المزيد من الأغاني',
+  'results.loadMoreIn': 'تحميل المزيد بعد {seconds} ث',
+  'results.loadingMore': 'جارٍ التحميل...',
+  'results.end': 'هذه كل الأغاني! 🎉',
+  'results.empty': 'اكتب اسم فنان أعلاه للبدء',
+
+  'songs.viewLyrics': '← عرض الكلمات',
+  'songs.favorite': 'تفضيل {title}',
+
+  'announce.loading': 'جارٍ تحميل أغاني {artist}...',
+  'announce.loadingMore': 'جارٍ تحميل المزيد من الأغاني...',
+  'announce.partial': 'تم تحميل {count} من أغانٍ كثيرة لـ {artist}',
+  'announce.all': {
+    zero: 'لا توجد أغانٍ لـ {artist}.',
+    one: 'تم تحميل أغنية واحدة لـ {artist}. هذه نهاية القائمة.',
+    two: 'تم تحميل أغنيتين لـ {artist}. هذه نهاية القائمة.',
+    few: 'تم تحميل كل الأغاني الـ {count} لـ {artist}. هذه نهاية القائمة.',
+    many: 'تم تحميل كل الأغاني الـ {count} لـ {artist}. هذه نهاية القائمة.',
+    other: 'تم تحميل كل الأغاني الـ {count} لـ {artist}. هذه نهاية القائمة.'
+  },
+  'announce.none': 'لم يتم العثور على أغانٍ لـ {artist}',
+  'announce.added': {
+    zero: 'لم تتم إضافة أغانٍ.',
+    one: 'تمت إضافة أغنية واحدة.',
+    two: 'تمت إضافة أغنيتين.',
+    few: 'تمت إضافة {count} أغانٍ.',
+    many: 'تمت إضافة {count} أغنية.',
+    other: 'تمت إضافة {count} أغنية.'
+  },
+  'announce.selected': '{title}، الأغنية {position} من {total}',
+  'announce.opening': 'جارٍ فتح {title} على Genius',
+  'announce.allLoaded': 'تم تحميل كل الأغاني بالفعل',
+  'announce.searchFirst': 'ابحث عن فنان أولًا',
+  'announce.rateLimited': 'تم بلوغ حد الطلبات. يمكنك تحميل المزيد بعد {seconds} ثانية',
+
+  'common.cancel': 'إلغاء',
+  'common.tryAgain': 'حاول مجددًا',
+
+  'sort.popularity': 'الشعبية',
+  'sort.title': 'العنوان (أ–ي)',
+  'sort.release_date': 'تاريخ الإصدار',
+
+  'toolbar.label': 'تصفية الأغاني',
+  'toolbar.filter': 'التصفية حسب العنوان',
+  'toolbar.filterPlaceholder': 'التصفية حسب العنوان...',
+  'toolbar.sort': 'الترتيب',
+  'toolbar.released': 'سنة الإصدار',
+  'toolbar.from': 'من',
+  'toolbar.fromYear': 'من سنة',
+  'toolbar.to': 'إلى',
+  'toolbar.toYear': 'إلى سنة',
+  'toolbar.showing': {
+    zero: 'عرض {shown} من {count} أغنية محمّلة',
+    one: 'عرض {shown} من أغنية واحدة محمّلة',
+    two: 'عرض {shown} من أغنيتين محمّلتين',
+    few: 'عرض {shown} من {count} أغانٍ محمّلة',
+    many: 'عرض {shown} من {count} أغنية محمّلة',
+    other: 'عرض {shown} من {count} أغنية محمّلة'
+  },
+  'toolbar.loaded': {
+    zero: 'لا توجد أغانٍ محمّلة',
+    one: 'تم تحميل أغنية واحدة',
+    two: 'تم تحميل أغنيتين',
+    few: 'تم تحميل {count} أغانٍ',
+    many: 'تم تحميل {count} أغنية',
+    other: 'تم تحميل {count} أغنية'
+  },
+  'toolbar.clear': 'مسح عوامل التصفية',
+
+  'progress.starting': {
+    zero: 'جارٍ تحميل الصفحات المتبقية (لا أغانٍ حتى الآن)...',
+    one: 'جارٍ تحميل الصفحات المتبقية (أغنية واحدة حتى الآن)...',
+    two: 'جارٍ تحميل الصفحات المتبقية (أغنيتان حتى الآن)...',
+    few: 'جارٍ تحميل الصفحات المتبقية ({count} أغانٍ حتى الآن)...',
+    many: 'جارٍ تحميل الصفحات المتبقية ({count} أغنية حتى الآن)...',
+    other: 'جارٍ تحميل الصفحات المتبقية ({count} أغنية حتى الآن)...'
+  },
+  'progress.page': {
+    zero: 'تم تحميل الصفحة {page} (لا أغانٍ)...',
+    one: 'تم تحميل الصفحة {page} (أغنية واحدة)...',
+    two: 'تم تحميل الصفحة {page} (أغنيتان)...',
+    few: 'تم تحميل الصفحة {page} ({count} أغانٍ)...',
+    many: 'تم تحميل الصفحة {page} ({count} أغنية)...',
+    other: 'تم تحميل الصفحة {page} ({count} أغنية)...'
+  },
+  'progress.waiting': {
+    zero: 'تم بلوغ حد الطلبات؛ نتابع بعد {seconds} ث (لا أغانٍ حتى الآن)...',
+    one: 'تم بلوغ حد الطلبات؛ نتابع بعد {seconds} ث (أغنية واحدة حتى الآن)...',
+    two: 'تم بلوغ حد الطلبات؛ نتابع بعد {seconds} ث (أغنيتان حتى الآن)...',
+    few: 'تم بلوغ حد الطلبات؛ نتابع بعد {seconds} ث ({count} أغانٍ حتى الآن)...',
+    many: 'تم بلوغ حد الطلبات؛ نتابع بعد {seconds} ث ({count} أغنية حتى الآن)...',
+    other: 'تم بلوغ حد الطلبات؛ نتابع بعد {seconds} ث ({count} أغنية حتى الآن)...'
+  },
+
+  'export.toggle': 'تصدير',
+  'export.format': 'الصيغة',
+  'export.formats.csv': 'CSV',
+  'export.formats.json': 'JSON',
+  'export.formats.markdown': 'جدول Markdown',
+  'export.entire': 'تصدير كل الأعمال (يحمّل الصفحات المتبقية)',
+  'export.allLoaded': {
+    zero: 'لا توجد أغانٍ',
+    one: 'الأغنية الوحيدة محمّلة',
+    two: 'الأغنيتان محمّلتان',
+    few: 'كل الأغاني الـ {count} محمّلة',
+    many: 'كل الأغاني الـ {count} محمّلة',
+    other: 'كل الأغاني الـ {count} محمّلة'
+  },
+  'export.download': 'تنزيل',
+  'export.copy': 'نسخ إلى الحافظة',
+  'export.done': {
+    zero: 'لم يتم تصدير أي أغنية',
+    one: 'تم تصدير أغنية واحدة',
+    two: 'تم تصدير أغنيتين',
+    few: 'تم تصدير {count} أغانٍ',
+    many: 'تم تصدير {count} أغنية',
+    other: 'تم تصدير {count} أغنية'
+  },
+  'export.cancelled': 'تم إلغاء التصدير',
+  'export.failed': 'فشل التصدير: {message}',
+
+  'rateLimit.title': 'أنت تبحث بسرعة كبيرة.',
+  'rateLimit.countdown': 'يمكنك البحث مجددًا بعد {countdown}.',
+  'rateLimit.seconds': '{seconds} ث',
+  'rateLimit.autoRetry': 'البحث عن "{artist}" تلقائيًا عند الإمكان',
+
+  'fetched.justNow': 'جُلبت للتو',
+  'fetched.minutes': {
+    zero: 'جُلبت قبل أقل من دقيقة',
+    one: 'جُلبت قبل دقيقة',
+    two: 'جُلبت قبل دقيقتين',
+    few: 'جُلبت قبل {count} دقائق',
+    many: 'جُلبت قبل {count} دقيقة',
+    other: 'جُلبت قبل {count} دقيقة'
+  },
+  'fetched.on': 'جُلبت في {date}',
+  'fetched.unknown': 'جُلبت في وقت غير معروف',
+
+  'stale.title': 'قد تكون هذه النتائج قديمة.',
+  'stale.body': 'Genius غير متاح حاليًا، لذا نعرض نسخة محفوظة.',
+  'stale.bodyFetched': 'Genius غير متاح حاليًا، لذا نعرض نسخة محفوظة {fetched}.',
+  'stale.retry': 'إعادة المحاولة مباشرةً',
+
+  'cache.label': 'مصدر البيانات لكل صفحة',
+  'cache.page': 'الصفحة {page}:',
+  'cache.pageShort': 'ص{page}',
+  'cache.title': 'الصفحة {page}: {source}',
+  'cache.titleFetched': 'الصفحة {page}: {source}، {fetched}',
+  'cache.source.live': 'مباشر',
+  'cache.source.cached': 'مخزّن',
+  'cache.source.stale': 'قديم',
+  'cache.source.offline': 'دون اتصال',
+
+  'offline.label': 'غير متصل',
+  'offline.showingSaved': 'غير متصل · نعرض نتائج محفوظة على هذا الجهاز',
+
+  'picker.question': 'أي "{query}" تقصد؟',
+  'picker.exact': 'تطابق تام',
+
+  'drawer.fallbackTitle': 'تفاصيل الأغنية',
+  'drawer.close': 'إغلاق تفاصيل الأغنية',
+  'drawer.loading': 'جارٍ تحميل تفاصيل الأغنية...',
+  'drawer.artwork': 'غلاف {title}',
+  'drawer.artist': 'الفنان',
+  'drawer.album': 'الألبوم',
+  'drawer.released': 'تاريخ الإصدار',
+  'drawer.featuring': 'بمشاركة',
+  'drawer.producedBy': 'إنتاج',
+  'drawer.pageviews': 'المشاهدات',
+  'drawer.related': 'أغانٍ ذات صلة',
+  'drawer.relatedBy': 'لـ {artist}',
+  'drawer.cached': 'نسخة مخزّنة {fetched}',
+
+  'relationship.samples': 'تقتبس من',
+  'relationship.sampled_in': 'اقتُبست في',
+  'relationship.interpolates': 'تستعير لحن',
+  'relationship.interpolated_by': 'استُعير لحنها في',
+  'relationship.cover_of': 'إعادة أداء لـ',
+  'relationship.covered_by': 'أعاد أداءها',
+  'relationship.remix_of': 'ريمكس لـ',
+  'relationship.remixed_by': 'ريمكس بواسطة',
+  'relationship.live_version_of': 'نسخة حية من',
+  'relationship.performed_live_as': 'أُديت حيًا باسم',
+  'relationship.translation_of': 'ترجمة لـ',
+  'relationship.translations': 'الترجمات',
+
+  'compare.duplicate': '"{name}" قيد المقارنة بالفعل.',
+  'compare.full': 'تقارن الحد الأقصى وهو {max} فنانين. أزل واحدًا لإضافة آخر.',
+  'compare.hint': 'أضف حتى {max} فنانين لمقارنة أغانيهم جنبًا إلى جنب.',
+  'compare.remove': 'إزالة {name}',
+  'compare.loaded': {
+    zero: 'لا توجد أغانٍ محمّلة',
+    one: 'تم تحميل أغنية واحدة',
+    two: 'تم تحميل أغنيتين',
+    few: 'تم تحميل {count} أغانٍ',
+    many: 'تم تحميل {count} أغنية',
+    other: 'تم تحميل {count} أغنية'
+  },
+  'compare.loadedSoFar': {
+    zero: 'لا توجد أغانٍ محمّلة حتى الآن',
+    one: 'تم تحميل أغنية واحدة حتى الآن',
+    two: 'تم تحميل أغنيتين حتى الآن',
+    few: 'تم تحميل {count} أغانٍ حتى الآن',
+    many: 'تم تحميل {count} أغنية حتى الآن',
+    other: 'تم تحميل {count} أغنية حتى الآن'
+  },
+  'compare.loading': 'جارٍ تحميل الأغاني...',
+  'compare.loadMore': 'تحميل المزيد من {name}',
+  'compare.summary': 'الملخص',
+  'compare.groupBy': 'التجميع حسب',
+  'compare.group.year': 'السنة',
+  'compare.group.decade': 'العقد',
+  'compare.caption.year': 'الأغاني في كل سنة لـ {names}',
+  'compare.caption.decade': 'الأغاني في كل عقد لـ {names}',
+  'compare.decade': 'عقد {decade}',
+  'compare.partial': 'تشمل الأعداد الأغاني المحمّلة فقط؛ حمّل صفحات أكثر لصورة أشمل.',
+  'compare.undated': 'دون تاريخ',
+  'compare.total': 'المجموع',
+  'compare.shared': 'عناوين مشتركة ({count})',
+  'compare.noShared': 'لا توجد عناوين مشتركة بين الأغاني المحمّلة.',
+
+  'timeline.heading': 'الإصدارات حسب السنة',
+  'timeline.soFar': {
+    zero: 'لا توجد أغانٍ محمّلة حتى الآن',
+    one: 'بناءً على أغنية واحدة محمّلة حتى الآن',
+    two: 'بناءً على أغنيتين محمّلتين حتى الآن',
+    few: 'بناءً على {count} أغانٍ محمّلة حتى الآن',
+    many: 'بناءً على {count} أغنية محمّلة حتى الآن',
+    other: 'بناءً على {count} أغنية محمّلة حتى الآن'
+  },
+  'timeline.all': {
+    zero: 'لا توجد أغانٍ',
+    one: 'يشمل الأغنية الوحيدة',
+    two: 'يشمل الأغنيتين',
+    few: 'يشمل كل الأغاني الـ {count}',
+    many: 'يشمل كل الأغاني الـ {count}',
+    other: 'يشمل كل الأغاني الـ {count}'
+  },
+  'timeline.none': 'لا تحمل أي من الأغاني المحمّلة تاريخ إصدار.',
+  'timeline.chart': 'الأغاني الصادرة في كل سنة',
+  'timeline.bar': {
+    zero: '{year}: لا أغانٍ',
+    one: '{year}: أغنية واحدة',
+    two: '{year}: أغنيتان',
+    few: '{year}: {count} أغانٍ',
+    many: '{year}: {count} أغنية',
+    other: '{year}: {count} أغنية'
+  },
+  'timeline.showing': 'عرض أغاني سنة {year}.',
+  'timeline.showAll': 'عرض كل السنوات',
+  'timeline.undated': 'دون تاريخ ({count})',
+  'timeline.loadAll': 'تحميل الصفحات المتبقية لكل الأعمال',
+  'timeline.stopped': 'تم إيقاف تحميل الصفحات',
+  'timeline.failed': 'تعذّر تحميل كل الصفحات: {message}',
+
+  'library.count': {
+    zero: 'لا أغانٍ',
+    one: 'أغنية واحدة',
+    two: 'أغنيتان',
+    few: '{count} أغانٍ',
+    many: '{count} أغنية',
+    other: '{count} أغنية'
+  },
+  'library.newName': 'اسم جديد لـ {name}',
+  'library.save': 'حفظ',
+  'library.rename': 'إعادة تسمية',
+  'library.renameList': 'إعادة تسمية {name}',
+  'library.delete': 'حذف',
+  'library.deleteList': 'حذف {name}',
+  'library.confirmDelete': {
+    zero: 'حذف "{name}"؟',
+    one: 'حذف "{name}" وأغنيتها الوحيدة؟',
+    two: 'حذف "{name}" وأغنيتيها؟',
+    few: 'حذف "{name}" وأغانيها الـ {count}؟',
+    many: 'حذف "{name}" وأغانيها الـ {count}؟',
+    other: 'حذف "{name}" وأغانيها الـ {count}؟'
+  },
+  'library.confirm': 'حذف القائمة',
+  'library.keep': 'الإبقاء عليها',
+  'library.emptyFavorites': 'ميّز الأغاني بنجمة في النتائج لجمعها هنا.',
+  'library.empty': 'لا توجد أغانٍ بعد.',
+  'library.moveUp': 'نقل {title} لأعلى',
+  'library.moveDown': 'نقل {title} لأسفل',
+  'library.addToOther': 'إضافة {title} إلى قائمة أخرى',
+  'library.addTo': 'إضافة إلى…',
+  'library.remove': 'إزالة {title} من {name}',
+  'library.export': 'تصدير القوائم',
+  'library.import': 'استيراد القوائم',
+  'library.exported': {
+    zero: 'لم يتم تصدير أي قائمة',
+    one: 'تم تصدير قائمة واحدة',
+    two: 'تم تصدير قائمتين',
+    few: 'تم تصدير {count} قوائم',
+    many: 'تم تصدير {count} قائمة',
+    other: 'تم تصدير {count} قائمة'
+  },
+  'library.imported': {
+    zero: 'تم استيراد {lists} قوائم جديدة دون أغانٍ',
+    one: 'تم استيراد {lists} قوائم جديدة وأغنية واحدة',
+    two: 'تم استيراد {lists} قوائم جديدة وأغنيتين',
+    few: 'تم استيراد {lists} قوائم جديدة و{count} أغانٍ',
+    many: 'تم استيراد {lists} قوائم جديدة و{count} أغنية',
+    other: 'تم استيراد {lists} قوائم جديدة و{count} أغنية'
+  },
+  'library.importFailed': 'فشل الاستيراد: {message}',
+  'library.newList': 'اسم القائمة الجديدة',
+  'library.create': 'إنشاء قائمة',
+
+  'error.offline': 'أنت غير متصل بالإنترنت، ولم يُحفظ هذا البحث على هذا الجهاز بعد.',
+  'error.network': 'تعذّر الوصول إلى الخادم. تحقّق من اتصالك وحاول مرة أخرى.',
+  'error.artistNotFound': 'لا يوجد على Genius فنان بهذا الاسم.',
+  'error.songNotFound': 'تعذّر العثور على هذه الأغنية على Genius.',
+  'error.notFound': 'لم نعثر على ذلك.',
+  'error.invalidInput': 'لا يمكن إجراء هذا البحث. تحقّق من اسم الفنان وحاول مرة أخرى.',
+  'error.rateLimited': 'عمليات بحث كثيرة جدًا. يُرجى المحاولة مرة أخرى بعد قليل.',
+  'error.upstream': 'لا يستجيب Genius حاليًا. يُرجى المحاولة لاحقًا.',
+  'error.timeout': 'استغرق Genius وقتًا طويلًا للرد. يُرجى المحاولة مرة أخرى.',
+  'error.server': 'حدث خطأ في الخادم.',
+  'error.unknown': 'حدث خطأ ما.',
+  'error.libraryNewer': 'أُنشئ ملف القوائم هذا بإصدار أحدث من التطبيق',
+  'error.libraryVersion': 'لا يمكن ترقية القوائم من الإصدار {version}',
+  'error.notJson': 'هذا الملف ليس بتنسيق JSON صالح',
+  'error.notLibrary': 'هذا الملف ليس ملف قوائم مُصدَّرًا',
+  'error.unreadable': 'تعذّرت قراءة هذا الملف',
+  'error.noClipboard': 'الحافظة غير متاحة',
+
+  'shortcuts.close': 'إغلاق اختصارات لوحة المفاتيح',
+  'shortcuts.or': 'أو',
+  'shortcuts.note': 'تتوقف الاختصارات أثناء الكتابة في أي حقل.',
+  'shortcuts.focusSearch': 'الانتقال إلى البحث عن فنان',
+  'shortcuts.next': 'تحديد الأغنية التالية',
+  'shortcuts.previous': 'تحديد الأغنية السابقة',
+  'shortcuts.open': 'فتح صفحة الأغنية المحددة على Genius',
+  'shortcuts.loadMore': 'تحميل المزيد من الأغاني',
+  'shortcuts.help': 'عرض اختصارات لوحة المفاتيح'
+};
+
+export default ar;
@@ -0,0 +1,298 @@
+// English is the source catalog: every key used in the app lives here, and
+// other locales fall back to it for anything they haven't translated.
+// Plural messages are keyed by Intl.PluralRules category.
+const en = {
+  'app.title': 'Artist Song Search',
+  'app.tagline': 'Search for any artist to discover their songs',
+  'app.logoAlt': 'Logo',
+  'app.view': 'View',
+  'app.singleMode': 'Single artist',
+  'app.compareMode': 'Compare artists',
+  'app.myLists': 'My lists',
+  'app.language': 'Language',
+  'app.shortcuts': 'Keyboard shortcuts',
+
+  'theme.label': 'Theme',
+  'theme.system': 'System',
+  'theme.light': 'Light',
+  'theme.dark': 'Dark',
+  'theme.highContrast': 'High contrast',
+
+  'telemetry.share': 'Share anonymous usage data',
+  'telemetry.doNotTrack': 'Usage data off (Do Not Track)',
+
+  'search.placeholder': 'Enter artist name (e.g., Pink Floyd)...',
+  'search.label': 'Artist name',
+  'search.clear': 'Clear search',
+  'search.recent': 'Recent searches',
+  'search.clearHistory': 'Clear history',
+  'search.submit': 'Search',
+  'search.wait': 'Wait {seconds}s',
+  'search.live': 'Search as you type',
+
+  'results.searching': 'Searching for songs...',
+  'results.offline': "{message} We'll try again when you reconnect.",
+  'results.timeline': 'Timeline',
+  'results.noMatches': 'No loaded songs match the current filters.',
+  'results.loadMore': 'Load More Songs',
+  'results.loadMoreIn': 'Load more in {seconds}s',
+  'results.loadingMore': 'Loading...',
+  'results.end': "That's all the songs! 🎉",
+  'results.empty': 'Enter an artist name above to get started',
+
+  'songs.viewLyrics': 'View Lyrics →',
+  'songs.favorite': 'Favorite {title}',
+
+  'announce.loading': 'Loading songs for {artist}...',
+  'announce.loadingMore': 'Loading more songs...',
+  'announce.partial': 'Loaded {count} of many songs for {artist}',
+  'announce.all': {
+    one: "Loaded all {count} song for {artist}. That's the end of the list.",
+    other: "Loaded all {count} songs for {artist}. That's the end of the list."
+  },
+  'announce.none': 'No songs found for {artist}',
+  'announce.added': {
+    one: 'Added {count} song.',
+    other: 'Added {count} songs.'
+  },
+  'announce.selected': '{title}, song {position} of {total}',
+  'announce.opening': 'Opening {title} on Genius',
+  'announce.allLoaded': 'All songs are already loaded',
+  'announce.searchFirst': 'Search for an artist first',
+  'announce.rateLimited': 'Rate limited. Load more in {seconds} seconds',
+
+  'common.cancel': 'Cancel',
+  'common.tryAgain': 'Try again',
+
+  'sort.popularity': 'Popularity',
+  'sort.title': 'Title (A–Z)',
+  'sort.release_date': 'Release date',
+
+  'toolbar.label': 'Filter songs',
+  'toolbar.filter': 'Filter by title',
+  'toolbar.filterPlaceholder': 'Filter by title...',
+  'toolbar.sort': 'Sort',
+  'toolbar.released': 'Released',
+  'toolbar.from': 'From',
+  'toolbar.fromYear': 'From year',
+  'toolbar.to': 'To',
+  'toolbar.toYear': 'To year',
+  'toolbar.showing': {
+    one: 'Showing {shown} of {count} loaded song',
+    other: 'Showing {shown} of {count} loaded songs'
+  },
+  'toolbar.loaded': {
+    one: '{count} song loaded',
+    other: '{count} songs loaded'
+  },
+  'toolbar.clear': 'Clear filters',
+
+  'progress.starting': {
+    one: 'Loading remaining pages ({count} song so far)...',
+    other: 'Loading remaining pages ({count} songs so far)...'
+  },
+  'progress.page': {
+    one: 'Loaded page {page} ({count} song)...',
+    other: 'Loaded page {page} ({count} songs)...'
+  },
+  'progress.waiting': {
+    one: 'Rate limited; continuing in {seconds}s ({count} song so far)...',
+    other: 'Rate limited; continuing in {seconds}s ({count} songs so far)...'
+  },
+
+  'export.toggle': 'Export',
+  'export.format': 'Format',
+  'export.formats.csv': 'CSV',
+  'export.formats.json': 'JSON',
+  'export.formats.markdown': 'Markdown table',
+  'export.entire': 'Export entire discography (loads remaining pages)',
+  'export.allLoaded': {
+    one: 'The only song is loaded',
+    other: 'All {count} songs are loaded'
+  },
+  'export.download': 'Download',
+  'export.copy': 'Copy to clipboard',
+  'export.done': {
+    one: 'Exported {count} song',
+    other: 'Exported {count} songs'
+  },
+  'export.cancelled': 'Export cancelled',
+  'export.failed': 'Export failed: {message}',
+
+  'rateLimit.title': "You're searching a little too fast.",
+  'rateLimit.countdown': 'You can search again in {countdown}.',
+  'rateLimit.seconds': '{seconds}s',
+  'rateLimit.autoRetry': 'Run "{artist}" automatically when ready',
+
+  'fetched.justNow': 'fetched just now',
+  'fetched.minutes': {
+    one: 'fetched {count} minute ago',
+    other: 'fetched {count} minutes ago'
+  },
+  'fetched.on': 'fetched on {date}',
+  'fetched.unknown': 'fetched at an unknown time',
+
+  'stale.title': 'These results may be out of date.',
+  'stale.body': "Genius is currently unavailable, so we're showing a saved copy.",
+  'stale.bodyFetched': "Genius is currently unavailable, so we're showing a saved copy {fetched}.",
+  'stale.retry': 'Retry live',
+
+  'cache.label': 'Data source per page',
+  'cache.page': 'Page {page}:',
+  'cache.pageShort': 'p{page}',
+  'cache.title': 'Page {page}: {source}',
+  'cache.titleFetched': 'Page {page}: {source}, {fetched}',
+  'cache.source.live': 'live',
+  'cache.source.cached': 'cached',
+  'cache.source.stale': 'stale',
+  'cache.source.offline': 'offline',
+
+  'offline.label': 'Offline',
+  'offline.showingSaved': 'Offline · showing results saved on this device',
+
+  'picker.question': 'Which "{query}" did you mean?',
+  'picker.exact': 'Exact match',
+
+  'drawer.fallbackTitle': 'Song details',
+  'drawer.close': 'Close song details',
+  'drawer.loading': 'Loading song details...',
+  'drawer.artwork': 'Artwork for {title}',
+  'drawer.artist': 'Artist',
+  'drawer.album': 'Album',
+  'drawer.released': 'Released',
+  'drawer.featuring': 'Featuring',
+  'drawer.producedBy': 'Produced by',
+  'drawer.pageviews': 'Pageviews',
+  'drawer.related': 'Related songs',
+  'drawer.relatedBy': 'by {artist}',
+  'drawer.cached': 'Cached copy {fetched}',
+
+  'relationship.samples': 'Samples',
+  'relationship.sampled_in': 'Sampled in',
+  'relationship.interpolates': 'Interpolates',
+  'relationship.interpolated_by': 'Interpolated by',
+  'relationship.cover_of': 'Cover of',
+  'relationship.covered_by': 'Covered by',
+  'relationship.remix_of': 'Remix of',
+  'relationship.remixed_by': 'Remixed by',
+  'relationship.live_version_of': 'Live version of',
+  'relationship.performed_live_as': 'Performed live as',
+  'relationship.translation_of': 'Translation of',
+  'relationship.translations': 'Translations',
+
+  'compare.duplicate': '"{name}" is already being compared.',
+  'compare.full': 'Comparing the maximum of {max} artists. Remove one to add another.',
+  'compare.hint': 'Add up to {max} artists to compare their songs side by side.',
+  'compare.remove': 'Remove {name}',
+  'compare.loaded': {
+    one: '{count} song loaded',
+    other: '{count} songs loaded'
+  },
+  'compare.loadedSoFar': {
+    one: '{count} song loaded so far',
+    other: '{count} songs loaded so far'
+  },
+  'compare.loading': 'Loading songs...',
+  'compare.loadMore': 'Load more {name}',
+  'compare.summary': 'Summary',
+  'compare.groupBy': 'Group by',
+  'compare.group.year': 'Year',
+  'compare.group.decade': 'Decade',
+  'compare.caption.year': 'Songs per year for {names}',
+  'compare.caption.decade': 'Songs per decade for {names}',
+  'compare.decade': '{decade}s',
+  'compare.partial': 'Counts cover loaded songs only; load more pages for a fuller picture.',
+  'compare.undated': 'Undated',
+  'compare.total': 'Total',
+  'compare.shared': 'Shared titles ({count})',
+  'compare.noShared': 'No shared titles among the loaded songs.',
+
+  'timeline.heading': 'Releases by year',
+  'timeline.soFar': {
+    one: 'Based on the {count} song loaded so far',
+    other: 'Based on the {count} songs loaded so far'
+  },
+  'timeline.all': {
+    one: 'Covers all {count} song',
+    other: 'Covers all {count} songs'
+  },
+  'timeline.none': 'None of the loaded songs have a release date.',
+  'timeline.chart': 'Songs released per year',
+  'timeline.bar': {
+    one: '{year}: {count} song',
+    other: '{year}: {count} songs'
+  },
+  'timeline.showing': 'Showing songs from {year}.',
+  'timeline.showAll': 'Show all years',
+  'timeline.undated': 'Undated ({count})',
+  'timeline.loadAll': 'Load remaining pages for the full discography',
+  'timeline.stopped': 'Stopped loading pages',
+  'timeline.failed': "Couldn't load every page: {message}",
+
+  'library.count': {
+    one: '{count} song',
+    other: '{count} songs'
+  },
+  'library.newName': 'New name for {name}',
+  'library.save': 'Save',
+  'library.rename': 'Rename',
+  'library.renameList': 'Rename {name}',
+  'library.delete': 'Delete',
+  'library.deleteList': 'Delete {name}',
+  'library.confirmDelete': {
+    one: 'Delete "{name}" and its {count} song?',
+    other: 'Delete "{name}" and its {count} songs?'
+  },
+  'library.confirm': 'Delete list',
+  'library.keep': 'Keep it',
+  'library.emptyFavorites': 'Star songs in the results to collect them here.',
+  'library.empty': 'No songs yet.',
+  'library.moveUp': 'Move {title} up',
+  'library.moveDown': 'Move {title} down',
+  'library.addToOther': 'Add {title} to another list',
+  'library.addTo': 'Add to…',
+  'library.remove': 'Remove {title} from {name}',
+  'library.export': 'Export lists',
+  'library.import': 'Import lists',
+  'library.exported': {
+    one: 'Exported {count} list',
+    other: 'Exported {count} lists'
+  },
+  'library.imported': {
+    one: 'Imported {lists} new lists and {count} song',
+    other: 'Imported {lists} new lists and {count} songs'
+  },
+  'library.importFailed': 'Import failed: {message}',
+  'library.newList': 'New list name',
+  'library.create': 'Create list',
+
+  'error.offline': "You're offline and this search isn't saved on this device yet.",
+  'error.network': "Couldn't reach the server. Check your connection and try again.",
+  'error.artistNotFound': 'Genius has no artist by that name.',
+  'error.songNotFound': "That song couldn't be found on Genius.",
+  'error.notFound': "We couldn't find that.",
+  'error.invalidInput': "That search can't be run. Check the artist name and try again.",
+  'error.rateLimited': 'Too many searches. Please try again in a moment.',
+  'error.upstream': "Genius isn't answering right now. Please try again later.",
+  'error.timeout': 'Genius took too long to answer. Please try again.',
+  'error.server': 'Something went wrong on the server.',
+  'error.unknown': 'Something went wrong.',
+  'error.libraryNewer': 'This list file was made by a newer version of the app',
+  'error.libraryVersion': "Don't know how to upgrade lists from version {version}",
+  'error.notJson': "That file isn't valid JSON",
+  'error.notLibrary': "That file isn't an exported list file",
+  'error.unreadable': "Couldn't read that file",
+  'error.noClipboard': 'Clipboard is not available',
+
+  'shortcuts.close': 'Close keyboard shortcuts',
+  'shortcuts.or': 'or',
+  'shortcuts.note': "Shortcuts are off while you're typing in a field.",
+  'shortcuts.focusSearch': 'Focus the artist search',
+  'shortcuts.next': 'Select the next song',
+  'shortcuts.previous': 'Select the previous song',
+  'shortcuts.open': "Open the selected song's Genius page",
+  'shortcuts.loadMore': 'Load more songs',
+  'shortcuts.help': 'Show keyboard shortcuts'
+};
+
+export default en;
@@ -0,0 +1,295 @@
+const es = {
+  'app.title': 'Buscador de canciones',
+  'app.tagline': 'Busca cualquier artista para descubrir sus canciones',
+  'app.logoAlt': 'Logotipo',
+  'app.view': 'Vista',
+  'app.singleMode': 'Un artista',
+  'app.compareMode': 'Comparar artistas',
+  'app.myLists': 'Mis listas',
+  'app.language': 'Idioma',
+  'app.shortcuts': 'Atajos de teclado',
+
+  'theme.label': 'Tema',
+  'theme.system': 'Sistema',
+  'theme.light': 'Claro',
+  'theme.dark': 'Oscuro',
+  'theme.highContrast': 'Alto contraste',
+
+  'telemetry.share': 'Compartir datos de uso anónimos',
+  'telemetry.doNotTrack': 'Datos de uso desactivados (No rastrear)',
+
+  'search.placeholder': 'Escribe un artista (p. ej., Pink Floyd)...',
+  'search.label': 'Nombre del artista',
+  'search.clear': 'Borrar búsqueda',
+  'search.recent': 'Búsquedas recientes',
+  'search.clearHistory': 'Borrar historial',
+  'search.submit': 'Buscar',
+  'search.wait': 'Espera {seconds} s',
+  'search.live': 'Buscar mientras escribes',
+
+  'results.searching': 'Buscando canciones...',
+  'results.offline': '{message} Lo intentaremos de nuevo cuando vuelvas a tener conexión.',
+  'results.timeline': 'Cronología',
+  'results.noMatches': 'Ninguna canción cargada coincide con los filtros.',
+  'results.loadMore': 'Cargar más canciones',
+  'results.loadMoreIn': 'Cargar más en {seconds} s',
+  'results.loadingMore': 'Cargando...',
+  'results.end': '¡Esas son todas las canciones! 🎉',
+  'results.empty': 'Escribe el nombre de un artista para empezar',
+
+  'songs.viewLyrics': 'Ver letra →',
+  'songs.favorite': 'Marcar {title} como favorita',
+
+  'announce.loading': 'Cargando canciones de {artist}...',
+  'announce.loadingMore': 'Cargando más canciones...',
+  'announce.partial': 'Cargadas {count} de muchas canciones de {artist}',
+  'announce.all': {
+    one: 'Cargada {count} canción de {artist}. Es el final de la lista.',
+    other: 'Cargadas las {count} canciones de {artist}. Es el final de la lista.'
+  },
+  'announce.none': 'No se encontraron canciones de {artist}',
+  'announce.added': {
+    one: 'Se añadió {count} canción.',
+    other: 'Se añadieron {count} canciones.'
+  },
+  'announce.selected': '{title}, canción {position} de {total}',
+  'announce.opening': 'Abriendo {title} en Genius',
+  'announce.allLoaded': 'Ya están cargadas todas las canciones',
+  'announce.searchFirst': 'Primero busca un artista',
+  'announce.rateLimited': 'Límite de peticiones alcanzado. Podrás cargar más en {seconds} segundos',
+
+  'common.cancel': 'Cancelar',
+  'common.tryAgain': 'Reintentar',
+
+  'sort.popularity': 'Popularidad',
+  'sort.title': 'Título (A–Z)',
+  'sort.release_date': 'Fecha de lanzamiento',
+
+  'toolbar.label': 'Filtrar canciones',
+  'toolbar.filter': 'Filtrar por título',
+  'toolbar.filterPlaceholder': 'Filtrar por título...',
+  'toolbar.sort': 'Orden',
+  'toolbar.released': 'Lanzamiento',
+  'toolbar.from': 'Desde',
+  'toolbar.fromYear': 'Desde el año',
+  'toolbar.to': 'Hasta',
+  'toolbar.toYear': 'Hasta el año',
+  'toolbar.showing': {
+    one: 'Mostrando {shown} de {count} canción cargada',
+    other: 'Mostrando {shown} de {count} canciones cargadas'
+  },
+  'toolbar.loaded': {
+    one: '{count} canción cargada',
+    other: '{count} canciones cargadas'
+  },
+  'toolbar.clear': 'Quitar filtros',
+
+  'progress.starting': {
+    one: 'Cargando las páginas restantes ({count} canción hasta ahora)...',
+    other: 'Cargando las páginas restantes ({count} canciones hasta ahora)...'
+  },
+  'progress.page': {
+    one: 'Página {page} cargada ({count} canción)...',
+    other: 'Página {page} cargada ({count} canciones)...'
+  },
+  'progress.waiting': {
+    one: 'Límite de peticiones; seguimos en {seconds} s ({count} canción hasta ahora)...',
+    other: 'Límite de peticiones; seguimos en {seconds} s ({count} canciones hasta ahora)...'
+  },
+
+  'export.toggle': 'Exportar',
+  'export.format': 'Formato',
+  'export.formats.csv': 'CSV',
+  'export.formats.json': 'JSON',
+  'export.formats.markdown': 'Tabla Markdown',
+  'export.entire': 'Exportar toda la discografía (carga las páginas restantes)',
+  'export.allLoaded': {
+    one: 'La única canción ya está cargada',
+    other: 'Las {count} canciones ya están cargadas'
+  },
+  'export.download': 'Descargar',
+  'export.copy': 'Copiar al portapapeles',
+  'export.done': {
+    one: 'Exportada {count} canción',
+    other: 'Exportadas {count} canciones'
+  },
+  'export.cancelled': 'Exportación cancelada',
+  'export.failed': 'Error al exportar: {message}',
+
+  'rateLimit.title': 'Estás buscando demasiado rápido.',
+  'rateLimit.countdown': 'Podrás buscar de nuevo en {countdown}.',
+  'rateLimit.seconds': '{seconds} s',
+  'rateLimit.autoRetry': 'Buscar "{artist}" automáticamente cuando se pueda',
+
+  'fetched.justNow': 'obtenida hace un momento',
+  'fetched.minutes': {
+    one: 'obtenida hace {count} minuto',
+    other: 'obtenida hace {count} minutos'
+  },
+  'fetched.on': 'obtenida el {date}',
+  'fetched.unknown': 'obtenida en un momento desconocido',
+
+  'stale.title': 'Estos resultados pueden estar desactualizados.',
+  'stale.body': 'Genius no está disponible ahora, así que mostramos una copia guardada.',
+  'stale.bodyFetched': 'Genius no está disponible ahora, así que mostramos una copia guardada {fetched}.',
+  'stale.retry': 'Reintentar en vivo',
+
+  'cache.label': 'Origen de los datos por página',
+  'cache.page': 'Página {page}:',
+  'cache.pageShort': 'p{page}',
+  'cache.title': 'Página {page}: {source}',
+  'cache.titleFetched': 'Página {page}: {source}, {fetched}',
+  'cache.source.live': 'en vivo',
+  'cache.source.cached': 'en caché',
+  'cache.source.stale': 'desactualizada',
+  'cache.source.offline': 'sin conexión',
+
+  'offline.label': 'Sin conexión',
+  'offline.showingSaved': 'Sin conexión · mostrando resultados guardados en este dispositivo',
+
+  'picker.question': '¿A qué "{query}" te refieres?',
+  'picker.exact': 'Coincidencia exacta',
+
+  'drawer.fallbackTitle': 'Detalles de la canción',
+  'drawer.close': 'Cerrar detalles de la canción',
+  'drawer.loading': 'Cargando detalles de la canción...',
+  'drawer.artwork': 'Portada de {title}',
+  'drawer.artist': 'Artista',
+  'drawer.album': 'Álbum',
+  'drawer.released': 'Lanzamiento',
+  'drawer.featuring': 'Con',
+  'drawer.producedBy': 'Producida por',
+  'drawer.pageviews': 'Visitas',
+  'drawer.related': 'Canciones relacionadas',
+  'drawer.relatedBy': 'de {artist}',
+  'drawer.cached': 'Copia en caché {fetched}',
+
+  'relationship.samples': 'Samplea',
+  'relationship.sampled_in': 'Sampleada en',
+  'relationship.interpolates': 'Interpola',
+  'relationship.interpolated_by': 'Interpolada por',
+  'relationship.cover_of': 'Versión de',
+  'relationship.covered_by': 'Versionada por',
+  'relationship.remix_of': 'Remix de',
+  'relationship.remixed_by': 'Remezclada por',
+  'relationship.live_version_of': 'Versión en vivo de',
+  'relationship.performed_live_as': 'Interpretada en vivo como',
+  'relationship.translation_of': 'Traducción de',
+  'relationship.translations': 'Traducciones',
+
+  'compare.duplicate': '"{name}" ya se está comparando.',
+  'compare.full': 'Ya comparas el máximo de {max} artistas. Quita uno para añadir otro.',
+  'compare.hint': 'Añade hasta {max} artistas para comparar sus canciones lado a lado.',
+  'compare.remove': 'Quitar a {name}',
+  'compare.loaded': {
+    one: '{count} canción cargada',
+    other: '{count} canciones cargadas'
+  },
+  'compare.loadedSoFar': {
+    one: '{count} canción cargada hasta ahora',
+    other: '{count} canciones cargadas hasta ahora'
+  },
+  'compare.loading': 'Cargando canciones...',
+  'compare.loadMore': 'Cargar más de {name}',
+  'compare.summary': 'Resumen',
+  'compare.groupBy': 'Agrupar por',
+  'compare.group.year': 'Año',
+  'compare.group.decade': 'Década',
+  'compare.caption.year': 'Canciones por año de {names}',
+  'compare.caption.decade': 'Canciones por década de {names}',
+  'compare.decade': 'Años {decade}',
+  'compare.partial': 'Los recuentos solo incluyen las canciones cargadas; carga más páginas para una imagen más completa.',
+  'compare.undated': 'Sin fecha',
+  'compare.total': 'Total',
+  'compare.shared': 'Títulos compartidos ({count})',
+  'compare.noShared': 'No hay títulos compartidos entre las canciones cargadas.',
+
+  'timeline.heading': 'Lanzamientos por año',
+  'timeline.soFar': {
+    one: 'Según la {count} canción cargada hasta ahora',
+    other: 'Según las {count} canciones cargadas hasta ahora'
+  },
+  'timeline.all': {
+    one: 'Incluye la única canción',
+    other: 'Incluye las {count} canciones'
+  },
+  'timeline.none': 'Ninguna de las canciones cargadas tiene fecha de lanzamiento.',
+  'timeline.chart': 'Canciones lanzadas por año',
+  'timeline.bar': {
+    one: '{year}: {count} canción',
+    other: '{year}: {count} canciones'
+  },
+  'timeline.showing': 'Mostrando canciones de {year}.',
+  'timeline.showAll': 'Mostrar todos los años',
+  'timeline.undated': 'Sin fecha ({count})',
+  'timeline.loadAll': 'Cargar las páginas restantes para toda la discografía',
+  'timeline.stopped': 'Se dejó de cargar páginas',
+  'timeline.failed': 'No se pudieron cargar todas las páginas: {message}',
+
+  'library.count': {
+    one: '{count} canción',
+    other: '{count} canciones'
+  },
+  'library.newName': 'Nuevo nombre para {name}',
+  'library.save': 'Guardar',
+  'library.rename': 'Renombrar',
+  'library.renameList': 'Renombrar {name}',
+  'library.delete': 'Eliminar',
+  'library.deleteList': 'Eliminar {name}',
+  'library.confirmDelete': {
+    one: '¿Eliminar "{name}" y su {count} canción?',
+    other: '¿Eliminar "{name}" y sus {count} canciones?'
+  },
+  'library.confirm': 'Eliminar lista',
+  'library.keep': 'Conservarla',
+  'library.emptyFavorites': 'Marca canciones con la estrella en los resultados para reunirlas aquí.',
+  'library.empty': 'Todavía no hay canciones.',
+  'library.moveUp': 'Subir {title}',
+  'library.moveDown': 'Bajar {title}',
+  'library.addToOther': 'Añadir {title} a otra lista',
+  'library.addTo': 'Añadir a…',
+  'library.remove': 'Quitar {title} de {name}',
+  'library.export': 'Exportar listas',
+  'library.import': 'Importar listas',
+  'library.exported': {
+    one: 'Exportada {count} lista',
+    other: 'Exportadas {count} listas'
+  },
+  'library.imported': {
+    one: 'Importadas {lists} listas nuevas y {count} canción',
+    other: 'Importadas {lists} listas nuevas y {count} canciones'
+  },
+  'library.importFailed': 'Error al importar: {message}',
+  'library.newList': 'Nombre de la nueva lista',
+  'library.create': 'Crear lista',
+
+  'error.offline': 'Estás sin conexión y esta búsqueda aún no está guardada en este dispositivo.',
+  'error.network': 'No se pudo conectar con el servidor. Revisa tu conexión e inténtalo de nuevo.',
+  'error.artistNotFound': 'Genius no tiene ningún artista con ese nombre.',
+  'error.songNotFound': 'No se encontró esa canción en Genius.',
+  'error.notFound': 'No encontramos eso.',
+  'error.invalidInput': 'No se puede hacer esa búsqueda. Revisa el nombre del artista e inténtalo de nuevo.',
+  'error.rateLimited': 'Demasiadas búsquedas. Inténtalo de nuevo en un momento.',
+  'error.upstream': 'Genius no responde en este momento. Inténtalo de nuevo más tarde.',
+  'error.timeout': 'Genius tardó demasiado en responder. Inténtalo de nuevo.',
+  'error.server': 'Algo salió mal en el servidor.',
+  'error.unknown': 'Algo salió mal.',
+  'error.libraryNewer': 'Este archivo de listas se creó con una versión más reciente de la aplicación',
+  'error.libraryVersion': 'No se pueden actualizar listas de la versión {version}',
+  'error.notJson': 'Ese archivo no es JSON válido',
+  'error.notLibrary': 'Ese archivo no es un archivo de listas exportado',
+  'error.unreadable': 'No se pudo leer ese archivo',
+  'error.noClipboard': 'El portapapeles no está disponible',
+
+  'shortcuts.close': 'Cerrar atajos de teclado',
+  'shortcuts.or': 'o',
+  'shortcuts.note': 'Los atajos no funcionan mientras escribes en un campo.',
+  'shortcuts.focusSearch': 'Ir a la búsqueda de artistas',
+  'shortcuts.next': 'Seleccionar la siguiente canción',
+  'shortcuts.previous': 'Seleccionar la canción anterior',
+  'shortcuts.open': 'Abrir la página de Genius de la canción seleccionada',
+  'shortcuts.loadMore': 'Cargar más canciones',
+  'shortcuts.help': 'Mostrar atajos de teclado'
+};
+
+export default es;
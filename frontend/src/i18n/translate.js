@@ -0,0 +1,96 @@
+// Message lookup, interpolation, plurals and locale-aware formatting.
+import { readPreference, writePreference } from '../utils/preferenceStorage';
+import { parseReleaseDate } from '../utils/songFilters';
+import ar from './locales/ar';
+import en from './locales/en';
+import es from './locales/es';
+
+export const DEFAULT_LOCALE = 'en';
+export const LOCALE_STORAGE_KEY = 'artistSongSearch.locale';
+
+export const LOCALES = {
+  en: { label: 'English', dir: 'ltr', messages: en },
+  es: { label: 'Español', dir: 'ltr', messages: es },
+  ar: { label: 'العربية', dir: 'rtl', messages: ar }
+};
+
+// "es-MX" -> "es"; null when we don't ship that language
+export const matchLocale = (tag) => {
+  const language = String(tag || '').toLowerCase().split('-')[0];
+  return Object.prototype.hasOwnProperty.call(LOCALES, language) ? language : null;
+};
+
+export const detectLocale = (languages = navigator.languages || [navigator.language]) =>
+  languages.map(matchLocale).find(Boolean) || DEFAULT_LOCALE;
+
+// Only a locale picked in the switcher is stored; otherwise the browser decides
+export const loadLocale = () => matchLocale(readPreference(LOCALE_STORAGE_KEY));
+
+export const saveLocale = (locale) => {
+  writePreference(LOCALE_STORAGE_KEY, locale);
+};
+
+// t(key, values): "{name}" placeholders are filled from values (numbers are
+// formatted for the locale), and plural messages pick a form by values.count.
+// Missing keys fall back to English, then to the key itself.
+export const createTranslator = (locale) => {
+  const { messages } = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  const numberFormat = new Intl.NumberFormat(locale);
+  const pluralRules = new Intl.PluralRules(locale);
+
+  return (key, values = {}) => {
+    let message = messages[key] ?? en[key] ?? key;
+    if (typeof message === 'object') {
+      message = message[pluralRules.select(values.count ?? 0)] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = values[name];
+      if (value === undefined || value === null) return placeholder;
+      return typeof value === 'number' ? numberFormat.format(value) : String(value);
+    });
+  };
+};
+
+// Genius dates ("October 19, 2015", "October 2015", "2015") in the locale's
+// own format, keeping the same precision. Unparseable dates pass through.
+export const formatReleaseDate = (locale, value) => {
+  const date = parseReleaseDate(value);
+  if (!date) return value;
+
+  const options = { year: 'numeric', timeZone: 'UTC' };
+  if (date.month) options.month = 'long';
+  if (date.day) options.day = 'numeric';
+
+  return new Intl.DateTimeFormat(locale, options)
+    .format(new Date(Date.UTC(date.year, (date.month || 1) - 1, date.day || 1)));
+};
+
+// When a page was fetched: "fetched 5 minutes ago" for the last hour, then
+// the date and time in the locale's format
+export const formatFetchedAt = (locale, value, now = new Date()) => {
+  const t = createTranslator(locale);
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return t('fetched.unknown');
+
+  const minutes = Math.round((now - date) / 60000);
+  if (minutes < 1) return t('fetched.justNow');
+  if (minutes < 60) return t('fetched.minutes', { count: minutes });
+
+  const formatted = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+  return t('fetched.on', { date: formatted });
+};
+
+export const createI18n = (locale, setLocale = () => {}) => {
+  const numberFormat = new Intl.NumberFormat(locale);
+
+  return {
+    locale,
+    dir: (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).dir,
+    setLocale,
+    t: createTranslator(locale),
+    formatNumber: (value) => numberFormat.format(value),
+    formatReleaseDate: (value) => formatReleaseDate(locale, value),
+    formatFetchedAt: (value) => formatFetchedAt(locale, value)
+  };
+};
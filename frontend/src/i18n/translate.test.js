@@ -0,0 +1,108 @@
+import {
+  LOCALES,
+  LOCALE_STORAGE_KEY,
+  createI18n,
+  createTranslator,
+  detectLocale,
+  formatFetchedAt,
+  formatReleaseDate,
+  loadLocale,
+  matchLocale,
+  saveLocale
+} from './translate';
+
+describe('translate', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('fills placeholders and formats numbers for the locale', () => {
+    expect(createTranslator('en')('announce.selected', { title: 'HUMBLE.', position: 2, total: 1500 }))
+      .toBe('HUMBLE., song 2 of 1,500');
+    expect(createTranslator('es')('announce.partial', { count: 12000, artist: 'Drake' }))
+      .toBe('Cargadas 12.000 de muchas canciones de Drake');
+  });
+
+  test('leaves placeholders without a value in place', () => {
+    expect(createTranslator('en')('search.wait')).toBe('Wait {seconds}s');
+  });
+
+  test('picks the plural form for the count', () => {
+    const t = createTranslator('en');
+    expect(t('announce.added', { count: 1 })).toBe('Added 1 song.');
+    expect(t('announce.added', { count: 3 })).toBe('Added 3 songs.');
+  });
+
+  test('uses every Arabic plural category', () => {
+    const t = createTranslator('ar');
+    expect(t('announce.added', { count: 1 })).toBe('تمت إضافة أغنية واحدة.');
+    expect(t('announce.added', { count: 2 })).toBe('تمت إضافة أغنيتين.');
+    expect(t('announce.added', { count: 3 })).toBe(`تمت إضافة ${new Intl.NumberFormat('ar').format(3)} أغانٍ.`);
+    expect(t('announce.added', { count: 0 })).toBe('لم تتم إضافة أغانٍ.');
+  });
+
+  test('every locale translates every English key', () => {
+    const keys = Object.keys(LOCALES.en.messages).sort();
+    Object.values(LOCALES).forEach(({ messages }) => {
+      expect(Object.keys(messages).sort()).toEqual(keys);
+    });
+  });
+
+  test('falls back to English, then to the key', () => {
+    const t = createTranslator('es');
+    expect(t('no.such.key')).toBe('no.such.key');
+    expect(createTranslator('fr')('app.title')).toBe('Artist Song Search');
+  });
+
+  test('detects a supported browser language', () => {
+    expect(matchLocale('es-MX')).toBe('es');
+    expect(matchLocale('fr')).toBeNull();
+    expect(detectLocale(['fr-FR', 'ar-EG', 'en'])).toBe('ar');
+    expect(detectLocale(['de', 'fr'])).toBe('en');
+  });
+
+  test('persists only a supported locale', () => {
+    expect(loadLocale()).toBeNull();
+    saveLocale('ar');
+    expect(loadLocale()).toBe('ar');
+
+    window.localStorage.setItem(LOCALE_STORAGE_KEY, 'xx');
+    expect(loadLocale()).toBeNull();
+  });
+
+  test('formats release dates at their original precision', () => {
+    expect(formatReleaseDate('en', 'October 19, 2015')).toBe('October 19, 2015');
+    expect(formatReleaseDate('es', 'October 19, 2015')).toBe('19 de octubre de 2015');
+    expect(formatReleaseDate('es', 'October 2015')).toBe('octubre de 2015');
+    expect(formatReleaseDate('es', '2015')).toBe('2015');
+    expect(formatReleaseDate('es', 'someday')).toBe('someday');
+    expect(formatReleaseDate('es', null)).toBeNull();
+  });
+
+  describe('formatFetchedAt', () => {
+    const now = new Date('2024-10-31T12:00:00Z');
+
+    test('uses relative wording for recent fetches', () => {
+      expect(formatFetchedAt('en', '2024-10-31T11:59:45Z', now)).toBe('fetched just now');
+      expect(formatFetchedAt('en', '2024-10-31T11:59:00Z', now)).toBe('fetched 1 minute ago');
+      expect(formatFetchedAt('en', '2024-10-31T11:35:00Z', now)).toBe('fetched 25 minutes ago');
+      expect(formatFetchedAt('es', '2024-10-31T11:35:00Z', now)).toBe('obtenida hace 25 minutos');
+    });
+
+    test('falls back to an absolute timestamp in the locale format', () => {
+      const fetchedAt = '2024-10-31T09:00:00Z';
+      const formatted = new Intl.DateTimeFormat('es', { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(fetchedAt));
+      expect(formatFetchedAt('es', fetchedAt, now)).toBe(`obtenida el ${formatted}`);
+    });
+
+    test('handles unparseable values', () => {
+      expect(formatFetchedAt('en', 'garbage', now)).toBe('fetched at an unknown time');
+    });
+  });
+
+  test('createI18n reports text direction', () => {
+    expect(createI18n('ar').dir).toBe('rtl');
+    expect(createI18n('es').dir).toBe('ltr');
+    expect(createI18n('es').formatNumber(12000)).toBe('12.000');
+  });
+});
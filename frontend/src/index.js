@@ -2,16 +2,50 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import I18nProvider from './i18n/I18nProvider';
+import ThemeProvider from './theme/ThemeProvider';
+import TelemetryProvider from './telemetry/TelemetryProvider';
+import { createTelemetry, doNotTrack, loadOptOut } from './telemetry/telemetry';
 import reportWebVitals from './reportWebVitals';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
+
+// Created before render so web vitals reported early respect the opt-out too
+const telemetry = createTelemetry({ enabled: !doNotTrack() && !loadOptOut() });
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
 
-// If you want to start measuring performance in your app, pass a function
-// to log results (for example: reportWebVitals(console.log))
-// or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
-reportWebVitals();
+const renderApp = (devTools = null) => {
+  root.render(
+    <React.StrictMode>
+      <TelemetryProvider telemetry={telemetry}>
+        <ThemeProvider>
+          <I18nProvider>
+            <App />
+          </I18nProvider>
+          {devTools}
+        </ThemeProvider>
+      </TelemetryProvider>
+    </React.StrictMode>
+  );
+};
+
+// The mock API (mocks/browser.js) is installed before the first render so
+// a search restored from the URL already goes to it; the imports keep it out
+// of production bundles
+if (process.env.NODE_ENV === 'development') {
+  Promise.all([import('./mocks/browser'), import('./components/MockApiPanel')])
+    .then(([{ startMockApi }, { default: MockApiPanel }]) => {
+      startMockApi();
+      renderApp(<MockApiPanel />);
+    });
+} else {
+  renderApp();
+}
+
+// Caches the app shell and viewed searches so they open offline
+serviceWorkerRegistration.register();
+
+// Core web vitals go out with the rest of the telemetry batch
+reportWebVitals(({ name, value }) => {
+  telemetry.track('web_vital', { name, value: Math.round(value * 1000) / 1000 });
+});
@@ -0,0 +1,58 @@
+import { setupMockApi } from './mockApi';
+import { handlers, scenarioHandlers } from './handlers';
+import { readPreference, writePreference } from '../utils/preferenceStorage';
+
+// Development only: index.js loads this (and the Mock API panel) when
+// NODE_ENV is development, so production bundles never include it.
+
+export const MOCK_API_STORAGE_KEY = 'artistSongSearch.mockApi';
+
+export const worker = setupMockApi(...handlers);
+
+// REACT_APP_MOCK_API=true turns the mock on at start-up; a scenario id
+// (e.g. REACT_APP_MOCK_API=rate-limited) also picks the scenario
+const settingsFromEnv = () => {
+  const value = process.env.REACT_APP_MOCK_API || '';
+  if (value in scenarioHandlers) return { enabled: true, scenario: value };
+  return { enabled: value === 'true', scenario: 'normal' };
+};
+
+// What the panel last chose wins over the env var
+export const loadMockSettings = () => {
+  const defaults = settingsFromEnv();
+  let stored = null;
+  try {
+    stored = JSON.parse(readPreference(MOCK_API_STORAGE_KEY));
+  } catch {
+    // Corrupt JSON: back to the defaults
+  }
+  if (!stored) return defaults;
+
+  return {
+    enabled: stored.enabled === true,
+    scenario: stored.scenario in scenarioHandlers ? stored.scenario : 'normal'
+  };
+};
+
+export const saveMockSettings = (settings) => {
+  writePreference(MOCK_API_STORAGE_KEY, JSON.stringify(settings));
+};
+
+// Requests the handlers don't know (telemetry, anything off-API) still go
+// to the network
+export const applyMockSettings = ({ enabled, scenario }) => {
+  worker.resetHandlers();
+  worker.use(...(scenarioHandlers[scenario] || scenarioHandlers.normal)());
+
+  if (enabled) {
+    worker.listen({ onUnhandledRequest: 'bypass' });
+  } else {
+    worker.close();
+  }
+};
+
+export const startMockApi = () => {
+  const settings = loadMockSettings();
+  applyMockSettings(settings);
+  return settings;
+};
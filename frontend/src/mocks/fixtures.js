@@ -0,0 +1,176 @@
+// Made-up but stable catalogues for the mock API: any artist name gets the
+// same songs every time, with enough of them to page through and a mix of
+// full, year-only and missing release dates like real Genius data.
+
+const FIRST_WORDS = [
+  'Midnight', 'Paper', 'Golden', 'Electric', 'Quiet', 'Broken', 'Silver', 'Neon', 'Summer', 'Hollow',
+  'Velvet', 'Northern', 'Wild', 'Glass', 'Lonely', 'Burning', 'Distant', 'Crystal', 'Restless', 'Empty'
+];
+
+const SECOND_WORDS = [
+  'Hearts', 'Highway', 'River', 'Lights', 'Letters', 'Garden', 'Static', 'Skyline', 'Echoes', 'Fever',
+  'Harbor', 'Parade', 'Signals', 'Shadows', 'Avenue', 'Satellite', 'Horizon', 'Motel', 'Thunder', 'Waves'
+];
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Names more than one Genius artist goes by, so the picker opens for them
+const AMBIGUOUS_NAMES = {
+  genesis: ['Genesis', 'Genesis', 'Genesis Owusu'],
+  nirvana: ['Nirvana', 'Nirvana']
+};
+
+// FNV-1a, so every name maps to the same seed in every browser
+const hashString = (text) => {
+  let hash = 2166136261;
+  for (const char of text) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: a tiny seeded PRNG returning floats in [0, 1)
+const seededRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const titleCase = (name) => name.trim().replace(/(^|\s)([a-z])/g, (_, space, letter) => space + letter.toUpperCase());
+
+export const artistIdFor = (name) => 1000 + (hashString(name.trim().toLowerCase()) % 90000);
+
+// Names of the artists searched so far, for song details (which only get an id)
+const artistNames = new Map();
+
+const artistFor = (name, artistId = null) => {
+  const artist = { id: artistId ?? artistIdFor(name), name: titleCase(name) };
+  artistNames.set(artist.id, artist.name);
+  return artist;
+};
+
+const releaseDateFor = (random) => {
+  const year = 1965 + Math.floor(random() * 60);
+  const kind = random();
+  if (kind < 0.1) return { year: null, display: null };
+  if (kind < 0.3) return { year, display: String(year) };
+
+  const month = Math.floor(random() * 12);
+  const day = 1 + Math.floor(random() * 28);
+  return { year, display: `${MONTH_NAMES[month]} ${day}, ${year}` };
+};
+
+// Seeded by the artist id alone, so songDetails() can rebuild a song from its id
+const catalogueFor = (artistId) => {
+  const random = seededRandom(artistId);
+  const count = 40 + Math.floor(random() * 110);
+
+  return Array.from({ length: count }, (_, index) => {
+    const title = `${pick(random, FIRST_WORDS)} ${pick(random, SECOND_WORDS)}`;
+    const date = releaseDateFor(random);
+    const id = artistId * 1000 + index;
+
+    return {
+      id,
+      title: index % 7 === 3 ? `${title} (Live)` : title,
+      url: `https://genius.com/songs/${id}`,
+      release_date: date.display,
+      year: date.year,
+      popularity: index
+    };
+  });
+};
+
+const sortDate = (song) => (song.release_date ? Date.parse(song.release_date) : Infinity);
+
+const SORTERS = {
+  popularity: (a, b) => a.popularity - b.popularity,
+  title: (a, b) => a.title.localeCompare(b.title),
+  release_date: (a, b) => sortDate(a) - sortDate(b)
+};
+
+const toSong = ({ id, title, url, release_date: releaseDate }) => ({ id, title, url, release_date: releaseDate });
+
+// Same shape as GET /api/v1/artists/:name/songs. Like the backend, the year
+// range is applied to each page after paging, so filtered pages run short.
+export const artistSongsPage = (name, searchParams) => {
+  const artistIdParam = Number(searchParams.get('artist_id')) || null;
+  const artist = artistFor(name, artistIdParam);
+  const page = Number(searchParams.get('page')) || 1;
+  const perPage = Number(searchParams.get('per_page')) || 50;
+  const sorter = SORTERS[searchParams.get('sort')] || SORTERS.popularity;
+  const yearFrom = Number(searchParams.get('year_from')) || null;
+  const yearTo = Number(searchParams.get('year_to')) || null;
+
+  const catalogue = catalogueFor(artist.id).sort(sorter);
+  const start = (page - 1) * perPage;
+  const songs = catalogue.slice(start, start + perPage).filter((song) => {
+    if (!yearFrom && !yearTo) return true;
+    if (song.year === null) return false;
+    return song.year >= (yearFrom ?? -Infinity) && song.year <= (yearTo ?? Infinity);
+  });
+
+  return {
+    artist,
+    songs: songs.map(toSong),
+    pagination: { page, per_page: perPage, has_next: start + perPage < catalogue.length },
+    meta: { fetched_at: new Date().toISOString(), cached: false, stale: false, api_unavailable: false }
+  };
+};
+
+// Same shape as GET /api/v1/artists/:name/candidates
+export const artistCandidates = (name) => {
+  const query = name.trim();
+  const names = AMBIGUOUS_NAMES[query.toLowerCase()] || [titleCase(query)];
+  // The first keeps the id a name search finds; namesakes get their own
+  const candidates = names.map((candidate, index) => ({
+    id: artistIdFor(index === 0 ? candidate : `${candidate} ${index}`),
+    name: candidate,
+    image_url: null,
+    url: `https://genius.com/artists/${slugify(candidate)}`,
+    exact: candidate.toLowerCase() === query.toLowerCase()
+  }));
+
+  return {
+    query: name,
+    ambiguous: candidates.length > 1 && candidates.filter((candidate) => candidate.exact).length !== 1,
+    candidates
+  };
+};
+
+// Same shape as GET /api/v1/songs/:id, or null for an id no mock catalogue has
+export const songDetails = (id) => {
+  const songId = Number(id);
+  const artistId = Math.floor(songId / 1000);
+  const song = catalogueFor(artistId).find((candidate) => candidate.id === songId);
+  if (!song) return null;
+
+  const name = artistNames.get(artistId) || `Artist ${artistId}`;
+  const primaryArtist = { id: artistId, name, url: `https://genius.com/artists/${slugify(name)}`, image_url: null };
+  return {
+    song: {
+      ...toSong(song),
+      full_title: `${song.title} by ${primaryArtist.name}`,
+      artwork_url: null,
+      pageviews: Math.round(250000 / (song.popularity + 1)),
+      album: null,
+      primary_artist: primaryArtist,
+      featured_artists: [],
+      producer_artists: [],
+      relationships: []
+    },
+    meta: { fetched_at: new Date().toISOString(), cached: false, stale: false, api_unavailable: false }
+  };
+};
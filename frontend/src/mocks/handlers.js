@@ -0,0 +1,87 @@
+import { delay, http, HttpResponse } from './mockApi';
+import { artistCandidates, artistSongsPage, songDetails } from './fixtures';
+
+// Matched against the path only, so they answer whatever REACT_APP_API_URL is
+export const SONGS_PATH = '/api/v1/artists/:name/songs';
+export const CANDIDATES_PATH = '/api/v1/artists/:name/candidates';
+export const SONG_PATH = '/api/v1/songs/:id';
+
+// A working backend with a fixture catalogue for every artist name
+export const handlers = [
+  http.get(SONGS_PATH, ({ params, url }) => HttpResponse.json(artistSongsPage(params.name, url.searchParams))),
+
+  http.get(CANDIDATES_PATH, ({ params }) => HttpResponse.json(artistCandidates(params.name))),
+
+  http.get(SONG_PATH, ({ params }) => {
+    const details = songDetails(params.id);
+    if (!details) return HttpResponse.json({ error: `Song ${params.id} not found` }, { status: 404 });
+    return HttpResponse.json(details);
+  })
+];
+
+const notFound = ({ params }) => HttpResponse.json({ error: `Artist '${params.name}' not found` }, { status: 404 });
+
+// Mirrors the Retry-After header and body from the backend's Rack::Attack responder
+const rateLimited = () => HttpResponse.json(
+  { error: 'Rate limit exceeded. Please try again later.', retry_after: 30 },
+  { status: 429, headers: { 'Retry-After': '30' } }
+);
+
+const serverError = () => HttpResponse.json(
+  { error: 'An unexpected error occurred. Please try again later.' },
+  { status: 500 }
+);
+
+export const SLOW_DELAY_MS = 2000;
+
+// Overrides put in front of `handlers`, one set per failure mode the UI has
+// to cope with. Each returns a fresh list, since `once` handlers are tracked
+// per handler object.
+export const scenarioHandlers = {
+  normal: () => [],
+
+  // Resolves nothing after the wait, so the default handlers answer
+  slow: () => [
+    http.get(SONGS_PATH, () => delay(SLOW_DELAY_MS)),
+    http.get(CANDIDATES_PATH, () => delay(SLOW_DELAY_MS)),
+    http.get(SONG_PATH, () => delay(SLOW_DELAY_MS))
+  ],
+
+  'not-found': () => [
+    http.get(SONGS_PATH, notFound),
+    http.get(CANDIDATES_PATH, notFound)
+  ],
+
+  'rate-limited': () => [
+    http.get(SONGS_PATH, rateLimited),
+    http.get(CANDIDATES_PATH, rateLimited),
+    http.get(SONG_PATH, rateLimited)
+  ],
+
+  // Genius is down and the backend falls back to its cached copy
+  stale: () => [
+    http.get(SONGS_PATH, ({ params, url }) => {
+      const page = artistSongsPage(params.name, url.searchParams);
+      const fetchedAt = new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString();
+      return HttpResponse.json({
+        ...page,
+        meta: { fetched_at: fetchedAt, cached: true, stale: true, api_unavailable: true }
+      });
+    })
+  ],
+
+  'server-error': () => [
+    http.get(SONGS_PATH, serverError),
+    http.get(CANDIDATES_PATH, serverError),
+    http.get(SONG_PATH, serverError)
+  ]
+};
+
+export const SCENARIOS = [
+  { id: 'normal', label: 'Normal' },
+  { id: 'slow', label: 'Slow (2s)' },
+  { id: 'not-found', label: 'Artist not found (404)' },
+  { id: 'rate-limited', label: 'Rate limited (429)' },
+  { id: 'stale', label: 'Stale cache' },
+  { id: 'server-error', label: 'Server error (500)' }
+];
@@ -0,0 +1,130 @@
+import { setupMockApi } from './mockApi';
+import { handlers, SCENARIOS, scenarioHandlers, SLOW_DELAY_MS } from './handlers';
+import { artistIdFor } from './fixtures';
+import { fetchArtistCandidates, fetchArtistSongs, fetchSongDetails, songSearchLimiter } from '../api/client';
+import { ApiError, ArtistNotFoundError, RateLimitError } from '../api/errors';
+import { parseReleaseDate } from '../utils/songFilters';
+
+describe('mock handlers', () => {
+  const api = setupMockApi(...handlers);
+
+  const useScenario = (id) => {
+    api.use(...scenarioHandlers[id]());
+  };
+
+  beforeAll(() => {
+    api.listen({ onUnhandledRequest: 'error' });
+  });
+
+  beforeEach(() => {
+    songSearchLimiter.reset();
+  });
+
+  afterEach(() => {
+    api.resetHandlers();
+  });
+
+  afterAll(() => {
+    api.close();
+  });
+
+  test('pages through a stable catalogue for any artist', async () => {
+    const first = await fetchArtistSongs('the fixtures');
+    const again = await fetchArtistSongs('The Fixtures');
+
+    expect(first.artist).toEqual({ id: artistIdFor('the fixtures'), name: 'The Fixtures' });
+    expect(first.songs).toHaveLength(50);
+    expect(first.songs).toEqual(again.songs);
+    expect(first.meta).toMatchObject({ cached: false, stale: false, api_unavailable: false });
+
+    const pages = [first];
+    while (pages[pages.length - 1].pagination.has_next) {
+      pages.push(await fetchArtistSongs('The Fixtures', { page: pages.length + 1 }));
+      songSearchLimiter.reset();
+    }
+    const ids = pages.flatMap(({ songs }) => songs.map(({ id }) => id));
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(ids.length).toBeGreaterThanOrEqual(40);
+  });
+
+  test('applies the sort order and year range', async () => {
+    const byTitle = await fetchArtistSongs('Drake', { listing: { sort: 'title', yearFrom: null, yearTo: null } });
+    const titles = byTitle.songs.map(({ title }) => title);
+    expect(titles).toEqual([...titles].sort((a, b) => a.localeCompare(b)));
+
+    const ranged = await fetchArtistSongs('Drake', { listing: { sort: 'popularity', yearFrom: 1990, yearTo: 1999 } });
+    ranged.songs.forEach(({ release_date: releaseDate }) => {
+      expect(parseReleaseDate(releaseDate).year).toBeGreaterThanOrEqual(1990);
+      expect(parseReleaseDate(releaseDate).year).toBeLessThanOrEqual(1999);
+    });
+  });
+
+  test('offers a picker for ambiguous names and pins the picked artist', async () => {
+    expect(await fetchArtistCandidates('Drake')).toMatchObject({ ambiguous: false, candidates: [{ name: 'Drake', exact: true }] });
+
+    const { ambiguous, candidates } = await fetchArtistCandidates('genesis');
+    expect(ambiguous).toBe(true);
+    expect(candidates.map(({ name }) => name)).toEqual(['Genesis', 'Genesis', 'Genesis Owusu']);
+    expect(candidates[0].id).toBe(artistIdFor('Genesis'));
+
+    const picked = candidates[1];
+    const page = await fetchArtistSongs(picked.name, { artistId: picked.id });
+    expect(page.artist).toEqual({ id: picked.id, name: 'Genesis' });
+    expect(page.songs).not.toEqual((await fetchArtistSongs('Genesis')).songs);
+  });
+
+  test('serves details for songs from the catalogue', async () => {
+    const { songs } = await fetchArtistSongs('Adele');
+    const { song } = await fetchSongDetails(songs[0].id);
+
+    expect(song).toMatchObject({ id: songs[0].id, title: songs[0].title, primary_artist: { name: 'Adele' } });
+    // No catalogue runs to 999 songs
+    const missing = songs[0].id + 999;
+    await expect(fetchSongDetails(missing)).rejects.toThrow(`Song ${missing} not found`);
+  });
+
+  test('every listed scenario has handlers', () => {
+    expect(SCENARIOS.map(({ id }) => id)).toEqual(Object.keys(scenarioHandlers));
+  });
+
+  test('not-found answers 404 with the backend message', async () => {
+    useScenario('not-found');
+
+    await expect(fetchArtistSongs('Nobody')).rejects.toThrow(new ArtistNotFoundError("Artist 'Nobody' not found"));
+  });
+
+  test('rate-limited answers 429 with Retry-After', async () => {
+    useScenario('rate-limited');
+
+    const error = await fetchArtistSongs('Drake').catch((err) => err);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.retryAfter).toBe(30);
+  });
+
+  test('stale serves the cached copy flagged as stale', async () => {
+    useScenario('stale');
+
+    const { songs, meta } = await fetchArtistSongs('Drake');
+    expect(songs).toHaveLength(50);
+    expect(meta).toMatchObject({ cached: true, stale: true, api_unavailable: true });
+  });
+
+  test('server-error answers 500', async () => {
+    useScenario('server-error');
+
+    const error = await fetchArtistSongs('Drake').catch((err) => err);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.status).toBe(500);
+  });
+
+  test('slow answers normally after the delay', async () => {
+    jest.useFakeTimers();
+    useScenario('slow');
+
+    const pending = fetchArtistSongs('Drake');
+    jest.advanceTimersByTime(SLOW_DELAY_MS);
+
+    expect((await pending).songs).toHaveLength(50);
+    jest.useRealTimers();
+  });
+});
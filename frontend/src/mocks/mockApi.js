@@ -0,0 +1,167 @@
+// A small take on Mock Service Worker: the API is described by request
+// handlers (`http.get(path, resolver)`), and setupMockApi turns a list of
+// them into a fetch function. mocks/browser.js installs it over window.fetch
+// for development without a backend, and mocks/server.js over global.fetch
+// for Jest, so both answer from the same handlers.
+//
+// Unlike MSW there is no service worker: in production builds that slot
+// belongs to public/service-worker.js, and every request the app makes goes
+// through fetch anyway.
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// '/api/v1/songs/:id' matches '/api/v1/songs/42' as { id: '42' }; params are
+// decoded. Returns null when the path doesn't match.
+export const matchPath = (pattern, pathname) => {
+  const names = [];
+  const source = pattern
+    .split(/(:\w+)/)
+    .map((part) => {
+      if (!part.startsWith(':')) return escapeRegExp(part);
+      names.push(part.slice(1));
+      return '([^/]+)';
+    })
+    .join('');
+
+  const match = new RegExp(`^${source}/?$`).exec(pathname);
+  if (!match) return null;
+
+  return Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+};
+
+// `resolver({ request, params, url })` returns a response (or a promise of
+// one) from HttpResponse, or nothing to let the next handler answer. A `once`
+// handler stops matching after it has answered.
+const handlerFor = (method) => (path, resolver, { once = false } = {}) => ({ method, path, resolver, once });
+
+export const http = {
+  get: handlerFor('GET'),
+  post: handlerFor('POST')
+};
+
+// Only the parts of Response that api/client reads, since jsdom has no
+// Response class
+const createResponse = (status, body, headers) => {
+  const lookup = new Map(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)]));
+
+  return {
+    type: 'default',
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => lookup.get(name.toLowerCase()) ?? null },
+    json: async () => JSON.parse(body),
+    text: async () => body
+  };
+};
+
+export const HttpResponse = {
+  json: (body, { status = 200, headers = {} } = {}) =>
+    createResponse(status, JSON.stringify(body), { 'Content-Type': 'application/json', ...headers }),
+
+  text: (body, { status = 200, headers = {} } = {}) =>
+    createResponse(status, body, { 'Content-Type': 'text/plain', ...headers }),
+
+  // fetch rejects with a TypeError, as when the server can't be reached
+  error: () => ({ type: 'error' })
+};
+
+export const delay = (ms) => new Promise((resolve) => {
+  setTimeout(resolve, ms);
+});
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+const whenAborted = (signal) => new Promise((_, reject) => {
+  signal.addEventListener('abort', () => reject(abortError()), { once: true });
+});
+
+// Handlers added with use() are tried before the initial ones, newest call
+// first, until resetHandlers(). Every request is recorded in `requests` as
+// { method, url, signal } (cleared by resetHandlers too), so tests can check
+// what was asked for.
+export const setupMockApi = (...initialHandlers) => {
+  let handlers = [...initialHandlers];
+  const answered = new Set();
+  const requests = [];
+  let installed = null;
+
+  const failUnhandled = (input, init, request) => {
+    throw new Error(`No mock handler for ${request.method} ${request.url}`);
+  };
+  // listen() may send unhandled requests on to the real fetch instead
+  let unhandled = failUnhandled;
+
+  const respond = async (request) => {
+    const url = new URL(request.url);
+    for (const handler of handlers) {
+      if (handler.method !== request.method || answered.has(handler)) continue;
+
+      const params = matchPath(handler.path, url.pathname);
+      if (!params) continue;
+
+      // Claimed up front, so a concurrent request can't take a pending answer
+      if (handler.once) answered.add(handler);
+      const response = await handler.resolver({ request, params, url });
+      if (response) return response;
+      answered.delete(handler);
+    }
+    return null;
+  };
+
+  const fetch = (input, init = {}) => {
+    const request = {
+      method: (init.method || 'GET').toUpperCase(),
+      url: new URL(typeof input === 'string' ? input : input.url, window.location.href).href,
+      signal: init.signal,
+      body: init.body
+    };
+    requests.push(request);
+
+    if (request.signal?.aborted) return Promise.reject(abortError());
+
+    const answer = respond(request).then((response) => {
+      if (!response) return unhandled(input, init, request);
+      if (response.type === 'error') throw new TypeError('Failed to fetch');
+      return response;
+    });
+    return request.signal ? Promise.race([answer, whenAborted(request.signal)]) : answer;
+  };
+
+  return {
+    fetch,
+    requests,
+
+    // onUnhandledRequest: 'bypass' sends requests no handler answers to the
+    // network; 'error' fails them, which is what tests want
+    listen({ target = window, onUnhandledRequest = 'bypass' } = {}) {
+      if (installed) return;
+
+      const original = target.fetch;
+      installed = { target, original };
+      unhandled = onUnhandledRequest === 'bypass'
+        ? (input, init) => original.call(target, input, init)
+        : failUnhandled;
+      target.fetch = fetch;
+    },
+
+    close() {
+      if (!installed) return;
+
+      installed.target.fetch = installed.original;
+      installed = null;
+      unhandled = failUnhandled;
+    },
+
+    isListening: () => Boolean(installed),
+
+    use(...overrides) {
+      handlers = [...overrides, ...handlers];
+    },
+
+    resetHandlers() {
+      handlers = [...initialHandlers];
+      answered.clear();
+      requests.length = 0;
+    }
+  };
+};
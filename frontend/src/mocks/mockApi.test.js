@@ -0,0 +1,102 @@
+import { delay, http, HttpResponse, matchPath, setupMockApi } from './mockApi';
+
+describe('mockApi', () => {
+  test('matchPath reads decoded params and rejects other paths', () => {
+    expect(matchPath('/api/v1/artists/:name/songs', '/api/v1/artists/AC%2FDC/songs')).toEqual({ name: 'AC/DC' });
+    expect(matchPath('/api/v1/songs/:id', '/api/v1/songs/42/')).toEqual({ id: '42' });
+    expect(matchPath('/api/v1/songs/:id', '/api/v1/songs/42/extra')).toBeNull();
+    expect(matchPath('/api/v1/telemetry', '/api/v1/telemetry')).toEqual({});
+  });
+
+  describe('setupMockApi', () => {
+    const api = setupMockApi(
+      http.get('/items/:id', ({ params, url }) => HttpResponse.json({ id: params.id, q: url.searchParams.get('q') })),
+      http.post('/items', () => HttpResponse.text('created', { status: 201 }))
+    );
+
+    afterEach(() => {
+      api.resetHandlers();
+      api.close();
+    });
+
+    test('answers from the matching handler', async () => {
+      const response = await api.fetch('http://localhost/items/7?q=x');
+
+      expect(response.ok).toBe(true);
+      expect(response.headers.get('content-type')).toBe('application/json');
+      expect(await response.json()).toEqual({ id: '7', q: 'x' });
+
+      const created = await api.fetch('/items', { method: 'POST', body: '{}' });
+      expect(created.status).toBe(201);
+      expect(await created.text()).toBe('created');
+      expect(api.requests.map(({ method }) => method)).toEqual(['GET', 'POST']);
+    });
+
+    test('use() overrides come first and once handlers answer a single time', async () => {
+      api.use(
+        http.get('/items/:id', () => HttpResponse.json({ first: true }), { once: true }),
+        http.get('/items/:id', () => HttpResponse.json({ second: true }), { once: true })
+      );
+
+      expect(await (await api.fetch('/items/1')).json()).toEqual({ first: true });
+      expect(await (await api.fetch('/items/1')).json()).toEqual({ second: true });
+      expect(await (await api.fetch('/items/1')).json()).toEqual({ id: '1', q: null });
+    });
+
+    test('a resolver that returns nothing falls through to the next handler', async () => {
+      api.use(http.get('/items/:id', () => delay(1)));
+
+      expect(await (await api.fetch('/items/3')).json()).toEqual({ id: '3', q: null });
+    });
+
+    test('resetHandlers drops overrides and recorded requests', async () => {
+      api.use(http.get('/items/:id', () => HttpResponse.json({ overridden: true })));
+      await api.fetch('/items/1');
+
+      api.resetHandlers();
+
+      expect(api.requests).toHaveLength(0);
+      expect(await (await api.fetch('/items/1')).json()).toEqual({ id: '1', q: null });
+    });
+
+    test('HttpResponse.error() fails like an unreachable server', async () => {
+      api.use(http.get('/items/:id', () => HttpResponse.error()));
+
+      await expect(api.fetch('/items/1')).rejects.toThrow(new TypeError('Failed to fetch'));
+    });
+
+    test('aborting rejects with an AbortError, before or during the request', async () => {
+      api.use(http.get('/items/:id', () => new Promise(() => {})));
+      const controller = new AbortController();
+
+      const pending = api.fetch('/items/1', { signal: controller.signal });
+      controller.abort();
+      await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+
+      await expect(api.fetch('/items/1', { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    test('listen() installs over fetch and close() puts it back', async () => {
+      const target = { fetch: jest.fn().mockResolvedValue('network') };
+      const original = target.fetch;
+
+      api.listen({ target, onUnhandledRequest: 'bypass' });
+      expect(api.isListening()).toBe(true);
+      expect(await (await target.fetch('/items/5')).json()).toEqual({ id: '5', q: null });
+      expect(await target.fetch('/elsewhere')).toBe('network');
+      expect(original).toHaveBeenCalledWith('/elsewhere', {});
+
+      api.close();
+      expect(api.isListening()).toBe(false);
+      expect(target.fetch).toBe(original);
+    });
+
+    test('unhandled requests fail in error mode', async () => {
+      const target = { fetch: jest.fn() };
+
+      api.listen({ target, onUnhandledRequest: 'error' });
+
+      await expect(target.fetch('/elsewhere')).rejects.toThrow('No mock handler for GET http://localhost/elsewhere');
+    });
+  });
+});
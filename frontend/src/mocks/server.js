@@ -0,0 +1,7 @@
+import { setupMockApi } from './mockApi';
+import { handlers } from './handlers';
+
+// The mock API for Jest: suites call server.listen({ onUnhandledRequest: 'error' })
+// in beforeAll, add per-test answers with server.use() and call
+// server.resetHandlers() in afterEach
+export const server = setupMockApi(...handlers);
@@ -0,0 +1,22 @@
+// Registers public/service-worker.js. Only production builds use it: in
+// development the dev server's hot reloading and a caching worker don't mix.
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      // Without the worker the app still runs, just without offline copies
+      .catch(() => {});
+  });
+}
+
+export function unregister() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then(registration => registration.unregister())
+      .catch(() => {});
+  }
+}
@@ -0,0 +1,53 @@
+import { createContext, useEffect, useMemo, useState } from 'react';
+import { doNotTrack, loadOptOut, saveOptOut } from './telemetry';
+
+// Components rendered without a provider (most unit tests) track nothing
+export const TelemetryContext = createContext({
+  track: () => {},
+  sharing: false,
+  doNotTrack: false,
+  setSharing: () => {}
+});
+
+// Hands `telemetry` (see createTelemetry) to the app, keeps it in line with
+// the user's sharing choice and Do Not Track, and sends whatever is queued
+// when the page is hidden - often the last chance before it is closed.
+function TelemetryProvider({ telemetry, children }) {
+  const [optedOut, setOptedOut] = useState(loadOptOut);
+  const browserDoNotTrack = doNotTrack();
+  const sharing = !optedOut && !browserDoNotTrack;
+
+  useEffect(() => {
+    telemetry.setEnabled(sharing);
+  }, [telemetry, sharing]);
+
+  useEffect(() => {
+    const flushWhenHidden = () => {
+      if (document.visibilityState === 'hidden') {
+        telemetry.flush();
+      }
+    };
+    const flush = () => telemetry.flush();
+
+    document.addEventListener('visibilitychange', flushWhenHidden);
+    window.addEventListener('pagehide', flush);
+    return () => {
+      document.removeEventListener('visibilitychange', flushWhenHidden);
+      window.removeEventListener('pagehide', flush);
+    };
+  }, [telemetry]);
+
+  const value = useMemo(() => ({
+    track: telemetry.track,
+    sharing,
+    doNotTrack: browserDoNotTrack,
+    setSharing: (next) => {
+      saveOptOut(!next);
+      setOptedOut(!next);
+    }
+  }), [telemetry, sharing, browserDoNotTrack]);
+
+  return <TelemetryContext.Provider value={value}>{children}</TelemetryContext.Provider>;
+}
+
+export default TelemetryProvider;
@@ -0,0 +1,74 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import TelemetryProvider from './TelemetryProvider';
+import { TELEMETRY_OPT_OUT_KEY } from './telemetry';
+import TelemetryToggle from '../components/TelemetryToggle';
+
+describe('TelemetryProvider', () => {
+  const fakeTelemetry = () => ({
+    track: jest.fn(),
+    flush: jest.fn(),
+    setEnabled: jest.fn()
+  });
+
+  const setVisibility = (state) => {
+    Object.defineProperty(document, 'visibilityState', { value: state, configurable: true });
+    document.dispatchEvent(new Event('visibilitychange'));
+  };
+
+  afterEach(() => {
+    window.localStorage.clear();
+    delete navigator.doNotTrack;
+    delete document.visibilityState;
+  });
+
+  test('turns telemetry on unless the user opted out', () => {
+    const telemetry = fakeTelemetry();
+    render(<TelemetryProvider telemetry={telemetry}><TelemetryToggle /></TelemetryProvider>);
+
+    expect(telemetry.setEnabled).toHaveBeenLastCalledWith(true);
+    expect(screen.getByRole('checkbox', { name: 'Share anonymous usage data' })).toBeChecked();
+  });
+
+  test('unchecking opts out and is remembered', () => {
+    const telemetry = fakeTelemetry();
+    const { unmount } = render(<TelemetryProvider telemetry={telemetry}><TelemetryToggle /></TelemetryProvider>);
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Share anonymous usage data' }));
+
+    expect(telemetry.setEnabled).toHaveBeenLastCalledWith(false);
+    expect(window.localStorage.getItem(TELEMETRY_OPT_OUT_KEY)).toBe('true');
+
+    unmount();
+    render(<TelemetryProvider telemetry={telemetry}><TelemetryToggle /></TelemetryProvider>);
+    expect(screen.getByRole('checkbox', { name: 'Share anonymous usage data' })).not.toBeChecked();
+  });
+
+  test('Do Not Track keeps telemetry off and locks the checkbox', () => {
+    Object.defineProperty(navigator, 'doNotTrack', { value: '1', configurable: true });
+    const telemetry = fakeTelemetry();
+    render(<TelemetryProvider telemetry={telemetry}><TelemetryToggle /></TelemetryProvider>);
+
+    expect(telemetry.setEnabled).toHaveBeenLastCalledWith(false);
+    const checkbox = screen.getByRole('checkbox', { name: 'Usage data off (Do Not Track)' });
+    expect(checkbox).not.toBeChecked();
+    expect(checkbox).toBeDisabled();
+  });
+
+  test('sends queued events when the page is hidden or closed', () => {
+    const telemetry = fakeTelemetry();
+    const { unmount } = render(<TelemetryProvider telemetry={telemetry}>content</TelemetryProvider>);
+
+    setVisibility('visible');
+    expect(telemetry.flush).not.toHaveBeenCalled();
+
+    setVisibility('hidden');
+    expect(telemetry.flush).toHaveBeenCalledTimes(1);
+
+    window.dispatchEvent(new Event('pagehide'));
+    expect(telemetry.flush).toHaveBeenCalledTimes(2);
+
+    unmount();
+    window.dispatchEvent(new Event('pagehide'));
+    expect(telemetry.flush).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,123 @@
+// Anonymous usage telemetry: web vitals, search latency, cache hits, error
+// categories and Load More depth. Events are queued and sent in batches with
+// navigator.sendBeacon, which still delivers while the page is closing.
+// Events never carry search terms or song titles, only counts and timings.
+// Nothing is queued while the browser sends Do Not Track / Global Privacy
+// Control or the user has switched sharing off.
+
+import { getApiBaseUrl } from '../api/client';
+import {
+  GatewayTimeoutError,
+  InvalidInputError,
+  NetworkError,
+  NotFoundError,
+  OfflineError,
+  RateLimitError,
+  UpstreamError
+} from '../api/errors';
+import { readPreference, removePreference, writePreference } from '../utils/preferenceStorage';
+
+export const TELEMETRY_OPT_OUT_KEY = 'artistSongSearch.telemetryOptOut';
+export const BATCH_SIZE = 20;
+export const FLUSH_INTERVAL_MS = 30 * 1000;
+
+// REACT_APP_TELEMETRY_URL overrides the backend's ingest route; set it empty
+// to turn telemetry off for a build
+export const telemetryEndpoint = () =>
+  process.env.REACT_APP_TELEMETRY_URL ?? `${getApiBaseUrl()}/api/v1/telemetry`;
+
+export const doNotTrack = () =>
+  navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+
+export const loadOptOut = () => readPreference(TELEMETRY_OPT_OUT_KEY) === 'true';
+
+export const saveOptOut = (optedOut) => {
+  if (optedOut) {
+    writePreference(TELEMETRY_OPT_OUT_KEY, 'true');
+  } else {
+    removePreference(TELEMETRY_OPT_OUT_KEY);
+  }
+};
+
+// Most specific class first: OfflineError is a NetworkError
+const ERROR_CATEGORIES = [
+  [RateLimitError, 'rate_limit'],
+  [OfflineError, 'offline'],
+  [NetworkError, 'network'],
+  [NotFoundError, 'not_found'],
+  [InvalidInputError, 'invalid_input'],
+  [GatewayTimeoutError, 'timeout'],
+  [UpstreamError, 'upstream']
+];
+
+export const errorCategory = (error) =>
+  ERROR_CATEGORIES.find(([ErrorClass]) => error instanceof ErrorClass)?.[1] ?? 'other';
+
+// text/plain keeps the beacon a CORS "simple" request, so no preflight is
+// needed; the backend parses the body itself. Falls back to a keepalive
+// fetch when sendBeacon is missing or its queue is full.
+export const beaconTransport = (endpoint, batch) => {
+  const body = JSON.stringify(batch);
+  if (navigator.sendBeacon?.(endpoint, new Blob([body], { type: 'text/plain' }))) return;
+
+  fetch(endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'text/plain' } })
+    .catch(() => {
+      // Telemetry is best effort
+    });
+};
+
+// `transport(endpoint, { session, events })` does the sending, so tests and
+// other backends can plug in their own. A batch goes out once `batchSize`
+// events are queued, `flushIntervalMs` after the first one, or on flush().
+export const createTelemetry = ({
+  endpoint = telemetryEndpoint(),
+  transport = beaconTransport,
+  enabled = true,
+  batchSize = BATCH_SIZE,
+  flushIntervalMs = FLUSH_INTERVAL_MS,
+  now = Date.now
+} = {}) => {
+  // Random per page load, so one visit's events can be grouped
+  const session = Math.random().toString(36).slice(2, 12);
+  let active = Boolean(endpoint) && enabled;
+  let queue = [];
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (queue.length === 0) return;
+
+    const events = queue;
+    queue = [];
+    transport(endpoint, { session, events });
+  };
+
+  const track = (type, data = {}) => {
+    if (!active) return;
+
+    queue.push({ type, at: now(), ...data });
+    if (queue.length >= batchSize) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, flushIntervalMs);
+    }
+  };
+
+  // Switching off drops anything not yet sent
+  const setEnabled = (next) => {
+    active = Boolean(endpoint) && next;
+    if (!active) {
+      clearTimeout(timer);
+      timer = null;
+      queue = [];
+    }
+  };
+
+  return {
+    track,
+    flush,
+    setEnabled,
+    isEnabled: () => active
+  };
+};
@@ -0,0 +1,252 @@
+import {
+  TELEMETRY_OPT_OUT_KEY,
+  beaconTransport,
+  createTelemetry,
+  doNotTrack,
+  errorCategory,
+  loadOptOut,
+  saveOptOut,
+  telemetryEndpoint
+} from './telemetry';
+import {
+  ApiError,
+  ArtistNotFoundError,
+  GatewayTimeoutError,
+  InvalidInputError,
+  NetworkError,
+  OfflineError,
+  RateLimitError,
+  SongNotFoundError,
+  UpstreamError
+} from '../api/errors';
+import { readFileText } from '../utils/library';
+
+describe('telemetry', () => {
+  describe('createTelemetry', () => {
+    const setup = (options = {}) => {
+      const transport = jest.fn();
+      const telemetry = createTelemetry({
+        endpoint: 'https://example.test/telemetry',
+        transport,
+        batchSize: 3,
+        flushIntervalMs: 1000,
+        now: () => 42,
+        ...options
+      });
+      return { telemetry, transport };
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('sends a batch once it is full', () => {
+      const { telemetry, transport } = setup();
+
+      telemetry.track('search', { latency_ms: 120 });
+      telemetry.track('load_more', { depth: 2 });
+      expect(transport).not.toHaveBeenCalled();
+
+      telemetry.track('load_more', { depth: 3 });
+
+      expect(transport).toHaveBeenCalledTimes(1);
+      const [endpoint, batch] = transport.mock.calls[0];
+      expect(endpoint).toBe('https://example.test/telemetry');
+      expect(batch.session).toMatch(/^[a-z0-9]+$/);
+      expect(batch.events).toEqual([
+        { type: 'search', at: 42, latency_ms: 120 },
+        { type: 'load_more', at: 42, depth: 2 },
+        { type: 'load_more', at: 42, depth: 3 }
+      ]);
+    });
+
+    test('sends a partial batch after the flush interval', () => {
+      const { telemetry, transport } = setup();
+
+      telemetry.track('search');
+      jest.advanceTimersByTime(999);
+      telemetry.track('search');
+      expect(transport).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(transport).toHaveBeenCalledTimes(1);
+      expect(transport.mock.calls[0][1].events).toHaveLength(2);
+    });
+
+    test('flush sends what is queued and nothing when empty', () => {
+      const { telemetry, transport } = setup();
+
+      telemetry.flush();
+      expect(transport).not.toHaveBeenCalled();
+
+      telemetry.track('search');
+      telemetry.flush();
+      telemetry.flush();
+      expect(transport).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(1000);
+      expect(transport).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps one session across batches', () => {
+      const { telemetry, transport } = setup({ batchSize: 1 });
+
+      telemetry.track('search');
+      telemetry.track('search');
+
+      expect(transport.mock.calls[0][1].session).toBe(transport.mock.calls[1][1].session);
+    });
+
+    test('tracks nothing while disabled', () => {
+      const { telemetry, transport } = setup({ enabled: false });
+
+      telemetry.track('search');
+      telemetry.flush();
+
+      expect(telemetry.isEnabled()).toBe(false);
+      expect(transport).not.toHaveBeenCalled();
+    });
+
+    test('switching off drops the queue', () => {
+      const { telemetry, transport } = setup();
+
+      telemetry.track('search');
+      telemetry.setEnabled(false);
+      telemetry.setEnabled(true);
+      telemetry.flush();
+      jest.advanceTimersByTime(1000);
+
+      expect(transport).not.toHaveBeenCalled();
+    });
+
+    test('stays off without an endpoint', () => {
+      const { telemetry, transport } = setup({ endpoint: '' });
+
+      telemetry.setEnabled(true);
+      telemetry.track('search');
+      telemetry.flush();
+
+      expect(telemetry.isEnabled()).toBe(false);
+      expect(transport).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('beaconTransport', () => {
+    const originalSendBeacon = navigator.sendBeacon;
+    const batch = { session: 'abc', events: [{ type: 'search', at: 1 }] };
+
+    beforeEach(() => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    });
+
+    afterEach(() => {
+      navigator.sendBeacon = originalSendBeacon;
+    });
+
+    test('sends the batch as a text/plain beacon', async () => {
+      navigator.sendBeacon = jest.fn().mockReturnValue(true);
+
+      beaconTransport('/telemetry', batch);
+
+      const [endpoint, blob] = navigator.sendBeacon.mock.calls[0];
+      expect(endpoint).toBe('/telemetry');
+      expect(blob.type).toBe('text/plain');
+      expect(JSON.parse(await readFileText(blob))).toEqual(batch);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('falls back to a keepalive fetch when the beacon is refused', () => {
+      navigator.sendBeacon = jest.fn().mockReturnValue(false);
+
+      beaconTransport('/telemetry', batch);
+
+      expect(fetch).toHaveBeenCalledWith('/telemetry', expect.objectContaining({
+        method: 'POST',
+        keepalive: true,
+        body: JSON.stringify(batch)
+      }));
+    });
+
+    test('falls back when sendBeacon is missing and ignores failures', async () => {
+      navigator.sendBeacon = undefined;
+      fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      expect(() => beaconTransport('/telemetry', batch)).not.toThrow();
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  test.each([
+    [new RateLimitError('slow down'), 'rate_limit'],
+    [new OfflineError(), 'offline'],
+    [new NetworkError('down'), 'network'],
+    [new ArtistNotFoundError('nope'), 'not_found'],
+    [new SongNotFoundError('gone'), 'not_found'],
+    [new InvalidInputError('bad'), 'invalid_input'],
+    [new GatewayTimeoutError('late'), 'timeout'],
+    [new UpstreamError('broken'), 'upstream'],
+    [new ApiError('500'), 'other'],
+    [new Error('boom'), 'other']
+  ])('errorCategory(%p) is %p', (error, category) => {
+    expect(errorCategory(error)).toBe(category);
+  });
+
+  describe('opt-out', () => {
+    afterEach(() => {
+      window.localStorage.clear();
+      delete navigator.doNotTrack;
+      delete navigator.globalPrivacyControl;
+    });
+
+    test('is remembered until switched back on', () => {
+      expect(loadOptOut()).toBe(false);
+
+      saveOptOut(true);
+      expect(window.localStorage.getItem(TELEMETRY_OPT_OUT_KEY)).toBe('true');
+      expect(loadOptOut()).toBe(true);
+
+      saveOptOut(false);
+      expect(window.localStorage.getItem(TELEMETRY_OPT_OUT_KEY)).toBeNull();
+    });
+
+    test('honours Do Not Track and Global Privacy Control', () => {
+      expect(doNotTrack()).toBe(false);
+
+      Object.defineProperty(navigator, 'doNotTrack', { value: '1', configurable: true });
+      expect(doNotTrack()).toBe(true);
+
+      delete navigator.doNotTrack;
+      Object.defineProperty(navigator, 'globalPrivacyControl', { value: true, configurable: true });
+      expect(doNotTrack()).toBe(true);
+    });
+  });
+
+  describe('telemetryEndpoint', () => {
+    const originalUrl = process.env.REACT_APP_TELEMETRY_URL;
+
+    afterEach(() => {
+      if (originalUrl === undefined) {
+        delete process.env.REACT_APP_TELEMETRY_URL;
+      } else {
+        process.env.REACT_APP_TELEMETRY_URL = originalUrl;
+      }
+    });
+
+    test('defaults to the backend ingest route', () => {
+      delete process.env.REACT_APP_TELEMETRY_URL;
+      expect(telemetryEndpoint()).toMatch(/\/api\/v1\/telemetry$/);
+    });
+
+    test('can be pointed elsewhere or switched off', () => {
+      process.env.REACT_APP_TELEMETRY_URL = 'https://collector.example/events';
+      expect(telemetryEndpoint()).toBe('https://collector.example/events');
+
+      process.env.REACT_APP_TELEMETRY_URL = '';
+      expect(telemetryEndpoint()).toBe('');
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import { createContext, useEffect, useMemo, useState } from 'react';
+import {
+  CONTRAST_QUERY,
+  DARK_QUERY,
+  SYSTEM_THEME,
+  applyTheme,
+  loadThemePreference,
+  resolveTheme,
+  saveThemePreference,
+  systemTheme
+} from './themes';
+import './tokens.css';
+
+// Components rendered without a provider (most unit tests) get the light theme
+export const ThemeContext = createContext({
+  preference: SYSTEM_THEME,
+  theme: 'light',
+  setPreference: () => {}
+});
+
+function ThemeProvider({ children }) {
+  const [preference, setPreference] = useState(loadThemePreference);
+  const [system, setSystem] = useState(systemTheme);
+
+  // Follow OS changes live; they only show while the preference is "system"
+  useEffect(() => {
+    if (!window.matchMedia) return undefined;
+
+    const queries = [DARK_QUERY, CONTRAST_QUERY].map(query => window.matchMedia(query));
+    const handleChange = () => setSystem(systemTheme());
+    queries.forEach(query => query.addEventListener('change', handleChange));
+    return () => queries.forEach(query => query.removeEventListener('change', handleChange));
+  }, []);
+
+  const theme = resolveTheme(preference, system);
+
+  useEffect(() => {
+    applyTheme(theme);
+  }, [theme]);
+
+  const value = useMemo(() => ({
+    preference,
+    theme,
+    setPreference: (next) => {
+      saveThemePreference(next);
+      setPreference(next);
+    }
+  }), [preference, theme]);
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
+
+export default ThemeProvider;
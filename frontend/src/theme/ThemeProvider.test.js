@@ -0,0 +1,77 @@
+import { render, screen, act } from '@testing-library/react';
+import ThemeProvider from './ThemeProvider';
+import useTheme from '../hooks/useTheme';
+import { THEME_STORAGE_KEY } from './themes';
+
+// matchMedia stand-in whose answers can change after render
+const mockMedia = (initiallyDark) => {
+  let dark = initiallyDark;
+  const listeners = new Set();
+  window.matchMedia = jest.fn(query => ({
+    get matches() {
+      return query === '(prefers-color-scheme: dark)' && dark;
+    },
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener)
+  }));
+  return {
+    setDark: (value) => {
+      dark = value;
+      listeners.forEach(listener => listener());
+    },
+    listenerCount: () => listeners.size
+  };
+};
+
+function ThemeProbe() {
+  const { preference, theme } = useTheme();
+  return <p>{preference} → {theme}</p>;
+}
+
+describe('ThemeProvider', () => {
+  const originalMatchMedia = window.matchMedia;
+
+  afterEach(() => {
+    window.matchMedia = originalMatchMedia;
+    window.localStorage.clear();
+    delete document.documentElement.dataset.theme;
+  });
+
+  test('follows the system theme, including live changes', () => {
+    const media = mockMedia(true);
+    render(<ThemeProvider><ThemeProbe /></ThemeProvider>);
+
+    expect(screen.getByText('system → dark')).toBeInTheDocument();
+    expect(document.documentElement).toHaveAttribute('data-theme', 'dark');
+
+    act(() => media.setDark(false));
+
+    expect(screen.getByText('system → light')).toBeInTheDocument();
+    expect(document.documentElement).toHaveAttribute('data-theme', 'light');
+  });
+
+  test('a saved choice wins over the system theme', () => {
+    const media = mockMedia(true);
+    window.localStorage.setItem(THEME_STORAGE_KEY, 'light');
+    render(<ThemeProvider><ThemeProbe /></ThemeProvider>);
+
+    expect(screen.getByText('light → light')).toBeInTheDocument();
+
+    act(() => media.setDark(true));
+    expect(document.documentElement).toHaveAttribute('data-theme', 'light');
+  });
+
+  test('stops listening when unmounted', () => {
+    const media = mockMedia(false);
+    const { unmount } = render(<ThemeProvider><ThemeProbe /></ThemeProvider>);
+
+    expect(media.listenerCount()).toBe(1);
+    unmount();
+    expect(media.listenerCount()).toBe(0);
+  });
+
+  test('defaults to light outside a provider', () => {
+    render(<ThemeProbe />);
+    expect(screen.getByText('system → light')).toBeInTheDocument();
+  });
+});
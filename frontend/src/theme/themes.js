@@ -0,0 +1,40 @@
+// Theme preference, system detection and the data-theme attribute that the
+// tokens in tokens.css key off. public/index.html repeats resolveTheme inline
+// so the right theme is on <html> before first paint; keep the two in sync.
+
+import { readPreference, removePreference, writePreference } from '../utils/preferenceStorage';
+
+export const THEME_STORAGE_KEY = 'artistSongSearch.theme';
+export const SYSTEM_THEME = 'system';
+export const THEMES = ['light', 'dark', 'high-contrast'];
+
+export const DARK_QUERY = '(prefers-color-scheme: dark)';
+export const CONTRAST_QUERY = '(prefers-contrast: more)';
+
+const matchesQuery = (query) => Boolean(window.matchMedia?.(query)?.matches);
+
+export const systemTheme = () => {
+  if (matchesQuery(CONTRAST_QUERY)) return 'high-contrast';
+  return matchesQuery(DARK_QUERY) ? 'dark' : 'light';
+};
+
+export const resolveTheme = (preference, system = systemTheme()) =>
+  THEMES.includes(preference) ? preference : system;
+
+// Only an explicit pick is stored; "system" clears it so the OS decides
+export const loadThemePreference = () => {
+  const stored = readPreference(THEME_STORAGE_KEY);
+  return THEMES.includes(stored) ? stored : SYSTEM_THEME;
+};
+
+export const saveThemePreference = (preference) => {
+  if (THEMES.includes(preference)) {
+    writePreference(THEME_STORAGE_KEY, preference);
+  } else {
+    removePreference(THEME_STORAGE_KEY);
+  }
+};
+
+export const applyTheme = (theme) => {
+  document.documentElement.dataset.theme = theme;
+};
@@ -0,0 +1,66 @@
+import {
+  SYSTEM_THEME,
+  THEME_STORAGE_KEY,
+  applyTheme,
+  loadThemePreference,
+  resolveTheme,
+  saveThemePreference,
+  systemTheme
+} from './themes';
+
+const mockMedia = (matching) => {
+  window.matchMedia = jest.fn(query => ({ matches: matching.includes(query) }));
+};
+
+describe('themes', () => {
+  const originalMatchMedia = window.matchMedia;
+
+  afterEach(() => {
+    window.matchMedia = originalMatchMedia;
+    window.localStorage.clear();
+    delete document.documentElement.dataset.theme;
+  });
+
+  test('systemTheme follows prefers-color-scheme and prefers-contrast', () => {
+    mockMedia([]);
+    expect(systemTheme()).toBe('light');
+
+    mockMedia(['(prefers-color-scheme: dark)']);
+    expect(systemTheme()).toBe('dark');
+
+    mockMedia(['(prefers-color-scheme: dark)', '(prefers-contrast: more)']);
+    expect(systemTheme()).toBe('high-contrast');
+  });
+
+  test('systemTheme falls back to light without matchMedia', () => {
+    window.matchMedia = undefined;
+    expect(systemTheme()).toBe('light');
+  });
+
+  test('resolveTheme prefers an explicit choice over the system', () => {
+    expect(resolveTheme('high-contrast', 'dark')).toBe('high-contrast');
+    expect(resolveTheme(SYSTEM_THEME, 'dark')).toBe('dark');
+    expect(resolveTheme('sepia', 'light')).toBe('light');
+  });
+
+  test('stores explicit choices and clears the key for system', () => {
+    expect(loadThemePreference()).toBe(SYSTEM_THEME);
+
+    saveThemePreference('dark');
+    expect(window.localStorage.getItem(THEME_STORAGE_KEY)).toBe('dark');
+    expect(loadThemePreference()).toBe('dark');
+
+    saveThemePreference(SYSTEM_THEME);
+    expect(window.localStorage.getItem(THEME_STORAGE_KEY)).toBeNull();
+  });
+
+  test('ignores unknown stored themes', () => {
+    window.localStorage.setItem(THEME_STORAGE_KEY, 'sepia');
+    expect(loadThemePreference()).toBe(SYSTEM_THEME);
+  });
+
+  test('applyTheme sets data-theme on the document', () => {
+    applyTheme('dark');
+    expect(document.documentElement).toHaveAttribute('data-theme', 'dark');
+  });
+});
@@ -0,0 +1,24 @@
+// Screen reader messages for search progress (read out by LiveAnnouncer).
+// `t` is the translator from useI18n.
+
+export const searchingAnnouncement = (t, artistName) => t('announce.loading', { artist: artistName });
+
+// "Loaded 50 of many songs for Drake" while more pages exist
+export const resultsAnnouncement = (t, { artistName, count, hasNext }) => {
+  if (count === 0) return t('announce.none', { artist: artistName });
+  return t(hasNext ? 'announce.partial' : 'announce.all', { count, artist: artistName });
+};
+
+export const loadMoreAnnouncement = (t, { artistName, added, count, hasNext }) =>
+  `${t('announce.added', { count: added })} ${resultsAnnouncement(t, { artistName, count, hasNext })}`;
+
+// Read once when searching pauses; RateLimitNotice's ticking countdown isn't
+// a live region, so it doesn't interrupt every second
+export const rateLimitAnnouncement = (t, seconds) =>
+  `${t('rateLimit.title')} ${t('rateLimit.countdown', { countdown: t('rateLimit.seconds', { seconds }) })}`;
+
+// Status line while useSongSearch.loadRemaining walks pages (export, timeline)
+export const progressMessage = (t, { page, count, waitSeconds }) => {
+  if (waitSeconds) return t('progress.waiting', { seconds: waitSeconds, count });
+  return t(page ? 'progress.page' : 'progress.starting', { page, count });
+};
@@ -0,0 +1,49 @@
+import { createTranslator } from '../i18n/translate';
+import {
+  loadMoreAnnouncement,
+  progressMessage,
+  rateLimitAnnouncement,
+  resultsAnnouncement,
+  searchingAnnouncement
+} from './announcements';
+
+const t = createTranslator('en');
+
+describe('announcements', () => {
+  test('searchingAnnouncement names the artist', () => {
+    expect(searchingAnnouncement(t, 'Drake')).toBe('Loading songs for Drake...');
+  });
+
+  test('resultsAnnouncement says "many" while more pages exist', () => {
+    expect(resultsAnnouncement(t, { artistName: 'Drake', count: 50, hasNext: true }))
+      .toBe('Loaded 50 of many songs for Drake');
+  });
+
+  test('resultsAnnouncement marks the end of the list', () => {
+    expect(resultsAnnouncement(t, { artistName: 'Drake', count: 1, hasNext: false }))
+      .toBe("Loaded all 1 song for Drake. That's the end of the list.");
+    expect(resultsAnnouncement(t, { artistName: 'Nobody', count: 0, hasNext: false }))
+      .toBe('No songs found for Nobody');
+  });
+
+  test('loadMoreAnnouncement leads with what was added', () => {
+    expect(loadMoreAnnouncement(t, { artistName: 'Drake', added: 50, count: 100, hasNext: true }))
+      .toBe('Added 50 songs. Loaded 100 of many songs for Drake');
+  });
+
+  test('rateLimitAnnouncement says how long searching is paused', () => {
+    expect(rateLimitAnnouncement(t, 30)).toBe("You're searching a little too fast. You can search again in 30s.");
+  });
+
+  test('progressMessage covers starting, paging and waiting out the rate limit', () => {
+    expect(progressMessage(t, { page: null, count: 50 })).toBe('Loading remaining pages (50 songs so far)...');
+    expect(progressMessage(t, { page: 2, count: 100 })).toBe('Loaded page 2 (100 songs)...');
+    expect(progressMessage(t, { page: 2, count: 100, waitSeconds: 42 }))
+      .toBe('Rate limited; continuing in 42s (100 songs so far)...');
+  });
+
+  test('follows the translator locale', () => {
+    expect(resultsAnnouncement(createTranslator('es'), { artistName: 'Drake', count: 12000, hasNext: true }))
+      .toBe('Cargadas 12.000 de muchas canciones de Drake');
+  });
+});
@@ -0,0 +1,10 @@
+// Helpers for the `meta` block GeniusService#format_response attaches to each page.
+
+// 'offline' (replayed by the service worker), 'stale' (cache served during a
+// Genius outage), 'cached' or 'live'
+export const describePageSource = (meta) => {
+  if (meta.offline_cache) return 'offline';
+  if (meta.stale || meta.api_unavailable) return 'stale';
+  if (meta.cached) return 'cached';
+  return 'live';
+};
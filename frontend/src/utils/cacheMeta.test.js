@@ -0,0 +1,11 @@
+import { describePageSource } from './cacheMeta';
+
+describe('cacheMeta', () => {
+  test('describePageSource', () => {
+    expect(describePageSource({ cached: false, stale: false })).toBe('live');
+    expect(describePageSource({ cached: true, stale: false })).toBe('cached');
+    expect(describePageSource({ cached: true, stale: true, api_unavailable: true })).toBe('stale');
+    expect(describePageSource({ cached: true, api_unavailable: true })).toBe('stale');
+    expect(describePageSource({ cached: false, offline_cache: true })).toBe('offline');
+  });
+});
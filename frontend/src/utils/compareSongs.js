@@ -0,0 +1,74 @@
+// Summaries for the multi-artist comparison view. Each column is
+// { artist: { name, id }, songs } and only loaded songs are counted.
+import { normalizeText, releaseYear } from './songFilters';
+
+export const GROUP_OPTIONS = [
+  { value: 'year', labelKey: 'compare.group.year' },
+  { value: 'decade', labelKey: 'compare.group.decade' }
+];
+
+const periodOf = (year, groupBy) => (groupBy === 'decade' ? Math.floor(year / 10) * 10 : year);
+
+// Rows of { period, counts } (one count per column, oldest period first),
+// plus the per-column number of songs without a release date
+export const countByPeriod = (columns, groupBy = 'year') => {
+  const rows = new Map();
+  const undated = columns.map(() => 0);
+
+  columns.forEach(({ songs }, index) => {
+    songs.forEach(song => {
+      const year = releaseYear(song);
+      if (year === null) {
+        undated[index] += 1;
+        return;
+      }
+
+      const period = periodOf(year, groupBy);
+      if (!rows.has(period)) {
+        rows.set(period, columns.map(() => 0));
+      }
+      rows.get(period)[index] += 1;
+    });
+  });
+
+  return {
+    rows: [...rows.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([period, counts]) => ({ period, counts })),
+    undated
+  };
+};
+
+// "Hotline Bling (Remix)", "hotline bling [Live]" and "Hotline Bling" all
+// compare equal: bracketed versions and featured-artist credits are dropped
+export const titleKey = (title) =>
+  normalizeText(title)
+    .replace(/\s*[([][^)\]]*[)\]]/g, '')
+    .replace(/\s+(feat|ft)\.?\s.*$/, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+// Titles that show up for two or more columns, as { title, artists }, most shared first
+export const overlappingTitles = (columns) => {
+  const byKey = new Map();
+
+  columns.forEach(({ songs }, index) => {
+    songs.forEach(song => {
+      const key = titleKey(song.title);
+      if (!key) return;
+
+      if (!byKey.has(key)) {
+        byKey.set(key, { title: song.title, columns: new Set() });
+      }
+      byKey.get(key).columns.add(index);
+    });
+  });
+
+  return [...byKey.values()]
+    .filter(entry => entry.columns.size > 1)
+    .map(entry => ({
+      title: entry.title,
+      artists: [...entry.columns].sort((a, b) => a - b).map(index => columns[index].artist.name)
+    }))
+    .sort((a, b) => b.artists.length - a.artists.length || a.title.localeCompare(b.title));
+};
@@ -0,0 +1,77 @@
+import { countByPeriod, overlappingTitles, titleKey } from './compareSongs';
+
+const column = (name, songs) => ({
+  artist: { name, id: name.length },
+  songs: songs.map(([title, release_date], index) => ({ id: `${name}-${index}`, title, release_date }))
+});
+
+describe('compareSongs', () => {
+  const drake = column('Drake', [
+    ['Hotline Bling', 'October 19, 2015'],
+    ['Jumpman', '2015'],
+    ['Marvins Room', 'June 9, 2011'],
+    ['Unreleased', null]
+  ]);
+  const adele = column('Adele', [
+    ['Hello', 'October 23, 2015'],
+    ['Hotline Bling (Cover)', 'March 2016'],
+    ['Rolling in the Deep', 'November 29, 2010']
+  ]);
+
+  describe('countByPeriod', () => {
+    test('counts songs per year for each column, oldest first', () => {
+      const { rows, undated } = countByPeriod([drake, adele]);
+
+      expect(rows).toEqual([
+        { period: 2010, counts: [0, 1] },
+        { period: 2011, counts: [1, 0] },
+        { period: 2015, counts: [2, 1] },
+        { period: 2016, counts: [0, 1] }
+      ]);
+      expect(undated).toEqual([1, 0]);
+    });
+
+    test('can group by decade', () => {
+      const { rows } = countByPeriod([drake, adele], 'decade');
+
+      expect(rows).toEqual([{ period: 2010, counts: [3, 3] }]);
+    });
+
+    test('handles no columns', () => {
+      expect(countByPeriod([])).toEqual({ rows: [], undated: [] });
+    });
+  });
+
+  describe('titleKey', () => {
+    test('ignores case, accents, versions and featured credits', () => {
+      expect(titleKey('Hotline Bling (Remix)')).toBe('hotline bling');
+      expect(titleKey('HOTLINE BLING [Live]')).toBe('hotline bling');
+      expect(titleKey('Déjà Vu feat. Someone')).toBe('deja vu');
+      expect(titleKey("God's Plan")).toBe('god s plan');
+    });
+  });
+
+  describe('overlappingTitles', () => {
+    test('lists titles shared by two or more columns', () => {
+      expect(overlappingTitles([drake, adele])).toEqual([
+        { title: 'Hotline Bling', artists: ['Drake', 'Adele'] }
+      ]);
+    });
+
+    test('does not count repeats within one column', () => {
+      const twice = column('Drake', [['Hello', null], ['Hello (Remix)', null]]);
+
+      expect(overlappingTitles([twice, column('Other', [['Goodbye', null]])])).toEqual([]);
+    });
+
+    test('puts titles shared by more artists first', () => {
+      const third = column('Lionel Richie', [['Hello', '1984'], ['Hotline Bling', null]]);
+      const fourth = column('Others', [['Hello', null]]);
+
+      expect(overlappingTitles([drake, adele, third, fourth]).map(entry => entry.title)).toEqual([
+        'Hello',
+        'Hotline Bling'
+      ]);
+    });
+  });
+});
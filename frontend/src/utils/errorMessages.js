@@ -0,0 +1,48 @@
+import {
+  ApiError,
+  ArtistNotFoundError,
+  GatewayTimeoutError,
+  InvalidInputError,
+  NetworkError,
+  NotFoundError,
+  OfflineError,
+  RateLimitError,
+  SongNotFoundError,
+  UpstreamError
+} from '../api/errors';
+
+// What the user reads for an error, in their language. API errors are shown
+// by class rather than by the server's (English) message; errors our own
+// code raises carry a catalog key instead.
+
+// An error whose text lives in the message catalogs. `message` stays
+// English for developers; errorMessage() shows the translation.
+export class LocalizedError extends Error {
+  constructor(message, messageKey, values = {}) {
+    super(message);
+    this.name = 'LocalizedError';
+    this.messageKey = messageKey;
+    this.values = values;
+  }
+}
+
+// Subclasses before their parents, since instanceof matches both
+const API_ERROR_KEYS = [
+  [OfflineError, 'error.offline'],
+  [NetworkError, 'error.network'],
+  [ArtistNotFoundError, 'error.artistNotFound'],
+  [SongNotFoundError, 'error.songNotFound'],
+  [NotFoundError, 'error.notFound'],
+  [InvalidInputError, 'error.invalidInput'],
+  [RateLimitError, 'error.rateLimited'],
+  [UpstreamError, 'error.upstream'],
+  [GatewayTimeoutError, 'error.timeout'],
+  [ApiError, 'error.server']
+];
+
+export const errorMessage = (t, error) => {
+  if (error instanceof LocalizedError) return t(error.messageKey, error.values);
+
+  const match = API_ERROR_KEYS.find(([ErrorClass]) => error instanceof ErrorClass);
+  return t(match ? match[1] : 'error.unknown');
+};
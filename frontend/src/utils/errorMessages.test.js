@@ -0,0 +1,42 @@
+import {
+  ApiError,
+  ArtistNotFoundError,
+  NetworkError,
+  OfflineError,
+  SongNotFoundError,
+  UpstreamError
+} from '../api/errors';
+import { createTranslator } from '../i18n/translate';
+import { errorMessage, LocalizedError } from './errorMessages';
+
+describe('errorMessage', () => {
+  const t = createTranslator('en');
+
+  test('shows API errors by class, not by the server text', () => {
+    expect(errorMessage(t, new ArtistNotFoundError("Artist 'Nobody' not found", { status: 404 })))
+      .toBe('Genius has no artist by that name.');
+    expect(errorMessage(t, new UpstreamError('Genius API temporarily unavailable', { status: 502 })))
+      .toBe("Genius isn't answering right now. Please try again later.");
+    expect(errorMessage(t, new ApiError('Internal Server Error', { status: 500 })))
+      .toBe('Something went wrong on the server.');
+  });
+
+  test('matches the most specific class', () => {
+    expect(errorMessage(t, new SongNotFoundError('Song 1 not found', { status: 404 })))
+      .toBe("That song couldn't be found on Genius.");
+    expect(errorMessage(t, new OfflineError())).toBe("You're offline and this search isn't saved on this device yet.");
+    expect(errorMessage(t, new NetworkError('Failed to fetch')))
+      .toBe("Couldn't reach the server. Check your connection and try again.");
+  });
+
+  test('translates errors that carry a message key', () => {
+    const error = new LocalizedError("Don't know how to upgrade lists from version 0", 'error.libraryVersion', { version: '0' });
+
+    expect(errorMessage(t, error)).toBe("Don't know how to upgrade lists from version 0");
+    expect(errorMessage(createTranslator('es'), error)).toBe('No se pueden actualizar listas de la versión 0');
+  });
+
+  test('falls back to a generic message for anything else', () => {
+    expect(errorMessage(createTranslator('ar'), new Error('Permission denied'))).toBe('حدث خطأ ما.');
+  });
+});
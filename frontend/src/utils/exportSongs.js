@@ -0,0 +1,90 @@
+// Serializers for exporting loaded songs, plus the browser plumbing to
+// download them or put them on the clipboard.
+
+import { LocalizedError } from './errorMessages';
+import { normalizeText } from './songFilters';
+
+const COLUMNS = ['id', 'title', 'url', 'release_date', 'artist_name', 'artist_id'];
+
+export const toExportRows = (songs, artist) =>
+  songs.map(song => ({
+    id: song.id,
+    title: song.title,
+    url: song.url,
+    release_date: song.release_date ?? null,
+    artist_name: artist?.name ?? null,
+    artist_id: artist?.id ?? null
+  }));
+
+// RFC 4180: CRLF line breaks; fields containing quotes, commas or line
+// breaks are wrapped in double quotes with embedded quotes doubled
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) =>
+  [COLUMNS, ...rows.map(row => COLUMNS.map(column => row[column]))]
+    .map(fields => fields.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+
+export const toJson = (rows) => `${JSON.stringify(rows, null, 2)}\n`;
+
+const markdownCell = (value) =>
+  value === null || value === undefined
+    ? ''
+    : String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+export const toMarkdown = (rows) => {
+  const header = `| ${COLUMNS.join(' | ')} |`;
+  const divider = `| ${COLUMNS.map(() => '---').join(' | ')} |`;
+  const body = rows.map(row => `| ${COLUMNS.map(column => markdownCell(row[column])).join(' | ')} |`);
+  return [header, divider, ...body].join('\n') + '\n';
+};
+
+export const EXPORT_FORMATS = {
+  csv: { labelKey: 'export.formats.csv', extension: 'csv', mimeType: 'text/csv;charset=utf-8', serialize: toCsv },
+  json: { labelKey: 'export.formats.json', extension: 'json', mimeType: 'application/json', serialize: toJson },
+  markdown: { labelKey: 'export.formats.markdown', extension: 'md', mimeType: 'text/markdown;charset=utf-8', serialize: toMarkdown }
+};
+
+export const exportFilename = (artistName, extension) => {
+  const slug = normalizeText(artistName)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug || 'songs'}-songs.${extension}`;
+};
+
+export const downloadFile = (content, filename, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export const copyToClipboard = async (text) => {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+
+  // Fallback for insecure origins where the async clipboard API is missing
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  textarea.remove();
+
+  if (!copied) {
+    throw new LocalizedError('Clipboard is not available', 'error.noClipboard');
+  }
+};
@@ -0,0 +1,105 @@
+import {
+  copyToClipboard,
+  downloadFile,
+  exportFilename,
+  toCsv,
+  toExportRows,
+  toJson,
+  toMarkdown
+} from './exportSongs';
+
+const artist = { name: 'Beyoncé', id: 498 };
+const songs = [
+  { id: 1, title: 'Halo', url: 'https://genius.com/1', release_date: 'January 20, 2009' },
+  { id: 2, title: 'Say "Hello", Goodbye', url: 'https://genius.com/2', release_date: null },
+  { id: 3, title: 'Line\nBreak | Pipe', url: 'https://genius.com/3' }
+];
+
+describe('exportSongs', () => {
+  test('toExportRows flattens songs with artist columns', () => {
+    expect(toExportRows(songs.slice(0, 1), artist)).toEqual([{
+      id: 1,
+      title: 'Halo',
+      url: 'https://genius.com/1',
+      release_date: 'January 20, 2009',
+      artist_name: 'Beyoncé',
+      artist_id: 498
+    }]);
+  });
+
+  test('toCsv escapes per RFC 4180 with CRLF line endings', () => {
+    const csv = toCsv(toExportRows(songs, artist));
+
+    expect(csv).toBe([
+      'id,title,url,release_date,artist_name,artist_id',
+      '1,Halo,https://genius.com/1,"January 20, 2009",Beyoncé,498',
+      '2,"Say ""Hello"", Goodbye",https://genius.com/2,,Beyoncé,498',
+      '3,"Line\nBreak | Pipe",https://genius.com/3,,Beyoncé,498',
+      ''
+    ].join('\r\n'));
+  });
+
+  test('toJson pretty-prints the rows', () => {
+    const json = toJson(toExportRows(songs.slice(0, 1), artist));
+
+    expect(JSON.parse(json)[0].title).toBe('Halo');
+    expect(json).toContain('\n  {\n    "id": 1,');
+  });
+
+  test('toMarkdown escapes pipes and flattens line breaks', () => {
+    const markdown = toMarkdown(toExportRows(songs, artist)).split('\n');
+
+    expect(markdown[0]).toBe('| id | title | url | release_date | artist_name | artist_id |');
+    expect(markdown[1]).toBe('| --- | --- | --- | --- | --- | --- |');
+    expect(markdown[4]).toBe('| 3 | Line Break \\| Pipe | https://genius.com/3 |  | Beyoncé | 498 |');
+  });
+
+  test('exportFilename slugifies artist names', () => {
+    expect(exportFilename('Beyoncé & Jay-Z', 'csv')).toBe('beyonce-jay-z-songs.csv');
+    expect(exportFilename('', 'json')).toBe('songs-songs.json');
+    expect(exportFilename('!!!', 'md')).toBe('songs-songs.md');
+  });
+
+  test('downloadFile clicks a temporary object URL link', () => {
+    URL.createObjectURL = jest.fn(() => 'blob:export');
+    URL.revokeObjectURL = jest.fn();
+    let downloadName;
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      downloadName = this.download;
+    });
+
+    downloadFile('a,b', 'songs.csv', 'text/csv');
+
+    expect(URL.createObjectURL).toHaveBeenCalledWith(expect.any(Blob));
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(downloadName).toBe('songs.csv');
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+    click.mockRestore();
+  });
+
+  describe('copyToClipboard', () => {
+    const originalClipboard = navigator.clipboard;
+
+    afterEach(() => {
+      Object.defineProperty(navigator, 'clipboard', { value: originalClipboard, configurable: true });
+      delete document.execCommand;
+    });
+
+    test('uses the async clipboard API when available', async () => {
+      const writeText = jest.fn().mockResolvedValue();
+      Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+
+      await copyToClipboard('hello');
+
+      expect(writeText).toHaveBeenCalledWith('hello');
+    });
+
+    test('falls back to execCommand and reports failure', async () => {
+      Object.defineProperty(navigator, 'clipboard', { value: undefined, configurable: true });
+      document.execCommand = jest.fn(() => false);
+
+      await expect(copyToClipboard('hello')).rejects.toThrow(/not available/);
+      expect(document.execCommand).toHaveBeenCalledWith('copy');
+    });
+  });
+});
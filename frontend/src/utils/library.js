@@ -0,0 +1,200 @@
+// Favorites and named song lists, persisted in localStorage.
+//
+// Stored shape (schema version 1):
+//   { version: 1, lists: [{ id, name, songs: [entry] }] }
+// where the first list is always Favorites and each entry is a snapshot of
+// the song plus its artist, so lists can mix artists and survive without
+// re-fetching anything.
+
+import { LocalizedError } from './errorMessages';
+
+export const LIBRARY_STORAGE_KEY = 'artistSongSearch.library';
+export const SCHEMA_VERSION = 1;
+export const FAVORITES_ID = 'favorites';
+export const EXPORT_FORMAT = 'artist-song-search-library';
+
+// MIGRATIONS[n] upgrades a version-n library to version n + 1. Bump
+// SCHEMA_VERSION and add a step here whenever the stored shape changes.
+export const MIGRATIONS = {};
+
+export const emptyLibrary = () => ({
+  version: SCHEMA_VERSION,
+  lists: [{ id: FAVORITES_ID, name: 'Favorites', songs: [] }]
+});
+
+export const migrateLibrary = (data, migrations = MIGRATIONS, targetVersion = SCHEMA_VERSION) => {
+  let library = data;
+  let version = Number.isInteger(data?.version) ? data.version : 0;
+
+  if (version > targetVersion) {
+    throw new LocalizedError('This list file was made by a newer version of the app', 'error.libraryNewer');
+  }
+
+  while (version < targetVersion) {
+    const migrate = migrations[version];
+    if (!migrate) {
+      throw new LocalizedError(`Don't know how to upgrade lists from version ${version}`, 'error.libraryVersion', {
+        version: String(version)
+      });
+    }
+    library = migrate(library);
+    version += 1;
+  }
+
+  return { ...library, version };
+};
+
+const isEntry = (song) =>
+  song && (typeof song.id === 'number' || typeof song.id === 'string') && typeof song.title === 'string';
+
+const toEntry = (song) => ({
+  id: song.id,
+  title: song.title,
+  url: song.url ?? null,
+  release_date: song.release_date ?? null,
+  artist_name: song.artist_name ?? null,
+  artist_id: song.artist_id ?? null
+});
+
+// Drops anything malformed and guarantees Favorites comes first
+const normalizeLibrary = (library) => {
+  const lists = (Array.isArray(library.lists) ? library.lists : [])
+    .filter(list => list && typeof list.id === 'string' && typeof list.name === 'string')
+    .map(list => ({
+      id: list.id,
+      name: list.name,
+      songs: (Array.isArray(list.songs) ? list.songs : []).filter(isEntry).map(toEntry)
+    }));
+
+  const favorites = lists.find(list => list.id === FAVORITES_ID) || emptyLibrary().lists[0];
+  return {
+    version: SCHEMA_VERSION,
+    lists: [favorites, ...lists.filter(list => list.id !== FAVORITES_ID)]
+  };
+};
+
+const readStored = () => JSON.parse(window.localStorage.getItem(LIBRARY_STORAGE_KEY));
+
+export const loadLibrary = () => {
+  try {
+    const stored = readStored();
+    return stored ? normalizeLibrary(migrateLibrary(stored)) : emptyLibrary();
+  } catch {
+    // Corrupt JSON, a newer schema or storage disabled: start fresh
+    return emptyLibrary();
+  }
+};
+
+export const saveLibrary = (library) => {
+  try {
+    // Never overwrite lists written by a newer build in another tab
+    if ((readStored()?.version ?? 0) > SCHEMA_VERSION) return;
+    window.localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(library));
+  } catch {
+    // Quota exceeded or storage disabled; lists just won't persist
+  }
+};
+
+export const toLibraryEntry = (song, artist) =>
+  toEntry({ ...song, artist_name: artist?.name, artist_id: artist?.id });
+
+export const favoriteIds = (library) => new Set(library.lists[0].songs.map(song => song.id));
+
+const updateList = (library, listId, update) => ({
+  ...library,
+  lists: library.lists.map(list => (list.id === listId ? update(list) : list))
+});
+
+export const addToList = (library, listId, entry) =>
+  updateList(library, listId, list =>
+    list.songs.some(song => song.id === entry.id) ? list : { ...list, songs: [...list.songs, entry] }
+  );
+
+export const removeFromList = (library, listId, songId) =>
+  updateList(library, listId, list => ({ ...list, songs: list.songs.filter(song => song.id !== songId) }));
+
+export const moveInList = (library, listId, fromIndex, toIndex) =>
+  updateList(library, listId, list => {
+    if (toIndex < 0 || toIndex >= list.songs.length) return list;
+    const songs = [...list.songs];
+    const [moved] = songs.splice(fromIndex, 1);
+    songs.splice(toIndex, 0, moved);
+    return { ...list, songs };
+  });
+
+export const toggleFavorite = (library, song, artist) =>
+  favoriteIds(library).has(song.id)
+    ? removeFromList(library, FAVORITES_ID, song.id)
+    : addToList(library, FAVORITES_ID, toLibraryEntry(song, artist));
+
+export const createList = (library, name, id) => ({
+  ...library,
+  lists: [...library.lists, { id, name: name.trim(), songs: [] }]
+});
+
+export const renameList = (library, listId, name) =>
+  updateList(library, listId, list => ({ ...list, name: name.trim() }));
+
+export const deleteList = (library, listId) =>
+  listId === FAVORITES_ID
+    ? library
+    : { ...library, lists: library.lists.filter(list => list.id !== listId) };
+
+export const newListId = () =>
+  `list-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const serializeLibrary = (library) =>
+  `${JSON.stringify({ format: EXPORT_FORMAT, ...library }, null, 2)}\n`;
+
+export const parseLibraryImport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new LocalizedError("That file isn't valid JSON", 'error.notJson');
+  }
+  if (data?.format !== EXPORT_FORMAT) {
+    throw new LocalizedError("That file isn't an exported list file", 'error.notLibrary');
+  }
+  return normalizeLibrary(migrateLibrary(data));
+};
+
+// Imported songs join Favorites and lists with the same name; other lists
+// are added. Returns the merged library and how much was new.
+export const mergeLibraries = (current, imported, makeId = newListId) => {
+  let library = current;
+  let lists = 0;
+  let songs = 0;
+
+  imported.lists.forEach(importedList => {
+    const target = importedList.id === FAVORITES_ID
+      ? library.lists[0]
+      : library.lists.find(list => list.id !== FAVORITES_ID && list.name === importedList.name);
+
+    let targetId = target?.id;
+    if (!target) {
+      targetId = makeId();
+      library = createList(library, importedList.name, targetId);
+      lists += 1;
+    }
+
+    importedList.songs.forEach(entry => {
+      const list = library.lists.find(existing => existing.id === targetId);
+      if (list.songs.some(song => song.id === entry.id)) return;
+      library = addToList(library, targetId, entry);
+      songs += 1;
+    });
+  });
+
+  return { library, added: { lists, songs } };
+};
+
+export const LIBRARY_FILENAME = 'song-lists.json';
+
+export const readFileText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new LocalizedError("Couldn't read that file", 'error.unreadable'));
+    reader.readAsText(file);
+  });
@@ -0,0 +1,181 @@
+import {
+  EXPORT_FORMAT,
+  FAVORITES_ID,
+  LIBRARY_STORAGE_KEY,
+  SCHEMA_VERSION,
+  addToList,
+  createList,
+  deleteList,
+  emptyLibrary,
+  favoriteIds,
+  loadLibrary,
+  mergeLibraries,
+  migrateLibrary,
+  moveInList,
+  parseLibraryImport,
+  removeFromList,
+  renameList,
+  saveLibrary,
+  serializeLibrary,
+  toLibraryEntry,
+  toggleFavorite
+} from './library';
+
+const drake = { name: 'Drake', id: 130 };
+const hotline = { id: 1, title: 'Hotline Bling', url: 'https://genius.com/1', release_date: 'October 19, 2015' };
+const passionfruit = { id: 2, title: 'Passionfruit', url: 'https://genius.com/2', release_date: null };
+const humble = { id: 3, title: 'HUMBLE.', url: 'https://genius.com/3', release_date: 'March 30, 2017' };
+
+const songIds = (library, listId) => library.lists.find(list => list.id === listId).songs.map(song => song.id);
+
+describe('library', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('toLibraryEntry snapshots the song with its artist', () => {
+    expect(toLibraryEntry(hotline, drake)).toEqual({
+      id: 1,
+      title: 'Hotline Bling',
+      url: 'https://genius.com/1',
+      release_date: 'October 19, 2015',
+      artist_name: 'Drake',
+      artist_id: 130
+    });
+  });
+
+  test('toggleFavorite stars and unstars a song', () => {
+    const starred = toggleFavorite(emptyLibrary(), hotline, drake);
+    expect(favoriteIds(starred)).toEqual(new Set([1]));
+    expect(starred.lists[0].songs[0].artist_name).toBe('Drake');
+
+    expect(favoriteIds(toggleFavorite(starred, hotline, drake))).toEqual(new Set());
+  });
+
+  test('creates, renames and deletes lists but never deletes Favorites', () => {
+    let library = createList(emptyLibrary(), '  Road trip ', 'list-1');
+    expect(library.lists.map(list => list.name)).toEqual(['Favorites', 'Road trip']);
+
+    library = renameList(library, 'list-1', 'Gym');
+    expect(library.lists[1].name).toBe('Gym');
+
+    library = deleteList(library, FAVORITES_ID);
+    library = deleteList(library, 'list-1');
+    expect(library.lists.map(list => list.id)).toEqual([FAVORITES_ID]);
+  });
+
+  test('adds songs without duplicates and removes them', () => {
+    let library = createList(emptyLibrary(), 'Mix', 'mix');
+    library = addToList(library, 'mix', toLibraryEntry(hotline, drake));
+    library = addToList(library, 'mix', toLibraryEntry(hotline, drake));
+    library = addToList(library, 'mix', toLibraryEntry(humble, { name: 'Kendrick Lamar', id: 1421 }));
+    expect(songIds(library, 'mix')).toEqual([1, 3]);
+
+    expect(songIds(removeFromList(library, 'mix', 1), 'mix')).toEqual([3]);
+  });
+
+  test('moveInList reorders songs and ignores moves past either end', () => {
+    let library = emptyLibrary();
+    [hotline, passionfruit, humble].forEach(song => {
+      library = toggleFavorite(library, song, drake);
+    });
+
+    expect(songIds(moveInList(library, FAVORITES_ID, 2, 0), FAVORITES_ID)).toEqual([3, 1, 2]);
+    expect(songIds(moveInList(library, FAVORITES_ID, 0, 1), FAVORITES_ID)).toEqual([2, 1, 3]);
+    expect(moveInList(library, FAVORITES_ID, 0, -1).lists[0]).toBe(library.lists[0]);
+    expect(moveInList(library, FAVORITES_ID, 2, 3).lists[0]).toBe(library.lists[0]);
+  });
+
+  describe('migrateLibrary', () => {
+    test('runs each step up to the target version', () => {
+      const migrations = {
+        1: (data) => ({ ...data, lists: data.favorites }),
+        2: (data) => ({ ...data, upgraded: true })
+      };
+
+      expect(migrateLibrary({ version: 1, favorites: [] }, migrations, 3)).toEqual({
+        version: 3,
+        favorites: [],
+        lists: [],
+        upgraded: true
+      });
+    });
+
+    test('rejects data from a newer schema', () => {
+      expect(() => migrateLibrary({ version: SCHEMA_VERSION + 1 })).toThrow(/newer version/);
+    });
+
+    test('rejects versions it has no migration for', () => {
+      expect(() => migrateLibrary({ lists: [] })).toThrow("Don't know how to upgrade lists from version 0");
+    });
+  });
+
+  describe('persistence', () => {
+    test('saves and loads from localStorage', () => {
+      const library = toggleFavorite(createList(emptyLibrary(), 'Mix', 'mix'), hotline, drake);
+      saveLibrary(library);
+
+      expect(loadLibrary()).toEqual(library);
+    });
+
+    test('starts fresh on corrupt storage', () => {
+      window.localStorage.setItem(LIBRARY_STORAGE_KEY, '{not json');
+      expect(loadLibrary()).toEqual(emptyLibrary());
+    });
+
+    test('drops malformed lists and entries and restores Favorites first', () => {
+      window.localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify({
+        version: SCHEMA_VERSION,
+        lists: [
+          { id: 'mix', name: 'Mix', songs: [{ id: 1, title: 'Hotline Bling' }, { title: 'No id' }] },
+          { name: 'No id' }
+        ]
+      }));
+
+      const library = loadLibrary();
+      expect(library.lists.map(list => list.id)).toEqual([FAVORITES_ID, 'mix']);
+      expect(songIds(library, 'mix')).toEqual([1]);
+    });
+
+    test('does not overwrite lists saved by a newer schema', () => {
+      const newer = JSON.stringify({ version: SCHEMA_VERSION + 1, lists: [] });
+      window.localStorage.setItem(LIBRARY_STORAGE_KEY, newer);
+
+      expect(loadLibrary()).toEqual(emptyLibrary());
+      saveLibrary(emptyLibrary());
+      expect(window.localStorage.getItem(LIBRARY_STORAGE_KEY)).toBe(newer);
+    });
+  });
+
+  describe('import and export', () => {
+    test('round-trips through the export format', () => {
+      const library = toggleFavorite(createList(emptyLibrary(), 'Mix', 'mix'), hotline, drake);
+      const json = serializeLibrary(library);
+
+      expect(JSON.parse(json).format).toBe(EXPORT_FORMAT);
+      expect(parseLibraryImport(json)).toEqual(library);
+    });
+
+    test('rejects files that are not list exports', () => {
+      expect(() => parseLibraryImport('nope')).toThrow("That file isn't valid JSON");
+      expect(() => parseLibraryImport('{"lists": []}')).toThrow("That file isn't an exported list file");
+    });
+
+    test('merges favorites and same-named lists, adding the rest', () => {
+      let current = toggleFavorite(emptyLibrary(), hotline, drake);
+      current = createList(current, 'Mix', 'mix');
+
+      let imported = toggleFavorite(emptyLibrary(), hotline, drake);
+      imported = toggleFavorite(imported, passionfruit, drake);
+      imported = addToList(createList(imported, 'Mix', 'other-mix'), 'other-mix', toLibraryEntry(humble, null));
+      imported = createList(imported, 'Gym', 'gym');
+
+      const { library, added } = mergeLibraries(current, imported, () => 'new-list');
+
+      expect(added).toEqual({ lists: 1, songs: 2 });
+      expect(songIds(library, FAVORITES_ID)).toEqual([1, 2]);
+      expect(songIds(library, 'mix')).toEqual([3]);
+      expect(library.lists.map(list => list.name)).toEqual(['Favorites', 'Mix', 'Gym']);
+    });
+  });
+});
@@ -0,0 +1,12 @@
+// Search-as-you-type timing. A live search runs once typing pauses, and
+// waits longer when the song-search bucket runs low: it never spends the last
+// LIVE_SEARCH_RESERVE tokens, which stay free for Search, Load More and
+// picking an artist.
+export const LIVE_SEARCH_DEBOUNCE_MS = 500;
+export const LIVE_SEARCH_MIN_LENGTH = 2;
+export const LIVE_SEARCH_RESERVE = 3;
+
+export const isLiveQuery = (value) => value.trim().length >= LIVE_SEARCH_MIN_LENGTH;
+
+export const liveSearchDelay = (limiter) =>
+  Math.max(LIVE_SEARCH_DEBOUNCE_MS, limiter.msUntilAvailable(LIVE_SEARCH_RESERVE + 1));
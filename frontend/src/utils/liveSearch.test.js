@@ -0,0 +1,27 @@
+import { LIVE_SEARCH_DEBOUNCE_MS, LIVE_SEARCH_RESERVE, isLiveQuery, liveSearchDelay } from './liveSearch';
+import { createTokenBucket } from './tokenBucket';
+
+describe('liveSearch', () => {
+  test('isLiveQuery skips blank and one-letter queries', () => {
+    expect(isLiveQuery('')).toBe(false);
+    expect(isLiveQuery(' a ')).toBe(false);
+    expect(isLiveQuery('ab')).toBe(true);
+  });
+
+  test('liveSearchDelay is the debounce while the bucket has room', () => {
+    const limiter = createTokenBucket({ capacity: 10, refillMs: 60000, now: () => 0 });
+    expect(liveSearchDelay(limiter)).toBe(LIVE_SEARCH_DEBOUNCE_MS);
+  });
+
+  test('liveSearchDelay waits for a token beyond the reserve', () => {
+    let time = 0;
+    const limiter = createTokenBucket({ capacity: 10, refillMs: 60000, now: () => time });
+    for (let i = 0; i < 10 - LIVE_SEARCH_RESERVE; i += 1) {
+      limiter.tryRemove();
+      time += 1000;
+    }
+
+    // Seven spent, one a second from t=0; the first comes back at t=60s
+    expect(liveSearchDelay(limiter)).toBe(60000 - time);
+  });
+});
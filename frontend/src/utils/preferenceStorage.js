@@ -0,0 +1,28 @@
+// Small preferences (theme, locale, telemetry opt-out, ...) kept in
+// localStorage. Storage can be disabled (private mode, blocked site data)
+// or full: reads then give null and writes are dropped, so a choice lasts
+// until reload.
+
+export const readPreference = (key) => {
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+};
+
+export const writePreference = (key, value) => {
+  try {
+    window.localStorage.setItem(key, value);
+  } catch {
+    // Storage disabled or full; the choice lasts until reload
+  }
+};
+
+export const removePreference = (key) => {
+  try {
+    window.localStorage.removeItem(key);
+  } catch {
+    // Storage disabled; nothing was stored to remove
+  }
+};
@@ -0,0 +1,31 @@
+import { readPreference, removePreference, writePreference } from './preferenceStorage';
+
+describe('preferenceStorage', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    window.localStorage.clear();
+  });
+
+  test('reads, writes and removes a key', () => {
+    expect(readPreference('artistSongSearch.test')).toBeNull();
+
+    writePreference('artistSongSearch.test', 'on');
+    expect(readPreference('artistSongSearch.test')).toBe('on');
+
+    removePreference('artistSongSearch.test');
+    expect(readPreference('artistSongSearch.test')).toBeNull();
+  });
+
+  test('treats disabled storage as empty and drops writes', () => {
+    const denied = () => {
+      throw new DOMException('The operation is insecure.', 'SecurityError');
+    };
+    jest.spyOn(Storage.prototype, 'getItem').mockImplementation(denied);
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(denied);
+    jest.spyOn(Storage.prototype, 'removeItem').mockImplementation(denied);
+
+    expect(readPreference('artistSongSearch.test')).toBeNull();
+    expect(() => writePreference('artistSongSearch.test', 'on')).not.toThrow();
+    expect(() => removePreference('artistSongSearch.test')).not.toThrow();
+  });
+});
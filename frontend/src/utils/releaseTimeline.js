@@ -0,0 +1,39 @@
+// Buckets loaded songs by release year for the timeline chart.
+import { releaseYear } from './songFilters';
+
+// { years: [{ year, count }] for every year from the first release to the
+// last (gaps included, so the x axis is continuous), undated: songs with no
+// usable release date, maxCount: tallest bar }
+export const buildTimeline = (songs) => {
+  const counts = new Map();
+  const undated = [];
+
+  songs.forEach(song => {
+    const year = releaseYear(song);
+    if (year === null) {
+      undated.push(song);
+      return;
+    }
+    counts.set(year, (counts.get(year) || 0) + 1);
+  });
+
+  if (counts.size === 0) {
+    return { years: [], undated, maxCount: 0 };
+  }
+
+  const first = Math.min(...counts.keys());
+  const last = Math.max(...counts.keys());
+  const years = [];
+  for (let year = first; year <= last; year += 1) {
+    years.push({ year, count: counts.get(year) || 0 });
+  }
+
+  return { years, undated, maxCount: Math.max(...counts.values()) };
+};
+
+// Axis labels every `step` years so long careers stay readable
+export const labelStep = (yearCount) => {
+  if (yearCount <= 12) return 1;
+  if (yearCount <= 30) return 5;
+  return 10;
+};
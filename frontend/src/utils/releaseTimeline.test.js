@@ -0,0 +1,41 @@
+import { buildTimeline, labelStep } from './releaseTimeline';
+
+const song = (id, release_date) => ({ id, title: `Song ${id}`, url: `https://genius.com/${id}`, release_date });
+
+describe('releaseTimeline', () => {
+  describe('buildTimeline', () => {
+    test('counts songs per year, filling in empty years', () => {
+      const timeline = buildTimeline([
+        song(1, 'October 19, 2015'),
+        song(2, '2015'),
+        song(3, 'March 2012'),
+        song(4, null)
+      ]);
+
+      expect(timeline.years).toEqual([
+        { year: 2012, count: 1 },
+        { year: 2013, count: 0 },
+        { year: 2014, count: 0 },
+        { year: 2015, count: 2 }
+      ]);
+      expect(timeline.maxCount).toBe(2);
+      expect(timeline.undated.map(s => s.id)).toEqual([4]);
+    });
+
+    test('treats unparseable dates as undated', () => {
+      const timeline = buildTimeline([song(1, 'sometime'), song(2, '')]);
+
+      expect(timeline).toEqual({ years: [], undated: [song(1, 'sometime'), song(2, '')], maxCount: 0 });
+    });
+
+    test('handles no songs', () => {
+      expect(buildTimeline([])).toEqual({ years: [], undated: [], maxCount: 0 });
+    });
+  });
+
+  test('labelStep thins out labels for long careers', () => {
+    expect(labelStep(8)).toBe(1);
+    expect(labelStep(25)).toBe(5);
+    expect(labelStep(60)).toBe(10);
+  });
+});
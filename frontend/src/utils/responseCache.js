@@ -0,0 +1,31 @@
+// Small in-memory cache for API responses, keyed by request URL. Entries
+// expire `ttlMs` after they were stored, and the oldest entry is dropped once
+// `maxEntries` is reached, so it never grows with a long session.
+export const createResponseCache = ({ ttlMs, maxEntries = 20, now = () => Date.now() }) => {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (now() - entry.storedAt >= ttlMs) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    set(key, value) {
+      // Re-inserting moves the key to the end, keeping Map order oldest-first
+      entries.delete(key);
+      entries.set(key, { value, storedAt: now() });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    clear() {
+      entries.clear();
+    }
+  };
+};
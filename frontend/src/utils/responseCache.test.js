@@ -0,0 +1,43 @@
+import { createResponseCache } from './responseCache';
+
+describe('createResponseCache', () => {
+  let time;
+  const now = () => time;
+
+  beforeEach(() => {
+    time = 0;
+  });
+
+  test('returns stored values until they expire', () => {
+    const cache = createResponseCache({ ttlMs: 30000, now });
+
+    cache.set('/songs?page=1', { songs: [] });
+    time = 29999;
+    expect(cache.get('/songs?page=1')).toEqual({ songs: [] });
+
+    time = 30000;
+    expect(cache.get('/songs?page=1')).toBeUndefined();
+  });
+
+  test('drops the oldest entry past maxEntries', () => {
+    const cache = createResponseCache({ ttlMs: 30000, maxEntries: 2, now });
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('a', 3);
+    cache.set('c', 4);
+
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('a')).toBe(3);
+    expect(cache.get('c')).toBe(4);
+  });
+
+  test('clear empties the cache', () => {
+    const cache = createResponseCache({ ttlMs: 30000, now });
+
+    cache.set('a', 1);
+    cache.clear();
+
+    expect(cache.get('a')).toBeUndefined();
+  });
+});
@@ -0,0 +1,43 @@
+import { normalizeText } from './songFilters';
+
+// Recent artist searches, persisted in localStorage (newest first).
+
+export const HISTORY_STORAGE_KEY = 'artistSongSearch.recentSearches';
+export const MAX_HISTORY = 10;
+
+export const loadHistory = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(HISTORY_STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter(name => typeof name === 'string') : [];
+  } catch {
+    // Corrupt JSON or storage disabled (private mode): start fresh
+    return [];
+  }
+};
+
+export const saveHistory = (history) => {
+  try {
+    if (history.length === 0) {
+      window.localStorage.removeItem(HISTORY_STORAGE_KEY);
+    } else {
+      window.localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+    }
+  } catch {
+    // Quota exceeded or storage disabled; history just won't persist
+  }
+};
+
+// Moves `name` to the front, dropping case-insensitive duplicates
+export const addToHistory = (history, name) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return history;
+
+  const key = trimmed.toLowerCase();
+  return [trimmed, ...history.filter(entry => entry.toLowerCase() !== key)].slice(0, MAX_HISTORY);
+};
+
+// Entries matching what's been typed so far (accent-insensitive)
+export const matchHistory = (history, input) => {
+  const query = normalizeText(input);
+  return query ? history.filter(entry => normalizeText(entry).includes(query)) : history;
+};
@@ -0,0 +1,61 @@
+import {
+  HISTORY_STORAGE_KEY,
+  MAX_HISTORY,
+  addToHistory,
+  loadHistory,
+  matchHistory,
+  saveHistory
+} from './searchHistory';
+
+describe('searchHistory', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('addToHistory puts the newest search first', () => {
+    expect(addToHistory(['Drake'], 'Adele')).toEqual(['Adele', 'Drake']);
+  });
+
+  test('addToHistory deduplicates case-insensitively, keeping the new spelling', () => {
+    expect(addToHistory(['Adele', 'drake'], 'Drake')).toEqual(['Drake', 'Adele']);
+  });
+
+  test('addToHistory caps the list', () => {
+    const full = Array.from({ length: MAX_HISTORY }, (_, i) => `Artist ${i}`);
+    const next = addToHistory(full, 'Newest');
+
+    expect(next).toHaveLength(MAX_HISTORY);
+    expect(next[0]).toBe('Newest');
+    expect(next).not.toContain(`Artist ${MAX_HISTORY - 1}`);
+  });
+
+  test('addToHistory ignores blank names', () => {
+    const history = ['Drake'];
+    expect(addToHistory(history, '   ')).toBe(history);
+    expect(addToHistory(history, undefined)).toBe(history);
+  });
+
+  test('saves and loads from localStorage', () => {
+    saveHistory(['Drake', 'Adele']);
+    expect(loadHistory()).toEqual(['Drake', 'Adele']);
+
+    saveHistory([]);
+    expect(window.localStorage.getItem(HISTORY_STORAGE_KEY)).toBeNull();
+  });
+
+  test('loadHistory survives corrupt storage', () => {
+    window.localStorage.setItem(HISTORY_STORAGE_KEY, '{not json');
+    expect(loadHistory()).toEqual([]);
+
+    window.localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({ nope: true }));
+    expect(loadHistory()).toEqual([]);
+  });
+
+  test('matchHistory filters by typed text, ignoring case and accents', () => {
+    const history = ['Beyoncé', 'Bey Bey', 'Drake'];
+
+    expect(matchHistory(history, '')).toEqual(history);
+    expect(matchHistory(history, 'BEYONCE')).toEqual(['Beyoncé']);
+    expect(matchHistory(history, 'bey')).toEqual(['Beyoncé', 'Bey Bey']);
+  });
+});
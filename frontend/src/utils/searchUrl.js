@@ -0,0 +1,105 @@
+// Search state <-> query string, e.g. ?artist=Radiohead&pages=3
+// `pages` is how many pages of results were loaded, so a shared link
+// restores the same list depth. It is omitted when only page 1 is loaded.
+// `artist_id` is present once an artist was picked from the disambiguation
+// list, so the link reopens that exact artist instead of asking again.
+// `song` is the song open in the detail drawer.
+// `sort`, `year_from` and `year_to` are the server-side listing options,
+// present only when they differ from the defaults.
+
+import { DEFAULT_LISTING, normalizeListing } from './songFilters';
+
+const parsePages = (value) => {
+  const pages = parseInt(value, 10);
+  return Number.isInteger(pages) && pages > 0 ? pages : 1;
+};
+
+const parseId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+export const readSearchState = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  const artist = (params.get('artist') || '').trim();
+
+  return {
+    artist,
+    pages: artist ? parsePages(params.get('pages')) : 1,
+    artistId: artist ? parseId(params.get('artist_id')) : null,
+    songId: parseId(params.get('song')),
+    listing: normalizeListing({
+      sort: params.get('sort'),
+      yearFrom: params.get('year_from'),
+      yearTo: params.get('year_to')
+    })
+  };
+};
+
+// `songId` is left untouched when omitted, so paging keeps the drawer open
+export const buildSearchUrl = ({
+  artist,
+  pages = 1,
+  artistId = null,
+  listing = DEFAULT_LISTING,
+  songId
+}, location = window.location) => {
+  const params = new URLSearchParams(location.search);
+  const song = songId === undefined ? params.get('song') : songId;
+  ['artist', 'artist_id', 'pages', 'sort', 'year_from', 'year_to', 'song'].forEach(name => params.delete(name));
+
+  if (artist) {
+    params.set('artist', artist);
+    if (artistId) {
+      params.set('artist_id', String(artistId));
+    }
+    if (pages > 1) {
+      params.set('pages', String(pages));
+    }
+    if (listing.sort !== DEFAULT_LISTING.sort) {
+      params.set('sort', listing.sort);
+    }
+    if (listing.yearFrom !== null) {
+      params.set('year_from', String(listing.yearFrom));
+    }
+    if (listing.yearTo !== null) {
+      params.set('year_to', String(listing.yearTo));
+    }
+  }
+  if (song) {
+    params.set('song', String(song));
+  }
+
+  const query = params.toString();
+  return `${location.pathname}${query ? `?${query}` : ''}${location.hash}`;
+};
+
+const sameUrl = (url) => {
+  const { pathname, search, hash } = window.location;
+  return url === `${pathname}${search}${hash}`;
+};
+
+// New search: add a history entry so back/forward moves between searches.
+// Any open song belongs to the previous search, so it is dropped.
+export const pushSearchState = (state) => {
+  const url = buildSearchUrl({ songId: null, ...state });
+  if (!sameUrl(url)) {
+    window.history.pushState(null, '', url);
+  }
+};
+
+// Same search, deeper pagination: update the entry in place
+export const replaceSearchState = (state) => {
+  const url = buildSearchUrl(state);
+  if (!sameUrl(url)) {
+    window.history.replaceState(null, '', url);
+  }
+};
+
+// Opening or closing the drawer gets its own entry, so Back closes it
+export const pushSongState = (songId) => {
+  const url = buildSearchUrl({ ...readSearchState(), songId });
+  if (!sameUrl(url)) {
+    window.history.pushState(null, '', url);
+  }
+};
@@ -0,0 +1,125 @@
+import { buildSearchUrl, pushSearchState, pushSongState, readSearchState, replaceSearchState } from './searchUrl';
+import { DEFAULT_LISTING } from './songFilters';
+
+describe('searchUrl', () => {
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  describe('readSearchState', () => {
+    test('reads artist and page depth', () => {
+      expect(readSearchState('?artist=Radiohead&pages=3')).toEqual({ artist: 'Radiohead', pages: 3, artistId: null, songId: null, listing: DEFAULT_LISTING });
+    });
+
+    test('defaults to one page and ignores junk depth values', () => {
+      expect(readSearchState('?artist=Radiohead')).toEqual({ artist: 'Radiohead', pages: 1, artistId: null, songId: null, listing: DEFAULT_LISTING });
+      expect(readSearchState('?artist=Radiohead&pages=-2')).toEqual({ artist: 'Radiohead', pages: 1, artistId: null, songId: null, listing: DEFAULT_LISTING });
+      expect(readSearchState('?artist=Radiohead&pages=abc')).toEqual({ artist: 'Radiohead', pages: 1, artistId: null, songId: null, listing: DEFAULT_LISTING });
+    });
+
+    test('reads a picked artist id', () => {
+      expect(readSearchState('?artist=Genesis&artist_id=7339')).toEqual({ artist: 'Genesis', pages: 1, artistId: 7339, songId: null, listing: DEFAULT_LISTING });
+      expect(readSearchState('?artist=Genesis&artist_id=abc').artistId).toBeNull();
+      expect(readSearchState('?artist_id=7339').artistId).toBeNull();
+    });
+
+    test('reads the open song', () => {
+      expect(readSearchState('?artist=Drake&song=378195').songId).toBe(378195);
+      expect(readSearchState('?song=nope').songId).toBeNull();
+    });
+
+    test('reads the sort order and year range', () => {
+      expect(readSearchState('?artist=Drake&sort=release_date&year_from=2010&year_to=2015').listing).toEqual({
+        sort: 'release_date',
+        yearFrom: 2010,
+        yearTo: 2015
+      });
+      expect(readSearchState('?artist=Drake&sort=nope&year_from=abc').listing).toEqual(DEFAULT_LISTING);
+    });
+
+    test('returns an empty artist when none is in the URL', () => {
+      expect(readSearchState('')).toEqual({ artist: '', pages: 1, artistId: null, songId: null, listing: DEFAULT_LISTING });
+      expect(readSearchState('?artist=%20%20')).toEqual({ artist: '', pages: 1, artistId: null, songId: null, listing: DEFAULT_LISTING });
+    });
+  });
+
+  describe('buildSearchUrl', () => {
+    const location = { pathname: '/', search: '', hash: '' };
+
+    test('omits pages for the first page', () => {
+      expect(buildSearchUrl({ artist: 'Radiohead', pages: 1 }, location)).toBe('/?artist=Radiohead');
+    });
+
+    test('encodes artist names and keeps unrelated params', () => {
+      expect(buildSearchUrl(
+        { artist: 'AC/DC & Co', pages: 2 },
+        { pathname: '/', search: '?debug=1&artist=Old', hash: '#top' }
+      )).toBe('/?debug=1&artist=AC%2FDC+%26+Co&pages=2#top');
+    });
+
+    test('includes a picked artist id', () => {
+      expect(buildSearchUrl({ artist: 'Genesis', pages: 2, artistId: 7339 }, location))
+        .toBe('/?artist=Genesis&artist_id=7339&pages=2');
+    });
+
+    test('includes a sort order and year range other than the defaults', () => {
+      const listing = { sort: 'title', yearFrom: 2010, yearTo: null };
+      expect(buildSearchUrl({ artist: 'Drake', pages: 2, listing }, location))
+        .toBe('/?artist=Drake&pages=2&sort=title&year_from=2010');
+      expect(buildSearchUrl({ artist: 'Drake' }, { ...location, search: '?artist=Drake&sort=title&year_to=2000' }))
+        .toBe('/?artist=Drake');
+    });
+
+    test('keeps the open song unless one is given', () => {
+      const search = '?song=42&artist=Drake';
+      expect(buildSearchUrl({ artist: 'Drake', pages: 2 }, { ...location, search })).toBe('/?artist=Drake&pages=2&song=42');
+      expect(buildSearchUrl({ artist: 'Drake', songId: 7 }, { ...location, search })).toBe('/?artist=Drake&song=7');
+      expect(buildSearchUrl({ artist: 'Drake', songId: null }, { ...location, search })).toBe('/?artist=Drake');
+    });
+
+    test('drops search params when there is no artist', () => {
+      expect(buildSearchUrl({ artist: '' }, { ...location, search: '?artist=Drake&pages=2&artist_id=1' })).toBe('/');
+    });
+  });
+
+  test('pushSearchState adds a history entry only when the URL changes', () => {
+    const pushSpy = jest.spyOn(window.history, 'pushState');
+
+    pushSearchState({ artist: 'Drake' });
+    pushSearchState({ artist: 'Drake' });
+
+    expect(pushSpy).toHaveBeenCalledTimes(1);
+    expect(window.location.search).toBe('?artist=Drake');
+    pushSpy.mockRestore();
+  });
+
+  test('replaceSearchState updates the current entry', () => {
+    const length = window.history.length;
+
+    replaceSearchState({ artist: 'Drake', pages: 4 });
+
+    expect(window.location.search).toBe('?artist=Drake&pages=4');
+    expect(window.history.length).toBe(length);
+  });
+
+  test('pushSearchState drops the open song', () => {
+    window.history.replaceState(null, '', '/?artist=Drake&song=42');
+
+    pushSearchState({ artist: 'Adele' });
+
+    expect(window.location.search).toBe('?artist=Adele');
+  });
+
+  test('pushSongState opens and closes a song in a new history entry', () => {
+    window.history.replaceState(null, '', '/?artist=Drake&pages=2&sort=title');
+    const pushSpy = jest.spyOn(window.history, 'pushState');
+
+    pushSongState(42);
+    expect(window.location.search).toBe('?artist=Drake&pages=2&sort=title&song=42');
+
+    pushSongState(null);
+    expect(window.location.search).toBe('?artist=Drake&pages=2&sort=title');
+    expect(pushSpy).toHaveBeenCalledTimes(2);
+    pushSpy.mockRestore();
+  });
+});
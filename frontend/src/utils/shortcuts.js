@@ -0,0 +1,37 @@
+// Global keyboard shortcuts for the results view. `descriptionKey` is the
+// i18n message ShortcutHelp shows for each.
+
+export const SHORTCUTS = [
+  { keys: ['/'], action: 'focusSearch', descriptionKey: 'shortcuts.focusSearch' },
+  { keys: ['j', 'ArrowDown'], action: 'next', descriptionKey: 'shortcuts.next' },
+  { keys: ['k', 'ArrowUp'], action: 'previous', descriptionKey: 'shortcuts.previous' },
+  { keys: ['Enter'], action: 'open', descriptionKey: 'shortcuts.open' },
+  { keys: ['m'], action: 'loadMore', descriptionKey: 'shortcuts.loadMore' },
+  { keys: ['?'], action: 'help', descriptionKey: 'shortcuts.help' }
+];
+
+const KEY_LABELS = { ArrowDown: '↓', ArrowUp: '↑' };
+
+export const keyLabel = (key) => KEY_LABELS[key] || key;
+
+// Typing a "/" or "j" into a field must never trigger a shortcut
+export const isTypingTarget = (target) => {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable) return true;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+};
+
+const ACTIONS = new Map(SHORTCUTS.flatMap(({ keys, action }) => keys.map(key => [key, action])));
+
+// The action for a keydown, or null. Modified keys belong to the browser,
+// and Enter on a focused button or link keeps its normal meaning.
+export const shortcutFor = (event) => {
+  if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return null;
+  if (isTypingTarget(event.target)) return null;
+
+  const action = ACTIONS.get(event.key) || null;
+  if (action === 'open' && event.target.closest?.('a, button, summary, [role="button"]')) {
+    return null;
+  }
+  return action;
+};
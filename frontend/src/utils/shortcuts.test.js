@@ -0,0 +1,67 @@
+import { SHORTCUTS, isTypingTarget, keyLabel, shortcutFor } from './shortcuts';
+import en from '../i18n/locales/en';
+
+const keydown = (key, target = document.body, init = {}) => ({
+  key,
+  target,
+  defaultPrevented: false,
+  ctrlKey: false,
+  metaKey: false,
+  altKey: false,
+  ...init
+});
+
+describe('shortcuts', () => {
+  test('every action has a description for the help overlay', () => {
+    SHORTCUTS.forEach(shortcut => {
+      expect(en[shortcut.descriptionKey]).toBeTruthy();
+      expect(shortcut.keys.length).toBeGreaterThan(0);
+    });
+  });
+
+  test('keyLabel shows arrows as symbols', () => {
+    expect(keyLabel('ArrowDown')).toBe('↓');
+    expect(keyLabel('j')).toBe('j');
+  });
+
+  test.each([
+    ['/', 'focusSearch'],
+    ['j', 'next'],
+    ['ArrowDown', 'next'],
+    ['k', 'previous'],
+    ['ArrowUp', 'previous'],
+    ['Enter', 'open'],
+    ['m', 'loadMore'],
+    ['?', 'help'],
+    ['x', null]
+  ])('maps %s to %s', (key, action) => {
+    expect(shortcutFor(keydown(key))).toBe(action);
+  });
+
+  test('ignores keys while typing', () => {
+    const input = document.createElement('input');
+    const textarea = document.createElement('textarea');
+    const select = document.createElement('select');
+
+    expect(isTypingTarget(input)).toBe(true);
+    expect(isTypingTarget(textarea)).toBe(true);
+    expect(isTypingTarget(select)).toBe(true);
+    expect(isTypingTarget(document.body)).toBe(false);
+    expect(shortcutFor(keydown('/', input))).toBeNull();
+  });
+
+  test('ignores modified and already-handled keys', () => {
+    expect(shortcutFor(keydown('k', document.body, { ctrlKey: true }))).toBeNull();
+    expect(shortcutFor(keydown('m', document.body, { metaKey: true }))).toBeNull();
+    expect(shortcutFor(keydown('j', document.body, { defaultPrevented: true }))).toBeNull();
+  });
+
+  test('leaves Enter alone on buttons and links', () => {
+    const button = document.createElement('button');
+    const link = document.createElement('a');
+
+    expect(shortcutFor(keydown('Enter', button))).toBeNull();
+    expect(shortcutFor(keydown('Enter', link))).toBeNull();
+    expect(shortcutFor(keydown('j', button))).toBe('next');
+  });
+});
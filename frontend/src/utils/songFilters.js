@@ -0,0 +1,107 @@
+// Client-side filtering of the songs already loaded, plus the listing
+// options (sort order and release-year range) the server applies to every
+// page it returns. Reordering loaded songs in the browser would only sort
+// the pages seen so far, so those have to come from the API.
+
+// `labelKey` is the i18n message for the option
+export const SORT_OPTIONS = [
+  { value: 'popularity', labelKey: 'sort.popularity' },
+  { value: 'title', labelKey: 'sort.title' },
+  { value: 'release_date', labelKey: 'sort.release_date' }
+];
+
+// Sent with each page request; changing them starts over from page 1.
+// Years are numbers or null.
+export const DEFAULT_LISTING = {
+  sort: 'popularity',
+  yearFrom: null,
+  yearTo: null
+};
+
+// Matches the backend's accepted range
+export const MIN_YEAR = 1900;
+export const MAX_YEAR = 2100;
+
+// `year` is the release timeline's selected bar
+export const DEFAULT_FILTERS = {
+  query: '',
+  year: null
+};
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+// Case- and accent-insensitive form for matching ("Beyoncé" -> "beyonce")
+export const normalizeText = (text) =>
+  (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+
+// Genius `release_date_for_display` comes as "October 19, 2015",
+// "October 2015" or "2015". Returns { year, month, day } (month/day are
+// null when unknown) or null when there is no usable date.
+export const parseReleaseDate = (value) => {
+  if (!value) return null;
+
+  const match = String(value).trim().match(/^(?:([A-Za-z]+)\s+)?(?:(\d{1,2}),\s*)?(\d{4})$/);
+  if (!match) return null;
+
+  const [, monthName, day, year] = match;
+  const month = monthName ? MONTHS.indexOf(monthName.toLowerCase()) + 1 : null;
+  if (month === 0) return null;
+
+  return {
+    year: Number(year),
+    month,
+    day: day ? Number(day) : null
+  };
+};
+
+export const releaseYear = (song) => parseReleaseDate(song.release_date)?.year ?? null;
+
+// A whole year within MIN_YEAR-MAX_YEAR, or null
+export const parseYear = (value) => {
+  const year = Number(value);
+  return Number.isInteger(year) && year >= MIN_YEAR && year <= MAX_YEAR ? year : null;
+};
+
+const SORT_VALUES = SORT_OPTIONS.map(option => option.value);
+
+// Cleans listing options from the URL or the toolbar; anything invalid falls
+// back to the default, and a backwards range is dropped rather than sent
+export const normalizeListing = ({ sort, yearFrom, yearTo } = {}) => {
+  const from = parseYear(yearFrom);
+  const to = parseYear(yearTo);
+  const backwards = from !== null && to !== null && from > to;
+
+  return {
+    sort: SORT_VALUES.includes(sort) ? sort : DEFAULT_LISTING.sort,
+    yearFrom: backwards ? null : from,
+    yearTo: backwards ? null : to
+  };
+};
+
+export const hasYearRange = (listing) => listing.yearFrom !== null || listing.yearTo !== null;
+
+export const sameListing = (a, b) =>
+  a.sort === b.sort && a.yearFrom === b.yearFrom && a.yearTo === b.yearTo;
+
+export const hasActiveFilters = (filters) =>
+  Boolean(normalizeText(filters.query)) || filters.year !== null;
+
+// Keeps the order the API returned, which already reflects the listing's sort
+export const applySongFilters = (songs, filters = DEFAULT_FILTERS) => {
+  const query = normalizeText(filters.query);
+  if (!query && filters.year === null) return songs;
+
+  return songs.filter((song) => {
+    if (query && !normalizeText(song.title).includes(query)) {
+      return false;
+    }
+    return filters.year === null || releaseYear(song) === filters.year;
+  });
+};
@@ -0,0 +1,124 @@
+import {
+  DEFAULT_FILTERS,
+  DEFAULT_LISTING,
+  applySongFilters,
+  hasActiveFilters,
+  hasYearRange,
+  normalizeListing,
+  normalizeText,
+  parseReleaseDate,
+  parseYear,
+  sameListing
+} from './songFilters';
+
+const songs = [
+  { id: 1, title: 'Hotline Bling', release_date: 'October 19, 2015' },
+  { id: 2, title: 'Énergie', release_date: 'March 2012' },
+  { id: 3, title: 'God\'s Plan', release_date: 'January 19, 2018' },
+  { id: 4, title: 'Untitled Demo', release_date: null },
+  { id: 5, title: 'energy', release_date: '2015' }
+];
+
+const ids = (list) => list.map(song => song.id);
+
+describe('songFilters', () => {
+  describe('normalizeText', () => {
+    test('strips accents and case', () => {
+      expect(normalizeText('  Beyoncé ÉNERGIE ')).toBe('beyonce energie');
+    });
+
+    test('tolerates missing values', () => {
+      expect(normalizeText(null)).toBe('');
+    });
+  });
+
+  describe('parseReleaseDate', () => {
+    test.each([
+      ['October 19, 2015', { year: 2015, month: 10, day: 19 }],
+      ['March 2012', { year: 2012, month: 3, day: null }],
+      ['2015', { year: 2015, month: null, day: null }]
+    ])('parses %p', (value, expected) => {
+      expect(parseReleaseDate(value)).toEqual(expected);
+    });
+
+    test.each([null, '', 'TBA', 'Smarch 3, 2010', 'soon 2015'])('returns null for %p', (value) => {
+      expect(parseReleaseDate(value)).toBeNull();
+    });
+  });
+
+  describe('applySongFilters', () => {
+    test('keeps API order with default filters', () => {
+      expect(ids(applySongFilters(songs, DEFAULT_FILTERS))).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('filters titles ignoring case and accents', () => {
+      expect(ids(applySongFilters(songs, { ...DEFAULT_FILTERS, query: 'ENERG' }))).toEqual([2, 5]);
+      expect(ids(applySongFilters(songs, { ...DEFAULT_FILTERS, query: 'énergie' }))).toEqual([2]);
+    });
+
+    test('keeps only the selected timeline year', () => {
+      expect(ids(applySongFilters(songs, { ...DEFAULT_FILTERS, year: 2015 }))).toEqual([1, 5]);
+      expect(ids(applySongFilters(songs, { query: 'energy', year: 2015 }))).toEqual([5]);
+    });
+
+    test('returns the input untouched without filters', () => {
+      expect(applySongFilters(songs, DEFAULT_FILTERS)).toBe(songs);
+    });
+  });
+
+  test('hasActiveFilters covers the title query and timeline year', () => {
+    expect(hasActiveFilters(DEFAULT_FILTERS)).toBe(false);
+    expect(hasActiveFilters({ ...DEFAULT_FILTERS, query: '  ' })).toBe(false);
+    expect(hasActiveFilters({ ...DEFAULT_FILTERS, query: 'x' })).toBe(true);
+    expect(hasActiveFilters({ ...DEFAULT_FILTERS, year: 2000 })).toBe(true);
+  });
+
+  describe('listing', () => {
+    test.each([
+      ['2010', 2010],
+      [2010, 2010],
+      ['1900', 1900],
+      ['2100', 2100],
+      ['1899', null],
+      ['201', null],
+      ['20.5', null],
+      ['', null],
+      [null, null],
+      ['abc', null]
+    ])('parseYear(%p) is %p', (value, expected) => {
+      expect(parseYear(value)).toBe(expected);
+    });
+
+    test('normalizeListing keeps valid options', () => {
+      expect(normalizeListing({ sort: 'release_date', yearFrom: '2010', yearTo: 2015 })).toEqual({
+        sort: 'release_date',
+        yearFrom: 2010,
+        yearTo: 2015
+      });
+    });
+
+    test('normalizeListing falls back to defaults for junk', () => {
+      expect(normalizeListing()).toEqual(DEFAULT_LISTING);
+      expect(normalizeListing({ sort: 'pageviews', yearFrom: 'soon' })).toEqual(DEFAULT_LISTING);
+    });
+
+    test('normalizeListing drops a backwards range', () => {
+      expect(normalizeListing({ sort: 'title', yearFrom: 2015, yearTo: 2010 })).toEqual({
+        ...DEFAULT_LISTING,
+        sort: 'title'
+      });
+    });
+
+    test('hasYearRange ignores the sort order', () => {
+      expect(hasYearRange(DEFAULT_LISTING)).toBe(false);
+      expect(hasYearRange({ ...DEFAULT_LISTING, sort: 'title' })).toBe(false);
+      expect(hasYearRange({ ...DEFAULT_LISTING, yearTo: 2000 })).toBe(true);
+    });
+
+    test('sameListing compares every option', () => {
+      expect(sameListing(DEFAULT_LISTING, { ...DEFAULT_LISTING })).toBe(true);
+      expect(sameListing(DEFAULT_LISTING, { ...DEFAULT_LISTING, sort: 'title' })).toBe(false);
+      expect(sameListing(DEFAULT_LISTING, { ...DEFAULT_LISTING, yearFrom: 2000 })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+// State for the single-artist search, driven by useSongSearch.
+//
+// Every search gets a new `generation`. Actions carry the generation they
+// belong to and are ignored once a newer search has started, so a slow
+// response (first page or Load More) can never land on another search's
+// results. Only searchStarted, cancelled and reset move the generation on.
+//
+// status: 'idle' | 'loading' | 'loadingMore' | 'success' | 'error'
+// pageStatus: { [page]: 'loading' | 'loaded' | 'error' } for the current search
+
+import { DEFAULT_LISTING } from './songFilters';
+
+export const initialSongSearchState = {
+  status: 'idle',
+  generation: 0,
+  // What the loaded results were requested as; kept until a search replaces them
+  artistName: '',
+  artistId: null,
+  // Server-side sort order and year range (see utils/songFilters)
+  listing: DEFAULT_LISTING,
+  // Canonical { name, id } from the API, as opposed to the typed query
+  artist: null,
+  songs: [],
+  pagination: null,
+  // Cache/staleness metadata for each loaded page, in page order
+  pageMeta: [],
+  pageStatus: {},
+  error: null
+};
+
+const GENERATION_ACTIONS = ['searchStarted', 'cancelled', 'reset'];
+
+// Where a search rests once nothing is in flight
+const settledStatus = (state) => {
+  if (state.error) return 'error';
+  return state.pagination ? 'success' : 'idle';
+};
+
+const withoutLoadingPages = (pageStatus) =>
+  Object.fromEntries(Object.entries(pageStatus).filter(([, status]) => status !== 'loading'));
+
+export const songSearchReducer = (state, action) => {
+  if (!GENERATION_ACTIONS.includes(action.type) && action.generation !== state.generation) {
+    return state;
+  }
+
+  switch (action.type) {
+    case 'searchStarted':
+      return {
+        ...initialSongSearchState,
+        generation: action.generation,
+        status: 'loading',
+        artistName: state.artistName,
+        artistId: state.artistId,
+        listing: state.listing
+      };
+
+    case 'pageRequested':
+      return {
+        ...state,
+        status: action.append ? 'loadingMore' : 'loading',
+        error: null,
+        pageStatus: { ...state.pageStatus, [action.page]: 'loading' }
+      };
+
+    case 'pageLoaded':
+      return { ...state, pageStatus: { ...state.pageStatus, [action.page]: 'loaded' } };
+
+    case 'resultsLoaded':
+      return {
+        ...state,
+        status: 'success',
+        error: null,
+        artistName: action.artistName,
+        artistId: action.artistId,
+        listing: action.listing,
+        artist: action.artist,
+        songs: action.append ? [...state.songs, ...action.songs] : action.songs,
+        pageMeta: action.append ? [...state.pageMeta, ...action.pageMeta] : action.pageMeta,
+        pagination: action.pagination
+      };
+
+    case 'pageFailed': {
+      const failed = {
+        ...state,
+        status: 'error',
+        error: action.error,
+        pageStatus: { ...state.pageStatus, [action.page]: 'error' }
+      };
+      // A failed first page leaves nothing to show; a failed Load More keeps what loaded
+      return action.append ? failed : { ...failed, songs: [], pagination: null, pageMeta: [] };
+    }
+
+    // A page request given up on by its caller, e.g. a cancelled export
+    case 'pageCancelled': {
+      const { [action.page]: dropped, ...pageStatus } = state.pageStatus;
+      return { ...state, status: settledStatus(state), pageStatus };
+    }
+
+    case 'errorCleared': {
+      const cleared = { ...state, error: null };
+      return { ...cleared, status: settledStatus(cleared) };
+    }
+
+    // Everything in flight was aborted; whatever already loaded stays
+    case 'cancelled':
+      return {
+        ...state,
+        generation: action.generation,
+        status: settledStatus(state),
+        pageStatus: withoutLoadingPages(state.pageStatus)
+      };
+
+    case 'reset':
+      return { ...initialSongSearchState, generation: action.generation };
+
+    default:
+      throw new Error(`Unknown song search action: ${action.type}`);
+  }
+};
@@ -0,0 +1,180 @@
+import { initialSongSearchState, songSearchReducer } from './songSearchReducer';
+
+const drake = { name: 'Drake', id: 130 };
+const page = (number, hasNext) => ({ page: number, per_page: 50, has_next: hasNext });
+const song = (id) => ({ id, title: `Song ${id}` });
+
+const reduce = (actions, state = initialSongSearchState) => actions.reduce(songSearchReducer, state);
+
+const loaded = (generation, overrides = {}) => ({
+  type: 'resultsLoaded',
+  generation,
+  append: false,
+  artistName: 'Drake',
+  artistId: null,
+  listing: { sort: 'title', yearFrom: 2010, yearTo: null },
+  artist: drake,
+  songs: [song(1)],
+  pageMeta: [{ page: 1, cached: false }],
+  pagination: page(1, true),
+  ...overrides
+});
+
+// A search for Drake with page 1 on screen
+const withResults = reduce([
+  { type: 'searchStarted', generation: 1 },
+  { type: 'pageRequested', generation: 1, page: 1 },
+  { type: 'pageLoaded', generation: 1, page: 1 },
+  loaded(1)
+]);
+
+describe('songSearchReducer', () => {
+  test('starts idle and empty', () => {
+    expect(initialSongSearchState).toMatchObject({ status: 'idle', generation: 0, songs: [], pageStatus: {} });
+  });
+
+  test('a search clears the previous results but keeps the loaded artist until it succeeds', () => {
+    const state = songSearchReducer(withResults, { type: 'searchStarted', generation: 2 });
+
+    expect(state).toMatchObject({
+      status: 'loading',
+      generation: 2,
+      songs: [],
+      pagination: null,
+      pageMeta: [],
+      pageStatus: {},
+      error: null,
+      artistName: 'Drake',
+      listing: { sort: 'title', yearFrom: 2010, yearTo: null }
+    });
+  });
+
+  test('tracks each page from requested to loaded', () => {
+    const requested = reduce([
+      { type: 'searchStarted', generation: 1 },
+      { type: 'pageRequested', generation: 1, page: 1 }
+    ]);
+    expect(requested.pageStatus).toEqual({ 1: 'loading' });
+
+    expect(withResults).toMatchObject({
+      status: 'success',
+      artist: drake,
+      artistName: 'Drake',
+      songs: [song(1)],
+      pagination: page(1, true),
+      pageStatus: { 1: 'loaded' }
+    });
+  });
+
+  test('Load More appends songs and page metadata', () => {
+    const state = reduce([
+      { type: 'pageRequested', generation: 1, page: 2, append: true }
+    ], withResults);
+    expect(state.status).toBe('loadingMore');
+    expect(state.pageStatus).toEqual({ 1: 'loaded', 2: 'loading' });
+
+    const appended = songSearchReducer(state, loaded(1, {
+      append: true,
+      songs: [song(2)],
+      pageMeta: [{ page: 2, cached: true }],
+      pagination: page(2, false)
+    }));
+    expect(appended.status).toBe('success');
+    expect(appended.songs).toEqual([song(1), song(2)]);
+    expect(appended.pageMeta.map(meta => meta.page)).toEqual([1, 2]);
+    expect(appended.pagination).toEqual(page(2, false));
+  });
+
+  test('a failed first page leaves nothing on screen', () => {
+    const error = new Error('Genius API temporarily unavailable');
+    const state = reduce([
+      { type: 'searchStarted', generation: 2 },
+      { type: 'pageRequested', generation: 2, page: 1 },
+      { type: 'pageFailed', generation: 2, page: 1, error }
+    ], withResults);
+
+    expect(state).toMatchObject({ status: 'error', error, songs: [], pagination: null, pageStatus: { 1: 'error' } });
+  });
+
+  test('a failed Load More keeps the pages already loaded', () => {
+    const error = new Error('Network down');
+    const state = reduce([
+      { type: 'pageRequested', generation: 1, page: 2, append: true },
+      { type: 'pageFailed', generation: 1, page: 2, append: true, error }
+    ], withResults);
+
+    expect(state).toMatchObject({ status: 'error', error, songs: [song(1)], pageStatus: { 1: 'loaded', 2: 'error' } });
+  });
+
+  test('a new request clears the previous error', () => {
+    const state = reduce([
+      { type: 'pageFailed', generation: 1, page: 2, append: true, error: new Error('x') },
+      { type: 'pageRequested', generation: 1, page: 2, append: true }
+    ], withResults);
+
+    expect(state.error).toBeNull();
+    expect(state.pageStatus[2]).toBe('loading');
+  });
+
+  test('ignores every action from an older generation', () => {
+    const newer = songSearchReducer(withResults, { type: 'searchStarted', generation: 2 });
+
+    const actions = [
+      { type: 'pageRequested', generation: 1, page: 2, append: true },
+      { type: 'pageLoaded', generation: 1, page: 2 },
+      loaded(1, { append: true, songs: [song(99)] }),
+      { type: 'pageFailed', generation: 1, page: 2, error: new Error('late') },
+      { type: 'pageCancelled', generation: 1, page: 2 },
+      { type: 'errorCleared', generation: 1 }
+    ];
+    actions.forEach(action => {
+      expect(songSearchReducer(newer, action)).toBe(newer);
+    });
+  });
+
+  test('pageCancelled drops the page and settles the status', () => {
+    const loadingMore = songSearchReducer(withResults, { type: 'pageRequested', generation: 1, page: 2, append: true });
+    const state = songSearchReducer(loadingMore, { type: 'pageCancelled', generation: 1, page: 2 });
+
+    expect(state.status).toBe('success');
+    expect(state.pageStatus).toEqual({ 1: 'loaded' });
+  });
+
+  test('errorCleared settles back to success or idle', () => {
+    const failedMore = songSearchReducer(withResults, {
+      type: 'pageFailed', generation: 1, page: 2, append: true, error: new Error('x')
+    });
+    expect(songSearchReducer(failedMore, { type: 'errorCleared', generation: 1 })).toMatchObject({
+      status: 'success',
+      error: null
+    });
+
+    const failedSearch = reduce([
+      { type: 'searchStarted', generation: 1 },
+      { type: 'pageFailed', generation: 1, page: 1, error: new Error('x') },
+      { type: 'errorCleared', generation: 1 }
+    ]);
+    expect(failedSearch.status).toBe('idle');
+  });
+
+  test('cancelled moves to a new generation and keeps what loaded', () => {
+    const loadingMore = songSearchReducer(withResults, { type: 'pageRequested', generation: 1, page: 2, append: true });
+    const state = songSearchReducer(loadingMore, { type: 'cancelled', generation: 2 });
+
+    expect(state).toMatchObject({ status: 'success', generation: 2, songs: [song(1)], pageStatus: { 1: 'loaded' } });
+
+    const searching = songSearchReducer(initialSongSearchState, { type: 'searchStarted', generation: 1 });
+    expect(songSearchReducer(searching, { type: 'cancelled', generation: 2 }).status).toBe('idle');
+  });
+
+  test('reset empties everything', () => {
+    expect(songSearchReducer(withResults, { type: 'reset', generation: 2 })).toEqual({
+      ...initialSongSearchState,
+      generation: 2
+    });
+  });
+
+  test('rejects unknown actions', () => {
+    expect(() => songSearchReducer(withResults, { type: 'nope', generation: 1 })).toThrow('Unknown song search action: nope');
+  });
+});
@@ -0,0 +1,38 @@
+// Client-side limiter mirroring Rack::Attack's song-search throttle
+// (10 requests per minute). Each spent token comes back `refillMs` after it
+// was taken, so no `refillMs` span ever sees more than `capacity` requests -
+// which also keeps us inside the server's fixed one-minute windows.
+export const createTokenBucket = ({ capacity, refillMs, now = () => Date.now() }) => {
+  let spent = [];
+
+  const prune = () => {
+    const cutoff = now() - refillMs;
+    spent = spent.filter(time => time > cutoff);
+  };
+
+  return {
+    tryRemove() {
+      prune();
+      if (spent.length >= capacity) return false;
+      spent.push(now());
+      return true;
+    },
+
+    available() {
+      prune();
+      return capacity - spent.length;
+    },
+
+    // 0 when `count` tokens are available right now
+    msUntilAvailable(count = 1) {
+      prune();
+      const missing = spent.length + count - capacity;
+      if (missing <= 0) return 0;
+      return spent[missing - 1] + refillMs - now();
+    },
+
+    reset() {
+      spent = [];
+    }
+  };
+};
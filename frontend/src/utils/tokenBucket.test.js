@@ -0,0 +1,71 @@
+import { createTokenBucket } from './tokenBucket';
+
+describe('createTokenBucket', () => {
+  let time;
+  const now = () => time;
+
+  beforeEach(() => {
+    time = 0;
+  });
+
+  test('allows up to capacity requests, then refuses', () => {
+    const bucket = createTokenBucket({ capacity: 3, refillMs: 60000, now });
+
+    expect(bucket.tryRemove()).toBe(true);
+    expect(bucket.tryRemove()).toBe(true);
+    expect(bucket.tryRemove()).toBe(true);
+    expect(bucket.tryRemove()).toBe(false);
+    expect(bucket.available()).toBe(0);
+  });
+
+  test('returns each token one period after it was spent', () => {
+    const bucket = createTokenBucket({ capacity: 2, refillMs: 60000, now });
+
+    bucket.tryRemove();
+    time = 20000;
+    bucket.tryRemove();
+
+    expect(bucket.msUntilAvailable()).toBe(40000);
+
+    time = 60001;
+    expect(bucket.available()).toBe(1);
+    expect(bucket.tryRemove()).toBe(true);
+    expect(bucket.tryRemove()).toBe(false);
+    expect(bucket.msUntilAvailable()).toBe(19999);
+  });
+
+  test('reports how long until several tokens are free', () => {
+    const bucket = createTokenBucket({ capacity: 3, refillMs: 60000, now });
+
+    bucket.tryRemove();
+    time = 10000;
+    bucket.tryRemove();
+
+    expect(bucket.msUntilAvailable(1)).toBe(0);
+    expect(bucket.msUntilAvailable(2)).toBe(50000);
+    expect(bucket.msUntilAvailable(3)).toBe(60000);
+  });
+
+  test('never lets more than capacity through in any one period', () => {
+    const bucket = createTokenBucket({ capacity: 10, refillMs: 60000, now });
+    const granted = [];
+
+    for (time = 0; time < 180000; time += 1000) {
+      if (bucket.tryRemove()) granted.push(time);
+    }
+
+    granted.forEach((start) => {
+      const inWindow = granted.filter(t => t >= start && t < start + 60000);
+      expect(inWindow.length).toBeLessThanOrEqual(10);
+    });
+  });
+
+  test('reset refills the bucket', () => {
+    const bucket = createTokenBucket({ capacity: 1, refillMs: 60000, now });
+
+    bucket.tryRemove();
+    bucket.reset();
+
+    expect(bucket.msUntilAvailable()).toBe(0);
+  });
+});